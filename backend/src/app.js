@@ -12,7 +12,10 @@ import { authLimit, queueLimit } from './middleware/rateLimit.js';
 import { requestLogger } from './middleware/requestLogger.js';
 import { securityHeaders } from './middleware/securityHeaders.js';
 import { requestId } from './middleware/requestId.js';
+import { keepRawBody } from './middleware/engineCallbackAuth.js';
 import logger from './utils/logger.js';
+import { metricsHandler } from './utils/metrics.js';
+import { recordFirestoreError } from './firebase/firebaseAdmin.js';
 
 // Import routes
 import authRoutes from './routes/auth.js';
@@ -36,7 +39,7 @@ app.use(requestId);
 
 // Middleware
 app.use(cors(config.cors));
-app.use(express.json({ limit: config.bodyLimit }));
+app.use(express.json({ limit: config.bodyLimit, verify: keepRawBody })); // raw bytes kept for engine signatures
 app.use(express.urlencoded({ extended: true, limit: config.bodyLimit }));
 
 // Request logging (matchId in route handlers when applicable)
@@ -47,6 +50,9 @@ app.get('/health', (req, res) => {
   res.json({ status: 'OK', service: 'backend' });
 });
 
+// Prometheus scrape endpoint (bearer METRICS_TOKEN; see utils/metrics.js)
+app.get('/metrics', metricsHandler);
+
 // Root route — so visiting the deployed URL shows OK (Render and browsers)
 app.get('/', (req, res) => {
   res.json({ service: 'backend', status: 'ok', health: '/health' });
@@ -80,6 +86,7 @@ app.use((err, req, res, next) => {
     path: req.path,
     method: req.method,
   });
+  recordFirestoreError('unhandled', err);
 
   // Don't expose internal error details in production
   const message = config.isProduction ? 'Internal server error' : err.message;
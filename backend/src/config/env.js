@@ -22,6 +22,10 @@ const config = {
   maxConcurrentMatches: Number(process.env.MAX_CONCURRENT_MATCHES) || 50,
   maxQueueSizePerDifficulty: Number(process.env.MAX_QUEUE_SIZE_PER_DIFFICULTY) || 200,
 
+  // Default match length when the match doc sets none (0 = run until stopped)
+  matchDurationMinutes: Number(process.env.MATCH_DURATION_MINUTES) || 0,
+  matchOvertimeTicks: Number(process.env.MATCH_OVERTIME_TICKS) || 0,
+
   // Firebase Admin SDK Configuration
   firebase: {
     projectId: process.env.FIREBASE_PROJECT_ID || '',
@@ -10,9 +10,23 @@
 
 import admin from 'firebase-admin';
 import config from '../config/env.js';
+import { createCounter } from '../utils/metrics.js';
 
 let firebaseAdmin = null;
 
+const firestoreErrors = createCounter(
+  'ctf_backend_firestore_errors_total',
+  'Failed Firestore calls by operation and gRPC status',
+  ['operation', 'code']
+);
+
+/** gRPC status codes carried by Firestore errors */
+const GRPC_CODE_NAMES = [
+  'OK', 'CANCELLED', 'UNKNOWN', 'INVALID_ARGUMENT', 'DEADLINE_EXCEEDED', 'NOT_FOUND',
+  'ALREADY_EXISTS', 'PERMISSION_DENIED', 'RESOURCE_EXHAUSTED', 'FAILED_PRECONDITION', 'ABORTED',
+  'OUT_OF_RANGE', 'UNIMPLEMENTED', 'INTERNAL', 'UNAVAILABLE', 'DATA_LOSS', 'UNAUTHENTICATED',
+];
+
 /**
  * Initialize Firebase Admin SDK
  *
@@ -92,6 +106,20 @@ export function getStorage() {
   return app ? app.storage() : null;
 }
 
+/**
+ * Count a Firestore failure for /metrics. Only errors with a gRPC status (numeric `code`)
+ * are Firestore's; anything else (validation errors, engine errors, ...) is ignored, so
+ * catch blocks can pass whatever they caught.
+ *
+ * @param {string} operation - e.g. `queue.join`
+ * @param {unknown} error
+ */
+export function recordFirestoreError(operation, error) {
+  const code = error?.code;
+  if (!Number.isInteger(code) || code <= 0 || code >= GRPC_CODE_NAMES.length) return;
+  firestoreErrors.inc({ operation, code: GRPC_CODE_NAMES[code] });
+}
+
 // Convenience exports (as required):
 // - `auth`: Firebase Auth instance (or null)
 // - `firestore`: Firestore instance (or null)
@@ -0,0 +1,48 @@
+/**
+ * Engine Callback Auth Middleware
+ *
+ * The match engine calls back into /api/match/* (default collection, infrastructure,
+ * provisioning progress). Those calls are signed with the same keys the backend uses for
+ * the engine (utils/requestSigning.js, audience `backend`); anything unsigned is refused.
+ */
+
+import { getSigningKeys, isSigningDisabled, verifyRequest } from '../utils/requestSigning.js';
+
+/**
+ * express.json `verify` hook: keep the exact bytes the signature covers.
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} _res
+ * @param {Buffer} buf
+ */
+export function keepRawBody(req, _res, buf) {
+  req.rawBody = buf;
+}
+
+/**
+ * Require a valid engine signature. Without configured keys every call is refused (503),
+ * unless ENGINE_AUTH_DISABLED=true outside production.
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export function authenticateEngineCallback(req, res, next) {
+  if (getSigningKeys().length === 0) {
+    if (isSigningDisabled()) return next();
+    return res.status(503).json({ error: 'Engine authentication is not configured' });
+  }
+
+  const result = verifyRequest({
+    audience: 'backend',
+    method: req.method,
+    path: req.originalUrl,
+    body: req.rawBody,
+    authorization: req.headers.authorization,
+  });
+  if (!result.ok) {
+    console.warn(`[ENGINE API] Rejected ${req.method} ${req.originalUrl.split('?')[0]}: ${result.reason}`);
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  return next();
+}
@@ -4,6 +4,9 @@
  * Rules:
  * - /auth/* → strict (brute force prevention)
  * - /queue/* → moderate (spam prevention)
+ * - /match/:id/flag → per user (flag brute force; the engine also limits per team)
+ * - /match/:id/services/* → per user (team service exec/file/restart actions)
+ * - /match/:id/services/:serviceId/reset → per user and service, much stricter (recreates the container)
  * - Admin routes are not rate-limited here (adminGuard handles auth).
  */
 
@@ -71,4 +74,26 @@ const queueLimit = createRateLimiter({
   keyFn: (req) => getKey('queue', req.user?.uid || req.ip || req.socket?.remoteAddress || 'unknown'),
 });
 
-export { authLimit, queueLimit, createRateLimiter };
+// Flag submission: per user. 30 req/min.
+const flagLimit = createRateLimiter({
+  maxRequests: Number(process.env.RATE_LIMIT_FLAG_MAX) || 30,
+  windowMs: Number(process.env.RATE_LIMIT_FLAG_WINDOW_MS) || WINDOW_MS,
+  keyFn: (req) => getKey('flag', req.user?.uid || req.ip || req.socket?.remoteAddress || 'unknown'),
+});
+
+// Team service actions (exec, files, restart): per user. 60 req/min.
+const serviceAccessLimit = createRateLimiter({
+  maxRequests: Number(process.env.RATE_LIMIT_SERVICE_MAX) || 60,
+  windowMs: Number(process.env.RATE_LIMIT_SERVICE_WINDOW_MS) || WINDOW_MS,
+  keyFn: (req) => getKey('service', req.user?.uid || req.ip || req.socket?.remoteAddress || 'unknown'),
+});
+
+// Team service reset: per user and service. 3 per 5 min.
+const serviceResetLimit = createRateLimiter({
+  maxRequests: Number(process.env.RATE_LIMIT_SERVICE_RESET_MAX) || 3,
+  windowMs: Number(process.env.RATE_LIMIT_SERVICE_RESET_WINDOW_MS) || 5 * WINDOW_MS,
+  keyFn: (req) =>
+    getKey('service-reset', `${req.user?.uid || req.ip || req.socket?.remoteAddress || 'unknown'}:${req.params?.serviceId}`),
+});
+
+export { authLimit, queueLimit, flagLimit, serviceAccessLimit, serviceResetLimit, createRateLimiter };
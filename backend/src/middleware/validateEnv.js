@@ -5,6 +5,8 @@
  * Fails fast with helpful error messages if configuration is missing.
  */
 
+import { getSigningKeys } from '../utils/requestSigning.js';
+
 const REQUIRED_VARS = {
   production: [
     'PORT',
@@ -15,7 +17,6 @@ const REQUIRED_VARS = {
     'FIREBASE_STORAGE_BUCKET',
     'CORS_ORIGINS',
     'MATCH_ENGINE_URL',
-    'MATCH_ENGINE_SECRET',
   ],
   development: [
     'FIREBASE_PROJECT_ID',
@@ -85,12 +86,12 @@ function validateProductionConfig() {
     );
   }
   
-  // Validate match engine secret is strong
-  const secret = process.env.MATCH_ENGINE_SECRET || '';
-  if (secret.length < 32) {
+  // Validate match engine signing keys are set and strong (MATCH_ENGINE_KEYS or MATCH_ENGINE_SECRET)
+  const keys = getSigningKeys();
+  if (keys.length === 0 || keys.some((key) => key.secret.length < 32)) {
     throw new Error(
-      'SECURITY ERROR: MATCH_ENGINE_SECRET must be at least 32 characters long.\n' +
-      'Generate a strong random secret for production.'
+      'SECURITY ERROR: MATCH_ENGINE_KEYS (or MATCH_ENGINE_SECRET) must be set, with every secret at least 32 characters long.\n' +
+      'Generate strong random secrets for production.'
     );
   }
   
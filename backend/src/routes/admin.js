@@ -8,7 +8,11 @@ import {
   getOverview,
   getMatches,
   getMatchDetail,
+  getMatchServiceActions,
   stopMatchAdmin,
+  pauseMatchAdmin,
+  resumeMatchAdmin,
+  setScoreboardFreezeAdmin,
   markMatchInvalid,
   deleteMatchAdmin,
   getPlayers,
@@ -54,6 +58,10 @@ import {
   createCustomMatch,
   getDifficultyPresets,
   setDifficultyPresets,
+  getScoringProfiles,
+  setScoringProfiles,
+  getContainerLimits,
+  setContainerLimits,
   getMaintenanceConfig,
   setMaintenanceEndTime,
 } from '../services/adminFeaturesService.js';
@@ -111,6 +119,19 @@ router.get('/match/:id', async (req, res) => {
   }
 });
 
+/** GET /admin/match/:id/service-actions */
+router.get('/match/:id/service-actions', async (req, res) => {
+  try {
+    const adminId = req.user?.uid;
+    const trail = await getMatchServiceActions(adminId, req.params.id);
+    if (!trail) return res.status(404).json({ error: 'Match not found' });
+    return res.json(trail);
+  } catch (err) {
+    console.error('Admin match service actions error:', err);
+    return res.status(500).json({ error: 'Failed to get service actions' });
+  }
+});
+
 /** POST /admin/match/:id/stop */
 router.post('/match/:id/stop', async (req, res) => {
   try {
@@ -123,6 +144,57 @@ router.post('/match/:id/stop', async (req, res) => {
   }
 });
 
+/**
+ * Respond to a failed engine match control call: the engine's 4xx (not running, not
+ * paused, bad input) is passed through, anything else is a 500 with `fallback`.
+ */
+function sendEngineControlError(res, err, fallback) {
+  const engineStatus = err.status ?? err.cause?.status;
+  if (engineStatus === 400 || engineStatus === 404 || engineStatus === 409) {
+    return res.status(engineStatus).json({ error: err.cause?.body?.error || fallback });
+  }
+  return res.status(500).json({ error: fallback });
+}
+
+/** POST /admin/match/:id/pause — body { reason? } */
+router.post('/match/:id/pause', async (req, res) => {
+  try {
+    const adminId = req.user?.uid;
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason : undefined;
+    const data = await pauseMatchAdmin(adminId, req.params.id, reason);
+    return res.json(data);
+  } catch (err) {
+    console.error('Admin match pause error:', err);
+    return sendEngineControlError(res, err, 'Failed to pause match');
+  }
+});
+
+/** POST /admin/match/:id/resume */
+router.post('/match/:id/resume', async (req, res) => {
+  try {
+    const adminId = req.user?.uid;
+    const data = await resumeMatchAdmin(adminId, req.params.id);
+    return res.json(data);
+  } catch (err) {
+    console.error('Admin match resume error:', err);
+    return sendEngineControlError(res, err, 'Failed to resume match');
+  }
+});
+
+/** POST /admin/match/:id/scoreboard-freeze — body { frozen: boolean } */
+router.post('/match/:id/scoreboard-freeze', async (req, res) => {
+  try {
+    const adminId = req.user?.uid;
+    const frozen = req.body?.frozen;
+    if (typeof frozen !== 'boolean') return res.status(400).json({ error: 'frozen must be a boolean' });
+    const data = await setScoreboardFreezeAdmin(adminId, req.params.id, frozen);
+    return res.json(data);
+  } catch (err) {
+    console.error('Admin scoreboard freeze error:', err);
+    return sendEngineControlError(res, err, 'Failed to update scoreboard freeze');
+  }
+});
+
 /** POST /admin/match/:id/invalid */
 router.post('/match/:id/invalid', async (req, res) => {
   try {
@@ -614,6 +686,50 @@ router.put('/difficulty-presets', async (req, res) => {
   }
 });
 
+// ——— Scoring profiles ———
+router.get('/scoring-profiles', async (req, res) => {
+  try {
+    const data = await getScoringProfiles();
+    return res.json(data);
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to get scoring profiles' });
+  }
+});
+router.put('/scoring-profiles', async (req, res) => {
+  try {
+    const adminId = req.user?.uid;
+    const data = await setScoringProfiles(adminId, req.body?.profiles || req.body);
+    return res.json(data);
+  } catch (err) {
+    if (err.message === 'INVALID_INPUT') {
+      return res.status(400).json({ error: 'Invalid scoring profiles (unique names, numeric points, at most one default)' });
+    }
+    return res.status(500).json({ error: 'Failed to set scoring profiles' });
+  }
+});
+
+// ——— Container limits (maximums for service template resources/hardening) ———
+router.get('/container-limits', async (req, res) => {
+  try {
+    const data = await getContainerLimits();
+    return res.json(data);
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to get container limits' });
+  }
+});
+router.put('/container-limits', async (req, res) => {
+  try {
+    const adminId = req.user?.uid;
+    const data = await setContainerLimits(adminId, req.body || {});
+    return res.json(data);
+  } catch (err) {
+    if (err.message === 'INVALID_INPUT') {
+      return res.status(400).json({ error: 'Invalid container limits' });
+    }
+    return res.status(500).json({ error: 'Failed to set container limits' });
+  }
+});
+
 // ——— Maintenance countdown ———
 router.get('/maintenance/config', async (req, res) => {
   try {
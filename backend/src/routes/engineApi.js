@@ -2,16 +2,24 @@
  * Engine-facing API. Called by match engine (internal).
  * GET /api/match/default-collection?difficulty=X
  * POST /api/match/infrastructure { matchId, infrastructure }
+ * POST /api/match/provisioning { matchId, job }
+ * POST /api/match/engine/heartbeat { engineId, url, maxConcurrentMatches, activeMatches, draining }
+ * Every call must be signed by the engine (middleware/engineCallbackAuth.js).
  */
 
 import express from 'express';
-import { getFirestore } from '../firebase/firebaseAdmin.js';
+import admin from 'firebase-admin';
+import { getFirestore, recordFirestoreError } from '../firebase/firebaseAdmin.js';
 import { getDefaultCollectionWithTemplates } from '../services/serviceCollectionService.js';
+import { publishProvisioningProgress } from '../services/matchStateService.js';
+import { recordHeartbeat } from '../services/engineRegistry.js';
+import { authenticateEngineCallback } from '../middleware/engineCallbackAuth.js';
 
 const router = express.Router();
+router.use(authenticateEngineCallback);
 const MATCHES_COLLECTION = 'matches';
 
-/** GET /api/match/default-collection?difficulty=beginner|advanced|expert — used by engine when provisioning */
+/** GET /api/match/default-collection?difficulty=beginner|advanced|expert — used by engine when provisioning (engine maps easy/medium/hard/insane) */
 router.get('/default-collection', async (req, res) => {
   try {
     const difficulty = req.query.difficulty;
@@ -21,6 +29,7 @@ router.get('/default-collection', async (req, res) => {
     const collection = await getDefaultCollectionWithTemplates(difficulty);
     return res.json(collection);
   } catch (err) {
+    recordFirestoreError('engine.default_collection', err);
     if (err.message === 'NO_COLLECTION_FOUND') {
       return res.status(404).json({ error: 'No default collection for this difficulty' });
     }
@@ -48,8 +57,36 @@ router.post('/infrastructure', async (req, res) => {
     await ref.update({ infrastructure, infrastructureUpdatedAt: admin.firestore.FieldValue.serverTimestamp() });
     return res.json({ ok: true });
   } catch (err) {
+    recordFirestoreError('engine.infrastructure', err);
     return res.status(500).json({ error: 'Failed to store infrastructure' });
   }
 });
 
+/** POST /api/match/provisioning — engine pushes provisioning job progress; relayed to the match room */
+router.post('/provisioning', (req, res) => {
+  const { matchId, job } = req.body || {};
+  if (!matchId || typeof matchId !== 'string') {
+    return res.status(400).json({ error: 'matchId is required' });
+  }
+  if (!job || typeof job !== 'object' || typeof job.jobId !== 'string' || !Array.isArray(job.steps)) {
+    return res.status(400).json({ error: 'job is required' });
+  }
+  publishProvisioningProgress(matchId, job);
+  return res.json({ ok: true });
+});
+
+/** POST /api/match/engine/heartbeat — engine node registers and reports its load (services/engineRegistry.js) */
+router.post('/engine/heartbeat', async (req, res) => {
+  try {
+    await recordHeartbeat(req.body || {});
+    return res.json({ ok: true });
+  } catch (err) {
+    recordFirestoreError('engine.heartbeat', err);
+    if (err.message === 'INVALID_INPUT') {
+      return res.status(400).json({ error: 'engineId, url, maxConcurrentMatches and activeMatches are required' });
+    }
+    return res.status(500).json({ error: 'Failed to record heartbeat' });
+  }
+});
+
 export default router;
@@ -5,16 +5,61 @@
  */
 
 import express from 'express';
+import admin from 'firebase-admin';
 import config from '../config/env.js';
 import { authenticateUser } from '../middleware/authMiddleware.js';
-import { getFirestore } from '../firebase/firebaseAdmin.js';
-import { startMatch as engineStartMatch } from '../services/engineClient.js';
+import { flagLimit, serviceAccessLimit, serviceResetLimit } from '../middleware/rateLimit.js';
+import { getFirestore, recordFirestoreError } from '../firebase/firebaseAdmin.js';
+import {
+  startMatch as engineStartMatch,
+  getMatchTimeline,
+  getMatchStatus,
+  submitFlag,
+  execInTeamService,
+  downloadFromTeamService,
+  uploadToTeamService,
+  restartTeamService,
+  resetTeamService,
+  listCaptures,
+  openCaptureDownload,
+} from '../services/engineClient.js';
 import { startMatchStateTracking } from '../services/matchStateService.js';
+import { placeMatch } from '../services/engineRegistry.js';
 import { processMatchEnd } from '../services/matchResult.js';
 import { isMaintenanceEnabled } from '../services/maintenance.js';
+import { resolveScoringProfile } from '../services/adminFeaturesService.js';
 
 const router = express.Router();
 const MATCHES_COLLECTION = 'matches';
+const FLAG_SUBMISSIONS_SUBCOLLECTION = 'flag_submissions';
+const MAX_FLAG_LENGTH = 256;
+const FLAG_HISTORY_LIMIT = 50;
+const SERVICE_ACTIONS_SUBCOLLECTION = 'service_actions';
+const MAX_UPLOAD_BYTES = 64 * 1024;
+const ENGINE_CLIENT_ERRORS = [400, 403, 404, 409, 413, 422];
+
+/**
+ * Engine team slot for a player in a match doc.
+ *
+ * @param {{ teamA?: string[]; teamB?: string[] }} matchData
+ * @param {string} uid
+ * @returns {"teamA" | "teamB" | null}
+ */
+function resolveTeamSlot(matchData, uid) {
+  if ((matchData.teamA || []).includes(uid)) return 'teamA';
+  if ((matchData.teamB || []).includes(uid)) return 'teamB';
+  return null;
+}
+
+/**
+ * Short, non-replayable preview of a submitted flag for the history list.
+ *
+ * @param {string} flag
+ * @returns {string}
+ */
+function previewFlag(flag) {
+  return flag.length > 14 ? `${flag.slice(0, 14)}…` : flag;
+}
 
 /**
  * GET /match/history — recent matches for the authenticated user (real data).
@@ -45,6 +90,7 @@ router.get('/history', authenticateUser, async (req, res) => {
     const list = Array.from(byId.values()).sort((a, b) => (b.createdAt ?? 0) - (a.createdAt ?? 0)).slice(0, 20);
     return res.json(list);
   } catch (err) {
+    recordFirestoreError('match.history', err);
     console.error('Match history error:', err);
     return res.status(500).json({ error: 'Failed to load match history' });
   }
@@ -62,8 +108,12 @@ router.get('/history', authenticateUser, async (req, res) => {
  * - Rejected when maintenance mode is enabled.
  * - Protected by Firebase auth.
  * - Reads match metadata from Firestore `matches/{matchId}`.
+ * - Resolves the match's scoring profile (`scoringProfile` name on the match doc, else the default).
+ * - Passes the match length (`durationMinutes` / `overtimeTicks` on the match doc, else
+ *   MATCH_DURATION_MINUTES / MATCH_OVERTIME_TICKS); without one the match runs until stopped.
+ * - Places the match on an engine node by load (engineRegistry; 503 when no node has room).
  * - Calls engineClient.startMatch(...) with required payload.
- * - Updates match status -> "starting" on successful engine ACK.
+ * - Updates match status -> "starting" and records `engineId` on successful engine ACK.
  */
 router.post('/start', authenticateUser, async (req, res) => {
   try {
@@ -116,18 +166,28 @@ router.post('/start', authenticateUser, async (req, res) => {
       });
     }
 
-    // Call match engine
+    const scoringProfile = await resolveScoringProfile(data.scoringProfile);
+    const durationMinutes = data.durationMinutes ?? config.matchDurationMinutes;
+    const duration = durationMinutes > 0
+      ? { minutes: durationMinutes, overtimeTicks: data.overtimeTicks ?? config.matchOvertimeTicks }
+      : null;
+
+    // Call the match engine node chosen for this match (a retried start stays on its node)
+    const engineId = data.engineId !== undefined ? data.engineId : placeMatch(matchId);
     await engineStartMatch({
       matchId,
       difficulty,
       teamSize,
       teamA,
       teamB,
+      scoringProfile,
+      duration,
     });
 
-    // Update Firestore status -> "starting"
+    // Update Firestore status -> "starting"; later calls for this match go to the same node
     await matchRef.update({
       status: 'starting',
+      engineId,
     });
 
     // Begin polling for match state and emit initial state to sockets.
@@ -135,8 +195,12 @@ router.post('/start', authenticateUser, async (req, res) => {
 
     return res.status(200).json({ status: 'starting' });
   } catch (error) {
+    recordFirestoreError('match.start', error);
     console.error('Error starting match:', error);
 
+    if (error.code === 'NO_ENGINE_CAPACITY') {
+      return res.status(503).json({ error: 'No match engine has capacity. Try again later.' });
+    }
     if (error.code === 'ENGINE_UNAVAILABLE' || error.code === 'ENGINE_TIMEOUT') {
       return res.status(502).json({ error: 'Match engine is unavailable' });
     }
@@ -145,6 +209,398 @@ router.post('/start', authenticateUser, async (req, res) => {
   }
 });
 
+/**
+ * GET /match/:matchId/timeline
+ *
+ * Tick-by-tick scoreboard for charting. Participants only. Served from the persisted
+ * result once the match is processed, otherwise live from the engine. While an admin has
+ * the scoreboard frozen, live ticks stop at the freeze (`frozen: true`).
+ */
+router.get('/:matchId/timeline', authenticateUser, async (req, res) => {
+  try {
+    const uid = req.user?.uid;
+    const { matchId } = req.params;
+
+    const firestore = getFirestore();
+    if (!firestore) return res.status(500).json({ error: 'Database not available' });
+
+    const matchRef = firestore.collection(MATCHES_COLLECTION).doc(matchId);
+    const snap = await matchRef.get();
+    if (!snap.exists) return res.status(404).json({ error: 'Match not found' });
+    if (!resolveTeamSlot(snap.data() || {}, uid)) {
+      return res.status(403).json({ error: 'Not a participant in this match' });
+    }
+
+    const stored = await matchRef.collection('results').doc('timeline').get();
+    if (stored.exists) {
+      return res.json({ matchId, timeline: stored.data().ticks || [] });
+    }
+
+    const since = req.query.since !== undefined ? Number(req.query.since) : undefined;
+    const [live, status] = await Promise.all([
+      getMatchTimeline(matchId, Number.isInteger(since) ? since : undefined),
+      getMatchStatus(matchId),
+    ]);
+    const freeze = status?.state !== 'ENDED' ? status?.scoreboardFreeze : null;
+    if (freeze) {
+      const timeline = (live?.timeline || []).filter((entry) => entry.tick < freeze.tick);
+      return res.json({ matchId, currentTick: freeze.tick, frozen: true, timeline });
+    }
+    return res.json({ matchId, currentTick: live?.currentTick ?? null, timeline: live?.timeline || [] });
+  } catch (error) {
+    recordFirestoreError('match.timeline', error);
+    console.error('Error loading match timeline:', error);
+    if (error.code === 'ENGINE_UNAVAILABLE' || error.code === 'ENGINE_TIMEOUT') {
+      return res.status(502).json({ error: 'Match engine is unavailable' });
+    }
+    return res.status(500).json({ error: 'Failed to load match timeline' });
+  }
+});
+
+/**
+ * POST /match/:matchId/flag
+ *
+ * Body: { flag: string }
+ *
+ * Behavior:
+ * - Authenticated, rate limited per user.
+ * - Resolves the caller's team (teamA/teamB) from the match doc; non-participants get 403.
+ * - Forwards to the engine and returns its verdict: { status: "accepted" | "rejected", reason? }.
+ * - Records the submission (flag preview only) for the team's history.
+ */
+router.post('/:matchId/flag', authenticateUser, flagLimit, async (req, res) => {
+  try {
+    const uid = req.user?.uid;
+    const { matchId } = req.params;
+    const flag = typeof req.body?.flag === 'string' ? req.body.flag.trim() : '';
+
+    if (!flag || flag.length > MAX_FLAG_LENGTH) {
+      return res.status(400).json({ error: 'flag is required' });
+    }
+
+    const firestore = getFirestore();
+    if (!firestore) return res.status(500).json({ error: 'Database not available' });
+
+    const matchRef = firestore.collection(MATCHES_COLLECTION).doc(matchId);
+    const snap = await matchRef.get();
+    if (!snap.exists) return res.status(404).json({ error: 'Match not found' });
+
+    const teamId = resolveTeamSlot(snap.data() || {}, uid);
+    if (!teamId) return res.status(403).json({ error: 'Not a participant in this match' });
+
+    let verdict;
+    try {
+      verdict = await submitFlag({ matchId, teamId, flag });
+    } catch (error) {
+      const engineStatus = error.status ?? error.cause?.status;
+      if (engineStatus === 429) {
+        verdict = { status: 'rejected', reason: 'rate limit exceeded' };
+      } else {
+        throw error;
+      }
+    }
+
+    const result = {
+      status: verdict?.status === 'accepted' ? 'accepted' : 'rejected',
+      reason: verdict?.status === 'accepted' ? null : verdict?.reason || 'rejected by engine',
+    };
+
+    await matchRef.collection(FLAG_SUBMISSIONS_SUBCOLLECTION).add({
+      uid,
+      teamId,
+      flagPreview: previewFlag(flag),
+      status: result.status,
+      reason: result.reason,
+      submittedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return res.status(200).json(result);
+  } catch (error) {
+    recordFirestoreError('match.flag', error);
+    console.error('Error submitting flag:', error.message);
+    if (error.code === 'ENGINE_UNAVAILABLE' || error.code === 'ENGINE_TIMEOUT') {
+      return res.status(502).json({ error: 'Match engine is unavailable' });
+    }
+    return res.status(500).json({ error: 'Failed to submit flag' });
+  }
+});
+
+/**
+ * GET /match/:matchId/flags
+ *
+ * The caller's team submission history (most recent first). Participants only.
+ */
+router.get('/:matchId/flags', authenticateUser, async (req, res) => {
+  try {
+    const uid = req.user?.uid;
+    const { matchId } = req.params;
+
+    const firestore = getFirestore();
+    if (!firestore) return res.status(500).json({ error: 'Database not available' });
+
+    const matchRef = firestore.collection(MATCHES_COLLECTION).doc(matchId);
+    const snap = await matchRef.get();
+    if (!snap.exists) return res.status(404).json({ error: 'Match not found' });
+
+    const teamId = resolveTeamSlot(snap.data() || {}, uid);
+    if (!teamId) return res.status(403).json({ error: 'Not a participant in this match' });
+
+    const historySnap = await matchRef.collection(FLAG_SUBMISSIONS_SUBCOLLECTION).where('teamId', '==', teamId).get();
+    const list = historySnap.docs
+      .map((doc) => {
+        const d = doc.data();
+        return {
+          id: doc.id,
+          uid: d.uid,
+          flagPreview: d.flagPreview,
+          status: d.status,
+          reason: d.reason ?? null,
+          submittedAt: d.submittedAt?.toMillis?.() ?? null,
+        };
+      })
+      .sort((a, b) => (b.submittedAt ?? 0) - (a.submittedAt ?? 0))
+      .slice(0, FLAG_HISTORY_LIMIT);
+    return res.json(list);
+  } catch (error) {
+    recordFirestoreError('match.flags', error);
+    console.error('Error loading flag history:', error);
+    return res.status(500).json({ error: 'Failed to load flag history' });
+  }
+});
+
+/**
+ * Run a team service action for the caller's own team and record it in
+ * `matches/{matchId}/service_actions` (successes and failures).
+ * Engine rejections that are the caller's fault (bad path, not their service, match not
+ * running, ...) are passed through with the engine's status and message.
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {string} action - exec | download | upload | restart | reset
+ * @param {Record<string, unknown>} detail - Audited parameters (no file contents)
+ * @param {(target: { matchId: string; teamId: string; serviceId: string; actor: string }) => Promise<object>} call
+ */
+async function runServiceAction(req, res, action, detail, call) {
+  const uid = req.user?.uid;
+  const { matchId, serviceId } = req.params;
+
+  const firestore = getFirestore();
+  if (!firestore) return res.status(500).json({ error: 'Database not available' });
+
+  const matchRef = firestore.collection(MATCHES_COLLECTION).doc(matchId);
+  let teamId;
+  try {
+    const snap = await matchRef.get();
+    if (!snap.exists) return res.status(404).json({ error: 'Match not found' });
+    teamId = resolveTeamSlot(snap.data() || {}, uid);
+  } catch (error) {
+    recordFirestoreError('match.service_action', error);
+    console.error('Error loading match for service action:', error.message);
+    return res.status(500).json({ error: 'Failed to load match' });
+  }
+  if (!teamId) return res.status(403).json({ error: 'Not a participant in this match' });
+
+  const record = (status, error = null) =>
+    matchRef.collection(SERVICE_ACTIONS_SUBCOLLECTION).add({
+      uid,
+      teamId,
+      serviceId,
+      action,
+      detail,
+      status,
+      error,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+  try {
+    const result = await call({ matchId, teamId, serviceId, actor: uid });
+    await record('ok').catch((err) => console.error('Failed to record service action:', err.message));
+    return res.status(200).json(result);
+  } catch (error) {
+    const engineStatus = error.status ?? error.cause?.status;
+    const message = error.cause?.body?.error || error.message;
+    await record('failed', message).catch((err) => console.error('Failed to record service action:', err.message));
+    if (ENGINE_CLIENT_ERRORS.includes(engineStatus)) {
+      return res.status(engineStatus).json({ error: message });
+    }
+    console.error(`Service ${action} failed:`, error.message);
+    if (error.code === 'ENGINE_UNAVAILABLE' || error.code === 'ENGINE_TIMEOUT') {
+      return res.status(502).json({ error: 'Match engine is unavailable' });
+    }
+    return res.status(500).json({ error: `Failed to ${action} service` });
+  }
+}
+
+/**
+ * POST /match/:matchId/services/:serviceId/exec
+ *
+ * Body: { command: string | string[] }. Runs a command in one of the caller's team services.
+ * Returns { exitCode, stdout, stderr, truncated, timedOut }.
+ */
+router.post('/:matchId/services/:serviceId/exec', authenticateUser, serviceAccessLimit, async (req, res) => {
+  const { command } = req.body || {};
+  if (!(typeof command === 'string' && command.trim()) && !Array.isArray(command)) {
+    return res.status(400).json({ error: 'command is required' });
+  }
+  const audited = Array.isArray(command) ? command.join(' ') : command;
+  return runServiceAction(req, res, 'exec', { command: String(audited).slice(0, 1024) }, (target) =>
+    execInTeamService(target, command)
+  );
+});
+
+/**
+ * GET /match/:matchId/services/:serviceId/files?path=
+ *
+ * Downloads a file (up to 64KB) from one of the caller's team services: { path, size, content (base64) }.
+ */
+router.get('/:matchId/services/:serviceId/files', authenticateUser, serviceAccessLimit, async (req, res) => {
+  const path = typeof req.query.path === 'string' ? req.query.path : '';
+  if (!path) return res.status(400).json({ error: 'path is required' });
+  return runServiceAction(req, res, 'download', { path }, (target) => downloadFromTeamService(target, path));
+});
+
+/**
+ * PUT /match/:matchId/services/:serviceId/files
+ *
+ * Body: { path, content (base64, up to 64KB decoded) }. Overwrites the file in one of the caller's team services.
+ */
+router.put('/:matchId/services/:serviceId/files', authenticateUser, serviceAccessLimit, async (req, res) => {
+  const { path, content } = req.body || {};
+  if (typeof path !== 'string' || !path || typeof content !== 'string') {
+    return res.status(400).json({ error: 'path and content are required' });
+  }
+  const data = Buffer.from(content, 'base64');
+  if (data.length > MAX_UPLOAD_BYTES) {
+    return res.status(413).json({ error: 'File is too large (64KB max)' });
+  }
+  return runServiceAction(req, res, 'upload', { path, size: data.length }, (target) =>
+    uploadToTeamService(target, path, data)
+  );
+});
+
+/**
+ * POST /match/:matchId/services/:serviceId/restart
+ *
+ * Restarts one of the caller's team services.
+ */
+router.post('/:matchId/services/:serviceId/restart', authenticateUser, serviceAccessLimit, async (req, res) => {
+  return runServiceAction(req, res, 'restart', {}, (target) => restartTeamService(target));
+});
+
+/**
+ * POST /match/:matchId/services/:serviceId/reset
+ *
+ * Resets one of the caller's team services to its original template state (same IP, current
+ * flag re-planted). The scoring profile may charge a reset penalty: { reset, flagPlanted, penalty }.
+ */
+router.post('/:matchId/services/:serviceId/reset', authenticateUser, serviceResetLimit, async (req, res) => {
+  return runServiceAction(req, res, 'reset', {}, (target) => resetTeamService(target));
+});
+
+/**
+ * Resolve the caller's team and check that `serviceId` is one of its services
+ * (engine serviceIds are `<teamSlot>_<templateId>`). Sends the error response itself.
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @returns {Promise<string | null>} Team slot, or null when a response was sent
+ */
+async function requireOwnService(req, res) {
+  const uid = req.user?.uid;
+  const { matchId, serviceId } = req.params;
+
+  const firestore = getFirestore();
+  if (!firestore) {
+    res.status(500).json({ error: 'Database not available' });
+    return null;
+  }
+  const snap = await firestore.collection(MATCHES_COLLECTION).doc(matchId).get();
+  if (!snap.exists) {
+    res.status(404).json({ error: 'Match not found' });
+    return null;
+  }
+  const teamId = resolveTeamSlot(snap.data() || {}, uid);
+  if (!teamId) {
+    res.status(403).json({ error: 'Not a participant in this match' });
+    return null;
+  }
+  if (!serviceId.startsWith(`${teamId}_`)) {
+    res.status(403).json({ error: 'Captures are only available for your own services' });
+    return null;
+  }
+  return teamId;
+}
+
+/**
+ * GET /match/:matchId/pcap
+ *
+ * Packet captures kept for each of the caller's team services:
+ * { services: [{ serviceId, captures: [{ tick, size }] }] }. 404 when the match runs without capture.
+ */
+router.get('/:matchId/pcap', authenticateUser, async (req, res) => {
+  try {
+    const uid = req.user?.uid;
+    const { matchId } = req.params;
+
+    const firestore = getFirestore();
+    if (!firestore) return res.status(500).json({ error: 'Database not available' });
+
+    const snap = await firestore.collection(MATCHES_COLLECTION).doc(matchId).get();
+    if (!snap.exists) return res.status(404).json({ error: 'Match not found' });
+
+    const data = snap.data() || {};
+    const teamId = resolveTeamSlot(data, uid);
+    if (!teamId) return res.status(403).json({ error: 'Not a participant in this match' });
+
+    const serviceIds = (data.infrastructure?.[teamId]?.containers || []).map((c) => c.serviceId).filter(Boolean);
+    const services = await Promise.all(
+      serviceIds.map(async (serviceId) => ({ serviceId, captures: (await listCaptures(matchId, serviceId)).captures || [] }))
+    );
+    return res.json({ matchId, teamId, services });
+  } catch (error) {
+    if ((error.status ?? error.cause?.status) === 404) {
+      return res.status(404).json({ error: 'No packet capture for this match' });
+    }
+    console.error('Error listing captures:', error.message);
+    if (error.code === 'ENGINE_UNAVAILABLE' || error.code === 'ENGINE_TIMEOUT') {
+      return res.status(502).json({ error: 'Match engine is unavailable' });
+    }
+    return res.status(500).json({ error: 'Failed to list captures' });
+  }
+});
+
+/**
+ * GET /match/:matchId/pcap/:serviceId/:tick
+ *
+ * Downloads one tick's PCAP for one of the caller's team services.
+ */
+router.get('/:matchId/pcap/:serviceId/:tick', authenticateUser, async (req, res) => {
+  try {
+    if (!(await requireOwnService(req, res))) return undefined;
+    const { matchId, serviceId } = req.params;
+    const tick = Number(req.params.tick);
+    if (!Number.isInteger(tick) || tick < 0) {
+      return res.status(400).json({ error: 'tick must be a non-negative integer' });
+    }
+
+    const download = await openCaptureDownload(matchId, serviceId, tick);
+    res.type('application/vnd.tcpdump.pcap');
+    res.attachment(`${serviceId}-tick-${tick}.pcap`);
+    download.body.on('error', () => res.destroy());
+    download.body.pipe(res);
+    return undefined;
+  } catch (error) {
+    if ((error.status ?? error.cause?.status) === 404) {
+      return res.status(404).json({ error: 'Capture not found' });
+    }
+    console.error('Error downloading capture:', error.message);
+    if (error.code === 'ENGINE_UNAVAILABLE' || error.code === 'ENGINE_TIMEOUT') {
+      return res.status(502).json({ error: 'Match engine is unavailable' });
+    }
+    return res.status(500).json({ error: 'Failed to download capture' });
+  }
+});
+
 /**
  * POST /match/end
  *
@@ -188,6 +644,7 @@ router.post('/end', authenticateUser, async (req, res) => {
       },
     });
   } catch (error) {
+    recordFirestoreError('match.end', error);
     console.error('Error ending match:', error);
 
     if (error.message === 'Match is not ended') {
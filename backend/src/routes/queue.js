@@ -16,6 +16,7 @@ import {
   getQueueStatus,
 } from '../services/queueService.js';
 import { isMaintenanceEnabled } from '../services/maintenance.js';
+import { recordFirestoreError } from '../firebase/firebaseAdmin.js';
 
 const router = express.Router();
 
@@ -61,6 +62,7 @@ router.post('/join', authenticateUser, async (req, res) => {
       queue: queueInfo,
     });
   } catch (error) {
+    recordFirestoreError('queue.join', error);
     console.error('Error joining queue:', error);
 
     if (
@@ -101,6 +103,7 @@ router.post('/leave', authenticateUser, async (req, res) => {
       left: result.left,
     });
   } catch (error) {
+    recordFirestoreError('queue.leave', error);
     console.error('Error leaving queue:', error);
     return res.status(500).json({ error: 'Failed to leave queue' });
   }
@@ -124,6 +127,7 @@ router.get('/status', authenticateUser, async (req, res) => {
     const status = await getQueueStatus(uid);
     return res.status(200).json(status);
   } catch (error) {
+    recordFirestoreError('queue.status', error);
     console.error('Error getting queue status:', error);
     return res.status(500).json({ error: 'Failed to get queue status' });
   }
@@ -30,6 +30,7 @@ router.post('/', async (req, res) => {
     if (err.message === 'INVALID_INPUT') return res.status(400).json({ error: err.message });
     if (err.message === 'DOCKER_BUILD_FAILED') return res.status(500).json({ error: err.message });
     if (err.message === 'DUPLICATE_NAME') return res.status(400).json({ error: err.message });
+    if (err.message === 'LIMIT_EXCEEDED') return res.status(400).json({ error: 'Template exceeds the admin container limits' });
     return res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -78,6 +79,8 @@ router.patch('/:templateId', async (req, res) => {
     return res.json({ success: true, template });
   } catch (err) {
     if (err.message === 'NOT_FOUND') return res.status(404).json({ error: 'Template not found' });
+    if (err.message === 'INVALID_INPUT') return res.status(400).json({ error: err.message });
+    if (err.message === 'LIMIT_EXCEEDED') return res.status(400).json({ error: 'Template exceeds the admin container limits' });
     if (err.message === 'DOCKER_BUILD_FAILED') return res.status(500).json({ error: err.message });
     return res.status(500).json({ error: 'Update failed' });
   }
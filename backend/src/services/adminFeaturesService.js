@@ -1,7 +1,7 @@
 /**
  * Admin features: announcements, audit log, leaderboard, stats, bulk actions,
  * export, feature flags, rank tiers, reports, seasons, achievements,
- * custom match, difficulty presets, maintenance countdown.
+ * custom match, difficulty presets, scoring profiles, maintenance countdown.
  */
 
 import admin from 'firebase-admin';
@@ -445,11 +445,17 @@ export async function assignAchievement(adminId, uid, achievementId) {
 }
 
 // ——— Custom match ———
-export async function createCustomMatch(adminId, { teamA, teamB, difficulty = 'medium' }) {
+export async function createCustomMatch(adminId, { teamA, teamB, difficulty = 'medium', scoringProfile, durationMinutes, overtimeTicks }) {
   const firestore = getFirestore();
   if (!firestore) throw new Error('Firestore not initialized');
   const teamSize = Math.min(Array.isArray(teamA) ? teamA.length : 0, Array.isArray(teamB) ? teamB.length : 0);
   if (teamSize === 0) throw new Error('Both teams must have at least one player');
+  const hasDuration = durationMinutes != null && durationMinutes !== '';
+  if (hasDuration && !(Number(durationMinutes) > 0)) throw new Error('Duration must be a positive number of minutes');
+  const hasOvertime = overtimeTicks != null && overtimeTicks !== '';
+  if (hasOvertime && !(Number.isInteger(Number(overtimeTicks)) && Number(overtimeTicks) >= 0)) {
+    throw new Error('Overtime must be a whole number of ticks');
+  }
   const matchRef = firestore.collection(MATCHES_COLLECTION).doc();
   const teamAIds = (teamA || []).slice(0, teamSize);
   const teamBIds = (teamB || []).slice(0, teamSize);
@@ -462,6 +468,9 @@ export async function createCustomMatch(adminId, { teamA, teamB, difficulty = 'm
     createdAt: admin.firestore.FieldValue.serverTimestamp(),
     createdBy: adminId,
     custom: true,
+    ...(scoringProfile ? { scoringProfile: String(scoringProfile) } : {}),
+    ...(hasDuration ? { durationMinutes: Number(durationMinutes) } : {}),
+    ...(hasOvertime ? { overtimeTicks: Number(overtimeTicks) } : {}),
   });
   await audit(firestore, adminId, 'custom_match_create', matchRef.id, { teamA: teamAIds.length, teamB: teamBIds.length });
   return { matchId: matchRef.id };
@@ -496,6 +505,162 @@ export async function setDifficultyPresets(adminId, presets) {
   return list;
 }
 
+// ——— Scoring profiles ———
+// Named point tables handed to the engine at match start (see match-engine scoring/scoringProfile.js).
+const SCORING_POINT_FIELDS = ['flagPoints', 'uptimePoints', 'downtimePenalty', 'defencePoints', 'firstBloodBonus', 'resetPenalty'];
+const SCORING_DIFFICULTIES = ['easy', 'medium', 'hard', 'insane'];
+
+function normalizePoints(raw) {
+  if (raw === undefined || raw === null || raw === '') return undefined;
+  if (typeof raw === 'object' && !Array.isArray(raw)) {
+    const out = {};
+    for (const d of SCORING_DIFFICULTIES) {
+      if (raw[d] === undefined || raw[d] === null || raw[d] === '') continue;
+      const num = Number(raw[d]);
+      if (!Number.isFinite(num)) throw new Error('INVALID_INPUT');
+      out[d] = num;
+    }
+    return out;
+  }
+  const num = Number(raw);
+  if (!Number.isFinite(num)) throw new Error('INVALID_INPUT');
+  return num;
+}
+
+function normalizeScoringProfile(p) {
+  const name = String(p?.name ?? '').trim();
+  if (!name || name.length > 64) throw new Error('INVALID_INPUT');
+  const profile = { name, isDefault: p.isDefault === true };
+  for (const field of SCORING_POINT_FIELDS) {
+    const value = normalizePoints(p[field]);
+    if (value !== undefined) profile[field] = value;
+  }
+  if (p.flagDecay && typeof p.flagDecay === 'object') {
+    const rate = Number(p.flagDecay.rate ?? 0);
+    const minFraction = Number(p.flagDecay.minFraction ?? 0);
+    if (!(rate >= 0 && rate <= 1) || !(minFraction >= 0 && minFraction <= 1)) throw new Error('INVALID_INPUT');
+    profile.flagDecay = { rate, minFraction };
+  }
+  if (p.flagScaling && typeof p.flagScaling === 'object') {
+    const mode = p.flagScaling.mode ?? 'flat';
+    const minFraction = Number(p.flagScaling.minFraction ?? 0);
+    if (!['flat', 'dynamic'].includes(mode) || !(minFraction >= 0 && minFraction <= 1)) throw new Error('INVALID_INPUT');
+    profile.flagScaling = { mode, minFraction };
+  }
+  if (p.serviceWeights && typeof p.serviceWeights === 'object' && !Array.isArray(p.serviceWeights)) {
+    profile.serviceWeights = {};
+    for (const [templateId, weight] of Object.entries(p.serviceWeights)) {
+      const num = Number(weight);
+      if (!(num >= 0 && num <= 10)) throw new Error('INVALID_INPUT');
+      profile.serviceWeights[templateId] = num;
+    }
+  }
+  return profile;
+}
+
+export async function getScoringProfiles() {
+  const firestore = getFirestore();
+  if (!firestore) return [];
+  const doc = await firestore.collection(SYSTEM_CONFIG_COLLECTION).doc('scoring_profiles').get();
+  if (!doc.exists) return [];
+  const d = doc.data();
+  return Array.isArray(d.profiles) ? d.profiles : [];
+}
+
+/**
+ * Replace all scoring profiles. Names must be unique; at most one may be the default.
+ * Throws INVALID_INPUT on malformed profiles.
+ */
+export async function setScoringProfiles(adminId, profiles) {
+  const firestore = getFirestore();
+  if (!firestore) throw new Error('Firestore not initialized');
+  const list = Array.isArray(profiles) ? profiles.map(normalizeScoringProfile) : [];
+  const names = new Set(list.map((p) => p.name));
+  if (names.size !== list.length) throw new Error('INVALID_INPUT');
+  if (list.filter((p) => p.isDefault).length > 1) throw new Error('INVALID_INPUT');
+  await firestore.collection(SYSTEM_CONFIG_COLLECTION).doc('scoring_profiles').set(
+    { profiles: list, updatedAt: admin.firestore.FieldValue.serverTimestamp() },
+    { merge: true }
+  );
+  await audit(firestore, adminId, 'scoring_profiles_set', 'scoring_profiles', { count: list.length });
+  return list;
+}
+
+/**
+ * Profile to send with a match start: the named one, else the default, else null
+ * (the engine then uses its built-in point tables).
+ */
+export async function resolveScoringProfile(name) {
+  const profiles = await getScoringProfiles();
+  const profile = (name && profiles.find((p) => p.name === name)) || profiles.find((p) => p.isDefault) || null;
+  if (!profile) return null;
+  const { isDefault, ...rest } = profile;
+  return rest;
+}
+
+// ——— Container limits ———
+// Maximums for the per-template resources/hardening options (see serviceTemplateService).
+const DEFAULT_CONTAINER_LIMITS = {
+  maxMemoryMb: 1024,
+  maxCpus: 1,
+  maxPids: 256,
+  maxTmpfsMb: 256,
+  allowedCapabilities: ['NET_BIND_SERVICE', 'CHOWN', 'SETUID', 'SETGID', 'DAC_OVERRIDE'],
+  maxUlimits: { nofile: 65536, nproc: 1024 },
+};
+const CAPABILITY_PATTERN = /^[A-Z_]{2,32}$/;
+const ULIMIT_NAMES = ['nofile', 'nproc', 'core', 'fsize', 'stack', 'memlock'];
+
+function normalizeContainerLimits(raw) {
+  const limits = { ...DEFAULT_CONTAINER_LIMITS };
+  for (const [field, max] of [['maxMemoryMb', 65536], ['maxCpus', 64], ['maxPids', 65536], ['maxTmpfsMb', 65536]]) {
+    if (raw?.[field] === undefined) continue;
+    const num = Number(raw[field]);
+    if (!(num > 0 && num <= max)) throw new Error('INVALID_INPUT');
+    limits[field] = num;
+  }
+  if (raw?.allowedCapabilities !== undefined) {
+    if (!Array.isArray(raw.allowedCapabilities)) throw new Error('INVALID_INPUT');
+    const caps = raw.allowedCapabilities.map((c) => String(c).trim().toUpperCase().replace(/^CAP_/, ''));
+    if (caps.some((c) => !CAPABILITY_PATTERN.test(c))) throw new Error('INVALID_INPUT');
+    limits.allowedCapabilities = [...new Set(caps)];
+  }
+  if (raw?.maxUlimits !== undefined) {
+    if (!raw.maxUlimits || typeof raw.maxUlimits !== 'object' || Array.isArray(raw.maxUlimits)) throw new Error('INVALID_INPUT');
+    limits.maxUlimits = {};
+    for (const [name, value] of Object.entries(raw.maxUlimits)) {
+      const num = Number(value);
+      if (!ULIMIT_NAMES.includes(name) || !Number.isInteger(num) || num < 0) throw new Error('INVALID_INPUT');
+      limits.maxUlimits[name] = num;
+    }
+  }
+  return limits;
+}
+
+export async function getContainerLimits() {
+  const firestore = getFirestore();
+  if (!firestore) return { ...DEFAULT_CONTAINER_LIMITS };
+  const doc = await firestore.collection(SYSTEM_CONFIG_COLLECTION).doc('container_limits').get();
+  if (!doc.exists) return { ...DEFAULT_CONTAINER_LIMITS };
+  return normalizeContainerLimits(doc.data());
+}
+
+/**
+ * Replace the container limits (missing fields fall back to the defaults).
+ * Existing templates are not re-validated; the new limits apply when a template is next saved.
+ * Throws INVALID_INPUT on malformed limits.
+ */
+export async function setContainerLimits(adminId, raw) {
+  const firestore = getFirestore();
+  if (!firestore) throw new Error('Firestore not initialized');
+  const limits = normalizeContainerLimits(raw);
+  await firestore.collection(SYSTEM_CONFIG_COLLECTION).doc('container_limits').set(
+    { ...limits, updatedAt: admin.firestore.FieldValue.serverTimestamp() }
+  );
+  await audit(firestore, adminId, 'container_limits_set', 'container_limits', limits);
+  return limits;
+}
+
 // ——— Maintenance countdown ———
 export async function getMaintenanceConfig() {
   const firestore = getFirestore();
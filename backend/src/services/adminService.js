@@ -5,7 +5,19 @@
 
 import admin from 'firebase-admin';
 import { getFirestore, getAuth } from '../firebase/firebaseAdmin.js';
-import { getMatchStatus, getMatchResult, getEngineHealth, stopMatch, cleanupMatch } from './engineClient.js';
+import {
+  getMatchStatus,
+  getMatchResult,
+  getEngineHealth,
+  getEngineStatus,
+  stopMatch,
+  pauseMatch,
+  resumeMatch,
+  setScoreboardFreeze,
+  cleanupMatch,
+  getServiceActions,
+} from './engineClient.js';
+import { listEngineNodes } from './engineRegistry.js';
 
 const USERS_COLLECTION = 'users';
 const MATCHES_COLLECTION = 'matches';
@@ -34,29 +46,39 @@ async function audit(firestore, adminId, action, target, metadata = {}) {
 }
 
 /**
- * GET /admin/overview: active users, queues, matches, engine health.
+ * GET /admin/overview: active users, queues, matches, engine health and status (warm pool, provisioning times).
+ * With registered engine nodes, `engineNodes` lists their load and the engine counts as
+ * healthy while any node is live.
  *
  * @param {string} adminId
- * @returns {Promise<{ activeUsers: number; activeQueues: number; activeMatches: number; engineHealth: object | null }>}
+ * @returns {Promise<{ activeUsers: number; activeQueues: number; activeMatches: number; engineHealth: object | null; engineStatus: object | null; engineNodes: object[] }>}
  */
 export async function getOverview(adminId) {
   const firestore = getFirestore();
   if (!firestore) throw new Error('Firestore not initialized');
 
-  const [usersSnap, queuesSnap, matchesSnap, engineHealth] = await Promise.all([
+  const [usersSnap, queuesSnap, matchesSnap, engineHealth, engineStatus] = await Promise.all([
     firestore.collection(USERS_COLLECTION).count().get(),
     firestore.collection(QUEUES_COLLECTION).where('status', '==', 'waiting').get(),
     firestore.collection(MATCHES_COLLECTION).where('status', 'in', ['pending', 'starting', 'running']).limit(500).get(),
     getEngineHealth(),
+    getEngineStatus(),
   ]);
 
   await audit(firestore, adminId, 'overview', 'platform', {});
 
+  const engineNodes = listEngineNodes();
+  const nodesHealth = engineNodes.length > 0
+    ? { status: engineNodes.some((n) => n.live) ? 'ok' : 'unreachable' }
+    : null;
+
   return {
     activeUsers: usersSnap.data().count ?? 0,
     activeQueues: queuesSnap.size,
     activeMatches: matchesSnap.size,
-    engineHealth: engineHealth ?? { status: 'unreachable' },
+    engineHealth: nodesHealth ?? engineHealth ?? { status: 'unreachable' },
+    engineStatus,
+    engineNodes,
   };
 }
 
@@ -128,10 +150,57 @@ export async function getMatchDetail(adminId, matchId) {
     status: data.status,
     invalid: data.invalid === true,
     engineState: engineState?.state ?? null,
+    pause: engineState?.pause ?? null,
+    scoreboardFreeze: engineState?.scoreboardFreeze ?? null,
     result,
   };
 }
 
+/**
+ * GET /admin/match/:id/service-actions: team service actions (exec, file up/download, restart)
+ * as recorded by the backend, plus the engine's own trail while it still holds the match.
+ *
+ * @param {string} adminId
+ * @param {string} matchId
+ * @returns {Promise<{ actions: Array<object>; engineActions: Array<object> | null } | null>}
+ */
+export async function getMatchServiceActions(adminId, matchId) {
+  const firestore = getFirestore();
+  if (!firestore) throw new Error('Firestore not initialized');
+
+  const matchRef = firestore.collection(MATCHES_COLLECTION).doc(matchId);
+  const matchSnap = await matchRef.get();
+  if (!matchSnap.exists) {
+    return null;
+  }
+
+  const snap = await matchRef.collection('service_actions').orderBy('createdAt', 'desc').limit(200).get();
+  const actions = snap.docs.map((doc) => {
+    const d = doc.data();
+    return {
+      id: doc.id,
+      uid: d.uid,
+      teamId: d.teamId,
+      serviceId: d.serviceId,
+      action: d.action,
+      detail: d.detail || {},
+      status: d.status,
+      error: d.error ?? null,
+      createdAt: d.createdAt?.toMillis?.() ?? null,
+    };
+  });
+
+  let engineActions = null;
+  try {
+    engineActions = (await getServiceActions(matchId))?.actions ?? null;
+  } catch {
+    engineActions = null;
+  }
+
+  await audit(firestore, adminId, 'match_service_actions', matchId, {});
+  return { actions, engineActions };
+}
+
 /**
  * POST /admin/match/:id/stop: force stop match (backend → engine).
  *
@@ -147,6 +216,53 @@ export async function stopMatchAdmin(adminId, matchId) {
   await audit(firestore, adminId, 'match_stop', matchId, {});
 }
 
+/**
+ * POST /admin/match/:id/pause: halt a running match on the engine (containers stay as they are).
+ *
+ * @param {string} adminId
+ * @param {string} matchId
+ * @param {string} [reason]
+ */
+export async function pauseMatchAdmin(adminId, matchId, reason) {
+  const firestore = getFirestore();
+  if (!firestore) throw new Error('Firestore not initialized');
+
+  const result = await pauseMatch(matchId, reason);
+  await audit(firestore, adminId, 'match_pause', matchId, { reason: reason || null });
+  return result;
+}
+
+/**
+ * POST /admin/match/:id/resume: resume a paused match.
+ *
+ * @param {string} adminId
+ * @param {string} matchId
+ */
+export async function resumeMatchAdmin(adminId, matchId) {
+  const firestore = getFirestore();
+  if (!firestore) throw new Error('Firestore not initialized');
+
+  const result = await resumeMatch(matchId);
+  await audit(firestore, adminId, 'match_resume', matchId, {});
+  return result;
+}
+
+/**
+ * POST /admin/match/:id/scoreboard-freeze: hide (or show again) live scores from players.
+ *
+ * @param {string} adminId
+ * @param {string} matchId
+ * @param {boolean} frozen
+ */
+export async function setScoreboardFreezeAdmin(adminId, matchId, frozen) {
+  const firestore = getFirestore();
+  if (!firestore) throw new Error('Firestore not initialized');
+
+  const result = await setScoreboardFreeze(matchId, frozen);
+  await audit(firestore, adminId, frozen ? 'scoreboard_freeze' : 'scoreboard_unfreeze', matchId, {});
+  return result;
+}
+
 /**
  * POST /admin/match/:id/invalid: mark match invalid (no rank update on end).
  *
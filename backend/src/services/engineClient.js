@@ -7,20 +7,36 @@
  * - Provide a stable API for the control plane (backend) to:
  *   - startMatch(matchData)
  *   - stopMatch(matchId)
+ *   - pauseMatch(matchId, reason) / resumeMatch(matchId)
  *   - getMatchStatus(matchId)
+ * - Route each match's calls to the engine node that holds it (services/engineRegistry.js);
+ *   without registered nodes everything goes to MATCH_ENGINE_URL.
  * - Handle basic timeouts and engine unavailability.
+ * - Sign every call (method, path, body, nonce; utils/requestSigning.js).
  *
  * No gameplay, scoring, or Docker logic here.
  */
 
+import http from 'http';
+import https from 'https';
 import fetch from 'node-fetch';
+import { signRequest } from '../utils/requestSigning.js';
+import { getDefaultEngineUrl, getEngineUrlForMatch } from './engineRegistry.js';
 
-const DEFAULT_BASE_URL = 'http://localhost:7000';
 const REQUEST_TIMEOUT_MS = 5_000;
 const PROVISION_TIMEOUT_MS = 5 * 60 * 1000; // 5 min for provision (pull + start)
+const RESET_TIMEOUT_MS = 60_000; // stop, recreate and start one service, re-plant its flag
 
-function getBaseUrl() {
-  return process.env.MATCH_ENGINE_URL || DEFAULT_BASE_URL;
+/**
+ * Signed Authorization header for an engine call (see utils/requestSigning.js).
+ *
+ * @param {string} method
+ * @param {string} path - Path and query as requested
+ * @param {string | Buffer} [body] - Body exactly as sent
+ * @returns {Record<string, string>}
+ */
+function authHeaders(method, path, body) {
+  return signRequest({ audience: 'engine', method, path, body });
 }
 
 async function request(method, path, body, options = {}) {
@@ -29,20 +45,18 @@ async function request(method, path, body, options = {}) {
   const timeout = setTimeout(() => controller.abort(), timeoutMs);
 
   try {
+    const rawBody = Buffer.isBuffer(body);
+    const payload = rawBody ? body : body ? JSON.stringify(body) : undefined;
     const headers = {
-      'Content-Type': 'application/json',
+      'Content-Type': rawBody ? 'application/octet-stream' : 'application/json',
+      ...options.headers,
+      ...authHeaders(method, path, payload),
     };
 
-    // Add authentication header if secret is configured (trim to avoid .env newline/space mismatch)
-    const secret = process.env.MATCH_ENGINE_SECRET?.trim();
-    if (secret) {
-      headers['Authorization'] = `Bearer ${secret}`;
-    }
-
-    const res = await fetch(`${getBaseUrl()}${path}`, {
+    const res = await fetch(`${options.baseUrl ?? getDefaultEngineUrl()}${path}`, {
       method,
       headers,
-      body: body ? JSON.stringify(body) : undefined,
+      body: payload,
       signal: controller.signal,
     });
 
@@ -81,7 +95,21 @@ async function request(method, path, body, options = {}) {
 }
 
 /**
- * Start a match on the match engine.
+ * `request` against the engine node that holds the match.
+ *
+ * @param {string} matchId
+ * @param {string} method
+ * @param {string} path
+ * @param {object | Buffer} [body]
+ * @param {{ headers?: Record<string, string>; timeoutMs?: number }} [options]
+ * @returns {Promise<any>}
+ */
+async function matchRequest(matchId, method, path, body, options = {}) {
+  return request(method, path, body, { ...options, baseUrl: await getEngineUrlForMatch(matchId) });
+}
+
+/**
+ * Start a match on the match engine (the node chosen by engineRegistry.placeMatch).
  *
  * @param {{
  *   matchId: string;
@@ -89,11 +117,13 @@ async function request(method, path, body, options = {}) {
  *   teamSize: number;
  *   teamA: string[];
  *   teamB: string[];
- * }} matchData
+ *   scoringProfile?: object | null;
+ *   duration?: { ticks?: number; minutes?: number; overtimeTicks?: number } | null;
+ * }} matchData - Without a duration the match runs until stopped
  * @returns {Promise<any>}
  */
 export async function startMatch(matchData) {
-  return request('POST', '/engine/match/start', matchData);
+  return matchRequest(matchData.matchId, 'POST', '/engine/match/start', matchData);
 }
 
 /**
@@ -103,7 +133,39 @@ export async function startMatch(matchData) {
  * @returns {Promise<any>}
  */
 export async function stopMatch(matchId) {
-  return request('POST', `/engine/match/${encodeURIComponent(matchId)}/stop`);
+  return matchRequest(matchId, 'POST', `/engine/match/${encodeURIComponent(matchId)}/stop`);
+}
+
+/**
+ * Pause a running match (ticks stop, flag submissions are refused, containers stay up).
+ *
+ * @param {string} matchId
+ * @param {string} [reason]
+ * @returns {Promise<{ status: 'paused'; pause: { tick: number; pausedAt: number; reason: string | null } }>}
+ */
+export async function pauseMatch(matchId, reason) {
+  return matchRequest(matchId, 'POST', `/engine/match/${encodeURIComponent(matchId)}/pause`, { reason });
+}
+
+/**
+ * Resume a paused match.
+ *
+ * @param {string} matchId
+ * @returns {Promise<{ status: 'running'; tick: number }>}
+ */
+export async function resumeMatch(matchId) {
+  return matchRequest(matchId, 'POST', `/engine/match/${encodeURIComponent(matchId)}/resume`);
+}
+
+/**
+ * Freeze or unfreeze the scoreboard players see (scoring carries on).
+ *
+ * @param {string} matchId
+ * @param {boolean} frozen
+ * @returns {Promise<{ scoreboardFreeze: { tick: number; frozenAt: number } | null }>}
+ */
+export async function setScoreboardFreeze(matchId, frozen) {
+  return matchRequest(matchId, 'POST', `/engine/match/${encodeURIComponent(matchId)}/scoreboard-freeze`, { frozen });
 }
 
 /**
@@ -113,7 +175,8 @@ export async function stopMatch(matchId) {
  * @returns {Promise<any>}
  */
 export async function getMatchStatus(matchId) {
-  return request(
+  return matchRequest(
+    matchId,
     'GET',
     `/engine/match/${encodeURIComponent(matchId)}/status`
   );
@@ -126,12 +189,225 @@ export async function getMatchStatus(matchId) {
  * @returns {Promise<any>}
  */
 export async function getMatchResult(matchId) {
-  return request(
+  return matchRequest(
+    matchId,
     'GET',
     `/engine/match/${encodeURIComponent(matchId)}/result`
   );
 }
 
+/**
+ * Submit a captured flag on behalf of a team. The engine answers 200 for both outcomes.
+ *
+ * @param {{ matchId: string; teamId: "teamA" | "teamB"; flag: string }} submission
+ * @returns {Promise<{ status: "accepted" | "rejected"; reason?: string }>}
+ */
+export async function submitFlag(submission) {
+  return matchRequest(submission.matchId, 'POST', '/engine/flag/submit', submission);
+}
+
+/**
+ * Get the tick-by-tick scoreboard timeline. Works while the match runs and after it ends.
+ *
+ * @param {string} matchId
+ * @param {number} [sinceTick] - Only return ticks after this one
+ * @returns {Promise<{ matchId: string; currentTick: number; timeline: Array<object> }>}
+ */
+export async function getMatchTimeline(matchId, sinceTick) {
+  const query = Number.isInteger(sinceTick) ? `?since=${sinceTick}` : '';
+  return matchRequest(matchId, 'GET', `/engine/match/${encodeURIComponent(matchId)}/timeline${query}`);
+}
+
+/**
+ * Open a shell on a team's jump box. Resolves with the upgraded socket, which carries raw
+ * terminal bytes both ways, and the engine session id (for resizeTerminal).
+ *
+ * @param {{ matchId: string; teamId: "teamA" | "teamB"; cols: number; rows: number }} params
+ * @returns {Promise<{ socket: import('net').Socket; sessionId: string }>}
+ */
+export async function openTerminal({ matchId, teamId, cols, rows }) {
+  const url = new URL(
+    `/engine/match/${encodeURIComponent(matchId)}/terminal/${teamId}?cols=${cols}&rows=${rows}`,
+    await getEngineUrlForMatch(matchId)
+  );
+  const headers = { Connection: 'Upgrade', Upgrade: 'tcp', ...authHeaders('GET', `${url.pathname}${url.search}`) };
+
+  return new Promise((resolve, reject) => {
+    const req = (url.protocol === 'https:' ? https : http).request(url, { method: 'GET', headers });
+    req.setTimeout(REQUEST_TIMEOUT_MS, () => req.destroy(new Error('Match engine request timed out')));
+    req.on('upgrade', (res, socket, head) => {
+      req.setTimeout(0);
+      if (head?.length) socket.unshift(head);
+      resolve({ socket, sessionId: res.headers['x-terminal-session'] });
+    });
+    req.on('response', (res) => {
+      res.resume();
+      const error = new Error(`Match engine responded with ${res.statusCode}`);
+      error.code = 'ENGINE_UNAVAILABLE';
+      error.status = res.statusCode;
+      reject(error);
+    });
+    req.on('error', (err) => {
+      const networkError = new Error('Match engine is unavailable');
+      networkError.code = 'ENGINE_UNAVAILABLE';
+      networkError.cause = err;
+      reject(networkError);
+    });
+    req.end();
+  });
+}
+
+/**
+ * Resize a jump box terminal session.
+ *
+ * @param {string} matchId
+ * @param {string} sessionId
+ * @param {{ cols: number; rows: number }} size
+ * @returns {Promise<{ success: boolean }>}
+ */
+export async function resizeTerminal(matchId, sessionId, size) {
+  return matchRequest(
+    matchId,
+    'POST',
+    `/engine/match/${encodeURIComponent(matchId)}/terminal/${encodeURIComponent(sessionId)}/resize`,
+    size
+  );
+}
+
+/**
+ * Engine path for one of a team's service containers.
+ *
+ * @param {{ matchId: string; teamId: string; serviceId: string }} target
+ * @returns {string}
+ */
+function teamServicePath({ matchId, teamId, serviceId }) {
+  return `/engine/match/${encodeURIComponent(matchId)}/team/${teamId}/services/${encodeURIComponent(serviceId)}`;
+}
+
+/**
+ * Run a command in a team's own service container. `actor` (player uid) goes to the engine audit trail.
+ *
+ * @param {{ matchId: string; teamId: "teamA" | "teamB"; serviceId: string; actor: string }} target
+ * @param {string | string[]} command
+ * @returns {Promise<{ exitCode: number | null; stdout: string; stderr: string; truncated: boolean; timedOut: boolean }>}
+ */
+export async function execInTeamService(target, command) {
+  return matchRequest(target.matchId, 'POST', `${teamServicePath(target)}/exec`, { command }, { headers: { 'X-Actor': target.actor } });
+}
+
+/**
+ * Download a file from a team's own service container.
+ *
+ * @param {{ matchId: string; teamId: "teamA" | "teamB"; serviceId: string; actor: string }} target
+ * @param {string} filePath
+ * @returns {Promise<{ path: string; size: number; content: string }>} content is base64
+ */
+export async function downloadFromTeamService(target, filePath) {
+  return matchRequest(
+    target.matchId,
+    'GET',
+    `${teamServicePath(target)}/files?path=${encodeURIComponent(filePath)}`,
+    undefined,
+    { headers: { 'X-Actor': target.actor } }
+  );
+}
+
+/**
+ * Upload (overwrite) a file in a team's own service container.
+ *
+ * @param {{ matchId: string; teamId: "teamA" | "teamB"; serviceId: string; actor: string }} target
+ * @param {string} filePath
+ * @param {Buffer} content
+ * @returns {Promise<{ path: string; size: number }>}
+ */
+export async function uploadToTeamService(target, filePath, content) {
+  return matchRequest(
+    target.matchId,
+    'PUT',
+    `${teamServicePath(target)}/files?path=${encodeURIComponent(filePath)}`,
+    content,
+    { headers: { 'X-Actor': target.actor } }
+  );
+}
+
+/**
+ * Restart a team's own service container.
+ *
+ * @param {{ matchId: string; teamId: "teamA" | "teamB"; serviceId: string; actor: string }} target
+ * @returns {Promise<{ restarted: boolean }>}
+ */
+export async function restartTeamService(target) {
+  return matchRequest(target.matchId, 'POST', `${teamServicePath(target)}/restart`, undefined, { headers: { 'X-Actor': target.actor } });
+}
+
+/**
+ * Reset a team's own service to its template: recreated with the same IP, current flag
+ * re-planted, reset penalty from the scoring profile applied.
+ *
+ * @param {{ matchId: string; teamId: "teamA" | "teamB"; serviceId: string; actor: string }} target
+ * @returns {Promise<{ reset: boolean; flagPlanted: boolean; penalty: number }>}
+ */
+export async function resetTeamService(target) {
+  return matchRequest(target.matchId, 'POST', `${teamServicePath(target)}/reset`, undefined, {
+    headers: { 'X-Actor': target.actor },
+    timeoutMs: RESET_TIMEOUT_MS,
+  });
+}
+
+/**
+ * Get the engine's audit trail of team service actions.
+ *
+ * @param {string} matchId
+ * @param {"teamA" | "teamB"} [teamId]
+ * @returns {Promise<{ matchId: string; actions: Array<object> }>}
+ */
+export async function getServiceActions(matchId, teamId) {
+  const query = teamId ? `?teamId=${teamId}` : '';
+  return matchRequest(matchId, 'GET', `/engine/match/${encodeURIComponent(matchId)}/service-actions${query}`);
+}
+
+/**
+ * List the packet captures (one per tick) kept for a service.
+ *
+ * @param {string} matchId
+ * @param {string} serviceId
+ * @returns {Promise<{ matchId: string; serviceId: string; captures: Array<{ tick: number; size: number }> }>}
+ */
+export async function listCaptures(matchId, serviceId) {
+  return matchRequest(matchId, 'GET', `/engine/match/${encodeURIComponent(matchId)}/pcap/${encodeURIComponent(serviceId)}`);
+}
+
+/**
+ * Open a PCAP download for one tick of a service. Resolves with the engine response so the
+ * caller can stream its body; non-2xx responses reject like `request` does.
+ *
+ * @param {string} matchId
+ * @param {string} serviceId
+ * @param {number} tick
+ * @returns {Promise<import('node-fetch').Response>}
+ */
+export async function openCaptureDownload(matchId, serviceId, tick) {
+  const path = `/engine/match/${encodeURIComponent(matchId)}/pcap/${encodeURIComponent(serviceId)}/${tick}`;
+  const baseUrl = await getEngineUrlForMatch(matchId);
+  let res;
+  try {
+    res = await fetch(`${baseUrl}${path}`, { headers: authHeaders('GET', path) });
+  } catch (err) {
+    const networkError = new Error('Match engine is unavailable');
+    networkError.code = 'ENGINE_UNAVAILABLE';
+    networkError.cause = err;
+    throw networkError;
+  }
+  if (!res.ok) {
+    const error = new Error(`Match engine responded with ${res.status}: ${res.statusText}`);
+    error.code = 'ENGINE_UNAVAILABLE';
+    error.status = res.status;
+    res.body.resume();
+    throw error;
+  }
+  return res;
+}
+
 /**
  * Provision a match (Phase 2): network + containers from service templates, inject flags.
  *
@@ -139,7 +415,7 @@ export async function getMatchResult(matchId) {
  * @returns {Promise<{ success: boolean; infrastructure: object }>}
  */
 export async function provisionMatch(matchData) {
-  return request('POST', '/engine/match/provision', matchData, { timeoutMs: PROVISION_TIMEOUT_MS });
+  return matchRequest(matchData.matchId, 'POST', '/engine/match/provision', matchData, { timeoutMs: PROVISION_TIMEOUT_MS });
 }
 
 /**
@@ -149,7 +425,7 @@ export async function provisionMatch(matchData) {
  * @returns {Promise<{ success: boolean }>}
  */
 export async function cleanupMatch(matchId) {
-  return request('POST', `/engine/match/${encodeURIComponent(matchId)}/cleanup`);
+  return matchRequest(matchId, 'POST', `/engine/match/${encodeURIComponent(matchId)}/cleanup`);
 }
 
 /**
@@ -159,7 +435,7 @@ export async function cleanupMatch(matchId) {
  * @returns {Promise<{ success: boolean; infrastructure: object }>}
  */
 export async function getMatchInfrastructure(matchId) {
-  return request('GET', `/engine/match/${encodeURIComponent(matchId)}/infrastructure`);
+  return matchRequest(matchId, 'GET', `/engine/match/${encodeURIComponent(matchId)}/infrastructure`);
 }
 
 /**
@@ -175,3 +451,16 @@ export async function getEngineHealth() {
   }
 }
 
+/**
+ * Get match engine capacity, warm pool levels and provisioning times (for admin overview).
+ *
+ * @returns {Promise<{ activeMatches: number; maxConcurrentMatches: number; warmPool: object; provisioning: object } | null>}
+ */
+export async function getEngineStatus() {
+  try {
+    return await request('GET', '/engine/status');
+  } catch {
+    return null;
+  }
+}
+
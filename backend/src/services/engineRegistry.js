@@ -0,0 +1,167 @@
+/**
+ * Engine Registry
+ *
+ * Match engine nodes the backend can place matches on. Each node heartbeats its capacity
+ * (POST /api/match/engine/heartbeat); a node whose heartbeat is older than
+ * ENGINE_HEARTBEAT_TTL_MS (default 30s) gets no new matches. The scheduler puts a new
+ * match on the live, non-draining node with the lowest load (active / max matches), and
+ * the chosen `engineId` is stored on the match doc so every later call for that match
+ * (status, flags, terminals, cleanup) goes to the same node.
+ *
+ * Without any registered node the backend talks to the single engine at MATCH_ENGINE_URL,
+ * as before; matches started that way have no `engineId`.
+ *
+ * Heartbeats live in memory; node URLs are also kept in `engine_nodes` so a restarted
+ * backend can reach running matches before their node's next heartbeat.
+ */
+
+import admin from 'firebase-admin';
+import { getFirestore } from '../firebase/firebaseAdmin.js';
+
+const ENGINE_NODES_COLLECTION = 'engine_nodes';
+const MATCHES_COLLECTION = 'matches';
+const DEFAULT_ENGINE_URL = 'http://localhost:7000';
+const DEFAULT_HEARTBEAT_TTL_MS = 30 * 1000;
+const MAX_CACHED_MATCHES = 5000;
+
+/** engineId -> { engineId, url, maxConcurrentMatches, activeMatches, draining, lastHeartbeat } */
+const nodes = new Map();
+
+/** matchId -> engineId (null: default engine). Insertion-ordered, oldest dropped first. */
+const matchEngines = new Map();
+
+function heartbeatTtlMs() {
+  return Number(process.env.ENGINE_HEARTBEAT_TTL_MS) || DEFAULT_HEARTBEAT_TTL_MS;
+}
+
+/**
+ * URL of the single engine used when no node is registered (MATCH_ENGINE_URL).
+ *
+ * @returns {string}
+ */
+export function getDefaultEngineUrl() {
+  return process.env.MATCH_ENGINE_URL || DEFAULT_ENGINE_URL;
+}
+
+function isLive(node) {
+  return Date.now() - node.lastHeartbeat <= heartbeatTtlMs();
+}
+
+function rememberMatch(matchId, engineId) {
+  matchEngines.delete(matchId);
+  matchEngines.set(matchId, engineId);
+  if (matchEngines.size > MAX_CACHED_MATCHES) {
+    matchEngines.delete(matchEngines.keys().next().value);
+  }
+}
+
+/**
+ * Record a node heartbeat. Throws Error('INVALID_INPUT') for a malformed one.
+ *
+ * @param {{ engineId: string; url: string; maxConcurrentMatches: number; activeMatches: number; draining?: boolean }} heartbeat
+ * @returns {Promise<void>}
+ */
+export async function recordHeartbeat({ engineId, url, maxConcurrentMatches, activeMatches, draining }) {
+  if (typeof engineId !== 'string' || !/^[\w.-]{1,64}$/.test(engineId)) throw new Error('INVALID_INPUT');
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error('INVALID_INPUT');
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') throw new Error('INVALID_INPUT');
+  if (!Number.isInteger(maxConcurrentMatches) || maxConcurrentMatches < 0) throw new Error('INVALID_INPUT');
+  if (!Number.isInteger(activeMatches) || activeMatches < 0) throw new Error('INVALID_INPUT');
+
+  const previous = nodes.get(engineId);
+  const node = {
+    engineId,
+    url: parsed.origin,
+    maxConcurrentMatches,
+    activeMatches,
+    draining: draining === true,
+    lastHeartbeat: Date.now(),
+  };
+  nodes.set(engineId, node);
+
+  if (!previous || previous.url !== node.url) {
+    console.log(`[ENGINE REGISTRY] Engine ${engineId} registered at ${node.url} (max ${maxConcurrentMatches} matches)`);
+    const firestore = getFirestore();
+    if (firestore) {
+      await firestore.collection(ENGINE_NODES_COLLECTION).doc(engineId).set(
+        { url: node.url, registeredAt: admin.firestore.FieldValue.serverTimestamp() },
+        { merge: true }
+      );
+    }
+  }
+}
+
+/**
+ * Every known node with its load, for the admin overview.
+ *
+ * @returns {Array<{ engineId: string; url: string; maxConcurrentMatches: number; activeMatches: number; draining: boolean; live: boolean; lastHeartbeat: number }>}
+ */
+export function listEngineNodes() {
+  return [...nodes.values()].map((node) => ({ ...node, live: isLive(node) }));
+}
+
+/**
+ * Choose the node for a new match and remember the choice. The node's load is bumped
+ * right away so matches started before its next heartbeat spread out.
+ *
+ * @param {string} matchId
+ * @returns {string | null} engineId, or null when no node is registered (default engine)
+ * @throws {Error} code NO_ENGINE_CAPACITY when nodes are registered but none is live with room
+ */
+export function placeMatch(matchId) {
+  if (nodes.size === 0) {
+    rememberMatch(matchId, null);
+    return null;
+  }
+
+  let best = null;
+  for (const node of nodes.values()) {
+    if (!isLive(node) || node.draining || node.activeMatches >= node.maxConcurrentMatches) continue;
+    const load = node.activeMatches / node.maxConcurrentMatches;
+    if (!best || load < best.load) best = { node, load };
+  }
+  if (!best) {
+    const error = new Error('No match engine has capacity');
+    error.code = 'NO_ENGINE_CAPACITY';
+    throw error;
+  }
+
+  best.node.activeMatches += 1;
+  rememberMatch(matchId, best.node.engineId);
+  return best.node.engineId;
+}
+
+/**
+ * Base URL of the engine that holds a match: the node recorded on the match doc
+ * (`engineId`), else the default engine.
+ *
+ * @param {string} matchId
+ * @returns {Promise<string>}
+ */
+export async function getEngineUrlForMatch(matchId) {
+  let engineId = matchEngines.get(matchId);
+  if (engineId === undefined) {
+    const firestore = getFirestore();
+    const snap = firestore ? await firestore.collection(MATCHES_COLLECTION).doc(matchId).get() : null;
+    engineId = snap?.exists ? snap.data().engineId ?? null : null;
+    rememberMatch(matchId, engineId);
+  }
+  if (!engineId) return getDefaultEngineUrl();
+
+  const node = nodes.get(engineId);
+  if (node) return node.url;
+
+  // Not heard from since this backend started
+  const firestore = getFirestore();
+  const snap = firestore ? await firestore.collection(ENGINE_NODES_COLLECTION).doc(engineId).get() : null;
+  if (snap?.exists && snap.data().url) return snap.data().url;
+
+  const error = new Error(`Match engine ${engineId} is unknown`);
+  error.code = 'ENGINE_UNAVAILABLE';
+  throw error;
+}
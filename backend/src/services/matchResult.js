@@ -178,8 +178,11 @@ export async function processMatchEnd(matchId) {
     matchId,
     difficulty,
     winner,
+    decidedBy: result.decidedBy ?? null,
+    overtime: result.overtime === true,
     teamA: { score: teamA.score, players: teamA.players },
     teamB: { score: teamB.score, players: teamB.players },
+    firstBloods: Array.isArray(result.firstBloods) ? result.firstBloods : [],
     playerDeltas: updates.map((u) => ({
       uid: u.uid,
       mmrDelta: u.mmrDelta,
@@ -202,6 +205,10 @@ export async function processMatchEnd(matchId) {
     }
     const matchRef = firestore.collection(MATCHES_COLLECTION).doc(matchId);
     tx.set(matchRef.collection('results').doc('summary'), summary);
+    tx.set(matchRef.collection('results').doc('timeline'), {
+      ticks: Array.isArray(result.timeline) ? result.timeline : [],
+      processedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
   });
 
   for (const u of updates) {
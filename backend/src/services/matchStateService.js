@@ -8,6 +8,8 @@
  * - One polling loop per match (no per-user timers).
  * - Cache last known state per match.
  * - Emit `match_state` only when the state changes.
+ * - Relay provisioning progress pushed by the engine as `match_provisioning`, keeping the
+ *   latest job per match for sockets that join mid-provisioning.
  */
 
 import { getMatchStatus } from './engineClient.js';
@@ -18,9 +20,12 @@ let io = null;
 // Per-match trackers: matchId -> { interval, lastState }
 const trackers = new Map();
 
+// Latest provisioning job per match: matchId -> job (as pushed by the engine)
+const provisioningJobs = new Map();
+
 // Map engine-level states to client-facing states.
-// Engine states: CREATED | INITIALIZING | RUNNING | ENDING | ENDED
-// Client-facing: "initializing" | "running" | "ended"
+// Engine states: CREATED | INITIALIZING | RUNNING | PAUSED | ENDING | ENDED
+// Client-facing: "initializing" | "running" | "paused" | "ended"
 function toClientState(engineState) {
   switch (engineState) {
     case 'CREATED':
@@ -28,6 +33,8 @@ function toClientState(engineState) {
       return 'initializing';
     case 'RUNNING':
       return 'running';
+    case 'PAUSED':
+      return 'paused';
     case 'ENDING':
     case 'ENDED':
       return 'ended';
@@ -46,6 +53,37 @@ function emitMatchState(matchId, state) {
   });
 }
 
+/**
+ * Relay a provisioning job update to the match room. Updates arrive out of order
+ * (the engine does not wait for each push), so older ones for the same job are dropped.
+ *
+ * @param {string} matchId
+ * @param {{ jobId: string; seq: number; status: string; done: number; total: number; steps: object[] }} job
+ */
+export function publishProvisioningProgress(matchId, job) {
+  const previous = provisioningJobs.get(matchId);
+  if (previous && previous.jobId === job.jobId && previous.seq >= job.seq) return;
+  provisioningJobs.set(matchId, job);
+  if (job.status !== 'running') {
+    // Keep the final state briefly for late joiners, then forget it
+    setTimeout(() => {
+      if (provisioningJobs.get(matchId) === job) provisioningJobs.delete(matchId);
+    }, 5 * 60 * 1000).unref();
+  }
+  if (!io) return;
+  io.of('/match').to(`match:${matchId}`).emit('match_provisioning', { matchId, job });
+}
+
+/**
+ * Latest provisioning job relayed for a match (sent to sockets as they join).
+ *
+ * @param {string} matchId
+ * @returns {object | null}
+ */
+export function getProvisioningProgress(matchId) {
+  return provisioningJobs.get(matchId) || null;
+}
+
 /**
  * Register the Socket.IO server instance.
  *
@@ -63,7 +101,7 @@ export function registerSocketServer(socketServer) {
  * Idempotent: calling multiple times for the same matchId is a no-op.
  *
  * @param {string} matchId
- * @param {'initializing' | 'running' | 'ended'} [initialState]
+ * @param {'initializing' | 'running' | 'paused' | 'ended'} [initialState]
  */
 export function startMatchStateTracking(matchId, initialState) {
   if (!io) {
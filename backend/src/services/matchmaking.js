@@ -13,10 +13,17 @@
 
 import admin from 'firebase-admin';
 import { getFirestore } from '../firebase/firebaseAdmin.js';
+import { createCounter } from '../utils/metrics.js';
 
 const MATCHES_COLLECTION = 'matches';
 const QUEUES_COLLECTION = 'queues';
 
+const matchmakingAttempts = createCounter(
+  'ctf_backend_matchmaking_attempts_total',
+  'Matchmaking attempts by outcome (matched, waiting: not enough players yet, error)',
+  ['outcome']
+);
+
 /**
  * Attempt to form a match from a queue.
  *
@@ -46,7 +53,9 @@ export async function attemptMatch(queue) {
   const queueRef = firestore.collection(QUEUES_COLLECTION).doc(queueId);
   const matchesRef = firestore.collection(MATCHES_COLLECTION);
 
+  let matched = false;
   await firestore.runTransaction(async (tx) => {
+    matched = false; // the transaction may be retried
     const queueSnap = await tx.get(queueRef);
 
     if (!queueSnap.exists) return;
@@ -99,6 +108,7 @@ export async function attemptMatch(queue) {
         removedUids.forEach((id) => delete playerMMRMap[id]);
         const avgMMR = entries.length > 0 ? entries.reduce((s, e) => s + (e.averageMMR || 1000), 0) / entries.length : 0;
         tx.update(queueRef, { entries, players: remainingPlayers, playerMMR: playerMMRMap, avgMMR });
+        matched = true;
       }
       return;
     }
@@ -142,6 +152,11 @@ export async function attemptMatch(queue) {
       avgMMR: 0,
       matchedAt: now,
     });
+    matched = true;
+  }).catch((err) => {
+    matchmakingAttempts.inc({ outcome: 'error' });
+    throw err;
   });
+  matchmakingAttempts.inc({ outcome: matched ? 'matched' : 'waiting' });
 }
 
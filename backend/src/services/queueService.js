@@ -13,9 +13,10 @@
  */
 
 import admin from 'firebase-admin';
-import { getFirestore } from '../firebase/firebaseAdmin.js';
+import { getFirestore, recordFirestoreError } from '../firebase/firebaseAdmin.js';
 import { getTeam } from './teamService.js';
 import { attemptMatch } from './matchmaking.js';
+import { createGauge } from '../utils/metrics.js';
 
 const QUEUES_COLLECTION = 'queues';
 const USERS_COLLECTION = 'users';
@@ -25,6 +26,25 @@ const ALLOWED_DIFFICULTIES = ['easy', 'medium', 'hard', 'insane'];
 
 const MAX_QUEUE_SIZE = Number(process.env.MAX_QUEUE_SIZE_PER_DIFFICULTY) || 200;
 
+// Read from Firestore on each scrape: entries (solo players or teams) waiting per queue
+createGauge('ctf_backend_queue_depth', 'Entries waiting in each matchmaking queue', {
+  labelNames: ['queue'],
+  collect: async () => {
+    const firestore = getFirestore();
+    if (!firestore) return [];
+    try {
+      const snap = await firestore.collection(QUEUES_COLLECTION).where('status', '==', 'waiting').get();
+      return snap.docs.map((doc) => {
+        const entries = doc.data().entries;
+        return [{ queue: doc.id }, Array.isArray(entries) ? entries.length : 0];
+      });
+    } catch (err) {
+      recordFirestoreError('metrics.queue_depth', err);
+      throw err;
+    }
+  },
+});
+
 function normalizeDifficulty(difficulty) {
   return String(difficulty || '')
     .trim()
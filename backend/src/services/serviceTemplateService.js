@@ -5,6 +5,7 @@
 
 import admin from 'firebase-admin';
 import { getFirestore } from '../firebase/firebaseAdmin.js';
+import { getContainerLimits } from './adminFeaturesService.js';
 import Docker from 'dockerode';
 import fs from 'fs/promises';
 import path from 'path';
@@ -13,6 +14,273 @@ import os from 'os';
 const COLLECTION = 'service_templates';
 const TYPES = ['web', 'ssh', 'database', 'api', 'other'];
 const DIFFICULTIES = ['beginner', 'advanced', 'expert'];
+const HEALTH_CHECK_TYPES = ['http', 'tcp', 'socket'];
+const HEALTH_CHECK_MAX_TIMEOUT_MS = 10000;
+const DEFAULT_HEALTH_CHECK = { type: 'http', endpoint: '/', expectedStatus: 200, interval: 30 };
+
+/**
+ * Validate and normalize a template healthCheck definition (consumed by the match engine game bot).
+ * http: endpoint, expectedStatus, bodyContains, bodyRegex. tcp: connect only.
+ * socket: send, expect, expectRegex. All: port (defaults to template port), timeoutMs.
+ * @param {object | undefined} raw
+ * @returns {object}
+ */
+function normalizeHealthCheck(raw) {
+  if (!raw || typeof raw !== 'object') return { ...DEFAULT_HEALTH_CHECK };
+  const type = String(raw.type ?? 'http').toLowerCase();
+  if (!HEALTH_CHECK_TYPES.includes(type)) throw new Error('INVALID_INPUT');
+
+  const hc = { type, interval: Number(raw.interval) || DEFAULT_HEALTH_CHECK.interval };
+  if (raw.port !== undefined && raw.port !== null && raw.port !== '') {
+    const port = Number(raw.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) throw new Error('INVALID_INPUT');
+    hc.port = port;
+  }
+  if (raw.timeoutMs !== undefined && raw.timeoutMs !== null && raw.timeoutMs !== '') {
+    const timeoutMs = Number(raw.timeoutMs);
+    if (!Number.isInteger(timeoutMs) || timeoutMs < 100 || timeoutMs > HEALTH_CHECK_MAX_TIMEOUT_MS) throw new Error('INVALID_INPUT');
+    hc.timeoutMs = timeoutMs;
+  }
+  for (const key of ['bodyRegex', 'expectRegex']) {
+    if (raw[key]) {
+      try {
+        new RegExp(String(raw[key]));
+      } catch {
+        throw new Error('INVALID_INPUT');
+      }
+    }
+  }
+
+  if (type === 'http') {
+    const endpoint = String(raw.endpoint ?? raw.path ?? '/').trim() || '/';
+    const expectedStatus = Number(raw.expectedStatus ?? 200);
+    if (!Number.isInteger(expectedStatus) || expectedStatus < 100 || expectedStatus > 599) throw new Error('INVALID_INPUT');
+    hc.endpoint = endpoint.startsWith('/') ? endpoint : `/${endpoint}`;
+    hc.expectedStatus = expectedStatus;
+    if (raw.bodyContains) hc.bodyContains = String(raw.bodyContains);
+    if (raw.bodyRegex) hc.bodyRegex = String(raw.bodyRegex);
+  } else if (type === 'socket') {
+    if (raw.send) hc.send = String(raw.send);
+    if (raw.expect) hc.expect = String(raw.expect);
+    if (raw.expectRegex) hc.expectRegex = String(raw.expectRegex);
+  }
+  return hc;
+}
+
+const CHECKER_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+const CHECKER_MAX_TIMEOUT_MS = 8000;
+const CHECKER_MAX_OPTIONS_BYTES = 4096;
+
+/**
+ * Validate a template's SLA checker reference (module run by the match engine each tick).
+ * @param {object | null | undefined} raw - { name, options?, timeoutMs? }
+ * @returns {{ name: string, options: object, timeoutMs?: number } | null}
+ */
+function normalizeChecker(raw) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  if (typeof raw !== 'object') throw new Error('INVALID_INPUT');
+  const name = String(raw.name ?? '').trim();
+  if (!name) return null;
+  if (!CHECKER_NAME_PATTERN.test(name)) throw new Error('INVALID_INPUT');
+  const options = raw.options ?? {};
+  if (typeof options !== 'object' || Array.isArray(options)) throw new Error('INVALID_INPUT');
+  if (JSON.stringify(options).length > CHECKER_MAX_OPTIONS_BYTES) throw new Error('INVALID_INPUT');
+  const checker = { name, options };
+  if (raw.timeoutMs !== undefined && raw.timeoutMs !== null && raw.timeoutMs !== '') {
+    const timeoutMs = Number(raw.timeoutMs);
+    if (!Number.isInteger(timeoutMs) || timeoutMs < 100 || timeoutMs > CHECKER_MAX_TIMEOUT_MS) throw new Error('INVALID_INPUT');
+    checker.timeoutMs = timeoutMs;
+  }
+  return checker;
+}
+
+const NETWORK_POLICY_MAX_EXTRA_PORTS = 8;
+
+/**
+ * Validate a template's network policy override (the engine only opens the declared port, no egress).
+ * @param {object | null | undefined} raw - { egress?, extraPorts? }
+ * @returns {{ egress: boolean, extraPorts: number[] } | null}
+ */
+function normalizeNetworkPolicy(raw) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  if (typeof raw !== 'object' || Array.isArray(raw)) throw new Error('INVALID_INPUT');
+  const extraPorts = raw.extraPorts ?? [];
+  if (!Array.isArray(extraPorts) || extraPorts.length > NETWORK_POLICY_MAX_EXTRA_PORTS) throw new Error('INVALID_INPUT');
+  const ports = extraPorts.map(Number);
+  if (ports.some((p) => !Number.isInteger(p) || p < 1 || p > 65535)) throw new Error('INVALID_INPUT');
+  const egress = raw.egress === true;
+  if (!egress && ports.length === 0) return null;
+  return { egress, extraPorts: [...new Set(ports)] };
+}
+
+const TMPFS_PATH_PATTERN = /^\/[\w./-]{0,255}$/;
+const MAX_TMPFS_MOUNTS = 4;
+
+/**
+ * Validate a template's resource limits against the admin maximums (system_config/container_limits).
+ * Omitted fields keep the engine defaults (512MB, 0.5 CPU, 100 pids).
+ * @param {object | null | undefined} raw - { memoryMb?, cpus?, pidsLimit?, ulimits?: [{ name, soft, hard }] }
+ * @param {object} limits - From getContainerLimits()
+ * @returns {object | null}
+ */
+function normalizeResources(raw, limits) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  if (typeof raw !== 'object' || Array.isArray(raw)) throw new Error('INVALID_INPUT');
+  const resources = {};
+  if (raw.memoryMb !== undefined && raw.memoryMb !== null && raw.memoryMb !== '') {
+    const memoryMb = Number(raw.memoryMb);
+    if (!Number.isInteger(memoryMb) || memoryMb < 16) throw new Error('INVALID_INPUT');
+    if (memoryMb > limits.maxMemoryMb) throw new Error('LIMIT_EXCEEDED');
+    resources.memoryMb = memoryMb;
+  }
+  if (raw.cpus !== undefined && raw.cpus !== null && raw.cpus !== '') {
+    const cpus = Number(raw.cpus);
+    if (!(cpus >= 0.01)) throw new Error('INVALID_INPUT');
+    if (cpus > limits.maxCpus) throw new Error('LIMIT_EXCEEDED');
+    resources.cpus = Math.round(cpus * 100) / 100;
+  }
+  if (raw.pidsLimit !== undefined && raw.pidsLimit !== null && raw.pidsLimit !== '') {
+    const pidsLimit = Number(raw.pidsLimit);
+    if (!Number.isInteger(pidsLimit) || pidsLimit < 1) throw new Error('INVALID_INPUT');
+    if (pidsLimit > limits.maxPids) throw new Error('LIMIT_EXCEEDED');
+    resources.pidsLimit = pidsLimit;
+  }
+  if (raw.ulimits !== undefined && raw.ulimits !== null) {
+    if (!Array.isArray(raw.ulimits)) throw new Error('INVALID_INPUT');
+    const ulimits = raw.ulimits.map((u) => {
+      const name = String(u?.name ?? '');
+      const soft = Number(u?.soft);
+      const hard = Number(u?.hard ?? u?.soft);
+      if (!Number.isInteger(soft) || !Number.isInteger(hard) || soft < 0 || soft > hard) throw new Error('INVALID_INPUT');
+      if (!(name in limits.maxUlimits) || hard > limits.maxUlimits[name]) throw new Error('LIMIT_EXCEEDED');
+      return { name, soft, hard };
+    });
+    if (new Set(ulimits.map((u) => u.name)).size !== ulimits.length) throw new Error('INVALID_INPUT');
+    if (ulimits.length) resources.ulimits = ulimits;
+  }
+  return Object.keys(resources).length ? resources : null;
+}
+
+/**
+ * Validate a template's container hardening options against the admin maximums.
+ * All capabilities are always dropped; capAdd re-adds allowed ones.
+ * @param {object | null | undefined} raw - { capAdd?, readOnlyRootfs?, tmpfs?: [{ path, sizeMb }] }
+ * @param {object} limits - From getContainerLimits()
+ * @returns {object | null}
+ */
+function normalizeHardening(raw, limits) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  if (typeof raw !== 'object' || Array.isArray(raw)) throw new Error('INVALID_INPUT');
+  const hardening = {};
+  if (raw.capAdd !== undefined && raw.capAdd !== null) {
+    if (!Array.isArray(raw.capAdd)) throw new Error('INVALID_INPUT');
+    const caps = [...new Set(raw.capAdd.map((c) => String(c).trim().toUpperCase().replace(/^CAP_/, '')))];
+    if (caps.some((c) => !limits.allowedCapabilities.includes(c))) throw new Error('LIMIT_EXCEEDED');
+    if (caps.length) hardening.capAdd = caps;
+  }
+  if (raw.readOnlyRootfs === true) hardening.readOnlyRootfs = true;
+  if (raw.tmpfs !== undefined && raw.tmpfs !== null) {
+    if (!Array.isArray(raw.tmpfs) || raw.tmpfs.length > MAX_TMPFS_MOUNTS) throw new Error('INVALID_INPUT');
+    const mounts = raw.tmpfs.map((t) => {
+      const mountPath = String(t?.path ?? '').trim();
+      const sizeMb = Number(t?.sizeMb ?? 64);
+      if (!TMPFS_PATH_PATTERN.test(mountPath) || mountPath === '/' || mountPath.includes('..')) throw new Error('INVALID_INPUT');
+      if (!Number.isInteger(sizeMb) || sizeMb < 1) throw new Error('INVALID_INPUT');
+      return { path: mountPath, sizeMb };
+    });
+    if (new Set(mounts.map((m) => m.path)).size !== mounts.length) throw new Error('INVALID_INPUT');
+    if (mounts.reduce((sum, m) => sum + m.sizeMb, 0) > limits.maxTmpfsMb) throw new Error('LIMIT_EXCEEDED');
+    if (mounts.length) hardening.tmpfs = mounts;
+  }
+  return Object.keys(hardening).length ? hardening : null;
+}
+
+/**
+ * With a read-only root filesystem the engine can only plant flags on a tmpfs mount.
+ * @param {string} flagPath
+ * @param {object | null} hardening
+ */
+function assertFlagPathWritable(flagPath, hardening) {
+  if (!hardening?.readOnlyRootfs) return;
+  const mounts = hardening.tmpfs || [];
+  if (!mounts.some((m) => flagPath.startsWith(`${m.path.replace(/\/$/, '')}/`))) throw new Error('INVALID_INPUT');
+}
+
+const STACK_MAX_COMPONENTS = 4;
+const STACK_NAME_PATTERN = /^[a-z][a-z0-9-]{0,30}$/;
+const STACK_RESERVED_NAMES = ['app'];
+const STACK_MAX_COMMAND_LENGTH = 512;
+
+/**
+ * Validate a stack component's Docker health check (gates the components that depend on it).
+ * @param {object | null | undefined} raw - { command, intervalSec?, timeoutSec?, retries?, startPeriodSec? }
+ * @returns {object | null}
+ */
+function normalizeStackHealthCheck(raw) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  if (typeof raw !== 'object') throw new Error('INVALID_INPUT');
+  const command = String(raw.command ?? '').trim();
+  if (!command) return null;
+  if (command.length > STACK_MAX_COMMAND_LENGTH) throw new Error('INVALID_INPUT');
+  const hc = { command };
+  for (const [field, max] of [['intervalSec', 60], ['timeoutSec', 60], ['retries', 30], ['startPeriodSec', 300]]) {
+    if (raw[field] === undefined || raw[field] === null || raw[field] === '') continue;
+    const num = Number(raw[field]);
+    if (!Number.isInteger(num) || num < 0 || num > max) throw new Error('INVALID_INPUT');
+    hc[field] = num;
+  }
+  return hc;
+}
+
+/**
+ * Validate a template's stack: extra containers (database, cache, ...) that run next to the
+ * service on a private network, reachable there by name (the service itself is `app`).
+ * dependsOn must name other components and must not form a cycle.
+ * @param {Array | null | undefined} raw - [{ name, image, environmentVars?, dependsOn?, healthCheck?, resources?, hardening? }]
+ * @param {object} limits - From getContainerLimits()
+ * @returns {object[] | null}
+ */
+function normalizeStack(raw, limits) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  if (!Array.isArray(raw) || raw.length > STACK_MAX_COMPONENTS) throw new Error('INVALID_INPUT');
+  if (raw.length === 0) return null;
+  const components = raw.map((c) => {
+    if (!c || typeof c !== 'object') throw new Error('INVALID_INPUT');
+    const name = String(c.name ?? '').trim();
+    const image = String(c.image ?? '').trim();
+    if (!STACK_NAME_PATTERN.test(name) || STACK_RESERVED_NAMES.includes(name) || !image) throw new Error('INVALID_INPUT');
+    const env = c.environmentVars ?? {};
+    if (typeof env !== 'object' || Array.isArray(env)) throw new Error('INVALID_INPUT');
+    const dependsOn = c.dependsOn ?? [];
+    if (!Array.isArray(dependsOn)) throw new Error('INVALID_INPUT');
+    return {
+      name,
+      image,
+      environmentVars: env,
+      dependsOn: [...new Set(dependsOn.map(String))],
+      healthCheck: normalizeStackHealthCheck(c.healthCheck),
+      resources: normalizeResources(c.resources, limits),
+      hardening: normalizeHardening(c.hardening, limits),
+    };
+  });
+
+  const names = new Set(components.map((c) => c.name));
+  if (names.size !== components.length) throw new Error('INVALID_INPUT');
+  if (components.some((c) => c.dependsOn.some((d) => d === c.name || !names.has(d)))) throw new Error('INVALID_INPUT');
+  const byName = new Map(components.map((c) => [c.name, c]));
+  const done = new Set();
+  const visiting = new Set();
+  const visit = (name) => {
+    if (done.has(name)) return;
+    if (visiting.has(name)) throw new Error('INVALID_INPUT');
+    visiting.add(name);
+    byName.get(name).dependsOn.forEach(visit);
+    visiting.delete(name);
+    done.add(name);
+  };
+  names.forEach(visit);
+  return components;
+}
 
 /**
  * Write dockerfile to temp dir, build image with dockerode, then clean up.
@@ -40,7 +308,7 @@ export async function buildDockerImage(dockerfileContent, imageName) {
 
 /**
  * @param {string} adminUid
- * @param {object} data - name, type, difficulty, port, flagPath, vulnerabilities, healthCheck; dockerImage OR dockerfile (base64)
+ * @param {object} data - name, type, difficulty, port, flagPath, vulnerabilities, healthCheck, checker, networkPolicy, resources, hardening, stack; dockerImage OR dockerfile (base64)
  */
 export async function createServiceTemplate(adminUid, data) {
   const firestore = getFirestore();
@@ -62,6 +330,12 @@ export async function createServiceTemplate(adminUid, data) {
   if (hasImage && hasDockerfile) throw new Error('INVALID_INPUT');
   if (!hasImage && !hasDockerfile) throw new Error('INVALID_INPUT');
 
+  const limits = await getContainerLimits();
+  const resources = normalizeResources(data.resources, limits);
+  const hardening = normalizeHardening(data.hardening, limits);
+  assertFlagPathWritable(flagPath, hardening);
+  const stack = normalizeStack(data.stack, limits);
+
   const nameSnap = await firestore.collection(COLLECTION).where('name', '==', name).where('isActive', '==', true).limit(1).get();
   if (!nameSnap.empty) throw new Error('DUPLICATE_NAME');
 
@@ -78,7 +352,9 @@ export async function createServiceTemplate(adminUid, data) {
 
   const envVars = data.environmentVars && typeof data.environmentVars === 'object' ? data.environmentVars : {};
   const vulnerabilities = Array.isArray(data.vulnerabilities) ? data.vulnerabilities : [];
-  const healthCheck = data.healthCheck && typeof data.healthCheck === 'object' ? data.healthCheck : { type: 'http', endpoint: '/', expectedStatus: 200, interval: 30 };
+  const healthCheck = normalizeHealthCheck(data.healthCheck);
+  const checker = normalizeChecker(data.checker);
+  const networkPolicy = normalizeNetworkPolicy(data.networkPolicy);
 
   const now = admin.firestore.FieldValue.serverTimestamp();
   const docRef = firestore.collection(COLLECTION).doc();
@@ -94,6 +370,11 @@ export async function createServiceTemplate(adminUid, data) {
     flagPath,
     vulnerabilities,
     healthCheck,
+    checker,
+    networkPolicy,
+    resources,
+    hardening,
+    stack,
     createdBy: adminUid,
     createdAt: now,
     updatedAt: now,
@@ -130,6 +411,16 @@ export async function updateServiceTemplate(templateId, updates) {
   const existing = snap.data();
 
   const merged = { ...existing, ...updates };
+  if (updates.healthCheck !== undefined) merged.healthCheck = normalizeHealthCheck(updates.healthCheck);
+  if (updates.checker !== undefined) merged.checker = normalizeChecker(updates.checker);
+  if (updates.networkPolicy !== undefined) merged.networkPolicy = normalizeNetworkPolicy(updates.networkPolicy);
+  if (updates.resources !== undefined || updates.hardening !== undefined || updates.stack !== undefined) {
+    const limits = await getContainerLimits();
+    if (updates.resources !== undefined) merged.resources = normalizeResources(updates.resources, limits);
+    if (updates.hardening !== undefined) merged.hardening = normalizeHardening(updates.hardening, limits);
+    if (updates.stack !== undefined) merged.stack = normalizeStack(updates.stack, limits);
+  }
+  assertFlagPathWritable(String(merged.flagPath ?? ''), merged.hardening);
   if (updates.dockerfile) {
     const content = Buffer.from(updates.dockerfile, 'base64').toString('utf8');
     const imageName = `ctf-custom/${Date.now()}`;
@@ -7,10 +7,14 @@
  * - Namespace: /match
  * - Client event:  join_match
  * - Server event:  match_state
+ * - Server event:  match_provisioning (provisioning job progress; latest sent on join)
+ * Jump box terminals share the /match namespace (see ./terminal.js).
  */
 
-import { getAuth, getFirestore } from '../firebase/firebaseAdmin.js';
-import { registerSocketServer } from '../services/matchStateService.js';
+import { getAuth, getFirestore, recordFirestoreError } from '../firebase/firebaseAdmin.js';
+import { registerSocketServer, getProvisioningProgress } from '../services/matchStateService.js';
+import { registerTerminalHandlers } from './terminal.js';
+import { createGauge } from '../utils/metrics.js';
 
 /**
  * Initialize Socket.IO event handlers.
@@ -96,11 +100,17 @@ export function initializeSockets(io) {
         const room = `match:${matchId}`;
         await socket.join(room);
         console.log(`Socket ${socket.id} joined room ${room}`);
+
+        const job = getProvisioningProgress(matchId);
+        if (job) socket.emit('match_provisioning', { matchId, job });
       } catch (error) {
+        recordFirestoreError('socket.join_match', error);
         console.error('Error handling join_match:', error);
       }
     });
 
+    registerTerminalHandlers(socket);
+
     socket.on('disconnect', () => {
       console.log(`Match namespace socket disconnected: ${socket.id}`);
     });
@@ -109,6 +119,11 @@ export function initializeSockets(io) {
   // ——— Matchmaking namespace: presence, challenges, match found ———
   const matchmakingNamespace = io.of('/matchmaking');
 
+  createGauge('ctf_backend_socket_connections', 'Connected Socket.IO clients by namespace', {
+    labelNames: ['namespace'],
+    collect: () => [matchNamespace, matchmakingNamespace].map((nsp) => [{ namespace: nsp.name }, nsp.sockets.size]),
+  });
+
   matchmakingNamespace.use(async (socket, next) => {
     try {
       const token =
@@ -0,0 +1,136 @@
+/**
+ * Jump Box Terminal Relay
+ *
+ * Brokers in-browser terminals to a team's jump box on the match network, over the
+ * authenticated /match namespace:
+ * - Client events: terminal_open { matchId, cols, rows }, terminal_input (string),
+ *   terminal_resize { cols, rows }, terminal_close
+ * - Server events: terminal_ready { matchId, teamId }, terminal_data (string),
+ *   terminal_exit { reason }, terminal_error { error }
+ *
+ * A player only ever gets their own team's jump box. One terminal per socket, and one
+ * terminal_open at a time; it is closed when the socket disconnects.
+ */
+
+import { getFirestore } from '../firebase/firebaseAdmin.js';
+import { openTerminal, resizeTerminal } from '../services/engineClient.js';
+
+const MAX_INPUT_LENGTH = 8192;
+
+/**
+ * @param {unknown} raw
+ * @param {number} fallback
+ * @returns {number}
+ */
+function toTerminalSize(raw, fallback) {
+  const num = Number(raw);
+  return Number.isInteger(num) && num > 0 && num <= 500 ? num : fallback;
+}
+
+/**
+ * Register terminal handlers on an authenticated /match socket.
+ *
+ * @param {import('socket.io').Socket} socket
+ */
+export function registerTerminalHandlers(socket) {
+  /** @type {{ matchId: string; teamId: string; sessionId: string; stream: import('net').Socket } | null} */
+  let terminal = null;
+  /** Token of the terminal_open in flight; cleared by a close so its stream is dropped */
+  let opening = null;
+
+  const dropTerminal = () => {
+    if (!terminal) return;
+    terminal.stream.destroy();
+    terminal = null;
+  };
+
+  const closeTerminal = () => {
+    opening = null;
+    dropTerminal();
+  };
+
+  socket.on('terminal_open', async (payload) => {
+    if (opening) {
+      return socket.emit('terminal_error', { error: 'Terminal is already opening' });
+    }
+    const pending = {};
+    opening = pending;
+    try {
+      const { matchId } = payload || {};
+      const uid = socket.user?.uid;
+      if (!uid || !matchId || typeof matchId !== 'string') {
+        return socket.emit('terminal_error', { error: 'matchId is required' });
+      }
+
+      const firestore = getFirestore();
+      if (!firestore) {
+        return socket.emit('terminal_error', { error: 'Database not available' });
+      }
+      const snap = await firestore.collection('matches').doc(matchId).get();
+      if (!snap.exists) {
+        return socket.emit('terminal_error', { error: 'Match not found' });
+      }
+
+      const data = snap.data() || {};
+      const teamA = Array.isArray(data.teamA) ? data.teamA : [];
+      const teamB = Array.isArray(data.teamB) ? data.teamB : [];
+      const teamId = teamA.includes(uid) ? 'teamA' : teamB.includes(uid) ? 'teamB' : null;
+      if (!teamId) {
+        return socket.emit('terminal_error', { error: 'Not a participant in this match' });
+      }
+
+      dropTerminal();
+      const { socket: stream, sessionId } = await openTerminal({
+        matchId,
+        teamId,
+        cols: toTerminalSize(payload.cols, 80),
+        rows: toTerminalSize(payload.rows, 24),
+      });
+      if (opening !== pending || socket.disconnected) {
+        // Closed while the engine was opening it
+        stream.destroy();
+        return undefined;
+      }
+
+      const current = { matchId, teamId, sessionId, stream };
+      terminal = current;
+      stream.setEncoding('utf8');
+      stream.on('data', (chunk) => socket.emit('terminal_data', chunk));
+      stream.on('error', () => stream.destroy());
+      stream.on('close', () => {
+        if (terminal !== current) return;
+        terminal = null;
+        socket.emit('terminal_exit', { reason: 'closed' });
+      });
+
+      console.log(`Terminal opened: match ${matchId}, ${teamId}, user ${uid}`);
+      return socket.emit('terminal_ready', { matchId, teamId });
+    } catch (error) {
+      if (error.code === 'ENGINE_UNAVAILABLE') {
+        const message = error.status === 409 ? 'Match is not running' : 'Terminal is unavailable';
+        return socket.emit('terminal_error', { error: message });
+      }
+      console.error('Error handling terminal_open:', error);
+      return socket.emit('terminal_error', { error: 'Failed to open terminal' });
+    } finally {
+      if (opening === pending) opening = null;
+    }
+  });
+
+  socket.on('terminal_input', (data) => {
+    if (!terminal || typeof data !== 'string' || data.length > MAX_INPUT_LENGTH) return;
+    terminal.stream.write(data);
+  });
+
+  socket.on('terminal_resize', (payload) => {
+    if (!terminal) return;
+    const { matchId, sessionId } = terminal;
+    resizeTerminal(matchId, sessionId, {
+      cols: toTerminalSize(payload?.cols, 80),
+      rows: toTerminalSize(payload?.rows, 24),
+    }).catch(() => {});
+  });
+
+  socket.on('terminal_close', closeTerminal);
+  socket.on('disconnect', closeTerminal);
+}
@@ -0,0 +1,142 @@
+/**
+ * Request Signing
+ *
+ * HMAC authentication for calls between the backend and the match engine, in both
+ * directions. A signed request carries
+ *
+ *   Authorization: CTF-HMAC-SHA256 kid=<keyId>,ts=<ms>,nonce=<hex>,sig=<hex>
+ *
+ * where sig = HMAC-SHA256(secret, audience, kid, ts, nonce, METHOD, path with query,
+ * sha256(body)), newline-joined. The audience (`engine` for calls to the engine, `backend`
+ * for the engine's callbacks) stops a request signed for one side being replayed against
+ * the other. Requests whose timestamp is more than REQUEST_SIGNATURE_MAX_SKEW_MS (5 min)
+ * off are refused, and a nonce is accepted once within that window (per process).
+ *
+ * Keys: MATCH_ENGINE_KEYS="<keyId>:<secret>,<keyId>:<secret>". The first key signs and
+ * every key verifies, so a key is rotated by adding the new one second on both sides,
+ * then moving it first, then dropping the old one. MATCH_ENGINE_SECRET alone acts as
+ * the single key `default`.
+ *
+ * Kept identical in backend/src/utils/requestSigning.js and match-engine/src/utils/requestSigning.js
+ * (match-engine/test/sharedModules.test.js fails when they differ).
+ */
+
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+export const SIGNATURE_SCHEME = 'CTF-HMAC-SHA256';
+const DEFAULT_MAX_SKEW_MS = 5 * 60 * 1000;
+const KEY_ID = /^[\w.-]{1,64}$/;
+
+/** `${keyId}:${nonce}` -> time (ms) after which the nonce could no longer be accepted anyway */
+const seenNonces = new Map();
+setInterval(() => {
+  const now = Date.now();
+  for (const [nonce, expiresAt] of seenNonces) {
+    if (expiresAt < now) seenNonces.delete(nonce);
+  }
+}, 60 * 1000).unref();
+
+let cachedKeys = null;
+
+function maxSkewMs() {
+  return Number(process.env.REQUEST_SIGNATURE_MAX_SKEW_MS) || DEFAULT_MAX_SKEW_MS;
+}
+
+/**
+ * Configured keys, read on first use (after .env is loaded). Throws on a malformed
+ * MATCH_ENGINE_KEYS entry so a typo cannot silently drop a key.
+ *
+ * @returns {Array<{ id: string; secret: string }>} First key signs; empty when none is configured
+ */
+export function getSigningKeys() {
+  if (cachedKeys) return cachedKeys;
+  const keys = (process.env.MATCH_ENGINE_KEYS || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const sep = entry.indexOf(':');
+      const id = entry.slice(0, sep).trim();
+      const secret = entry.slice(sep + 1).trim();
+      if (sep <= 0 || !KEY_ID.test(id) || !secret) {
+        throw new Error('MATCH_ENGINE_KEYS entries must look like <keyId>:<secret>');
+      }
+      return { id, secret };
+    });
+  const legacySecret = (process.env.MATCH_ENGINE_SECRET || '').trim();
+  cachedKeys = keys.length > 0 ? keys : legacySecret ? [{ id: 'default', secret: legacySecret }] : [];
+  return cachedKeys;
+}
+
+/**
+ * Whether unsigned calls are explicitly allowed (ENGINE_AUTH_DISABLED=true, never in production).
+ *
+ * @returns {boolean}
+ */
+export function isSigningDisabled() {
+  return process.env.ENGINE_AUTH_DISABLED === 'true' && process.env.NODE_ENV !== 'production';
+}
+
+function hashBody(body) {
+  return createHash('sha256').update(body ?? '').digest('hex');
+}
+
+function sign(secret, { audience, keyId, ts, nonce, method, path, body }) {
+  return createHmac('sha256', secret)
+    .update([audience, keyId, ts, nonce, method.toUpperCase(), path, hashBody(body)].join('\n'))
+    .digest('hex');
+}
+
+/**
+ * Authorization header for an outgoing request.
+ *
+ * @param {{ audience: 'engine' | 'backend'; method: string; path: string; body?: string | Buffer }} request - path includes the query string; body exactly as sent
+ * @returns {Record<string, string>} Empty when no key is configured
+ */
+export function signRequest({ audience, method, path, body }) {
+  const [key] = getSigningKeys();
+  if (!key) return {};
+  const ts = String(Date.now());
+  const nonce = randomBytes(16).toString('hex');
+  const sig = sign(key.secret, { audience, keyId: key.id, ts, nonce, method, path, body });
+  return { Authorization: `${SIGNATURE_SCHEME} kid=${key.id},ts=${ts},nonce=${nonce},sig=${sig}` };
+}
+
+/**
+ * Check an incoming request: known key, fresh timestamp, matching signature, unused nonce.
+ *
+ * @param {{ audience: 'engine' | 'backend'; method: string; path: string; body?: string | Buffer; authorization?: string }} request
+ * @returns {{ ok: true; keyId: string } | { ok: false; reason: string }}
+ */
+export function verifyRequest({ audience, method, path, body, authorization }) {
+  if (typeof authorization !== 'string' || !authorization.startsWith(`${SIGNATURE_SCHEME} `)) {
+    return { ok: false, reason: 'missing or unsupported Authorization scheme' };
+  }
+  const params = {};
+  for (const part of authorization.slice(SIGNATURE_SCHEME.length + 1).split(',')) {
+    const sep = part.indexOf('=');
+    if (sep > 0) params[part.slice(0, sep).trim()] = part.slice(sep + 1).trim();
+  }
+  const { kid, ts, nonce, sig } = params;
+  if (!/^\d{1,15}$/.test(ts || '') || !/^[0-9a-f]{16,64}$/.test(nonce || '') || !/^[0-9a-f]{64}$/.test(sig || '')) {
+    return { ok: false, reason: 'malformed signature' };
+  }
+
+  const key = getSigningKeys().find((k) => k.id === kid);
+  if (!key) return { ok: false, reason: 'unknown key' };
+
+  const skew = maxSkewMs();
+  if (Math.abs(Date.now() - Number(ts)) > skew) {
+    return { ok: false, reason: 'timestamp outside the allowed window' };
+  }
+
+  const expected = sign(key.secret, { audience, keyId: kid, ts, nonce, method, path, body });
+  if (!timingSafeEqual(Buffer.from(sig, 'hex'), Buffer.from(expected, 'hex'))) {
+    return { ok: false, reason: 'signature mismatch' };
+  }
+
+  const nonceKey = `${kid}:${nonce}`;
+  if (seenNonces.has(nonceKey)) return { ok: false, reason: 'nonce already used' };
+  seenNonces.set(nonceKey, Number(ts) + skew);
+  return { ok: true, keyId: kid };
+}
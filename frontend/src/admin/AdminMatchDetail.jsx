@@ -12,6 +12,8 @@ export default function AdminMatchDetail() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [actionLoading, setActionLoading] = useState('');
+  const [serviceActions, setServiceActions] = useState([]);
+  const [pauseReason, setPauseReason] = useState('');
 
   useEffect(() => {
     if (!matchId) return;
@@ -22,6 +24,10 @@ export default function AdminMatchDetail() {
       .then(setMatch)
       .catch((err) => setError(err.message || 'Failed to load match'))
       .finally(() => setLoading(false));
+    adminApi
+      .getMatchServiceActions(matchId)
+      .then((trail) => setServiceActions(trail.actions || []))
+      .catch(() => setServiceActions([]));
   }, [matchId]);
 
   const doAction = (label, fn) => {
@@ -98,6 +104,17 @@ export default function AdminMatchDetail() {
         <NeonCard glow="red" className="p-5 space-y-2">
           <p><span className="text-[var(--text-muted)]">Status:</span> {match.status}</p>
           <p><span className="text-[var(--text-muted)]">Engine state:</span> {match.engineState ?? 'unknown'}</p>
+          {match.pause && (
+            <p>
+              <span className="text-[var(--text-muted)]">Paused:</span> since tick {match.pause.tick}
+              {match.pause.pausedAt ? `, ${new Date(match.pause.pausedAt).toLocaleString()}` : ''}
+              {match.pause.reason ? ` (${match.pause.reason})` : ''}
+            </p>
+          )}
+          <p>
+            <span className="text-[var(--text-muted)]">Scoreboard:</span>{' '}
+            {match.scoreboardFreeze ? `frozen at tick ${match.scoreboardFreeze.tick} (hidden from players)` : 'live'}
+          </p>
           <p><span className="text-[var(--text-muted)]">Difficulty:</span> {match.difficulty}</p>
           <p><span className="text-[var(--text-muted)]">Team size:</span> {match.teamSize}</p>
           <p><span className="text-[var(--text-muted)]">Invalid (no rank update):</span> {match.invalid ? 'Yes' : 'No'}</p>
@@ -107,12 +124,81 @@ export default function AdminMatchDetail() {
         </NeonCard>
       </motion.div>
 
+      <motion.div
+        initial={{ opacity: 0, y: 10 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ delay: 0.15 }}
+      >
+        <NeonCard glow="red" className="p-5 space-y-3">
+          <h2 className="font-heading text-lg font-semibold text-[var(--text-primary)]">Team service actions</h2>
+          {serviceActions.length === 0 ? (
+            <p className="font-mono text-sm text-[var(--text-muted)]">No exec, file, restart or reset actions.</p>
+          ) : (
+            <ul className="font-mono text-xs space-y-1 max-h-64 overflow-y-auto">
+              {serviceActions.map((a) => (
+                <li key={a.id} className="flex flex-wrap gap-3">
+                  <span className="text-[var(--text-dim)]">{a.createdAt ? new Date(a.createdAt).toLocaleString() : '—'}</span>
+                  <span>{a.teamId}</span>
+                  <span className="text-[var(--text-muted)]">{a.uid}</span>
+                  <span>{a.action}</span>
+                  <span className="text-[var(--text-muted)]">{a.serviceId}</span>
+                  <span className="text-[var(--text-muted)] truncate max-w-md">{a.detail?.command || a.detail?.path || ''}</span>
+                  <span style={{ color: a.status === 'ok' ? 'var(--neon-green)' : 'var(--neon-red)' }}>
+                    {a.status === 'ok' ? 'ok' : a.error || 'failed'}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </NeonCard>
+      </motion.div>
+
       <motion.div
         initial={{ opacity: 0, y: 10 }}
         animate={{ opacity: 1, y: 0 }}
         transition={{ delay: 0.2 }}
         className="flex flex-wrap gap-3"
       >
+        {match.engineState === 'RUNNING' && (
+          <>
+            <input
+              type="text"
+              value={pauseReason}
+              onChange={(e) => setPauseReason(e.target.value)}
+              placeholder="Pause reason (optional)"
+              maxLength={200}
+              className="rounded border border-[var(--border)] bg-[var(--bg-secondary)] px-3 py-2 font-mono text-sm text-[var(--text-primary)]"
+            />
+            <AnimatedButton
+              variant="ghost"
+              className="border-[var(--neon-amber)] text-[var(--neon-amber)]"
+              disabled={!!actionLoading}
+              onClick={() => doAction('pause', () => adminApi.pauseMatch(matchId, pauseReason.trim() || undefined).then(() => setPauseReason('')))}
+            >
+              {actionLoading === 'pause' ? 'Pausing…' : 'Pause match'}
+            </AnimatedButton>
+          </>
+        )}
+        {match.engineState === 'PAUSED' && (
+          <AnimatedButton
+            variant="ghost"
+            className="border-[var(--neon-green)] text-[var(--neon-green)]"
+            disabled={!!actionLoading}
+            onClick={() => doAction('resume', () => adminApi.resumeMatch(matchId))}
+          >
+            {actionLoading === 'resume' ? 'Resuming…' : 'Resume match'}
+          </AnimatedButton>
+        )}
+        {(match.engineState === 'RUNNING' || match.engineState === 'PAUSED') && (
+          <AnimatedButton
+            variant="ghost"
+            className="border-[var(--neon-cyan)] text-[var(--neon-cyan)]"
+            disabled={!!actionLoading}
+            onClick={() => doAction('freeze', () => adminApi.setScoreboardFreeze(matchId, !match.scoreboardFreeze))}
+          >
+            {actionLoading === 'freeze' ? 'Updating…' : match.scoreboardFreeze ? 'Unfreeze scoreboard' : 'Freeze scoreboard'}
+          </AnimatedButton>
+        )}
         <AnimatedButton
           variant="red"
           disabled={!!actionLoading}
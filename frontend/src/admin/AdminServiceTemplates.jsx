@@ -19,6 +19,12 @@ const DIFFICULTIES = [
   { value: 'expert', label: 'Expert' },
 ];
 
+const HEALTH_CHECK_TYPES = [
+  { value: 'http', label: 'HTTP' },
+  { value: 'tcp', label: 'TCP connect' },
+  { value: 'socket', label: 'Raw socket' },
+];
+
 const defaultForm = () => ({
   name: '',
   type: 'web',
@@ -32,6 +38,30 @@ const defaultForm = () => ({
   healthCheck: { type: 'http', endpoint: '/', expectedStatus: 200, interval: 30 },
 });
 
+/** "/tmp:64, /run:16" <-> [{ path, sizeMb }] and "nofile=1024:4096" <-> [{ name, soft, hard }] */
+function formatTmpfs(mounts) {
+  return (mounts || []).map((m) => `${m.path}:${m.sizeMb}`).join(', ');
+}
+
+function parseTmpfs(text) {
+  return text.split(',').map((p) => p.trim()).filter(Boolean).map((part) => {
+    const [path, sizeMb] = part.split(':').map((x) => x.trim());
+    return { path, sizeMb: Number(sizeMb) || 64 };
+  });
+}
+
+function formatUlimits(ulimits) {
+  return (ulimits || []).map((u) => `${u.name}=${u.soft}:${u.hard}`).join(', ');
+}
+
+function parseUlimits(text) {
+  return text.split(',').map((p) => p.trim()).filter(Boolean).map((part) => {
+    const [name, values = ''] = part.split('=').map((x) => x.trim());
+    const [soft, hard] = values.split(':').map(Number);
+    return { name, soft, hard: hard ?? soft };
+  });
+}
+
 function TemplateCard({ template, onEdit, onDelete }) {
   const [deleting, setDeleting] = useState(false);
   const handleDelete = async () => {
@@ -59,6 +89,11 @@ function TemplateCard({ template, onEdit, onDelete }) {
           </div>
           <p className="mt-2 font-mono text-xs text-[var(--neon-cyan)]">Docker: {template.dockerImage}</p>
           <p className="font-mono text-xs text-[var(--text-muted)]">Flag path: {template.flagPath}</p>
+          {Array.isArray(template.stack) && template.stack.length > 0 && (
+            <p className="font-mono text-xs text-[var(--text-muted)]">
+              Stack: {template.stack.map((c) => `${c.name} (${c.image})`).join(', ')}
+            </p>
+          )}
           {Array.isArray(template.vulnerabilities) && template.vulnerabilities.length > 0 && (
             <div className="mt-2">
               <p className="text-xs font-semibold text-[var(--text-primary)]">Vulnerabilities:</p>
@@ -89,6 +124,24 @@ function TemplateModal({ template, onClose, onSuccess }) {
   const [formData, setFormData] = useState(isEdit ? { ...defaultForm(), ...template } : defaultForm());
   const [useDockerfile, setUseDockerfile] = useState(!!(template?.dockerfile));
   const [vulnerabilityInput, setVulnerabilityInput] = useState('');
+  const [checkerOptions, setCheckerOptions] = useState(
+    template?.checker?.options ? JSON.stringify(template.checker.options, null, 2) : ''
+  );
+  const [extraPorts, setExtraPorts] = useState((template?.networkPolicy?.extraPorts || []).join(', '));
+  const [resources, setResources] = useState({
+    memoryMb: template?.resources?.memoryMb ?? '',
+    cpus: template?.resources?.cpus ?? '',
+    pidsLimit: template?.resources?.pidsLimit ?? '',
+    ulimits: formatUlimits(template?.resources?.ulimits),
+  });
+  const [stackJson, setStackJson] = useState(
+    Array.isArray(template?.stack) && template.stack.length ? JSON.stringify(template.stack, null, 2) : ''
+  );
+  const [hardening, setHardening] = useState({
+    capAdd: (template?.hardening?.capAdd || []).join(', '),
+    readOnlyRootfs: !!template?.hardening?.readOnlyRootfs,
+    tmpfs: formatTmpfs(template?.hardening?.tmpfs),
+  });
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState('');
 
@@ -117,6 +170,10 @@ function TemplateModal({ template, onClose, onSuccess }) {
     }
   };
 
+  const setHealthCheck = (patch) => {
+    setFormData((prev) => ({ ...prev, healthCheck: { ...(prev.healthCheck || {}), ...patch } }));
+  };
+
   const removeVulnerability = (index) => {
     setFormData((prev) => ({
       ...prev,
@@ -127,8 +184,32 @@ function TemplateModal({ template, onClose, onSuccess }) {
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    let parsedCheckerOptions = {};
+    if (checkerOptions.trim()) {
+      try {
+        parsedCheckerOptions = JSON.parse(checkerOptions);
+      } catch {
+        setError('Checker options must be valid JSON');
+        return;
+      }
+    }
+    let parsedStack = null;
+    if (stackJson.trim()) {
+      try {
+        parsedStack = JSON.parse(stackJson);
+      } catch {
+        setError('Stack must be valid JSON');
+        return;
+      }
+    }
+    const parsedExtraPorts = extraPorts.split(',').map((p) => p.trim()).filter(Boolean).map(Number);
+    if (parsedExtraPorts.some((p) => !Number.isInteger(p) || p < 1 || p > 65535)) {
+      setError('Extra ports must be comma-separated port numbers');
+      return;
+    }
     setSaving(true);
     try {
+      const checkerName = formData.checker?.name?.trim() || '';
       const payload = {
         name: formData.name.trim(),
         type: formData.type,
@@ -138,6 +219,22 @@ function TemplateModal({ template, onClose, onSuccess }) {
         vulnerabilities: formData.vulnerabilities || [],
         healthCheck: formData.healthCheck || { type: 'http', endpoint: '/', expectedStatus: 200, interval: 30 },
         environmentVars: formData.environmentVars && typeof formData.environmentVars === 'object' ? formData.environmentVars : {},
+        checker: checkerName ? { name: checkerName, options: parsedCheckerOptions } : null,
+        networkPolicy: formData.networkPolicy?.egress || parsedExtraPorts.length
+          ? { egress: !!formData.networkPolicy?.egress, extraPorts: parsedExtraPorts }
+          : null,
+        resources: {
+          memoryMb: resources.memoryMb === '' ? null : Number(resources.memoryMb),
+          cpus: resources.cpus === '' ? null : Number(resources.cpus),
+          pidsLimit: resources.pidsLimit === '' ? null : Number(resources.pidsLimit),
+          ulimits: parseUlimits(resources.ulimits),
+        },
+        hardening: {
+          capAdd: hardening.capAdd.split(',').map((c) => c.trim()).filter(Boolean),
+          readOnlyRootfs: hardening.readOnlyRootfs,
+          tmpfs: parseTmpfs(hardening.tmpfs),
+        },
+        stack: parsedStack,
       };
       if (!useDockerfile) payload.dockerImage = formData.dockerImage?.trim() || '';
       else if (formData.dockerfile) payload.dockerfile = formData.dockerfile;
@@ -275,6 +372,186 @@ function TemplateModal({ template, onClose, onSuccess }) {
                 />
               </div>
             </div>
+            <div>
+              <label className="block font-mono text-xs text-[var(--text-muted)] mb-2">Health Check</label>
+              <div className="grid grid-cols-3 gap-4">
+                <select
+                  value={formData.healthCheck?.type || 'http'}
+                  onChange={(e) => setHealthCheck({ type: e.target.value })}
+                  className="w-full rounded-lg border border-[var(--border)] bg-[var(--bg-primary)] px-3 py-2 font-mono text-sm text-[var(--text-primary)]"
+                >
+                  {HEALTH_CHECK_TYPES.map((t) => (
+                    <option key={t.value} value={t.value}>{t.label}</option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  min={1}
+                  max={65535}
+                  placeholder={`Port (${formData.port})`}
+                  value={formData.healthCheck?.port ?? ''}
+                  onChange={(e) => setHealthCheck({ port: e.target.value ? parseInt(e.target.value, 10) : undefined })}
+                  className="w-full rounded-lg border border-[var(--border)] bg-[var(--bg-primary)] px-3 py-2 font-mono text-sm text-[var(--text-primary)]"
+                />
+                <input
+                  type="number"
+                  min={100}
+                  max={10000}
+                  placeholder="Timeout ms (2000)"
+                  value={formData.healthCheck?.timeoutMs ?? ''}
+                  onChange={(e) => setHealthCheck({ timeoutMs: e.target.value ? parseInt(e.target.value, 10) : undefined })}
+                  className="w-full rounded-lg border border-[var(--border)] bg-[var(--bg-primary)] px-3 py-2 font-mono text-sm text-[var(--text-primary)]"
+                />
+              </div>
+              {(formData.healthCheck?.type || 'http') === 'http' && (
+                <div className="grid grid-cols-3 gap-4 mt-2">
+                  <input
+                    type="text"
+                    placeholder="Path (/)"
+                    value={formData.healthCheck?.endpoint ?? ''}
+                    onChange={(e) => setHealthCheck({ endpoint: e.target.value })}
+                    className="w-full rounded-lg border border-[var(--border)] bg-[var(--bg-primary)] px-3 py-2 font-mono text-sm text-[var(--text-primary)]"
+                  />
+                  <input
+                    type="number"
+                    min={100}
+                    max={599}
+                    placeholder="Status (200)"
+                    value={formData.healthCheck?.expectedStatus ?? ''}
+                    onChange={(e) => setHealthCheck({ expectedStatus: e.target.value ? parseInt(e.target.value, 10) : undefined })}
+                    className="w-full rounded-lg border border-[var(--border)] bg-[var(--bg-primary)] px-3 py-2 font-mono text-sm text-[var(--text-primary)]"
+                  />
+                  <input
+                    type="text"
+                    placeholder="Body contains"
+                    value={formData.healthCheck?.bodyContains ?? ''}
+                    onChange={(e) => setHealthCheck({ bodyContains: e.target.value })}
+                    className="w-full rounded-lg border border-[var(--border)] bg-[var(--bg-primary)] px-3 py-2 font-mono text-sm text-[var(--text-primary)]"
+                  />
+                </div>
+              )}
+              {formData.healthCheck?.type === 'socket' && (
+                <div className="grid grid-cols-2 gap-4 mt-2">
+                  <input
+                    type="text"
+                    placeholder="Send on connect (optional)"
+                    value={formData.healthCheck?.send ?? ''}
+                    onChange={(e) => setHealthCheck({ send: e.target.value })}
+                    className="w-full rounded-lg border border-[var(--border)] bg-[var(--bg-primary)] px-3 py-2 font-mono text-sm text-[var(--text-primary)]"
+                  />
+                  <input
+                    type="text"
+                    placeholder="Expect reply containing"
+                    value={formData.healthCheck?.expect ?? ''}
+                    onChange={(e) => setHealthCheck({ expect: e.target.value })}
+                    className="w-full rounded-lg border border-[var(--border)] bg-[var(--bg-primary)] px-3 py-2 font-mono text-sm text-[var(--text-primary)]"
+                  />
+                </div>
+              )}
+            </div>
+            <div>
+              <label className="block font-mono text-xs text-[var(--text-muted)] mb-1">SLA Checker (optional)</label>
+              <input
+                type="text"
+                placeholder="Checker module, e.g. http-kv"
+                value={formData.checker?.name ?? ''}
+                onChange={(e) => setFormData((f) => ({ ...f, checker: { ...(f.checker || {}), name: e.target.value } }))}
+                className="w-full rounded-lg border border-[var(--border)] bg-[var(--bg-primary)] px-3 py-2 font-mono text-sm text-[var(--text-primary)]"
+              />
+              {formData.checker?.name?.trim() && (
+                <textarea
+                  rows={4}
+                  placeholder='Options JSON, e.g. {"putPath": "/notes", "getPath": "/notes/{id}"}'
+                  value={checkerOptions}
+                  onChange={(e) => setCheckerOptions(e.target.value)}
+                  className="mt-2 w-full rounded-lg border border-[var(--border)] bg-[var(--bg-primary)] px-3 py-2 font-mono text-xs text-[var(--text-primary)]"
+                />
+              )}
+            </div>
+            <div>
+              <label className="block font-mono text-xs text-[var(--text-muted)] mb-1">Network policy</label>
+              <input
+                type="text"
+                placeholder="Extra reachable ports besides the service port, e.g. 8081, 9000"
+                value={extraPorts}
+                onChange={(e) => setExtraPorts(e.target.value)}
+                className="w-full rounded-lg border border-[var(--border)] bg-[var(--bg-primary)] px-3 py-2 font-mono text-sm text-[var(--text-primary)]"
+              />
+              <label className="mt-2 flex items-center gap-2 font-mono text-xs text-[var(--text-muted)]">
+                <input
+                  type="checkbox"
+                  checked={!!formData.networkPolicy?.egress}
+                  onChange={(e) => setFormData((f) => ({ ...f, networkPolicy: { ...(f.networkPolicy || {}), egress: e.target.checked } }))}
+                />
+                Allow outbound internet access
+              </label>
+            </div>
+            <div>
+              <label className="block font-mono text-xs text-[var(--text-muted)] mb-1">Resources (empty = engine default)</label>
+              <div className="grid grid-cols-3 gap-2">
+                {[
+                  ['memoryMb', 'Memory MB (512)'],
+                  ['cpus', 'CPUs (0.5)'],
+                  ['pidsLimit', 'Processes (100)'],
+                ].map(([field, placeholder]) => (
+                  <input
+                    key={field}
+                    type="number"
+                    min={0}
+                    step={field === 'cpus' ? 0.1 : 1}
+                    placeholder={placeholder}
+                    value={resources[field]}
+                    onChange={(e) => setResources((r) => ({ ...r, [field]: e.target.value }))}
+                    className="w-full rounded-lg border border-[var(--border)] bg-[var(--bg-primary)] px-3 py-2 font-mono text-sm text-[var(--text-primary)]"
+                  />
+                ))}
+              </div>
+              <input
+                type="text"
+                placeholder="Ulimits, e.g. nofile=1024:4096"
+                value={resources.ulimits}
+                onChange={(e) => setResources((r) => ({ ...r, ulimits: e.target.value }))}
+                className="mt-2 w-full rounded-lg border border-[var(--border)] bg-[var(--bg-primary)] px-3 py-2 font-mono text-sm text-[var(--text-primary)]"
+              />
+            </div>
+            <div>
+              <label className="block font-mono text-xs text-[var(--text-muted)] mb-1">Hardening</label>
+              <input
+                type="text"
+                placeholder="Capabilities to add, e.g. NET_BIND_SERVICE"
+                value={hardening.capAdd}
+                onChange={(e) => setHardening((h) => ({ ...h, capAdd: e.target.value }))}
+                className="w-full rounded-lg border border-[var(--border)] bg-[var(--bg-primary)] px-3 py-2 font-mono text-sm text-[var(--text-primary)]"
+              />
+              <input
+                type="text"
+                placeholder="tmpfs mounts path:MB, e.g. /tmp:64, /run:16"
+                value={hardening.tmpfs}
+                onChange={(e) => setHardening((h) => ({ ...h, tmpfs: e.target.value }))}
+                className="mt-2 w-full rounded-lg border border-[var(--border)] bg-[var(--bg-primary)] px-3 py-2 font-mono text-sm text-[var(--text-primary)]"
+              />
+              <label className="mt-2 flex items-center gap-2 font-mono text-xs text-[var(--text-muted)]">
+                <input
+                  type="checkbox"
+                  checked={hardening.readOnlyRootfs}
+                  onChange={(e) => setHardening((h) => ({ ...h, readOnlyRootfs: e.target.checked }))}
+                />
+                Read-only root filesystem (flag path must be on a tmpfs mount)
+              </label>
+            </div>
+            <div>
+              <label className="block font-mono text-xs text-[var(--text-muted)] mb-1">Stack components (optional)</label>
+              <textarea
+                rows={4}
+                placeholder='[{"name": "db", "image": "postgres:16", "environmentVars": {"POSTGRES_PASSWORD": "ctf"}, "healthCheck": {"command": "pg_isready -U postgres"}}]'
+                value={stackJson}
+                onChange={(e) => setStackJson(e.target.value)}
+                className="w-full rounded-lg border border-[var(--border)] bg-[var(--bg-primary)] px-3 py-2 font-mono text-xs text-[var(--text-primary)]"
+              />
+              <p className="mt-1 font-mono text-xs text-[var(--text-dim)]">
+                Extra containers on a private network, reachable by name (the service is &quot;app&quot;). dependsOn waits for health checks.
+              </p>
+            </div>
             <div>
               <label className="block font-mono text-xs text-[var(--text-muted)] mb-1">Vulnerabilities</label>
               <div className="flex gap-2 mb-2">
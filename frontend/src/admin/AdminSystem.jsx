@@ -7,6 +7,54 @@ import { adminApi } from '../api/client';
 
 const POLL_MS = 10_000;
 
+const SCORING_FIELDS = [
+  { key: 'flagPoints', label: 'Flag' },
+  { key: 'uptimePoints', label: 'Uptime' },
+  { key: 'downtimePenalty', label: 'Downtime' },
+  { key: 'defencePoints', label: 'Defence' },
+  { key: 'firstBloodBonus', label: 'First blood' },
+  { key: 'resetPenalty', label: 'Reset' },
+];
+
+/** "web:2, db:0.5" <-> { web: 2, db: 0.5 } */
+function formatWeights(weights) {
+  return Object.entries(weights || {}).map(([id, w]) => `${id}:${w}`).join(', ');
+}
+
+function parseWeights(text) {
+  const weights = {};
+  for (const part of String(text || '').split(',')) {
+    const [id, w] = part.split(':').map((x) => x.trim());
+    if (id && w !== undefined && w !== '') weights[id] = Number(w);
+  }
+  return weights;
+}
+
+/** Container limits with the list fields as editable text ("NET_BIND_SERVICE, CHOWN", "nofile=65536") */
+function toLimitsForm(limits) {
+  return {
+    ...limits,
+    allowedCapabilities: (limits.allowedCapabilities || []).join(', '),
+    maxUlimits: Object.entries(limits.maxUlimits || {}).map(([name, max]) => `${name}=${max}`).join(', '),
+  };
+}
+
+function fromLimitsForm(form) {
+  const maxUlimits = {};
+  for (const part of String(form.maxUlimits || '').split(',')) {
+    const [name, max] = part.split('=').map((x) => x.trim());
+    if (name && max !== undefined && max !== '') maxUlimits[name] = Number(max);
+  }
+  return {
+    maxMemoryMb: Number(form.maxMemoryMb),
+    maxCpus: Number(form.maxCpus),
+    maxPids: Number(form.maxPids),
+    maxTmpfsMb: Number(form.maxTmpfsMb),
+    allowedCapabilities: String(form.allowedCapabilities || '').split(',').map((c) => c.trim()).filter(Boolean),
+    maxUlimits,
+  };
+}
+
 function StatusRow({ label, status, ok, lastChecked }) {
   return (
     <div className="flex items-center justify-between py-3 border-b border-[var(--border)] last:border-0">
@@ -42,9 +90,16 @@ export default function AdminSystem() {
   const [seasons, setSeasons] = useState([]);
   const [achievements, setAchievements] = useState([]);
   const [difficultyPresets, setDifficultyPresets] = useState([]);
+  const [scoringProfiles, setScoringProfiles] = useState([]);
+  const [scoringError, setScoringError] = useState(null);
+  const [containerLimits, setContainerLimits] = useState(null);
+  const [containerLimitsError, setContainerLimitsError] = useState(null);
   const [customMatchTeamA, setCustomMatchTeamA] = useState('');
   const [customMatchTeamB, setCustomMatchTeamB] = useState('');
   const [customMatchDifficulty, setCustomMatchDifficulty] = useState('medium');
+  const [customMatchScoringProfile, setCustomMatchScoringProfile] = useState('');
+  const [customMatchDuration, setCustomMatchDuration] = useState('');
+  const [customMatchOvertime, setCustomMatchOvertime] = useState('');
   const [sysError, setSysError] = useState(null);
   const [sysLoading, setSysLoading] = useState(null);
 
@@ -57,6 +112,8 @@ export default function AdminSystem() {
         backend: 'Connected',
         engine: engineOk ? 'Connected' : 'Unreachable',
         engineOk,
+        engineStatus: overview?.engineStatus ?? null,
+        engineNodes: overview?.engineNodes ?? [],
         lastChecked: new Date().toISOString(),
         loading: false,
         error: null,
@@ -66,6 +123,8 @@ export default function AdminSystem() {
         backend: 'Disconnected',
         engine: 'Unknown',
         engineOk: false,
+        engineStatus: null,
+        engineNodes: [],
         lastChecked: new Date().toISOString(),
         loading: false,
         error: err instanceof Error ? err.message : 'Failed to fetch',
@@ -87,8 +146,12 @@ export default function AdminSystem() {
     adminApi.getSeasons().then(setSeasons).catch(() => []);
     adminApi.getAchievements().then(setAchievements).catch(() => []);
     adminApi.getDifficultyPresets().then(setDifficultyPresets).catch(() => []);
+    adminApi.getScoringProfiles().then(setScoringProfiles).catch(() => []);
+    adminApi.getContainerLimits().then((l) => setContainerLimits(toLimitsForm(l))).catch(() => {});
   }, []);
 
+  const formatMs = (ms) => (ms == null ? '—' : ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`);
+
   const formatTime = (iso) => {
     if (!iso) return '—';
     const d = new Date(iso);
@@ -140,6 +203,44 @@ export default function AdminSystem() {
               ok={health.engineOk === true}
             />
           </div>
+          {health.engineStatus && (
+            <div className="font-mono text-xs text-[var(--text-muted)] mt-4 space-y-1">
+              <p>
+                Matches: {health.engineStatus.activeMatches} / {health.engineStatus.maxConcurrentMatches}
+                {' · '}Provisioning avg: cold {formatMs(health.engineStatus.provisioning?.cold?.avgMs)}
+                {' '}({health.engineStatus.provisioning?.cold?.count ?? 0}), warm {formatMs(health.engineStatus.provisioning?.warm?.avgMs)}
+                {' '}({health.engineStatus.provisioning?.warm?.count ?? 0})
+              </p>
+              {health.engineStatus.warmPool?.enabled ? (
+                <>
+                  <p>
+                    Warm pool: {health.engineStatus.warmPool.size} per template · hits {health.engineStatus.warmPool.hits} · misses {health.engineStatus.warmPool.misses}
+                  </p>
+                  {health.engineStatus.warmPool.templates.map((t) => (
+                    <p key={t.templateId} className="text-[var(--text-dim)]">
+                      {t.image} — {t.ready}/{health.engineStatus.warmPool.size} ready, {t.uses} uses
+                    </p>
+                  ))}
+                </>
+              ) : (
+                <p className="text-[var(--text-dim)]">Warm pool disabled (WARM_POOL_SIZE=0)</p>
+              )}
+            </div>
+          )}
+          {health.engineNodes?.length > 0 && (
+            <div className="font-mono text-xs text-[var(--text-muted)] mt-4 space-y-1">
+              <p>Engine nodes (matches are placed on the least loaded live node):</p>
+              {health.engineNodes.map((n) => (
+                <p key={n.engineId} className="flex flex-wrap gap-3">
+                  <span style={{ color: n.live ? 'var(--neon-green)' : 'var(--neon-red)' }}>{n.live ? 'live' : 'stale'}</span>
+                  <span className="text-[var(--text-primary)]">{n.engineId}</span>
+                  <span className="text-[var(--text-dim)]">{n.url}</span>
+                  <span>{n.activeMatches} / {n.maxConcurrentMatches} matches</span>
+                  {n.draining && <span className="text-[var(--neon-amber)]">draining</span>}
+                </p>
+              ))}
+            </div>
+          )}
           <p className="font-mono text-xs text-[var(--text-dim)] mt-4">
             Auto-refresh every {POLL_MS / 1000}s. Backend = API server. Match engine = data plane (Docker, scoring).
           </p>
@@ -604,6 +705,178 @@ export default function AdminSystem() {
         </div>
       </NeonCard>
 
+      {/* Scoring profiles */}
+      <NeonCard glow="cyan" className="p-5 space-y-4">
+        <h2 className="font-heading text-sm font-semibold text-[var(--text-muted)]">Scoring profiles</h2>
+        <p className="font-mono text-xs text-[var(--text-dim)]">
+          Points sent to the engine at match start. Empty fields use engine defaults. Matches use their named profile, else the default.
+        </p>
+        <ul className="font-mono text-sm space-y-3">
+          {scoringProfiles.map((p, i) => {
+            const update = (patch) => setScoringProfiles((prev) => prev.map((x, j) => (j === i ? { ...x, ...patch } : x)));
+            return (
+              <li key={i} className="space-y-2 border-b border-[var(--border)] pb-3 last:border-0">
+                <div className="flex items-center gap-2 flex-wrap">
+                  <input
+                    type="text"
+                    value={p.name ?? ''}
+                    onChange={(e) => update({ name: e.target.value })}
+                    className="w-36 rounded border border-[var(--border)] bg-[var(--bg-secondary)] px-2 py-1 text-[var(--text-primary)]"
+                    placeholder="Name"
+                  />
+                  <label className="flex items-center gap-1 text-xs text-[var(--text-muted)]">
+                    <input
+                      type="checkbox"
+                      checked={!!p.isDefault}
+                      onChange={(e) => setScoringProfiles((prev) => prev.map((x, j) => ({ ...x, isDefault: j === i ? e.target.checked : false })))}
+                    />
+                    Default
+                  </label>
+                  <button
+                    type="button"
+                    className="text-[var(--neon-red)] text-xs hover:underline"
+                    onClick={() => setScoringProfiles((prev) => prev.filter((_, j) => j !== i))}
+                  >
+                    Remove
+                  </button>
+                </div>
+                <div className="flex items-center gap-2 flex-wrap">
+                  {SCORING_FIELDS.map(({ key, label }) => (
+                    <label key={key} className="flex items-center gap-1 text-xs text-[var(--text-muted)]">
+                      {label}
+                      <input
+                        type="number"
+                        value={typeof p[key] === 'number' ? p[key] : ''}
+                        onChange={(e) => update({ [key]: e.target.value === '' ? undefined : Number(e.target.value) })}
+                        className="w-16 rounded border border-[var(--border)] bg-[var(--bg-secondary)] px-2 py-1 text-[var(--text-primary)]"
+                        placeholder="—"
+                      />
+                    </label>
+                  ))}
+                  <label className="flex items-center gap-1 text-xs text-[var(--text-muted)]">
+                    Flag value
+                    <select
+                      value={p.flagScaling?.mode ?? 'flat'}
+                      onChange={(e) => update({ flagScaling: { ...p.flagScaling, mode: e.target.value } })}
+                      className="rounded border border-[var(--border)] bg-[var(--bg-secondary)] px-2 py-1 text-[var(--text-primary)]"
+                    >
+                      <option value="flat">Flat</option>
+                      <option value="dynamic">Fewer exploits = more points</option>
+                    </select>
+                  </label>
+                  <label className="flex items-center gap-1 text-xs text-[var(--text-muted)]">
+                    Decay/tick
+                    <input
+                      type="number"
+                      min={0}
+                      max={1}
+                      step={0.05}
+                      value={p.flagDecay?.rate ?? ''}
+                      onChange={(e) => update({ flagDecay: e.target.value === '' ? undefined : { ...p.flagDecay, rate: Number(e.target.value) } })}
+                      className="w-16 rounded border border-[var(--border)] bg-[var(--bg-secondary)] px-2 py-1 text-[var(--text-primary)]"
+                      placeholder="0"
+                    />
+                  </label>
+                </div>
+                <input
+                  type="text"
+                  defaultValue={formatWeights(p.serviceWeights)}
+                  onBlur={(e) => update({ serviceWeights: parseWeights(e.target.value) })}
+                  className="w-full rounded border border-[var(--border)] bg-[var(--bg-secondary)] px-2 py-1 text-[var(--text-primary)]"
+                  placeholder="Service weights (templateId:weight, ...)"
+                />
+              </li>
+            );
+          })}
+        </ul>
+        {scoringError && <p className="font-mono text-xs text-[var(--neon-red)]">{scoringError}</p>}
+        <div className="flex gap-2">
+          <button
+            type="button"
+            className="px-3 py-1.5 rounded border border-[var(--neon-amber)] text-[var(--neon-amber)] text-sm font-mono"
+            onClick={() => setScoringProfiles((prev) => [...prev, { name: 'New profile', isDefault: false }])}
+          >
+            Add profile
+          </button>
+          <button
+            type="button"
+            className="px-3 py-1.5 rounded border border-[var(--neon-cyan)] text-[var(--neon-cyan)] text-sm font-mono"
+            onClick={() => {
+              setScoringError(null);
+              adminApi
+                .setScoringProfiles(scoringProfiles)
+                .then(setScoringProfiles)
+                .catch((err) => setScoringError(err instanceof Error ? err.message : 'Failed to save profiles'));
+            }}
+          >
+            Save profiles
+          </button>
+        </div>
+      </NeonCard>
+
+      {/* Container limits */}
+      {containerLimits && (
+        <NeonCard glow="purple" className="p-5 space-y-4">
+          <h2 className="font-heading text-sm font-semibold text-[var(--text-muted)]">Container limits</h2>
+          <p className="font-mono text-xs text-[var(--text-dim)]">
+            Maximums for service template resources and hardening. Checked when a template is saved.
+          </p>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 font-mono text-xs">
+            {[
+              ['maxMemoryMb', 'Memory (MB)'],
+              ['maxCpus', 'CPUs'],
+              ['maxPids', 'Processes'],
+              ['maxTmpfsMb', 'tmpfs total (MB)'],
+            ].map(([field, label]) => (
+              <label key={field} className="text-[var(--text-dim)]">
+                {label}
+                <input
+                  type="number"
+                  min={0}
+                  step={field === 'maxCpus' ? 0.1 : 1}
+                  value={containerLimits[field] ?? ''}
+                  onChange={(e) => setContainerLimits((prev) => ({ ...prev, [field]: e.target.value }))}
+                  className="mt-1 w-full rounded border border-[var(--border)] bg-[var(--bg-secondary)] px-2 py-1 text-[var(--text-primary)]"
+                />
+              </label>
+            ))}
+          </div>
+          <label className="block font-mono text-xs text-[var(--text-dim)]">
+            Allowed capabilities (comma-separated)
+            <input
+              type="text"
+              value={containerLimits.allowedCapabilities}
+              onChange={(e) => setContainerLimits((prev) => ({ ...prev, allowedCapabilities: e.target.value }))}
+              className="mt-1 w-full rounded border border-[var(--border)] bg-[var(--bg-secondary)] px-2 py-1 text-sm text-[var(--text-primary)]"
+            />
+          </label>
+          <label className="block font-mono text-xs text-[var(--text-dim)]">
+            Maximum ulimits (name=hard, comma-separated)
+            <input
+              type="text"
+              value={containerLimits.maxUlimits}
+              onChange={(e) => setContainerLimits((prev) => ({ ...prev, maxUlimits: e.target.value }))}
+              placeholder="nofile=65536, nproc=1024"
+              className="mt-1 w-full rounded border border-[var(--border)] bg-[var(--bg-secondary)] px-2 py-1 text-sm text-[var(--text-primary)]"
+            />
+          </label>
+          {containerLimitsError && <p className="font-mono text-xs text-[var(--neon-red)]">{containerLimitsError}</p>}
+          <button
+            type="button"
+            className="px-3 py-1.5 rounded border border-[var(--neon-cyan)] text-[var(--neon-cyan)] text-sm font-mono"
+            onClick={() => {
+              setContainerLimitsError(null);
+              adminApi
+                .setContainerLimits(fromLimitsForm(containerLimits))
+                .then((l) => setContainerLimits(toLimitsForm(l)))
+                .catch((err) => setContainerLimitsError(err instanceof Error ? err.message : 'Failed to save limits'));
+            }}
+          >
+            Save limits
+          </button>
+        </NeonCard>
+      )}
+
       {/* Custom match */}
       <NeonCard glow="red" className="p-5 space-y-4">
         <h2 className="font-heading text-sm font-semibold text-[var(--text-muted)]">Custom match</h2>
@@ -631,13 +904,46 @@ export default function AdminSystem() {
           <option value="medium">Medium</option>
           <option value="hard">Hard</option>
         </select>
+        <select
+          value={customMatchScoringProfile}
+          onChange={(e) => setCustomMatchScoringProfile(e.target.value)}
+          className="rounded border border-[var(--border)] bg-[var(--bg-secondary)] px-3 py-2 font-mono text-sm text-[var(--text-primary)]"
+        >
+          <option value="">Default scoring</option>
+          {scoringProfiles.map((p) => (
+            <option key={p.name} value={p.name}>{p.name}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="1"
+          value={customMatchDuration}
+          onChange={(e) => setCustomMatchDuration(e.target.value)}
+          placeholder="Duration (minutes, default)"
+          className="rounded border border-[var(--border)] bg-[var(--bg-secondary)] px-3 py-2 font-mono text-sm text-[var(--text-primary)]"
+        />
+        <input
+          type="number"
+          min="0"
+          value={customMatchOvertime}
+          onChange={(e) => setCustomMatchOvertime(e.target.value)}
+          placeholder="Overtime ticks if tied"
+          className="rounded border border-[var(--border)] bg-[var(--bg-secondary)] px-3 py-2 font-mono text-sm text-[var(--text-primary)]"
+        />
         <button
           type="button"
           className="px-3 py-1.5 rounded border border-[var(--neon-red)] text-[var(--neon-red)] text-sm font-mono"
           onClick={() => {
             const teamA = customMatchTeamA.split(',').map((s) => s.trim()).filter(Boolean);
             const teamB = customMatchTeamB.split(',').map((s) => s.trim()).filter(Boolean);
-            adminApi.createCustomMatch({ teamA, teamB, difficulty: customMatchDifficulty }).then(() => { setCustomMatchTeamA(''); setCustomMatchTeamB(''); });
+            adminApi.createCustomMatch({
+              teamA,
+              teamB,
+              difficulty: customMatchDifficulty,
+              scoringProfile: customMatchScoringProfile || undefined,
+              durationMinutes: customMatchDuration || undefined,
+              overtimeTicks: customMatchOvertime || undefined,
+            }).then(() => { setCustomMatchTeamA(''); setCustomMatchTeamB(''); });
           }}
         >
           Create custom match
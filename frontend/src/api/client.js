@@ -48,6 +48,18 @@ export async function requestText(path, options = {}) {
   return res.text();
 }
 
+/** For binary downloads (e.g. PCAPs): same auth as request(), returns a Blob. */
+export async function requestBlob(path, options = {}) {
+  const headers = { ...options.headers };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const res = await fetch(`${BASE}${path}`, { ...options, headers });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || res.statusText);
+  }
+  return res.blob();
+}
+
 export const api = {
   getMe: () => request('/auth/me'),
   updateProfile: (body) => request('/auth/profile', { method: 'PATCH', body: JSON.stringify(body) }),
@@ -56,6 +68,22 @@ export const api = {
   leaveQueue: () => request('/queue/leave', { method: 'POST' }),
   startMatch: (matchId) => request('/match/start', { method: 'POST', body: JSON.stringify({ matchId }) }),
   endMatch: (matchId) => request('/match/end', { method: 'POST', body: JSON.stringify({ matchId }) }),
+  getMatchTimeline: (matchId) => request(`/match/${encodeURIComponent(matchId)}/timeline`),
+  submitFlag: (matchId, flag) => request(`/match/${encodeURIComponent(matchId)}/flag`, { method: 'POST', body: JSON.stringify({ flag }) }),
+  getFlagHistory: (matchId) => request(`/match/${encodeURIComponent(matchId)}/flags`),
+  execInService: (matchId, serviceId, command) =>
+    request(`/match/${encodeURIComponent(matchId)}/services/${encodeURIComponent(serviceId)}/exec`, { method: 'POST', body: JSON.stringify({ command }) }),
+  downloadServiceFile: (matchId, serviceId, path) =>
+    request(`/match/${encodeURIComponent(matchId)}/services/${encodeURIComponent(serviceId)}/files?path=${encodeURIComponent(path)}`),
+  uploadServiceFile: (matchId, serviceId, path, contentBase64) =>
+    request(`/match/${encodeURIComponent(matchId)}/services/${encodeURIComponent(serviceId)}/files`, { method: 'PUT', body: JSON.stringify({ path, content: contentBase64 }) }),
+  getCaptures: (matchId) => request(`/match/${encodeURIComponent(matchId)}/pcap`),
+  downloadCapture: (matchId, serviceId, tick) =>
+    requestBlob(`/match/${encodeURIComponent(matchId)}/pcap/${encodeURIComponent(serviceId)}/${tick}`),
+  restartService: (matchId, serviceId) =>
+    request(`/match/${encodeURIComponent(matchId)}/services/${encodeURIComponent(serviceId)}/restart`, { method: 'POST' }),
+  resetService: (matchId, serviceId) =>
+    request(`/match/${encodeURIComponent(matchId)}/services/${encodeURIComponent(serviceId)}/reset`, { method: 'POST' }),
   getAnnouncement: () => requestPublic('/api/announcement'),
   getFeatureFlags: () => requestPublic('/api/feature-flags'),
   getLeaderboard: (limit) => requestPublic(`/api/leaderboard?limit=${limit ?? 50}`),
@@ -86,7 +114,12 @@ export const adminApi = {
   getMatches: () => request('/admin/matches'),
   getMatch: (id) => request(`/admin/match/${id}`),
   stopMatch: (id) => request(`/admin/match/${id}/stop`, { method: 'POST' }),
+  pauseMatch: (id, reason) => request(`/admin/match/${id}/pause`, { method: 'POST', body: JSON.stringify({ reason }) }),
+  resumeMatch: (id) => request(`/admin/match/${id}/resume`, { method: 'POST' }),
+  setScoreboardFreeze: (id, frozen) =>
+    request(`/admin/match/${id}/scoreboard-freeze`, { method: 'POST', body: JSON.stringify({ frozen }) }),
   markMatchInvalid: (id) => request(`/admin/match/${id}/invalid`, { method: 'POST' }),
+  getMatchServiceActions: (id) => request(`/admin/match/${id}/service-actions`),
   deleteMatch: (id) => request(`/admin/match/${id}/delete`, { method: 'POST' }),
   getPlayers: () => request('/admin/players'),
   getUser: (uid) => request(`/admin/user/${uid}`),
@@ -132,6 +165,10 @@ export const adminApi = {
   createCustomMatch: (body) => request('/admin/match/create', { method: 'POST', body: JSON.stringify(body) }),
   getDifficultyPresets: () => request('/admin/difficulty-presets'),
   setDifficultyPresets: (presets) => request('/admin/difficulty-presets', { method: 'PUT', body: JSON.stringify(Array.isArray(presets) ? presets : { presets }) }),
+  getScoringProfiles: () => request('/admin/scoring-profiles'),
+  setScoringProfiles: (profiles) => request('/admin/scoring-profiles', { method: 'PUT', body: JSON.stringify({ profiles }) }),
+  getContainerLimits: () => request('/admin/container-limits'),
+  setContainerLimits: (limits) => request('/admin/container-limits', { method: 'PUT', body: JSON.stringify(limits) }),
   getMaintenanceConfig: () => request('/admin/maintenance/config'),
   setMaintenanceEndTime: (endTime) => request('/admin/maintenance/end-time', { method: 'PATCH', body: JSON.stringify({ endTime }) }),
   broadcast: (message) => request('/admin/broadcast', { method: 'POST', body: JSON.stringify({ message }) }),
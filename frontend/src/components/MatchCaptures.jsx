@@ -0,0 +1,94 @@
+import { useState, useEffect, useCallback } from 'react';
+import { api } from '../api/client';
+
+const RECENT_TICKS = 10;
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Per-tick packet captures of the player's own team services, newest first.
+ * Renders nothing when the match runs without packet capture.
+ */
+export function MatchCaptures({ matchId }) {
+  const [services, setServices] = useState(null);
+  const [error, setError] = useState(null);
+  const [downloading, setDownloading] = useState('');
+
+  const loadCaptures = useCallback(() => {
+    if (!matchId) return;
+    api
+      .getCaptures(matchId)
+      .then((data) => {
+        setServices(data.services || []);
+        setError(null);
+      })
+      .catch((err) => {
+        setServices(null);
+        setError(err.status === 404 ? null : err.message || 'Failed to load captures');
+      });
+  }, [matchId]);
+
+  useEffect(() => {
+    loadCaptures();
+  }, [loadCaptures]);
+
+  const handleDownload = async (serviceId, tick) => {
+    setDownloading(`${serviceId}:${tick}`);
+    try {
+      const blob = await api.downloadCapture(matchId, serviceId, tick);
+      const a = document.createElement('a');
+      a.href = URL.createObjectURL(blob);
+      a.download = `${serviceId}-tick-${tick}.pcap`;
+      a.click();
+      URL.revokeObjectURL(a.href);
+    } catch (err) {
+      setError(err.message || 'Download failed');
+    } finally {
+      setDownloading('');
+    }
+  };
+
+  if (!services && !error) return null;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <h2 className="font-heading text-lg font-semibold text-[var(--text-primary)]">Packet captures</h2>
+        <button
+          type="button"
+          onClick={loadCaptures}
+          className="px-2 py-0.5 rounded border border-[var(--neon-cyan)] text-[var(--neon-cyan)] font-mono text-xs"
+        >
+          Refresh
+        </button>
+      </div>
+      {error && <p className="font-mono text-xs text-[var(--neon-red)]">{error}</p>}
+      {(services || []).map((s) => (
+        <div key={s.serviceId} className="font-mono text-xs">
+          <p className="text-[var(--text-muted)] mb-1">{s.serviceId}</p>
+          {s.captures.length === 0 ? (
+            <p className="text-[var(--text-dim)]">No captures yet.</p>
+          ) : (
+            <div className="flex flex-wrap gap-2">
+              {s.captures.slice(-RECENT_TICKS).reverse().map((c) => (
+                <button
+                  key={c.tick}
+                  type="button"
+                  disabled={downloading === `${s.serviceId}:${c.tick}`}
+                  onClick={() => handleDownload(s.serviceId, c.tick)}
+                  className="px-2 py-1 rounded border border-[var(--border)] text-[var(--text-primary)] hover:border-[var(--neon-cyan)] disabled:opacity-50"
+                >
+                  tick {c.tick} · {formatSize(c.size)}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+const PHASE_LABELS = {
+  pending: 'waiting',
+  running: 'working',
+  retrying: 'retrying',
+  pulling: 'pulling image',
+  creating: 'creating',
+  starting: 'starting',
+  ready: 'ready',
+  flag_planted: 'flag planted',
+  done: 'done',
+  failed: 'failed',
+};
+
+function phaseColor(phase) {
+  if (phase === 'failed') return 'var(--neon-red)';
+  if (phase === 'done' || phase === 'flag_planted') return 'var(--neon-green)';
+  if (phase === 'pending') return 'var(--text-dim)';
+  return 'var(--neon-cyan)';
+}
+
+const GROUPS = [
+  { key: null, title: 'Match' },
+  { key: 'teamA', title: 'Team A' },
+  { key: 'teamB', title: 'Team B' },
+];
+
+/**
+ * Loading screen while the engine provisions the match: overall progress and the phase
+ * of every step (network, each team service, jump boxes), as relayed over the match socket.
+ */
+export function MatchProvisioning({ job }) {
+  const percent = job.total ? Math.round((job.done / job.total) * 100) : 0;
+  const barColor = job.status === 'failed' ? 'var(--neon-red)' : 'var(--neon-cyan)';
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between font-mono text-xs">
+        <span className="text-[var(--text-muted)]">
+          {job.status === 'failed' ? 'Provisioning failed' : 'Preparing match environment…'}
+        </span>
+        <span className="text-[var(--text-dim)]">
+          {job.done}/{job.total} · {percent}%
+        </span>
+      </div>
+      <div className="h-2 rounded bg-[var(--bg-secondary)] overflow-hidden">
+        <div className="h-full transition-all" style={{ width: `${percent}%`, backgroundColor: barColor }} />
+      </div>
+      {job.error && <p className="font-mono text-xs text-[var(--neon-red)]">{job.error}</p>}
+      <div className="grid gap-4 md:grid-cols-3">
+        {GROUPS.map((group) => {
+          const steps = job.steps.filter((s) => (s.teamId ?? null) === group.key);
+          if (steps.length === 0) return null;
+          return (
+            <div key={group.title} className="font-mono text-xs space-y-1">
+              <p className="uppercase text-[var(--text-muted)] mb-1">{group.title}</p>
+              {steps.map((s) => (
+                <p key={s.id} className="flex justify-between gap-2">
+                  <span className="text-[var(--text-primary)] truncate">{s.label}</span>
+                  <span style={{ color: phaseColor(s.phase) }}>
+                    {PHASE_LABELS[s.phase] ?? s.phase}
+                    {s.attempts > 1 && s.phase !== 'failed' ? ` (try ${s.attempts})` : ''}
+                  </span>
+                </p>
+              ))}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
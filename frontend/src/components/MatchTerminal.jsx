@@ -0,0 +1,116 @@
+import { useEffect, useRef, useState } from 'react';
+import { Terminal } from 'xterm';
+import { FitAddon } from 'xterm-addon-fit';
+import 'xterm/css/xterm.css';
+import {
+  openTerminal,
+  sendTerminalInput,
+  resizeTerminal,
+  closeTerminal,
+  onTerminalEvent,
+  offTerminalEvent,
+} from '../socket/socket';
+
+/**
+ * Terminal on the player's team jump box, relayed over the match socket.
+ * Mount only while the match is running and the socket is connected.
+ */
+export function MatchTerminal({ matchId }) {
+  const containerRef = useRef(null);
+  const termRef = useRef(null);
+  const [status, setStatus] = useState('connecting');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!matchId || !containerRef.current) return undefined;
+
+    const term = new Terminal({
+      cursorBlink: true,
+      fontFamily: 'ui-monospace, SFMono-Regular, Menlo, monospace',
+      fontSize: 13,
+      theme: { background: '#0a0e14' },
+    });
+    const fit = new FitAddon();
+    term.loadAddon(fit);
+    term.open(containerRef.current);
+    fit.fit();
+    termRef.current = term;
+
+    const handleReady = () => {
+      setStatus('connected');
+      setError(null);
+      term.focus();
+    };
+    const handleData = (chunk) => term.write(chunk);
+    const handleExit = () => {
+      setStatus('closed');
+      term.write('\r\n[session closed]\r\n');
+    };
+    const handleError = (payload) => {
+      setStatus('closed');
+      setError(payload?.error || 'Terminal unavailable');
+    };
+    onTerminalEvent('terminal_ready', handleReady);
+    onTerminalEvent('terminal_data', handleData);
+    onTerminalEvent('terminal_exit', handleExit);
+    onTerminalEvent('terminal_error', handleError);
+
+    const input = term.onData(sendTerminalInput);
+    const resize = term.onResize(({ cols, rows }) => resizeTerminal(cols, rows));
+    const observer = new ResizeObserver(() => fit.fit());
+    observer.observe(containerRef.current);
+
+    openTerminal(matchId, term.cols, term.rows);
+
+    return () => {
+      observer.disconnect();
+      input.dispose();
+      resize.dispose();
+      offTerminalEvent('terminal_ready', handleReady);
+      offTerminalEvent('terminal_data', handleData);
+      offTerminalEvent('terminal_exit', handleExit);
+      offTerminalEvent('terminal_error', handleError);
+      closeTerminal();
+      termRef.current = null;
+      term.dispose();
+    };
+  }, [matchId]);
+
+  const handleReconnect = () => {
+    const term = termRef.current;
+    if (!term) return;
+    setStatus('connecting');
+    setError(null);
+    term.reset();
+    openTerminal(matchId, term.cols, term.rows);
+  };
+
+  const statusColor =
+    status === 'connected' ? 'var(--neon-green)' :
+    status === 'closed' ? 'var(--neon-red)' :
+    'var(--neon-cyan)';
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between font-mono text-xs">
+        <span className="text-[var(--text-muted)]">Team jump box</span>
+        <span className="flex items-center gap-3">
+          <span style={{ color: statusColor }}>{error || status}</span>
+          {status === 'closed' && (
+            <button
+              type="button"
+              onClick={handleReconnect}
+              className="px-2 py-0.5 rounded border border-[var(--neon-cyan)] text-[var(--neon-cyan)]"
+            >
+              Reconnect
+            </button>
+          )}
+        </span>
+      </div>
+      <div
+        ref={containerRef}
+        className="h-80 rounded border border-[var(--border)] bg-[#0a0e14] p-2 overflow-hidden"
+      />
+    </div>
+  );
+}
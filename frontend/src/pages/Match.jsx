@@ -1,26 +1,80 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useParams } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { NeonCard } from '../components/NeonCard';
-import { connectMatchSocket, disconnectMatchSocket, joinMatch, onMatchState, offMatchState } from '../socket/socket';
+import { MatchTerminal } from '../components/MatchTerminal';
+import { MatchCaptures } from '../components/MatchCaptures';
+import { MatchProvisioning } from '../components/MatchProvisioning';
+import {
+  connectMatchSocket,
+  disconnectMatchSocket,
+  joinMatch,
+  onMatchState,
+  offMatchState,
+  onMatchProvisioning,
+  offMatchProvisioning,
+} from '../socket/socket';
 import { auth } from '../firebase/config';
+import { api } from '../api/client';
+
+function formatSubmittedAt(ms) {
+  if (!ms) return '—';
+  return new Date(ms).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false });
+}
 
 export default function Match() {
   const { matchId } = useParams();
   const [matchState, setMatchState] = useState(null);
+  const [provisioning, setProvisioning] = useState(null);
+  const [flag, setFlag] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [lastVerdict, setLastVerdict] = useState(null);
+  const [flagHistory, setFlagHistory] = useState([]);
+
+  const loadFlagHistory = useCallback(() => {
+    if (!matchId) return;
+    api.getFlagHistory(matchId).then(setFlagHistory).catch(() => {});
+  }, [matchId]);
+
+  useEffect(() => {
+    loadFlagHistory();
+  }, [loadFlagHistory]);
+
+  const handleSubmitFlag = async (e) => {
+    e.preventDefault();
+    const value = flag.trim();
+    if (!value || submitting) return;
+    setSubmitting(true);
+    try {
+      const verdict = await api.submitFlag(matchId, value);
+      setLastVerdict(verdict);
+      if (verdict.status === 'accepted') setFlag('');
+    } catch (err) {
+      setLastVerdict({ status: 'rejected', reason: err instanceof Error ? err.message : 'Submission failed' });
+    } finally {
+      setSubmitting(false);
+      loadFlagHistory();
+    }
+  };
 
   // Connect match socket only when on this page (not during login/signup)
   useEffect(() => {
     if (!matchId) return;
     let cancelled = false;
+    // Registered before joining: the backend sends the current job on join
+    const handleProvisioning = (payload) => {
+      if (payload.matchId === matchId) setProvisioning(payload.job);
+    };
     auth.currentUser?.getIdToken().then((token) => {
       if (!cancelled) {
         connectMatchSocket(token);
+        onMatchProvisioning(handleProvisioning);
         joinMatch(matchId);
       }
     }).catch(() => {});
     return () => {
       cancelled = true;
+      offMatchProvisioning(handleProvisioning);
       disconnectMatchSocket();
     };
   }, [matchId]);
@@ -39,6 +93,7 @@ export default function Match() {
   const stateLabel = matchState ?? 'connecting…';
   const stateColor =
     matchState === 'running' ? 'var(--neon-green)' :
+    matchState === 'paused' ? 'var(--neon-amber)' :
     matchState === 'ended' ? 'var(--text-muted)' :
     'var(--neon-cyan)';
 
@@ -60,6 +115,14 @@ export default function Match() {
         </div>
       </motion.div>
 
+      {provisioning && provisioning.status !== 'succeeded' && matchState !== 'running' && matchState !== 'ended' && (
+        <motion.div initial={{ opacity: 0, y: 10 }} animate={{ opacity: 1, y: 0 }}>
+          <NeonCard glow="cyan" className="p-5" hoverLift={false}>
+            <MatchProvisioning job={provisioning} />
+          </NeonCard>
+        </motion.div>
+      )}
+
       <motion.div
         initial={{ opacity: 0, scale: 0.98 }}
         animate={{ opacity: 1, scale: 1 }}
@@ -78,6 +141,80 @@ export default function Match() {
         </NeonCard>
       </motion.div>
 
+      <motion.div
+        initial={{ opacity: 0, y: 10 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ delay: 0.15 }}
+      >
+        <NeonCard glow="green" className="p-5 space-y-4">
+          <h2 className="font-heading text-lg font-semibold text-[var(--text-primary)]">Submit flag</h2>
+          <form onSubmit={handleSubmitFlag} className="flex flex-wrap gap-2">
+            <input
+              type="text"
+              value={flag}
+              onChange={(e) => setFlag(e.target.value)}
+              placeholder="FLAG{...}"
+              maxLength={256}
+              autoComplete="off"
+              spellCheck={false}
+              disabled={matchState !== 'running'}
+              className="flex-1 min-w-[16rem] rounded border border-[var(--border)] bg-[var(--bg-secondary)] px-3 py-2 font-mono text-sm text-[var(--text-primary)] disabled:opacity-50"
+            />
+            <button
+              type="submit"
+              disabled={matchState !== 'running' || submitting || !flag.trim()}
+              className="px-4 py-2 rounded border border-[var(--neon-green)] text-[var(--neon-green)] font-mono text-sm disabled:opacity-50"
+            >
+              {submitting ? 'Submitting…' : 'Submit'}
+            </button>
+          </form>
+          {lastVerdict && (
+            <p
+              className="font-mono text-sm"
+              style={{ color: lastVerdict.status === 'accepted' ? 'var(--neon-green)' : 'var(--neon-red)' }}
+            >
+              {lastVerdict.status === 'accepted' ? 'Flag accepted' : `Rejected: ${lastVerdict.reason || 'unknown reason'}`}
+            </p>
+          )}
+          <div>
+            <h3 className="font-mono text-xs uppercase text-[var(--text-muted)] mb-2">Team submissions</h3>
+            {flagHistory.length === 0 ? (
+              <p className="font-mono text-xs text-[var(--text-dim)]">No submissions yet.</p>
+            ) : (
+              <ul className="font-mono text-xs space-y-1 max-h-48 overflow-y-auto">
+                {flagHistory.map((s) => (
+                  <li key={s.id} className="flex items-center gap-3">
+                    <span className="text-[var(--text-dim)]">{formatSubmittedAt(s.submittedAt)}</span>
+                    <span className="text-[var(--text-muted)] truncate">{s.flagPreview}</span>
+                    <span style={{ color: s.status === 'accepted' ? 'var(--neon-green)' : 'var(--neon-red)' }}>
+                      {s.status === 'accepted' ? 'accepted' : s.reason || 'rejected'}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </NeonCard>
+      </motion.div>
+
+      {matchState === 'running' && (
+        <motion.div
+          initial={{ opacity: 0, y: 10 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.15 }}
+        >
+          <NeonCard glow="purple" className="p-5 space-y-3" hoverLift={false}>
+            <h2 className="font-heading text-lg font-semibold text-[var(--text-primary)]">Terminal</h2>
+            <p className="font-mono text-xs text-[var(--text-dim)]">
+              Shell on your team&apos;s jump box inside the match network. Reach your services and the
+              opponent&apos;s from here.
+            </p>
+            <MatchTerminal matchId={matchId} />
+            <MatchCaptures matchId={matchId} />
+          </NeonCard>
+        </motion.div>
+      )}
+
       <motion.div
         initial={{ opacity: 0, y: 10 }}
         animate={{ opacity: 1, y: 0 }}
@@ -90,7 +227,9 @@ export default function Match() {
           <p className="font-mono text-sm text-[var(--text-muted)]">
             {matchState === 'running'
               ? 'Live events appear here during the match.'
-              : matchState === 'ended'
+              : matchState === 'paused'
+                ? 'Match paused by an admin. Flag submission and terminals are back when it resumes.'
+                : matchState === 'ended'
                 ? 'Match ended.'
                 : 'Waiting for match state…'}
           </p>
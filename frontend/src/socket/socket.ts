@@ -1,6 +1,6 @@
 import { io, Socket } from 'socket.io-client';
 
-type MatchState = 'initializing' | 'running' | 'ended';
+type MatchState = 'initializing' | 'running' | 'paused' | 'ended';
 
 type MatchStatePayload = {
   matchId: string;
@@ -72,6 +72,45 @@ export function offMatchState(callback: (payload: MatchStatePayload) => void) {
   socket.off('match_state', callback);
 }
 
+export type ProvisioningStep = {
+  id: string;
+  label: string;
+  teamId?: string;
+  serviceId?: string;
+  phase: 'pending' | 'running' | 'retrying' | 'pulling' | 'creating' | 'starting' | 'ready' | 'flag_planted' | 'done' | 'failed';
+  attempts: number;
+  error?: string | null;
+};
+
+export type ProvisioningPayload = {
+  matchId: string;
+  job: {
+    jobId: string;
+    status: 'running' | 'succeeded' | 'failed';
+    seq: number;
+    done: number;
+    total: number;
+    error: string | null;
+    steps: ProvisioningStep[];
+  };
+};
+
+/**
+ * Register a listener for provisioning progress (the match loading screen).
+ */
+export function onMatchProvisioning(callback: (payload: ProvisioningPayload) => void) {
+  if (!socket) return;
+  socket.on('match_provisioning', callback);
+}
+
+/**
+ * Remove provisioning progress listener (for React cleanup).
+ */
+export function offMatchProvisioning(callback: (payload: ProvisioningPayload) => void) {
+  if (!socket) return;
+  socket.off('match_provisioning', callback);
+}
+
 export type AdminBroadcastPayload = { message: string; from?: string };
 
 /**
@@ -90,6 +129,65 @@ export function offAdminBroadcast(callback: (payload: AdminBroadcastPayload) =>
   socket.off('admin_broadcast', callback);
 }
 
+type TerminalEvents = {
+  terminal_ready: (payload: { matchId: string; teamId: string }) => void;
+  terminal_data: (chunk: string) => void;
+  terminal_exit: (payload: { reason: string }) => void;
+  terminal_error: (payload: { error: string }) => void;
+};
+
+/**
+ * Open a terminal on the caller's team jump box. The backend resolves the team from the
+ * authenticated user; any previously open terminal on this socket is closed.
+ */
+export function openTerminal(matchId: string, cols: number, rows: number) {
+  if (!socket) {
+    console.warn('Socket not connected. Call connectMatchSocket first.');
+    return;
+  }
+  socket.emit('terminal_open', { matchId, cols, rows });
+}
+
+/**
+ * Send keystrokes to the open terminal.
+ */
+export function sendTerminalInput(data: string) {
+  if (!socket) return;
+  socket.emit('terminal_input', data);
+}
+
+/**
+ * Tell the jump box the terminal size changed.
+ */
+export function resizeTerminal(cols: number, rows: number) {
+  if (!socket) return;
+  socket.emit('terminal_resize', { cols, rows });
+}
+
+/**
+ * Close the open terminal.
+ */
+export function closeTerminal() {
+  if (!socket) return;
+  socket.emit('terminal_close');
+}
+
+/**
+ * Register a listener for terminal events.
+ */
+export function onTerminalEvent<E extends keyof TerminalEvents>(event: E, callback: TerminalEvents[E]) {
+  if (!socket) return;
+  socket.on(event, callback as (...args: unknown[]) => void);
+}
+
+/**
+ * Remove a terminal event listener (for React cleanup).
+ */
+export function offTerminalEvent<E extends keyof TerminalEvents>(event: E, callback: TerminalEvents[E]) {
+  if (!socket) return;
+  socket.off(event, callback as (...args: unknown[]) => void);
+}
+
 /**
  * Disconnect the match socket cleanly.
  */
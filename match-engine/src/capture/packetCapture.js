@@ -0,0 +1,152 @@
+/**
+ * Packet Capture
+ *
+ * Optional per-match traffic capture (CAPTURE_ENABLED=true). A sidecar container on the
+ * host network runs one tcpdump per service on the match bridge interface, filtered to
+ * that service's IP, so each PCAP holds the traffic to and from one service. Captures
+ * rotate with the SLA tick: the file for tick N is /pcap/<serviceId>/tick-<N>.pcap, and
+ * files older than CAPTURE_RETENTION_TICKS are deleted on rotation.
+ *
+ * PCAPs live in the sidecar and are removed with the match infrastructure.
+ * Capture failures are logged and never break a tick.
+ */
+
+import {
+  provisionCaptureSidecar,
+  execInContainer,
+  streamFileFromContainer,
+} from '../docker/containerManager.js';
+import { getMatchInfrastructure } from '../state/stateStore.js';
+
+const CAPTURE_ENABLED = process.env.CAPTURE_ENABLED === 'true';
+const RETENTION_TICKS = Number(process.env.CAPTURE_RETENTION_TICKS) || 120;
+const CAPTURE_DIR = '/pcap';
+const SAFE_SERVICE_ID = /^[\w-]+$/;
+const SAFE_IP = /^\d{1,3}(\.\d{1,3}){3}$/;
+
+// Stops the previous tick's tcpdumps, starts one per (serviceId, ip) pair, deletes every
+// file of a tick at or before <tick> - <retention>.
+// Arguments: <interface> <tick> <retention> [<serviceId> <ip>]...
+const ROTATE_SCRIPT = `
+iface="$1"; tick="$2"; keep="$3"; shift 3
+for f in ${CAPTURE_DIR}/*.pid; do
+  [ -f "$f" ] || continue
+  kill "$(cat "$f")" 2>/dev/null
+  rm -f "$f"
+done
+while [ "$#" -ge 2 ]; do
+  mkdir -p "${CAPTURE_DIR}/$1"
+  tcpdump -i "$iface" -U -s 0 -Z root -w "${CAPTURE_DIR}/$1/tick-$tick.pcap" host "$2" >/dev/null 2>&1 &
+  echo $! > "${CAPTURE_DIR}/$1.pid"
+  for old in "${CAPTURE_DIR}/$1"/tick-*.pcap; do
+    [ -f "$old" ] || continue
+    n="\${old##*/tick-}"; n="\${n%.pcap}"
+    case "$n" in ''|*[!0-9]*) continue ;; esac
+    [ "$n" -le "$((tick - keep))" ] && rm -f "$old"
+  done
+  shift 2
+done
+`;
+
+// Arguments: <serviceId>. Prints "<tick> <bytes>" per capture file.
+const LIST_SCRIPT = `
+for f in ${CAPTURE_DIR}/"$1"/tick-*.pcap; do
+  [ -f "$f" ] || continue
+  name="\${f##*/tick-}"
+  echo "\${name%.pcap} $(wc -c < "$f")"
+done
+`;
+
+/**
+ * @returns {boolean} Whether new matches get a capture sidecar
+ */
+export function isCaptureEnabled() {
+  return CAPTURE_ENABLED;
+}
+
+/**
+ * Host interface name of a Docker bridge network (Docker names it br-<first 12 chars of the ID>).
+ *
+ * @param {string} networkId
+ * @returns {string}
+ */
+function bridgeInterfaceName(networkId) {
+  return `br-${networkId.slice(0, 12)}`;
+}
+
+/**
+ * Provision the capture sidecar for a match network, when capture is enabled.
+ *
+ * @param {string} matchId
+ * @param {string} networkId
+ * @returns {Promise<object | null>} Sidecar info for the infrastructure record, or null
+ */
+export async function provisionCapture(matchId, networkId) {
+  if (!CAPTURE_ENABLED) return null;
+  return provisionCaptureSidecar(matchId, bridgeInterfaceName(networkId));
+}
+
+/**
+ * Start the capture files for a tick (called right after the tick advances).
+ *
+ * @param {string} matchId
+ * @param {number} tick
+ */
+export async function rotateCapture(matchId, tick) {
+  const infra = getMatchInfrastructure(matchId);
+  if (!infra?.capture) return;
+
+  const targets = [...(infra.teamA?.containers || []), ...(infra.teamB?.containers || [])]
+    .filter((c) => SAFE_SERVICE_ID.test(c.serviceId || '') && SAFE_IP.test(c.containerIP || ''))
+    .flatMap((c) => [c.serviceId, c.containerIP]);
+
+  try {
+    const result = await execInContainer(infra.capture.containerId, [
+      'sh', '-c', ROTATE_SCRIPT, 'sh', infra.capture.interface, String(tick), String(RETENTION_TICKS), ...targets,
+    ]);
+    if (result.exitCode !== 0) {
+      console.warn(`[CAPTURE] Rotation for match ${matchId} tick ${tick} exited with ${result.exitCode}`);
+    }
+  } catch (err) {
+    console.error(`[CAPTURE] Rotation failed for match ${matchId} tick ${tick}:`, err.message);
+  }
+}
+
+/**
+ * List the capture files kept for a service.
+ *
+ * @param {string} matchId
+ * @param {string} serviceId
+ * @returns {Promise<Array<{ tick: number; size: number }> | null>} Null when the match has no capture
+ */
+export async function listCaptures(matchId, serviceId) {
+  const infra = getMatchInfrastructure(matchId);
+  if (!infra?.capture || !SAFE_SERVICE_ID.test(serviceId)) return null;
+
+  const result = await execInContainer(infra.capture.containerId, ['sh', '-c', LIST_SCRIPT, 'sh', serviceId]);
+  return result.stdout
+    .toString('utf8')
+    .split('\n')
+    .map((line) => line.trim().split(/\s+/).map(Number))
+    .filter(([tick, size]) => Number.isInteger(tick) && Number.isFinite(size))
+    .map(([tick, size]) => ({ tick, size }))
+    .sort((a, b) => a.tick - b.tick);
+}
+
+/**
+ * Stream one tick's capture file for a service.
+ *
+ * @param {string} matchId
+ * @param {string} serviceId
+ * @param {number} tick
+ * @param {import('stream').Writable} target
+ * @returns {Promise<boolean>} False when there is no such capture
+ */
+export async function streamCapture(matchId, serviceId, tick, target) {
+  const captures = await listCaptures(matchId, serviceId);
+  if (!captures?.some((c) => c.tick === tick)) return false;
+
+  const infra = getMatchInfrastructure(matchId);
+  await streamFileFromContainer(infra.capture.containerId, `${CAPTURE_DIR}/${serviceId}/tick-${tick}.pcap`, target);
+  return true;
+}
@@ -0,0 +1,92 @@
+/**
+ * Built-in checker: HTTP key/value store.
+ *
+ * Fits services that store a value over HTTP and hand it back later (notes, pastes, profiles).
+ *
+ * Options (template `checker.options`):
+ *   checkPath     — GET path that must answer `checkStatus` (default '/', 200)
+ *   checkContains — optional substring the check response must contain
+ *   putPath       — path that stores a value; omit to skip put/get
+ *   putMethod     — default 'POST'
+ *   putField      — JSON body field holding the value (default 'value')
+ *   idField       — response JSON field identifying the stored item (default 'id')
+ *   getPath       — path that returns the value; `{id}` is replaced with the stored id
+ *   flagPutPath   — path that stores the tick's flag (same method/fields as putPath);
+ *                   omit when the service serves the planted flag file instead
+ *   flagGetPath   — path that must return the flag: the previous tick's when stored with
+ *                   flagPutPath, else the one currently planted in the flag file; `{id}` as in getPath.
+ *                   Omit to skip flag retrieval checks.
+ */
+
+import { checkerFail } from '../checkerRunner.js';
+
+function withId(template, id) {
+  return template.replace('{id}', encodeURIComponent(String(id ?? '')));
+}
+
+async function store(ctx, storePath, value) {
+  const { putMethod = 'POST', putField = 'value', idField = 'id' } = ctx.options;
+  if (!storePath) return null;
+
+  const res = await ctx.fetch(storePath, {
+    method: putMethod,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ [putField]: value }),
+  });
+  if (!res.ok) {
+    throw checkerFail('MUMBLE', `store request returned ${res.status}`);
+  }
+
+  let json = null;
+  try {
+    json = await res.json();
+  } catch {
+    // Services that do not answer with JSON are fine if the read path does not need an id
+  }
+  return { id: json?.[idField] ?? null };
+}
+
+async function retrieve(ctx, readPath, expected, label) {
+  if (!readPath) return;
+
+  const res = await ctx.fetch(withId(readPath, ctx.state?.id));
+  if (!res.ok) {
+    throw checkerFail('CORRUPT', `${label} not retrievable (${res.status})`);
+  }
+  const body = await res.text();
+  if (!body.includes(expected)) {
+    throw checkerFail('CORRUPT', `${label} returned wrong content`);
+  }
+}
+
+export default {
+  async check(ctx) {
+    const { checkPath = '/', checkStatus = 200, checkContains } = ctx.options;
+    const res = await ctx.fetch(checkPath);
+    if (res.status !== Number(checkStatus)) {
+      throw checkerFail('MUMBLE', `${checkPath} returned ${res.status}`);
+    }
+    if (checkContains) {
+      const body = await res.text();
+      if (!body.includes(checkContains)) {
+        throw checkerFail('MUMBLE', `${checkPath} returned unexpected content`);
+      }
+    }
+  },
+
+  put(ctx) {
+    return store(ctx, ctx.options.putPath, ctx.data);
+  },
+
+  get(ctx) {
+    return retrieve(ctx, ctx.options.getPath, ctx.data, 'stored item');
+  },
+
+  putFlag(ctx) {
+    return store(ctx, ctx.options.flagPutPath, ctx.flag);
+  },
+
+  getFlag(ctx) {
+    return retrieve(ctx, ctx.options.flagGetPath, ctx.flag, 'flag');
+  },
+};
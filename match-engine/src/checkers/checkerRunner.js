@@ -0,0 +1,298 @@
+/**
+ * SLA Checker Runner
+ *
+ * Runs scripted checkers that exercise a service's real functionality each tick,
+ * instead of only asking whether it answers a health probe.
+ *
+ * A service template opts in with:
+ *   checker: { name: 'http-kv', options: { ... }, timeoutMs: 5000 }
+ *
+ * `name` resolves to a module in ./builtin/ or, if CHECKERS_DIR is set, in that
+ * directory (`<name>.js`). A checker module default-exports any of:
+ *
+ *   check(ctx)        — exercise normal behaviour; return nothing on success
+ *   putFlag(ctx)      — store this tick's ctx.flag through the service; return state to read it back
+ *                       (null / undefined: nothing stored, the service serves its planted flag file)
+ *   getFlag(ctx)      — read back ctx.flag: the previous tick's flag stored by putFlag (ctx.state
+ *                       from its putFlag), else the flag currently planted in the container file
+ *   put(ctx)          — store ctx.data in the service; return state needed to read it back
+ *   get(ctx)          — read back ctx.data using ctx.state (from the previous tick's put)
+ *
+ * Without putFlag (or when it stores nothing), getFlag checks the flag planted into the container
+ * file by flag rotation. That file is replaced every tick, so the flag checked is this tick's.
+ * A failed getFlag means the defending team lost its flag (deleted it or patched the
+ * service to never return it); the result carries `flagMissing: true` and is scored
+ * like downtime.
+ *
+ * Steps signal failure by throwing `checkerFail(status, message)`. Connection errors and
+ * timeouts count as DOWN; any other unexpected error counts as MUMBLE (CORRUPT in `get`).
+ *
+ * Resulting SLA states:
+ *   UP       — every step passed
+ *   MUMBLE   — service answers but behaves incorrectly
+ *   CORRUPT  — data stored in a previous tick cannot be retrieved
+ *   DOWN     — service unreachable
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import fetch from 'node-fetch';
+import {
+  getMatchInfrastructure,
+  getCurrentTick,
+  recordCheckerPut,
+  getCheckerPut,
+  hasFlagPlantFailed,
+} from '../state/stateStore.js';
+import { generateFlag } from '../flags/flagManager.js';
+
+export const SlaStatus = {
+  UP: 'UP',
+  MUMBLE: 'MUMBLE',
+  CORRUPT: 'CORRUPT',
+  DOWN: 'DOWN',
+};
+
+const BUILTIN_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'builtin');
+const EXTERNAL_DIR = process.env.CHECKERS_DIR ? path.resolve(process.env.CHECKERS_DIR) : null;
+const CHECKER_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+const DEFAULT_STEP_TIMEOUT_MS = 5000;
+const MAX_STEP_TIMEOUT_MS = 8000;
+const DOWN_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH', 'ETIMEDOUT', 'ENOTFOUND'];
+
+// Loaded checker modules: name -> module default export
+const checkerCache = new Map();
+
+/**
+ * Build an error that a checker step throws to report a specific SLA status.
+ *
+ * @param {"MUMBLE" | "CORRUPT" | "DOWN"} status
+ * @param {string} message - Shown to the owning team; never include flags
+ * @returns {Error}
+ */
+export function checkerFail(status, message) {
+  const err = new Error(message);
+  err.checkerStatus = status;
+  return err;
+}
+
+/**
+ * Resolve and import a checker module by name (cached).
+ *
+ * @param {string} name
+ * @returns {Promise<{ check?: Function; put?: Function; get?: Function }>}
+ */
+async function loadChecker(name) {
+  if (checkerCache.has(name)) return checkerCache.get(name);
+  if (!CHECKER_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid checker name: ${name}`);
+  }
+
+  const candidates = [path.join(BUILTIN_DIR, `${name}.js`)];
+  if (EXTERNAL_DIR) candidates.push(path.join(EXTERNAL_DIR, `${name}.js`));
+
+  let lastError = null;
+  for (const file of candidates) {
+    try {
+      const mod = await import(pathToFileURL(file).href);
+      const checker = mod.default || mod;
+      checkerCache.set(name, checker);
+      return checker;
+    } catch (err) {
+      lastError = err;
+    }
+  }
+  throw new Error(`Checker module not found: ${name} (${lastError?.message})`);
+}
+
+/**
+ * Map an error thrown by a step to an SLA status.
+ *
+ * @param {Error} err
+ * @param {"MUMBLE" | "CORRUPT"} fallback
+ * @returns {string}
+ */
+function statusFromError(err, fallback) {
+  if (err.checkerStatus) return err.checkerStatus;
+  if (err.name === 'AbortError' || DOWN_ERROR_CODES.includes(err.code)) return SlaStatus.DOWN;
+  return fallback;
+}
+
+/**
+ * Build the context passed to every checker step.
+ * `ctx.fetch(path, init)` targets the service and is bound to the step timeout.
+ *
+ * @returns {object}
+ */
+function buildContext({ matchId, service, ip, tick, options, signal, timeoutMs }) {
+  const port = Number(service.port) || 80;
+  const baseUrl = `http://${ip}:${port}`;
+  return {
+    matchId,
+    serviceId: service.serviceId,
+    teamId: service.teamId,
+    tick,
+    ip,
+    port,
+    baseUrl,
+    options,
+    timeoutMs,
+    signal,
+    fetch: (urlPath, init = {}) => fetch(`${baseUrl}${urlPath}`, { ...init, signal, redirect: 'manual' }),
+  };
+}
+
+/**
+ * Run one checker step under a timeout.
+ *
+ * @param {Function} step
+ * @param {object} baseCtx - Arguments for buildContext (without signal)
+ * @param {object} extra - Step-specific fields (data, state)
+ * @returns {Promise<any>}
+ */
+async function runStep(step, baseCtx, extra) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), baseCtx.timeoutMs);
+  try {
+    const ctx = { ...buildContext({ ...baseCtx, signal: controller.signal }), ...extra };
+    return await Promise.race([
+      step(ctx),
+      new Promise((_, reject) => {
+        controller.signal.addEventListener('abort', () => {
+          const err = new Error(`step timed out after ${baseCtx.timeoutMs}ms`);
+          err.name = 'AbortError';
+          reject(err);
+        });
+      }),
+    ]);
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Run a service's checker for the current tick: check → putFlag → getFlag (previous tick's
+ * stored flag, or this tick's planted one) → put → get (previous tick). Stops at the first
+ * failing step. A checker that cannot be loaded reports MUMBLE (`checker:load`).
+ * Flag values are never logged or included in results.
+ *
+ * @param {string} matchId
+ * @param {object} service - Provisioned container info (with `checker`)
+ * @param {string} ip
+ * @param {number} tick
+ * @returns {Promise<{ status: string; failedCheck: string | null; detail: string | null; flagMissing?: boolean }>}
+ */
+async function runServiceChecker(matchId, service, ip, tick) {
+  const config = service.checker;
+  const { serviceId } = service;
+  let checker;
+  try {
+    checker = await loadChecker(config.name);
+  } catch (err) {
+    // Never UP: a broken checker must not hide a broken service or earn it SLA points
+    console.error(`[CHECKER] ${serviceId}: cannot load checker "${config.name}": ${err.message}`);
+    return { status: SlaStatus.MUMBLE, failedCheck: 'checker:load', detail: 'checker could not be loaded' };
+  }
+
+  const timeoutMs = Math.min(Number(config.timeoutMs) || DEFAULT_STEP_TIMEOUT_MS, MAX_STEP_TIMEOUT_MS);
+  const baseCtx = { matchId, service, ip, tick, options: config.options || {}, timeoutMs };
+  const fail = (step, err, fallback) => ({
+    status: statusFromError(err, fallback),
+    failedCheck: `checker:${step}`,
+    detail: err.message,
+  });
+  const previous = tick > 0 ? getCheckerPut(matchId, serviceId, tick - 1) : null;
+
+  if (typeof checker.check === 'function') {
+    try {
+      await runStep(checker.check, baseCtx, {});
+    } catch (err) {
+      return fail('check', err, SlaStatus.MUMBLE);
+    }
+  }
+
+  let storesFlags = false;
+  if (typeof checker.putFlag === 'function') {
+    const flag = generateFlag(matchId, serviceId, tick);
+    try {
+      const flagState = await runStep(checker.putFlag, baseCtx, { flag });
+      storesFlags = flagState != null;
+      if (storesFlags) recordCheckerPut(matchId, serviceId, tick, { flagState });
+    } catch (err) {
+      return fail('putflag', err, SlaStatus.MUMBLE);
+    }
+  }
+
+  // A flag stored through the service is read back the tick after; the planted file already
+  // holds this tick's flag. Either must really have been stored / planted for its loss to count.
+  const flagToRead = storesFlags
+    ? previous?.flagState != null && { tick: tick - 1, state: previous.flagState }
+    : !hasFlagPlantFailed(matchId, serviceId, tick) && { tick, state: null };
+  if (typeof checker.getFlag === 'function' && flagToRead) {
+    const flag = generateFlag(matchId, serviceId, flagToRead.tick);
+    try {
+      await runStep(checker.getFlag, baseCtx, { flag, state: flagToRead.state });
+    } catch (err) {
+      const result = fail('getflag', err, SlaStatus.CORRUPT);
+      return result.status === SlaStatus.DOWN ? result : { ...result, flagMissing: true };
+    }
+  }
+
+  if (typeof checker.put === 'function') {
+    const data = crypto.randomBytes(12).toString('hex');
+    try {
+      const state = await runStep(checker.put, baseCtx, { data });
+      recordCheckerPut(matchId, serviceId, tick, { data, state: state ?? null });
+    } catch (err) {
+      return fail('put', err, SlaStatus.MUMBLE);
+    }
+  }
+
+  if (typeof checker.get === 'function' && previous?.data !== undefined) {
+    try {
+      await runStep(checker.get, baseCtx, { data: previous.data, state: previous.state });
+    } catch (err) {
+      return fail('get', err, SlaStatus.CORRUPT);
+    }
+  }
+
+  return { status: SlaStatus.UP, failedCheck: null, detail: null };
+}
+
+/**
+ * Run checkers for every service that has one and merge them into the tick's health results.
+ * Services that already failed their health probe stay DOWN; services without a checker
+ * keep their probe result.
+ *
+ * @param {string} matchId
+ * @param {Array<{ serviceId: string; status: string; responseTimeMs: number; failedCheck?: string | null; detail?: string | null }>} healthResults
+ * @returns {Promise<Array<{ serviceId: string; status: string; responseTimeMs: number; failedCheck?: string | null; detail?: string | null }>>}
+ */
+export async function runMatchCheckers(matchId, healthResults) {
+  const infrastructure = getMatchInfrastructure(matchId);
+  if (!infrastructure) return healthResults;
+
+  const services = new Map(
+    [...(infrastructure.teamA?.containers || []), ...(infrastructure.teamB?.containers || [])].map((c) => [c.serviceId, c])
+  );
+  const tick = getCurrentTick(matchId);
+
+  return Promise.all(
+    healthResults.map(async (result) => {
+      const service = services.get(result.serviceId);
+      if (result.status !== SlaStatus.UP || !service?.checker?.name) return result;
+
+      const ip = result.ip || service.containerIP;
+      if (!ip) return result;
+
+      const startTime = Date.now();
+      const outcome = await runServiceChecker(matchId, service, ip, tick);
+      return {
+        ...result,
+        ...outcome,
+        responseTimeMs: result.responseTimeMs + (Date.now() - startTime),
+      };
+    })
+  );
+}
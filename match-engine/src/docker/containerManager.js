@@ -1,172 +1,234 @@
 /**
  * Container Manager
  *
- * Provisions team services from templates, stops/removes containers, injects flags.
+ * Team services, jump boxes and the capture sidecar of a match, on whichever
+ * infrastructure driver INFRA_DRIVER selects (infra/infraDriver.js): Docker containers
+ * (dockerContainers.js) or in-process simulated services. Everything outside the drivers
+ * calls these, never a driver or the Docker client directly.
  */
 
-import { getDockerClient } from './dockerClient.js';
+import { getInfraDriver } from '../infra/infraDriver.js';
 
 /**
- * Provision containers for one team from service templates.
+ * Create (not start) a service container from a template (warm pool).
+ *
+ * @param {object} template
+ * @param {{ name: string; networkName: string; labels: Record<string, string>; ipAddress?: string; onPull?: () => void }} options
+ * @returns {Promise<object>}
+ */
+export function createServiceContainer(template, options) {
+  return getInfraDriver().createServiceContainer(template, options);
+}
+
+/**
+ * Provision one team service from its template; idempotent by container name.
  *
  * @param {string} matchId
  * @param {string} teamId — e.g. teamA or teamB
- * @param {string} networkId — Docker network ID or name for NetworkMode
- * @param {object[]} serviceTemplates — array of template docs (templateId, name, type, dockerImage, port, flagPath, healthCheck, environmentVars)
- * @returns {Promise<object[]>} ContainerInfo: { containerId, containerName, serviceType, templateId, teamId, containerIP, port, flagPath, healthCheck }
- */
-export async function provisionTeamServices(matchId, teamId, networkId, serviceTemplates) {
-  const docker = getDockerClient();
-  const created = [];
-  const networkNameOrId = networkId;
-
-  try {
-    for (const template of serviceTemplates) {
-      const templateId = template.templateId || template.id;
-      const serviceType = template.type || 'other';
-      const containerName = `match-${matchId}-${teamId}-${serviceType}-${(templateId || '').slice(0, 8)}`;
-
-      try {
-        await docker.getImage(template.dockerImage).inspect();
-      } catch {
-        await new Promise((resolve, reject) => {
-          docker.pull(template.dockerImage, (err, stream) => {
-            if (err) return reject(err);
-            docker.modem.followProgress(stream, (pullErr) => (pullErr ? reject(pullErr) : resolve()));
-          });
-        });
-      }
-
-      const env = template.environmentVars && typeof template.environmentVars === 'object'
-        ? Object.entries(template.environmentVars).map(([k, v]) => `${k}=${String(v)}`)
-        : [];
-      const port = Number(template.port) || 80;
-
-      const container = await docker.createContainer({
-        Image: template.dockerImage,
-        name: containerName,
-        Env: env,
-        ExposedPorts: { [`${port}/tcp`]: {} },
-        HostConfig: {
-          NetworkMode: networkNameOrId,
-
-          // Memory limits (512MB hard limit, no swap)
-          Memory: 512 * 1024 * 1024,
-          MemorySwap: 512 * 1024 * 1024, // Same as Memory = no swap
-          MemoryReservation: 256 * 1024 * 1024, // Soft limit
-
-          // CPU limits (50% of one CPU core)
-          CpuQuota: 50000, // 50% of 100000 (one core)
-          CpuPeriod: 100000,
-          CpuShares: 512, // Relative weight
-
-          // Process limits (prevent fork bombs)
-          PidsLimit: 100,
-
-          // Security options
-          SecurityOpt: [
-            'no-new-privileges', // Prevent privilege escalation
-          ],
-
-          // Restart policy
-          RestartPolicy: { Name: 'on-failure', MaximumRetryCount: 3 },
-
-          // Read-only root filesystem (commented out - may break some services)
-          // ReadonlyRootfs: true,
-
-          // Disable privileged mode explicitly
-          Privileged: false,
-
-          // Drop all capabilities, add only what's needed
-          CapDrop: ['ALL'],
-          // CapAdd: ['NET_BIND_SERVICE'], // Uncomment if services need to bind to ports < 1024
-        },
-        Labels: {
-          'ctf.match.id': matchId,
-          'ctf.team.id': teamId,
-          'ctf.service.type': serviceType,
-          'ctf.template.id': String(templateId || ''),
-        },
-      });
-
-      await container.start();
-      const inspect = await container.inspect();
-      const netSettings = inspect.NetworkSettings?.Networks?.[networkNameOrId] || Object.values(inspect.NetworkSettings?.Networks || {})[0];
-      const containerIP = netSettings?.IPAddress || '';
-
-      const serviceId = `${teamId}_${templateId}`;
-      created.push({
-        containerId: container.id,
-        containerName,
-        serviceType,
-        templateId,
-        teamId,
-        serviceId,
-        containerIP,
-        port,
-        flagPath: template.flagPath || '/flag.txt',
-        healthCheck: template.healthCheck || { type: 'http', endpoint: '/', expectedStatus: 200, interval: 30 },
-      });
-    }
-
-    return created;
-  } catch (err) {
-    for (const c of created) {
-      try {
-        await stopAndRemoveContainer(c.containerId);
-      } catch (e) {
-        console.warn('Rollback: failed to remove container', c.containerId, e.message);
-      }
-    }
-    throw err;
-  }
+ * @param {string} networkId
+ * @param {object} template
+ * @param {{ claimContainer?: Function; onProgress?: (phase: 'pulling' | 'creating' | 'starting') => void }} [options]
+ * @returns {Promise<object>} ContainerInfo: { containerId, containerName, serviceType, templateId, teamId, serviceId, containerIP, port, flagPath, healthCheck, checker, networkPolicy, stack, fromPool }
+ */
+export function provisionTeamService(matchId, teamId, networkId, template, options = {}) {
+  return getInfraDriver().provisionTeamService(matchId, teamId, networkId, template, options);
+}
+
+/**
+ * Replace a team's service container with a fresh one from its template (same name and IP).
+ *
+ * @param {string} matchId
+ * @param {object} service — ContainerInfo from the infrastructure record
+ * @param {object} template
+ * @param {string} networkName
+ * @returns {Promise<string>} ID of the new container
+ */
+export function recreateServiceContainer(matchId, service, template, networkName) {
+  return getInfraDriver().recreateServiceContainer(matchId, service, template, networkName);
 }
 
 /**
  * Stop and remove a container.
  *
  * @param {string} containerId
+ * @returns {Promise<void>}
  */
-export async function stopAndRemoveContainer(containerId) {
-  const docker = getDockerClient();
-  const container = docker.getContainer(containerId);
-  try {
-    await container.stop({ t: 10 });
-  } catch (err) {
-    if (err.statusCode !== 304) {
-      // 304 = already stopped
-    }
-  }
-  await container.remove({ force: true });
+export function stopAndRemoveContainer(containerId) {
+  return getInfraDriver().stopAndRemoveContainer(containerId);
 }
 
 /**
- * Inject flag into container at path (exec echo into file).
- * Escapes flag value to prevent command injection.
+ * Write a flag to a path in a container.
  *
  * @param {string} containerId
  * @param {string} flagPath
  * @param {string} flagValue
+ * @returns {Promise<void>}
+ */
+export function injectFlagIntoContainer(containerId, flagPath, flagValue) {
+  return getInfraDriver().injectFlagIntoContainer(containerId, flagPath, flagValue);
+}
+
+/**
+ * Provision a team's jump box.
+ *
+ * @param {string} matchId
+ * @param {string} teamId
+ * @param {string} networkId
+ * @returns {Promise<{ containerId: string; containerName: string; teamId: string; containerIP: string; image: string }>}
+ */
+export function provisionJumpBox(matchId, teamId, networkId) {
+  return getInfraDriver().provisionJumpBox(matchId, teamId, networkId);
+}
+
+/**
+ * Start an interactive shell (TTY) in a jump box.
+ *
+ * @param {string} containerId
+ * @param {{ cols: number; rows: number }} size
+ * @returns {Promise<{ exec: object; stream: import('stream').Duplex }>}
+ */
+export function openJumpBoxShell(containerId, size) {
+  return getInfraDriver().openJumpBoxShell(containerId, size);
+}
+
+/**
+ * Run a command in a container (no TTY) and collect its output.
+ *
+ * @param {string} containerId
+ * @param {string[]} cmd
+ * @param {{ stdin?: Buffer; timeoutMs?: number; maxOutputBytes?: number }} [options]
+ * @returns {Promise<{ exitCode: number | null; stdout: Buffer; stderr: Buffer; truncated: boolean; timedOut: boolean }>}
+ */
+export function execInContainer(containerId, cmd, options = {}) {
+  return getInfraDriver().execInContainer(containerId, cmd, options);
+}
+
+/**
+ * Write a file into a container. A failed write throws with `exitCode` set.
+ *
+ * @param {string} containerId
+ * @param {string} filePath - Absolute path
+ * @param {Buffer} content
+ * @returns {Promise<void>}
+ */
+export function writeFileToContainer(containerId, filePath, content) {
+  return getInfraDriver().writeFileToContainer(containerId, filePath, content);
+}
+
+/**
+ * Read a file from a container. A failed read throws with `exitCode` set.
+ *
+ * @param {string} containerId
+ * @param {string} filePath - Absolute path
+ * @param {number} maxBytes
+ * @returns {Promise<{ content: Buffer; truncated: boolean }>}
+ */
+export function readFileFromContainer(containerId, filePath, maxBytes) {
+  return getInfraDriver().readFileFromContainer(containerId, filePath, maxBytes);
+}
+
+/**
+ * Restart a container.
+ *
+ * @param {string} containerId
+ * @returns {Promise<void>}
+ */
+export function restartContainer(containerId) {
+  return getInfraDriver().restartContainer(containerId);
+}
+
+/**
+ * Stream a file's bytes from a container into a writable (not ended).
+ *
+ * @param {string} containerId
+ * @param {string} filePath - Absolute path
+ * @param {import('stream').Writable} target
+ * @returns {Promise<void>}
+ */
+export function streamFileFromContainer(containerId, filePath, target) {
+  return getInfraDriver().streamFileFromContainer(containerId, filePath, target);
+}
+
+/**
+ * Provision a match's packet capture sidecar.
+ *
+ * @param {string} matchId
+ * @param {string} bridgeInterface
+ * @returns {Promise<{ containerId: string; containerName: string; interface: string; image: string } | null>} Null when the driver cannot capture
+ */
+export function provisionCaptureSidecar(matchId, bridgeInterface) {
+  return getInfraDriver().provisionCaptureSidecar(matchId, bridgeInterface);
+}
+
+/**
+ * Address of a container on the match network (null when it has none).
+ *
+ * @param {string} containerId
+ * @param {string} networkName
+ * @returns {Promise<string | null>}
+ */
+export function getContainerIP(containerId, networkName) {
+  return getInfraDriver().getContainerIP(containerId, networkName);
+}
+
+/**
+ * Name and labels of a container, for ownership checks.
+ *
+ * @param {string} containerId
+ * @returns {Promise<{ name: string; labels: Record<string, string> }>}
+ */
+export function getContainerLabels(containerId) {
+  return getInfraDriver().getContainerLabels(containerId);
+}
+
+/**
+ * IDs of every container of a match, for teardown without an infrastructure record.
+ *
+ * @param {string} matchId
+ * @returns {Promise<string[]>}
+ */
+export function listMatchContainerIds(matchId) {
+  return getInfraDriver().listMatchContainerIds(matchId);
+}
+
+/**
+ * Start a stopped container.
+ *
+ * @param {string} containerId
+ * @returns {Promise<void>}
+ */
+export function startContainer(containerId) {
+  return getInfraDriver().startContainer(containerId);
+}
+
+/**
+ * Every container of every match, with or without match state (claimed warm-pool
+ * containers included, flagged `claimed`).
+ *
+ * @returns {Promise<Array<{ id: string; name: string; matchId: string; state: string; createdAt: number; claimed: boolean }>>}
+ */
+export function listMatchContainers() {
+  return getInfraDriver().listMatchContainers();
+}
+
+/**
+ * Every warm-pool container; `claimedBy` is the match that took it.
+ *
+ * @returns {Promise<Array<{ id: string; name: string; claimedBy: string | null }>>}
+ */
+export function listPoolContainers() {
+  return getInfraDriver().listPoolContainers();
+}
+
+/**
+ * Move a warm-pool container onto a match network under its match name.
+ *
+ * @param {string} containerId
+ * @param {string} poolNetwork
+ * @param {{ name: string; networkName: string }} target
+ * @returns {Promise<object>}
  */
-export async function injectFlagIntoContainer(containerId, flagPath, flagValue) {
-  const docker = getDockerClient();
-  const container = docker.getContainer(containerId);
-  const escaped = String(flagValue).replace(/'/g, "'\\''").replace(/\\/g, '\\\\');
-  const safePath = String(flagPath).replace(/[;&|$`]/g, '');
-  const cmd = ['sh', '-c', `echo '${escaped}' > ${safePath}`];
-  const exec = await container.exec({
-    Cmd: cmd,
-    AttachStdout: true,
-    AttachStderr: true,
-  });
-  const stream = await exec.start({ Detach: false });
-  await new Promise((resolve, reject) => {
-    stream.on('end', resolve);
-    stream.on('error', reject);
-    stream.resume();
-  });
-  const inspect = await exec.inspect();
-  if (inspect.ExitCode !== 0) {
-    throw new Error(`Flag injection failed with exit code ${inspect.ExitCode}`);
-  }
+export function claimPoolContainer(containerId, poolNetwork, target) {
+  return getInfraDriver().claimPoolContainer(containerId, poolNetwork, target);
 }
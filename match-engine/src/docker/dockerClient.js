@@ -9,9 +9,33 @@
  */
 
 import Docker from 'dockerode';
+import { createCounter } from '../utils/metrics.js';
 
 let dockerClient = null;
 
+const dockerErrors = createCounter(
+  'ctf_engine_docker_errors_total',
+  'Failed Docker API calls by resource (containers, networks, ...) and HTTP status (or "connection")',
+  ['resource', 'status']
+);
+
+/**
+ * Count failed Docker API calls. Every dockerode call goes through modem.dial, so the
+ * wrapper sees them all; 304 (already started/stopped) is not a failure.
+ *
+ * @param {Docker} docker
+ */
+function instrumentDockerErrors(docker) {
+  const dial = docker.modem.dial.bind(docker.modem);
+  docker.modem.dial = (options, callback) => dial(options, (err, ...rest) => {
+    if (err && err.statusCode !== 304) {
+      const resource = String(options?.path || '').split(/[/?]/)[1] || 'unknown';
+      dockerErrors.inc({ resource, status: err.statusCode ? String(err.statusCode) : 'connection' });
+    }
+    if (typeof callback === 'function') callback(err, ...rest);
+  });
+}
+
 /**
  * Initialize Docker client
  * 
@@ -27,6 +51,7 @@ export function getDockerClient() {
     // On Windows, this will connect to Docker Desktop
     // On Linux, this connects to the Docker daemon socket
     dockerClient = new Docker();
+    instrumentDockerErrors(dockerClient);
     
     console.log('Docker client initialized');
     return dockerClient;
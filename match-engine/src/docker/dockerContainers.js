@@ -0,0 +1,906 @@
+/**
+ * Docker Containers
+ *
+ * Container side of the Docker infrastructure driver (docker/dockerDriver.js); the rest
+ * of the engine calls these through containerManager.js.
+ *
+ * Provisions team services from templates, recreates a service from its template,
+ * stops/removes containers, injects flags, runs commands and moves files in and out of
+ * containers.
+ *
+ * A template may declare a stack: extra components (database, cache, ...) that run next to
+ * the service on a private network, reachable there by component name. Components start in
+ * dependency order, each waiting for the ones it depends on to be healthy; the service
+ * container starts last. Flags and SLA only ever target the service container.
+ *
+ * Provisioning functions are idempotent by container name: re-running one after a failure
+ * or an engine restart reuses what already exists and starts what is stopped, so the
+ * provisioning job can retry a step without leaking containers.
+ */
+
+import { Writable } from 'stream';
+import { getDockerClient } from './dockerClient.js';
+import { createStackNetwork } from './dockerNetworks.js';
+
+const DEFAULT_MEMORY_MB = 512;
+const DEFAULT_CPUS = 0.5;
+const DEFAULT_PIDS_LIMIT = 100;
+
+/**
+ * Positive number from a template field, or the fallback when missing or malformed.
+ *
+ * @param {unknown} value
+ * @param {number} fallback
+ * @returns {number}
+ */
+function positiveOr(value, fallback) {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? num : fallback;
+}
+
+/**
+ * HostConfig for a service container: the template's `resources` and `hardening`
+ * (validated by the backend against the admin container limits) over the defaults.
+ *
+ * @param {object} template
+ * @param {string} networkNameOrId
+ * @returns {object}
+ */
+function serviceHostConfig(template, networkNameOrId) {
+  const resources = template.resources || {};
+  const hardening = template.hardening || {};
+  const memoryBytes = positiveOr(resources.memoryMb, DEFAULT_MEMORY_MB) * 1024 * 1024;
+  const cpus = positiveOr(resources.cpus, DEFAULT_CPUS);
+
+  return {
+    NetworkMode: networkNameOrId,
+
+    // Memory limits (hard limit, no swap, soft limit at half)
+    Memory: memoryBytes,
+    MemorySwap: memoryBytes, // Same as Memory = no swap
+    MemoryReservation: Math.floor(memoryBytes / 2),
+
+    // CPU limits (fraction of one core per 100ms period)
+    CpuQuota: Math.round(cpus * 100000),
+    CpuPeriod: 100000,
+    CpuShares: Math.round(cpus * 1024), // Relative weight
+
+    // Process limits (prevent fork bombs)
+    PidsLimit: Math.floor(positiveOr(resources.pidsLimit, DEFAULT_PIDS_LIMIT)),
+    Ulimits: (Array.isArray(resources.ulimits) ? resources.ulimits : []).map((u) => ({
+      Name: u.name,
+      Soft: u.soft,
+      Hard: u.hard,
+    })),
+
+    // Security options
+    SecurityOpt: [
+      'no-new-privileges', // Prevent privilege escalation
+    ],
+
+    // Restart policy
+    RestartPolicy: { Name: 'on-failure', MaximumRetryCount: 3 },
+
+    // Read-only root filesystem (opt-in; flags then live on a tmpfs mount)
+    ReadonlyRootfs: hardening.readOnlyRootfs === true,
+    Tmpfs: Object.fromEntries(
+      (Array.isArray(hardening.tmpfs) ? hardening.tmpfs : []).map((t) => [t.path, `rw,nosuid,nodev,size=${positiveOr(t.sizeMb, 64)}m`])
+    ),
+
+    // Disable privileged mode explicitly
+    Privileged: false,
+
+    // Drop all capabilities, add back only what the template needs (e.g. NET_BIND_SERVICE)
+    CapDrop: ['ALL'],
+    CapAdd: Array.isArray(hardening.capAdd) ? hardening.capAdd : [],
+  };
+}
+
+const STACK_READY_TIMEOUT_MS = Number(process.env.STACK_READY_TIMEOUT_MS) || 120_000;
+const STACK_POLL_MS = 1000;
+
+// image -> in-flight pull, so services provisioned in parallel pull each image once
+const pulls = new Map();
+
+/**
+ * Pull an image unless it is already present.
+ *
+ * @param {string} image
+ * @param {() => void} [onPull] - Called when the image has to be pulled
+ */
+async function ensureImage(image, onPull) {
+  const docker = getDockerClient();
+  try {
+    await docker.getImage(image).inspect();
+    return;
+  } catch {
+    // Not present locally
+  }
+  onPull?.();
+  if (!pulls.has(image)) {
+    const pull = new Promise((resolve, reject) => {
+      docker.pull(image, (err, stream) => {
+        if (err) return reject(err);
+        docker.modem.followProgress(stream, (pullErr) => (pullErr ? reject(pullErr) : resolve()));
+      });
+    }).finally(() => pulls.delete(image));
+    pulls.set(image, pull);
+  }
+  await pulls.get(image);
+}
+
+/**
+ * Look up a container by name, so a re-run provisioning step reuses it.
+ *
+ * @param {string} name
+ * @returns {Promise<{ container: import('dockerode').Container; inspect: object } | null>}
+ */
+async function findContainer(name) {
+  const docker = getDockerClient();
+  try {
+    const inspect = await docker.getContainer(name).inspect();
+    return { container: docker.getContainer(inspect.Id), inspect };
+  } catch (err) {
+    if (err.statusCode === 404) return null;
+    throw err;
+  }
+}
+
+/**
+ * IP of a container on a network (or its first network).
+ *
+ * @param {object} inspect
+ * @param {string} networkNameOrId
+ * @returns {string}
+ */
+function containerIP(inspect, networkNameOrId) {
+  const networks = inspect.NetworkSettings?.Networks || {};
+  return (networks[networkNameOrId] || Object.values(networks)[0])?.IPAddress || '';
+}
+
+/**
+ * @param {object | undefined} vars
+ * @returns {string[]}
+ */
+function toEnv(vars) {
+  return vars && typeof vars === 'object'
+    ? Object.entries(vars).map(([k, v]) => `${k}=${String(v)}`)
+    : [];
+}
+
+/**
+ * Order stack components so every component comes after the ones it depends on.
+ *
+ * @param {object[]} components
+ * @returns {object[]}
+ */
+function orderStackComponents(components) {
+  const byName = new Map(components.map((c) => [c.name, c]));
+  const ordered = [];
+  const visiting = new Set();
+  const visit = (component) => {
+    if (ordered.includes(component)) return;
+    if (visiting.has(component.name)) throw new Error(`Stack dependency cycle at ${component.name}`);
+    visiting.add(component.name);
+    for (const dep of component.dependsOn || []) {
+      const target = byName.get(dep);
+      if (!target) throw new Error(`Stack component ${component.name} depends on unknown ${dep}`);
+      visit(target);
+    }
+    visiting.delete(component.name);
+    ordered.push(component);
+  };
+  components.forEach(visit);
+  return ordered;
+}
+
+/**
+ * Wait until a stack component is ready: healthy when it has a health check, else running.
+ *
+ * @param {import('dockerode').Container} container
+ * @param {string} name
+ */
+async function waitForComponent(container, name) {
+  const deadline = Date.now() + STACK_READY_TIMEOUT_MS;
+  for (;;) {
+    const { State } = await container.inspect();
+    const health = State?.Health?.Status;
+    if (State?.Status === 'exited' || State?.Status === 'dead') {
+      throw new Error(`Stack component ${name} exited with ${State.ExitCode}`);
+    }
+    if (health === 'unhealthy') throw new Error(`Stack component ${name} is unhealthy`);
+    if (State?.Running && (!health || health === 'healthy')) return;
+    if (Date.now() > deadline) throw new Error(`Stack component ${name} not ready after ${STACK_READY_TIMEOUT_MS}ms`);
+    await new Promise((resolve) => setTimeout(resolve, STACK_POLL_MS));
+  }
+}
+
+/**
+ * Start a service's stack components on its private network, in dependency order.
+ * Components that already exist (a re-run) are reused; on failure they are left for the
+ * retry or the match teardown.
+ *
+ * @param {string} matchId
+ * @param {string} teamId
+ * @param {string} serviceId
+ * @param {object} template - Template with a non-empty `stack` array
+ * @returns {Promise<{ networkId: string; networkName: string; components: Array<{ name: string; containerId: string; containerName: string }> }>}
+ */
+async function provisionStack(matchId, teamId, serviceId, template) {
+  const docker = getDockerClient();
+  const network = await createStackNetwork(matchId, serviceId);
+  const stack = { ...network, components: [] };
+  const templateId = String(template.templateId || template.id || '');
+  const ready = new Set();
+  const waitFor = async (name) => {
+    if (ready.has(name)) return;
+    const { containerId } = stack.components.find((c) => c.name === name);
+    await waitForComponent(docker.getContainer(containerId), name);
+    ready.add(name);
+  };
+
+  for (const component of orderStackComponents(template.stack)) {
+    for (const dep of component.dependsOn || []) await waitFor(dep);
+    const hc = component.healthCheck;
+    const containerName = `match-${matchId}-${teamId}-${templateId.slice(0, 8)}-${component.name}`;
+    const existing = await findContainer(containerName);
+    if (!existing) await ensureImage(component.image);
+    const container = existing?.container || await docker.createContainer({
+      Image: component.image,
+      name: containerName,
+      Env: toEnv(component.environmentVars),
+      Healthcheck: hc?.command
+        ? {
+            Test: ['CMD-SHELL', hc.command],
+            Interval: (hc.intervalSec || 5) * 1e9,
+            Timeout: (hc.timeoutSec || 5) * 1e9,
+            Retries: hc.retries || 5,
+            StartPeriod: (hc.startPeriodSec || 0) * 1e9,
+          }
+        : undefined,
+      HostConfig: serviceHostConfig(component, network.networkName),
+      NetworkingConfig: {
+        EndpointsConfig: { [network.networkName]: { Aliases: [component.name] } },
+      },
+      Labels: {
+        'ctf.match.id': matchId,
+        'ctf.team.id': teamId,
+        'ctf.service.type': 'stack',
+        'ctf.template.id': templateId,
+        'ctf.stack.service': serviceId,
+        'ctf.stack.component': component.name,
+      },
+    });
+    stack.components.push({ name: component.name, containerId: container.id, containerName });
+    if (!existing?.inspect.State?.Running) await container.start();
+  }
+  // The service container depends on every component
+  for (const component of stack.components) await waitFor(component.name);
+  return stack;
+}
+
+/**
+ * Create (not start) a service container from a template: image pulled if missing,
+ * template env, resources and hardening applied. `ipAddress` pins the container's address
+ * on `networkName` (the network must have a configured subnet).
+ *
+ * @param {object} template
+ * @param {{ name: string; networkName: string; labels: Record<string, string>; ipAddress?: string; onPull?: () => void }} options
+ * @returns {Promise<import('dockerode').Container>}
+ */
+export async function createServiceContainer(template, { name, networkName, labels, ipAddress, onPull }) {
+  await ensureImage(template.dockerImage, onPull);
+  const port = Number(template.port) || 80;
+  return getDockerClient().createContainer({
+    Image: template.dockerImage,
+    name,
+    Env: toEnv(template.environmentVars),
+    ExposedPorts: { [`${port}/tcp`]: {} },
+    HostConfig: serviceHostConfig(template, networkName),
+    ...(ipAddress && {
+      NetworkingConfig: { EndpointsConfig: { [networkName]: { IPAMConfig: { IPv4Address: ipAddress } } } },
+    }),
+    Labels: labels,
+  });
+}
+
+/**
+ * Provision one team service from its template: stack components first, then the service
+ * container, started and attached to the match network. Re-running it reuses the
+ * containers already created under the match name.
+ * With `options.claimContainer` (the warm pool), a pre-created container already attached
+ * to the match network is used when available; otherwise the container is created here.
+ * `options.onProgress` is told when the step pulls an image, creates and starts containers.
+ *
+ * @param {string} matchId
+ * @param {string} teamId — e.g. teamA or teamB
+ * @param {string} networkId — Docker network ID or name for NetworkMode
+ * @param {object} template — template doc (templateId, name, type, dockerImage, port, flagPath, healthCheck, checker, networkPolicy, resources, hardening, environmentVars, stack)
+ * @param {{ claimContainer?: (template: object, target: { name: string; networkName: string }) => Promise<import('dockerode').Container | null>; onProgress?: (phase: 'pulling' | 'creating' | 'starting') => void }} [options]
+ * @returns {Promise<object>} ContainerInfo: { containerId, containerName, serviceType, templateId, teamId, serviceId, containerIP, port, flagPath, healthCheck, checker, networkPolicy, stack, fromPool }
+ */
+export async function provisionTeamService(matchId, teamId, networkId, template, options = {}) {
+  const docker = getDockerClient();
+  const networkNameOrId = networkId;
+  const onProgress = options.onProgress || (() => {});
+  const templateId = template.templateId || template.id;
+  const serviceType = template.type || 'other';
+  const containerName = `match-${matchId}-${teamId}-${serviceType}-${(templateId || '').slice(0, 8)}`;
+  const serviceId = `${teamId}_${templateId}`;
+
+  let stack = null;
+  if (Array.isArray(template.stack) && template.stack.length > 0) {
+    onProgress('creating');
+    stack = await provisionStack(matchId, teamId, serviceId, template);
+  }
+
+  const existing = await findContainer(containerName);
+  let container = existing?.container || null;
+  let fromPool = existing ? existing.inspect.Config?.Labels?.['ctf.pool'] === 'true' : false;
+  if (!container && options.claimContainer) {
+    container = await options.claimContainer(template, { name: containerName, networkName: networkNameOrId });
+    fromPool = !!container;
+  }
+  if (!container) {
+    onProgress('creating');
+    container = await createServiceContainer(template, {
+      name: containerName,
+      networkName: networkNameOrId,
+      labels: {
+        'ctf.match.id': matchId,
+        'ctf.team.id': teamId,
+        'ctf.service.type': serviceType,
+        'ctf.template.id': String(templateId || ''),
+      },
+      onPull: () => onProgress('pulling'),
+    });
+  }
+
+  let inspect = existing?.inspect || await container.inspect();
+  if (stack && !inspect.NetworkSettings?.Networks?.[stack.networkName]) {
+    await docker.getNetwork(stack.networkId).connect({ Container: container.id, EndpointConfig: { Aliases: ['app'] } });
+  }
+  if (!inspect.State?.Running) {
+    onProgress('starting');
+    await container.start();
+  }
+  inspect = await container.inspect();
+
+  return {
+    containerId: container.id,
+    containerName,
+    serviceType,
+    templateId,
+    teamId,
+    serviceId,
+    containerIP: containerIP(inspect, networkNameOrId),
+    port: Number(template.port) || 80,
+    flagPath: template.flagPath || '/flag.txt',
+    healthCheck: template.healthCheck || { type: 'http', endpoint: '/', expectedStatus: 200, interval: 30 },
+    checker: template.checker || null,
+    networkPolicy: template.networkPolicy || null,
+    stack,
+    fromPool,
+  };
+}
+
+/**
+ * Replace a team's service container with a fresh one from its template: same name, same
+ * IP on the match network and, for a stack, the `app` alias on the stack network again.
+ * Stack components keep running. Everything written into the old container is lost,
+ * including the flag, which the caller re-plants.
+ *
+ * @param {string} matchId
+ * @param {object} service — ContainerInfo from the infrastructure record
+ * @param {object} template — the template the service was provisioned from
+ * @param {string} networkName — match network
+ * @returns {Promise<string>} ID of the new container
+ */
+export async function recreateServiceContainer(matchId, service, template, networkName) {
+  // A service lost to an earlier failed reset has no container left to remove
+  if (service.containerId) await stopAndRemoveContainer(service.containerId);
+  const container = await createServiceContainer(template, {
+    name: service.containerName,
+    networkName,
+    ipAddress: service.containerIP,
+    labels: {
+      'ctf.match.id': matchId,
+      'ctf.team.id': service.teamId,
+      'ctf.service.type': service.serviceType,
+      'ctf.template.id': String(service.templateId || ''),
+    },
+  });
+  try {
+    if (service.stack) {
+      await getDockerClient()
+        .getNetwork(service.stack.networkId)
+        .connect({ Container: container.id, EndpointConfig: { Aliases: ['app'] } });
+    }
+    await container.start();
+  } catch (err) {
+    // Free the name (and IP) for the next reset
+    await container.remove({ force: true }).catch(() => {});
+    throw err;
+  }
+  return container.id;
+}
+
+/**
+ * Stop and remove a container.
+ *
+ * @param {string} containerId
+ */
+export async function stopAndRemoveContainer(containerId) {
+  const docker = getDockerClient();
+  const container = docker.getContainer(containerId);
+  try {
+    await container.stop({ t: 10 });
+  } catch (err) {
+    if (err.statusCode !== 304) {
+      // 304 = already stopped
+    }
+  }
+  await container.remove({ force: true });
+}
+
+/**
+ * Inject flag into container at path (exec echo into file).
+ * Escapes flag value to prevent command injection.
+ *
+ * @param {string} containerId
+ * @param {string} flagPath
+ * @param {string} flagValue
+ */
+export async function injectFlagIntoContainer(containerId, flagPath, flagValue) {
+  const docker = getDockerClient();
+  const container = docker.getContainer(containerId);
+  const escaped = String(flagValue).replace(/'/g, "'\\''").replace(/\\/g, '\\\\');
+  const safePath = String(flagPath).replace(/[;&|$`]/g, '');
+  const cmd = ['sh', '-c', `echo '${escaped}' > ${safePath}`];
+  const exec = await container.exec({
+    Cmd: cmd,
+    AttachStdout: true,
+    AttachStderr: true,
+  });
+  const stream = await exec.start({ Detach: false });
+  await new Promise((resolve, reject) => {
+    stream.on('end', resolve);
+    stream.on('error', reject);
+    stream.resume();
+  });
+  const inspect = await exec.inspect();
+  if (inspect.ExitCode !== 0) {
+    throw new Error(`Flag injection failed with exit code ${inspect.ExitCode}`);
+  }
+}
+
+const JUMPBOX_IMAGE = process.env.JUMPBOX_IMAGE || 'alpine:3.19';
+
+/**
+ * Provision a team's jump box: an idle shell container on the match network that the
+ * team's players attach terminals to. Same limits as service containers, but keeps the
+ * default capabilities so tools like ping work.
+ *
+ * @param {string} matchId
+ * @param {string} teamId — teamA or teamB
+ * @param {string} networkId — Docker network ID or name for NetworkMode
+ * @returns {Promise<{ containerId: string; containerName: string; teamId: string; containerIP: string; image: string }>}
+ */
+export async function provisionJumpBox(matchId, teamId, networkId) {
+  const docker = getDockerClient();
+  const containerName = `match-${matchId}-${teamId}-jumpbox`;
+
+  const existing = await findContainer(containerName);
+  if (existing) {
+    if (!existing.inspect.State?.Running) await existing.container.start();
+    return {
+      containerId: existing.inspect.Id,
+      containerName,
+      teamId,
+      containerIP: containerIP(await existing.container.inspect(), networkId),
+      image: JUMPBOX_IMAGE,
+    };
+  }
+
+  await ensureImage(JUMPBOX_IMAGE);
+  const container = await docker.createContainer({
+    Image: JUMPBOX_IMAGE,
+    name: containerName,
+    Cmd: ['sleep', 'infinity'],
+    Hostname: `${teamId}-jumpbox`,
+    HostConfig: {
+      NetworkMode: networkId,
+      Memory: 256 * 1024 * 1024,
+      MemorySwap: 256 * 1024 * 1024,
+      CpuQuota: 50000,
+      CpuPeriod: 100000,
+      PidsLimit: 200,
+      SecurityOpt: ['no-new-privileges'],
+      RestartPolicy: { Name: 'unless-stopped' },
+      Privileged: false,
+    },
+    Labels: {
+      'ctf.match.id': matchId,
+      'ctf.team.id': teamId,
+      'ctf.service.type': 'jumpbox',
+    },
+  });
+
+  try {
+    await container.start();
+    return {
+      containerId: container.id,
+      containerName,
+      teamId,
+      containerIP: containerIP(await container.inspect(), networkId),
+      image: JUMPBOX_IMAGE,
+    };
+  } catch (err) {
+    await stopAndRemoveContainer(container.id).catch(() => {});
+    throw err;
+  }
+}
+
+const JUMPBOX_SHELL = process.env.JUMPBOX_SHELL || '/bin/sh';
+
+/**
+ * Start an interactive shell (TTY) in a jump box.
+ *
+ * @param {string} containerId
+ * @param {{ cols: number; rows: number }} size
+ * @returns {Promise<{ exec: import('dockerode').Exec; stream: import('stream').Duplex }>}
+ */
+export async function openJumpBoxShell(containerId, { cols, rows }) {
+  const docker = getDockerClient();
+  const exec = await docker.getContainer(containerId).exec({
+    Cmd: [JUMPBOX_SHELL],
+    Env: ['TERM=xterm-256color'],
+    AttachStdin: true,
+    AttachStdout: true,
+    AttachStderr: true,
+    Tty: true,
+  });
+  const stream = await exec.start({ hijack: true, stdin: true, Tty: true });
+  await exec.resize({ w: cols, h: rows }).catch(() => {});
+  return { exec, stream };
+}
+
+/**
+ * Writable that keeps at most `limit` bytes and remembers whether more was written.
+ *
+ * @param {number} limit
+ */
+function createCapture(limit) {
+  const chunks = [];
+  let size = 0;
+  const capture = new Writable({
+    write(chunk, _encoding, callback) {
+      if (size < limit) chunks.push(chunk.subarray(0, limit - size));
+      size += chunk.length;
+      callback();
+    },
+  });
+  capture.result = () => ({ data: Buffer.concat(chunks), truncated: size > limit });
+  return capture;
+}
+
+/**
+ * Run a command in a container (no TTY) and collect its output.
+ * On timeout the attach stream is dropped; the process may keep running in the container.
+ *
+ * @param {string} containerId
+ * @param {string[]} cmd
+ * @param {{ stdin?: Buffer; timeoutMs?: number; maxOutputBytes?: number }} [options]
+ * @returns {Promise<{ exitCode: number | null; stdout: Buffer; stderr: Buffer; truncated: boolean; timedOut: boolean }>}
+ */
+export async function execInContainer(containerId, cmd, options = {}) {
+  const { stdin, timeoutMs = 30_000, maxOutputBytes = 64 * 1024 } = options;
+  const docker = getDockerClient();
+  const exec = await docker.getContainer(containerId).exec({
+    Cmd: cmd,
+    AttachStdin: Boolean(stdin),
+    AttachStdout: true,
+    AttachStderr: true,
+  });
+  const stream = await exec.start(stdin ? { hijack: true, stdin: true } : { Detach: false });
+  const stdout = createCapture(maxOutputBytes);
+  const stderr = createCapture(maxOutputBytes);
+  docker.modem.demuxStream(stream, stdout, stderr);
+
+  let timedOut = false;
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      timedOut = true;
+      stream.destroy();
+      resolve();
+    }, timeoutMs);
+    const done = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    stream.on('end', done);
+    stream.on('close', done);
+    stream.on('error', (err) => {
+      clearTimeout(timer);
+      if (timedOut) resolve();
+      else reject(err);
+    });
+    if (stdin) stream.end(stdin);
+  });
+
+  const inspect = timedOut ? null : await exec.inspect();
+  const out = stdout.result();
+  const err = stderr.result();
+  return {
+    exitCode: inspect ? inspect.ExitCode : null,
+    stdout: out.data,
+    stderr: err.data,
+    truncated: out.truncated || err.truncated,
+    timedOut,
+  };
+}
+
+/**
+ * Write a file into a container (overwrites; parent directory must exist).
+ * The path is passed as an argument, never interpolated into the shell script.
+ * A failed write throws with `exitCode` set.
+ *
+ * @param {string} containerId
+ * @param {string} filePath - Absolute path
+ * @param {Buffer} content
+ */
+export async function writeFileToContainer(containerId, filePath, content) {
+  const result = await execInContainer(containerId, ['sh', '-c', 'cat > "$1"', 'sh', filePath], { stdin: content });
+  if (result.exitCode !== 0) {
+    const error = new Error(result.stderr.toString('utf8').trim() || `Write failed with exit code ${result.exitCode}`);
+    error.exitCode = result.exitCode;
+    throw error;
+  }
+}
+
+/**
+ * Read a file from a container. A failed read throws with `exitCode` set.
+ *
+ * @param {string} containerId
+ * @param {string} filePath - Absolute path
+ * @param {number} maxBytes
+ * @returns {Promise<{ content: Buffer; truncated: boolean }>}
+ */
+export async function readFileFromContainer(containerId, filePath, maxBytes) {
+  const result = await execInContainer(containerId, ['cat', '--', filePath], { maxOutputBytes: maxBytes });
+  if (result.exitCode !== 0) {
+    const error = new Error(result.stderr.toString('utf8').trim() || `Read failed with exit code ${result.exitCode}`);
+    error.exitCode = result.exitCode;
+    throw error;
+  }
+  return { content: result.stdout, truncated: result.truncated };
+}
+
+/**
+ * Restart a container.
+ *
+ * @param {string} containerId
+ */
+export async function restartContainer(containerId) {
+  const docker = getDockerClient();
+  await docker.getContainer(containerId).restart({ t: 10 });
+}
+
+/**
+ * Stream a file's bytes from a container into a writable (e.g. an HTTP response).
+ * The writable is not ended; the caller decides what to do once the copy finishes.
+ *
+ * @param {string} containerId
+ * @param {string} filePath - Absolute path
+ * @param {import('stream').Writable} target
+ * @returns {Promise<void>}
+ */
+export async function streamFileFromContainer(containerId, filePath, target) {
+  const docker = getDockerClient();
+  const exec = await docker.getContainer(containerId).exec({
+    Cmd: ['cat', '--', filePath],
+    AttachStdout: true,
+    AttachStderr: true,
+  });
+  const stream = await exec.start({ Detach: false });
+  const stderr = createCapture(4096);
+  docker.modem.demuxStream(stream, target, stderr);
+  await new Promise((resolve, reject) => {
+    stream.on('end', resolve);
+    stream.on('close', resolve);
+    stream.on('error', reject);
+  });
+}
+
+const CAPTURE_IMAGE = process.env.CAPTURE_IMAGE || 'nicolaka/netshoot';
+
+/**
+ * Provision a match's packet capture sidecar. It shares the host network namespace so
+ * tcpdump can listen on the match bridge interface and see traffic between containers;
+ * the capture processes themselves are started per tick by the capture rotation.
+ *
+ * @param {string} matchId
+ * @param {string} bridgeInterface - Host interface of the match network (br-<id>)
+ * @returns {Promise<{ containerId: string; containerName: string; interface: string; image: string }>}
+ */
+export async function provisionCaptureSidecar(matchId, bridgeInterface) {
+  const docker = getDockerClient();
+  const containerName = `match-${matchId}-capture`;
+
+  const existing = await findContainer(containerName);
+  if (existing) {
+    if (!existing.inspect.State?.Running) await existing.container.start();
+    return { containerId: existing.inspect.Id, containerName, interface: bridgeInterface, image: CAPTURE_IMAGE };
+  }
+
+  await ensureImage(CAPTURE_IMAGE);
+  const container = await docker.createContainer({
+    Image: CAPTURE_IMAGE,
+    name: containerName,
+    Cmd: ['sleep', 'infinity'],
+    HostConfig: {
+      NetworkMode: 'host',
+      // Reaps the tcpdump processes stopped on every rotation
+      Init: true,
+      Memory: 256 * 1024 * 1024,
+      MemorySwap: 256 * 1024 * 1024,
+      CpuQuota: 50000,
+      CpuPeriod: 100000,
+      PidsLimit: 100,
+      SecurityOpt: ['no-new-privileges'],
+      RestartPolicy: { Name: 'unless-stopped' },
+      Privileged: false,
+      CapDrop: ['ALL'],
+      CapAdd: ['NET_ADMIN', 'NET_RAW'],
+    },
+    Labels: {
+      'ctf.match.id': matchId,
+      'ctf.service.type': 'capture',
+    },
+  });
+
+  try {
+    await container.start();
+  } catch (err) {
+    await stopAndRemoveContainer(container.id).catch(() => {});
+    throw err;
+  }
+  return { containerId: container.id, containerName, interface: bridgeInterface, image: CAPTURE_IMAGE };
+}
+
+/**
+ * IP address of a container on the match network.
+ *
+ * @param {string} containerId
+ * @param {string} networkName
+ * @returns {Promise<string | null>}
+ */
+export async function getContainerIP(containerId, networkName) {
+  try {
+    const docker = getDockerClient();
+    const container = docker.getContainer(containerId);
+    const inspect = await container.inspect();
+
+    const networks = inspect.NetworkSettings?.Networks || {};
+    const networkInfo = networks[networkName];
+
+    return networkInfo?.IPAddress || null;
+  } catch (error) {
+    console.error(`Failed to get IP for container ${containerId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Name and labels of a container, for ownership checks.
+ *
+ * @param {string} containerId
+ * @returns {Promise<{ name: string; labels: Record<string, string> }>}
+ */
+export async function getContainerLabels(containerId) {
+  const inspect = await getDockerClient().getContainer(containerId).inspect();
+  return { name: (inspect.Name || '').replace(/^\//, ''), labels: inspect.Config?.Labels || {} };
+}
+
+/**
+ * IDs of every container of a match, found by label (and, for claimed warm-pool
+ * containers, by name), for teardown without an infrastructure record.
+ *
+ * @param {string} matchId
+ * @returns {Promise<string[]>}
+ */
+export async function listMatchContainerIds(matchId) {
+  const docker = getDockerClient();
+  const [labelled, named] = await Promise.all([
+    docker.listContainers({
+      all: true,
+      filters: JSON.stringify({ label: [`ctf.match.id=${matchId}`] }),
+    }),
+    // Claimed warm-pool containers carry the match only in their name
+    docker.listContainers({
+      all: true,
+      filters: JSON.stringify({ label: ['ctf.pool=true'], name: [`match-${matchId}-`] }),
+    }),
+  ]);
+  return [...new Set([...labelled, ...named].map((c) => c.Id))];
+}
+
+/**
+ * Start a stopped container.
+ *
+ * @param {string} containerId
+ */
+export async function startContainer(containerId) {
+  await getDockerClient().getContainer(containerId).start();
+}
+
+/**
+ * Match id of a claimed warm-pool container (a listContainers entry), read from its
+ * `match-<matchId>-<teamId>-...` name; null for unclaimed and non-pool containers.
+ * Docker labels cannot change, so claimed containers carry no match label.
+ *
+ * @param {{ Names?: string[]; Labels?: Record<string, string> }} container
+ * @returns {string | null}
+ */
+export function claimedMatchId(container) {
+  if (container.Labels?.['ctf.pool'] !== 'true') return null;
+  const match = /^\/match-(.+)-team[AB]-/.exec(container.Names?.[0] || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Every container that belongs to a match, running or not: those with a `ctf.match.id`
+ * label, plus claimed warm-pool containers (`claimed`, match read from the name). For the
+ * recovery scan and the stale-resource crons, which also need the ones without state.
+ *
+ * @returns {Promise<Array<{ id: string; name: string; matchId: string; state: string; createdAt: number; claimed: boolean }>>}
+ */
+export async function listMatchContainers() {
+  const docker = getDockerClient();
+  const [labelled, pooled] = await Promise.all([
+    docker.listContainers({ all: true, filters: JSON.stringify({ label: ['ctf.match.id'] }) }),
+    docker.listContainers({ all: true, filters: JSON.stringify({ label: ['ctf.pool=true'] }) }),
+  ]);
+  const entry = (c, matchId, claimed) => ({
+    id: c.Id,
+    name: (c.Names?.[0] || '').replace(/^\//, ''),
+    matchId,
+    state: c.State,
+    createdAt: (c.Created || 0) * 1000, // Docker reports Unix seconds
+    claimed,
+  });
+  return [
+    ...labelled.filter((c) => c.Labels?.['ctf.match.id']).map((c) => entry(c, c.Labels['ctf.match.id'], false)),
+    ...pooled.filter((c) => claimedMatchId(c)).map((c) => entry(c, claimedMatchId(c), true)),
+  ];
+}
+
+/**
+ * Every warm-pool container; `claimedBy` is the match that took it, null while it waits.
+ *
+ * @returns {Promise<Array<{ id: string; name: string; claimedBy: string | null }>>}
+ */
+export async function listPoolContainers() {
+  const containers = await getDockerClient().listContainers({
+    all: true,
+    filters: JSON.stringify({ label: ['ctf.pool=true'] }),
+  });
+  return containers.map((c) => ({ id: c.Id, name: (c.Names?.[0] || '').replace(/^\//, ''), claimedBy: claimedMatchId(c) }));
+}
+
+/**
+ * Move a warm-pool container from the pool network to a match network under its match name.
+ *
+ * @param {string} containerId
+ * @param {string} poolNetwork
+ * @param {{ name: string; networkName: string }} target
+ * @returns {Promise<import('dockerode').Container>}
+ */
+export async function claimPoolContainer(containerId, poolNetwork, { name, networkName }) {
+  const docker = getDockerClient();
+  await docker.getNetwork(poolNetwork).disconnect({ Container: containerId, Force: true });
+  await docker.getNetwork(networkName).connect({ Container: containerId });
+  const container = docker.getContainer(containerId);
+  await container.rename({ name });
+  return container;
+}
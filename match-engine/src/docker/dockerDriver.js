@@ -0,0 +1,78 @@
+/**
+ * Docker Infrastructure Driver
+ *
+ * The production driver: every team service, jump box and capture sidecar is a Docker
+ * container on a per-match bridge network with host iptables isolation. See
+ * dockerContainers.js and dockerNetworks.js for the implementation.
+ */
+
+import {
+  createServiceContainer,
+  provisionTeamService,
+  recreateServiceContainer,
+  stopAndRemoveContainer,
+  injectFlagIntoContainer,
+  provisionJumpBox,
+  openJumpBoxShell,
+  execInContainer,
+  writeFileToContainer,
+  readFileFromContainer,
+  restartContainer,
+  streamFileFromContainer,
+  provisionCaptureSidecar,
+  getContainerIP,
+  getContainerLabels,
+  listMatchContainerIds,
+  startContainer,
+  listMatchContainers,
+  listPoolContainers,
+  claimPoolContainer,
+} from './dockerContainers.js';
+import {
+  createMatchNetwork,
+  removeMatchNetwork,
+  removeStackNetworks,
+  applyNetworkPolicy,
+  removeNetworkPolicy,
+  removeNetwork,
+  listMatchNetworks,
+  countNetworkContainers,
+  ensurePoolNetwork,
+} from './dockerNetworks.js';
+
+/** @type {import('../infra/infraDriver.js').InfraDriver} */
+export const dockerDriver = {
+  name: 'docker',
+  ephemeral: false,
+
+  createMatchNetwork,
+  removeMatchNetwork,
+  removeStackNetworks,
+  applyNetworkPolicy,
+  removeNetworkPolicy,
+  removeNetwork,
+  listMatchNetworks,
+  countNetworkContainers,
+  ensurePoolNetwork,
+
+  createServiceContainer,
+  provisionTeamService,
+  recreateServiceContainer,
+  stopAndRemoveContainer,
+  injectFlagIntoContainer,
+  provisionJumpBox,
+  openJumpBoxShell,
+  execInContainer,
+  writeFileToContainer,
+  readFileFromContainer,
+  restartContainer,
+  streamFileFromContainer,
+  provisionCaptureSidecar,
+  getContainerIP,
+  getContainerLabels,
+  listMatchContainerIds,
+  startContainer,
+  listMatchContainers,
+  listPoolContainers,
+  claimPoolContainer,
+};
@@ -0,0 +1,434 @@
+/**
+ * Docker Networks
+ *
+ * Network side of the Docker infrastructure driver (docker/dockerDriver.js); the rest of
+ * the engine calls these through networkManager.js.
+ *
+ * Handles Docker network lifecycle for matches.
+ * Creates isolated bridge networks per match with unique subnets (172.20.X.0/24).
+ *
+ * Network policy: the bridge alone lets every container reach every other on any port and
+ * the internet. applyNetworkPolicy installs per-match iptables chains (DOCKER-USER and
+ * INPUT, via a host-network helper container) so team services are reachable only on their
+ * declared port, jump boxes cannot reach the engine host, and egress is off unless a
+ * template's `networkPolicy` allows it. Checkers and health checks run from the engine and
+ * are not restricted.
+ */
+
+import { createHash } from 'crypto';
+import { getDockerClient } from './dockerClient.js';
+
+const SUBNET_PREFIX = '172.20';
+const USED_OCTETS = new Set();
+
+/** One /24 per match network, so this host fits at most this many matches */
+export const MAX_MATCH_NETWORKS = 254;
+
+function nextOctet() {
+  for (let i = 1; i <= MAX_MATCH_NETWORKS; i++) {
+    if (!USED_OCTETS.has(i)) {
+      USED_OCTETS.add(i);
+      return i;
+    }
+  }
+  throw new Error('No available subnet octet (172.20.1-254 exhausted)');
+}
+
+function releaseOctet(octet) {
+  USED_OCTETS.delete(octet);
+}
+
+/**
+ * Create a Docker network for a match.
+ *
+ * @param {string} matchId
+ * @returns {Promise<{ networkId: string; networkName: string; subnet: string }>}
+ */
+export async function createMatchNetwork(matchId) {
+  const docker = getDockerClient();
+  const networkName = `match_${matchId}`;
+
+  // The name filter matches substrings; a re-run provisioning step reuses the exact network
+  const existingNetworks = await docker.listNetworks({
+    filters: JSON.stringify({ name: [networkName] }),
+  });
+  const existing = existingNetworks.find((n) => n.Name === networkName);
+
+  if (existing) {
+    const subnet = existing.IPAM?.Config?.[0]?.Subnet || `${SUBNET_PREFIX}.0.0/24`;
+    const octet = Number(subnet.split('.')[2]);
+    if (subnet.startsWith(`${SUBNET_PREFIX}.`) && octet > 0) USED_OCTETS.add(octet);
+    return {
+      networkId: existing.Id,
+      networkName,
+      subnet,
+    };
+  }
+
+  const octet = nextOctet();
+  const subnet = `${SUBNET_PREFIX}.${octet}.0/24`;
+  const gateway = `${SUBNET_PREFIX}.${octet}.1`;
+
+  try {
+    const network = await docker.createNetwork({
+      Name: networkName,
+      Driver: 'bridge',
+      IPAM: {
+        Driver: 'default',
+        Config: [{ Subnet: subnet, Gateway: gateway }],
+      },
+      // Not internal: egress is filtered per container by the network policy instead
+      Internal: false,
+      Labels: {
+        'ctf.match.id': matchId,
+        'ctf.created': Date.now().toString(),
+      },
+    });
+
+    return {
+      networkId: network.id,
+      networkName,
+      subnet,
+    };
+  } catch (err) {
+    releaseOctet(octet);
+    throw err;
+  }
+}
+
+/**
+ * Remove a Docker network by matchId (lookup by name).
+ *
+ * @param {string} matchId
+ * @returns {Promise<void>}
+ */
+export async function removeMatchNetwork(matchId) {
+  const docker = getDockerClient();
+  const networkName = `match_${matchId}`;
+
+  const networks = await docker.listNetworks({
+    filters: JSON.stringify({ name: [networkName] }),
+  });
+
+  if (networks.length === 0) {
+    return;
+  }
+
+  const network = docker.getNetwork(networks[0].Id);
+  let subnet = null;
+  try {
+    const inspect = await network.inspect();
+    subnet = inspect.IPAM?.Config?.[0]?.Subnet;
+  } catch (_) {}
+  try {
+    await network.remove();
+  } catch (err) {
+    console.error(`Failed to remove network ${networkName}:`, err.message);
+  }
+  if (subnet) {
+    const m = subnet.match(/^172\.20\.(\d+)\.0\/24$/);
+    if (m) releaseOctet(parseInt(m[1], 10));
+  }
+}
+
+/**
+ * Create the private network for one team service's stack (app + components).
+ * Internal (no egress, not on the match bridge), so opponents only ever reach the app
+ * container; components are reachable inside it by their component names.
+ * Named `stack_<matchId>_<serviceId>` so recovery does not mistake it for a match network;
+ * an existing one is reused.
+ *
+ * @param {string} matchId
+ * @param {string} serviceId
+ * @returns {Promise<{ networkId: string; networkName: string }>}
+ */
+export async function createStackNetwork(matchId, serviceId) {
+  const docker = getDockerClient();
+  const networkName = `stack_${matchId}_${serviceId}`;
+  const existing = (await docker.listNetworks({ filters: JSON.stringify({ name: [networkName] }) }))
+    .find((n) => n.Name === networkName);
+  if (existing) return { networkId: existing.Id, networkName };
+
+  const network = await docker.createNetwork({
+    Name: networkName,
+    Driver: 'bridge',
+    Internal: true,
+    Labels: {
+      'ctf.match.id': matchId,
+      'ctf.stack.service': serviceId,
+      'ctf.created': Date.now().toString(),
+    },
+  });
+  return { networkId: network.id, networkName };
+}
+
+/**
+ * Remove every stack network of a match (by label, so it also works without state).
+ * Containers must be gone first.
+ *
+ * @param {string} matchId
+ * @returns {Promise<void>}
+ */
+export async function removeStackNetworks(matchId) {
+  const docker = getDockerClient();
+  const networks = await docker.listNetworks({
+    filters: JSON.stringify({ label: [`ctf.match.id=${matchId}`, 'ctf.stack.service'] }),
+  });
+  for (const n of networks) {
+    try {
+      await docker.getNetwork(n.Id).remove();
+    } catch (err) {
+      console.error(`Failed to remove stack network ${n.Name}:`, err.message);
+    }
+  }
+}
+
+/**
+ * Remove a Docker network by network ID. Releases subnet from registry if we track it.
+ *
+ * @param {string} networkId
+ * @returns {Promise<void>}
+ */
+export async function removeNetwork(networkId) {
+  const network = getDockerClient().getNetwork(networkId);
+  const inspect = await network.inspect();
+  await network.remove();
+  const subnet = inspect.IPAM?.Config?.[0]?.Subnet;
+  if (inspect.Labels?.['ctf.match.id'] && (inspect.Name || '').startsWith('match_') && subnet) {
+    const m = subnet.match(/^172\.20\.(\d+)\.0\/24$/);
+    if (m) releaseOctet(parseInt(m[1], 10));
+  }
+}
+
+/**
+ * Every match and stack network, by `ctf.match.id` label or `match_<matchId>` name, so
+ * networks of matches without state are found too.
+ *
+ * @returns {Promise<Array<{ id: string; name: string; matchId: string; stack: boolean }>>}
+ */
+export async function listMatchNetworks() {
+  const networks = await getDockerClient().listNetworks();
+  return networks
+    .map((n) => {
+      const name = n.Name || '';
+      return {
+        id: n.Id,
+        name,
+        matchId: n.Labels?.['ctf.match.id'] || (name.startsWith('match_') ? name.slice('match_'.length) : null),
+        stack: !!n.Labels?.['ctf.stack.service'],
+      };
+    })
+    .filter((n) => n.matchId);
+}
+
+/**
+ * Number of containers attached to a network.
+ *
+ * @param {string} networkId
+ * @returns {Promise<number>}
+ */
+export async function countNetworkContainers(networkId) {
+  const inspect = await getDockerClient().getNetwork(networkId).inspect();
+  return Object.keys(inspect.Containers || {}).length;
+}
+
+/**
+ * Create the warm pool's internal network unless it exists.
+ *
+ * @param {string} networkName
+ * @returns {Promise<void>}
+ */
+export async function ensurePoolNetwork(networkName) {
+  const docker = getDockerClient();
+  const existing = await docker.listNetworks({ filters: JSON.stringify({ name: [networkName] }) });
+  if (existing.some((n) => n.Name === networkName)) return;
+  await docker.createNetwork({
+    Name: networkName,
+    Driver: 'bridge',
+    Internal: true,
+    Labels: { 'ctf.pool': 'true' },
+  });
+}
+
+// NETWORK_POLICY_ENABLED=false skips isolation (e.g. local development without iptables)
+const POLICY_ENABLED = process.env.NETWORK_POLICY_ENABLED !== 'false';
+const POLICY_IMAGE = process.env.NETWORK_POLICY_IMAGE || 'nicolaka/netshoot';
+const POLICY_IPTABLES = process.env.NETWORK_POLICY_IPTABLES || 'iptables';
+const JUMPBOX_EGRESS = process.env.JUMPBOX_EGRESS === 'true';
+const SAFE_IP = /^\d{1,3}(\.\d{1,3}){3}$/;
+const SAFE_CIDR = /^\d{1,3}(\.\d{1,3}){3}(\/\d{1,2})?$/;
+const SAFE_IPTABLES = /^iptables(-legacy|-nft)?$/;
+
+/** Engine/backend addresses: may reach any container port (checkers), never reachable from the match network. */
+const ENGINE_CIDRS = (process.env.NETWORK_POLICY_ENGINE_CIDRS || '')
+  .split(',')
+  .map((s) => s.trim())
+  .filter((s) => SAFE_CIDR.test(s));
+
+/**
+ * iptables chain names for a match: one hooked into DOCKER-USER (forwarded traffic),
+ * one into INPUT (traffic to the engine host itself).
+ *
+ * @param {string} matchId
+ * @returns {{ forward: string; input: string }}
+ */
+function policyChains(matchId) {
+  const hash = createHash('sha256').update(String(matchId)).digest('hex').slice(0, 16);
+  return { forward: `CTF-${hash}`, input: `CTF-${hash}-IN` };
+}
+
+/**
+ * Shell snippet that removes every DOCKER-USER / INPUT rule jumping to the match chains,
+ * then flushes and deletes the chains. Safe to run when nothing exists.
+ */
+function unhookScript(ipt, chains) {
+  return [chains.forward, chains.input]
+    .map((chain) => `
+for hook in DOCKER-USER INPUT; do
+  ${ipt} -S "$hook" 2>/dev/null | grep -e "-j ${chain}\\$" | sed 's/^-A /-D /' | while read -r rule; do ${ipt} $rule; done
+done
+${ipt} -F ${chain} 2>/dev/null || true
+${ipt} -X ${chain} 2>/dev/null || true`)
+    .join('\n');
+}
+
+/**
+ * Per-service policy: declared port plus template `networkPolicy.extraPorts`, egress from
+ * template `networkPolicy.egress` (off unless set).
+ *
+ * @param {object} service - Container info from provisionTeamServices
+ * @returns {{ ip: string; ports: number[]; egress: boolean }}
+ */
+function servicePolicy(service) {
+  const override = service.networkPolicy || {};
+  const ports = [service.port, ...(Array.isArray(override.extraPorts) ? override.extraPorts : [])]
+    .map(Number)
+    .filter((p) => Number.isInteger(p) && p >= 1 && p <= 65535);
+  return { ip: service.containerIP, ports: [...new Set(ports)], egress: override.egress === true };
+}
+
+/**
+ * Build the iptables script for a match network.
+ * Rules, in order, for traffic on the match bridge:
+ * - replies to established connections pass
+ * - nothing on the match network opens connections to the engine host or NETWORK_POLICY_ENGINE_CIDRS
+ * - the engine (checkers, health checks) reaches any port
+ * - team services accept new connections only on their declared ports
+ * - jump boxes accept no connections
+ * - egress off the bridge is dropped, except for services (and jump boxes) that allow it
+ *
+ * @param {string} matchId
+ * @param {{ networkId: string; teamA?: object; teamB?: object }} infrastructure
+ * @returns {string}
+ */
+function buildPolicyScript(matchId, infrastructure) {
+  const ipt = SAFE_IPTABLES.test(POLICY_IPTABLES) ? POLICY_IPTABLES : 'iptables';
+  const iface = `br-${infrastructure.networkId.slice(0, 12)}`;
+  const { forward, input } = policyChains(matchId);
+  const services = [...(infrastructure.teamA?.containers || []), ...(infrastructure.teamB?.containers || [])]
+    .map(servicePolicy)
+    .filter((s) => SAFE_IP.test(s.ip || ''));
+  const jumpBoxes = [infrastructure.teamA?.jumpBox, infrastructure.teamB?.jumpBox]
+    .map((j) => j?.containerIP)
+    .filter((ip) => SAFE_IP.test(ip || ''));
+
+  const rules = [`-A ${forward} -m conntrack --ctstate ESTABLISHED,RELATED -j RETURN`];
+  for (const cidr of ENGINE_CIDRS) rules.push(`-A ${forward} -i ${iface} -d ${cidr} -j DROP`);
+  for (const cidr of ENGINE_CIDRS) rules.push(`-A ${forward} -o ${iface} -s ${cidr} -j RETURN`);
+  for (const s of services) {
+    for (const port of s.ports) rules.push(`-A ${forward} -o ${iface} -d ${s.ip} -p tcp --dport ${port} -j RETURN`);
+    rules.push(`-A ${forward} -o ${iface} -d ${s.ip} -j DROP`);
+  }
+  for (const ip of jumpBoxes) rules.push(`-A ${forward} -o ${iface} -d ${ip} -j DROP`);
+  const egress = [...services.filter((s) => s.egress).map((s) => s.ip), ...(JUMPBOX_EGRESS ? jumpBoxes : [])];
+  for (const ip of egress) rules.push(`-A ${forward} -i ${iface} -s ${ip} ! -o ${iface} -j RETURN`);
+  rules.push(`-A ${forward} -i ${iface} ! -o ${iface} -j DROP`);
+  rules.push(`-A ${input} -m conntrack --ctstate ESTABLISHED,RELATED -j RETURN`);
+  rules.push(`-A ${input} -j DROP`);
+
+  return [
+    'set -e',
+    unhookScript(ipt, { forward, input }),
+    `${ipt} -N ${forward}`,
+    `${ipt} -N ${input}`,
+    ...rules.map((r) => `${ipt} ${r}`),
+    `${ipt} -I DOCKER-USER -i ${iface} -j ${forward}`,
+    `${ipt} -I DOCKER-USER -o ${iface} -j ${forward}`,
+    `${ipt} -I INPUT -i ${iface} -j ${input}`,
+  ].join('\n');
+}
+
+/**
+ * Run a shell script in a short-lived helper container on the host network namespace
+ * (NET_ADMIN only), so the engine can manage host iptables without running as root itself.
+ *
+ * @param {string} script
+ */
+async function runPolicyScript(script) {
+  const docker = getDockerClient();
+  try {
+    await docker.getImage(POLICY_IMAGE).inspect();
+  } catch {
+    await new Promise((resolve, reject) => {
+      docker.pull(POLICY_IMAGE, (err, stream) => {
+        if (err) return reject(err);
+        docker.modem.followProgress(stream, (pullErr) => (pullErr ? reject(pullErr) : resolve()));
+      });
+    });
+  }
+
+  const container = await docker.createContainer({
+    Image: POLICY_IMAGE,
+    Entrypoint: ['sh', '-c'],
+    Cmd: [script],
+    HostConfig: {
+      NetworkMode: 'host',
+      CapDrop: ['ALL'],
+      CapAdd: ['NET_ADMIN', 'NET_RAW'],
+      SecurityOpt: ['no-new-privileges'],
+    },
+    Labels: { 'ctf.service.type': 'netpolicy' },
+  });
+  try {
+    await container.start();
+    const { StatusCode } = await container.wait();
+    if (StatusCode !== 0) {
+      const logs = await container.logs({ stdout: true, stderr: true });
+      throw new Error(`Network policy script exited with ${StatusCode}: ${logs.toString('utf8').slice(-500)}`);
+    }
+  } finally {
+    await container.remove({ force: true }).catch(() => {});
+  }
+}
+
+/**
+ * Apply (or re-apply) the isolation rules for a match network. Idempotent: the match
+ * chains are rebuilt from the given infrastructure each time. Called with just the
+ * network right after it is created (egress closed before any container starts), then
+ * with the full infrastructure once containers have their IPs.
+ *
+ * @param {string} matchId
+ * @param {{ networkId: string; teamA?: object; teamB?: object }} infrastructure
+ * @returns {Promise<void>}
+ */
+export async function applyNetworkPolicy(matchId, infrastructure) {
+  if (!POLICY_ENABLED) return;
+  if (!infrastructure?.networkId) throw new Error('networkId required for network policy');
+  await runPolicyScript(buildPolicyScript(matchId, infrastructure));
+}
+
+/**
+ * Remove a match's isolation rules. Needs only the matchId, so it also works for orphans.
+ *
+ * @param {string} matchId
+ * @returns {Promise<void>}
+ */
+export async function removeNetworkPolicy(matchId) {
+  if (!POLICY_ENABLED) return;
+  const ipt = SAFE_IPTABLES.test(POLICY_IPTABLES) ? POLICY_IPTABLES : 'iptables';
+  try {
+    await runPolicyScript(unhookScript(ipt, policyChains(matchId)));
+  } catch (err) {
+    console.error(`Failed to remove network policy for match ${matchId}:`, err.message);
+  }
+}
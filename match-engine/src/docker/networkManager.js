@@ -1,141 +1,101 @@
 /**
- * Docker Network Manager
+ * Network Manager
  *
- * Handles Docker network lifecycle for matches.
- * Creates isolated bridge networks per match with unique subnets (172.20.X.0/24).
+ * Match networks and their isolation policy, on whichever infrastructure driver
+ * INFRA_DRIVER selects (infra/infraDriver.js): Docker bridge networks with iptables rules
+ * (dockerNetworks.js) or the simulated driver, which has neither.
  */
 
-import { getDockerClient } from './dockerClient.js';
+import { getInfraDriver } from '../infra/infraDriver.js';
 
-const SUBNET_PREFIX = '172.20';
-const USED_OCTETS = new Set();
+export { MAX_MATCH_NETWORKS } from './dockerNetworks.js';
 
-function nextOctet() {
-  for (let i = 1; i <= 254; i++) {
-    if (!USED_OCTETS.has(i)) {
-      USED_OCTETS.add(i);
-      return i;
-    }
-  }
-  throw new Error('No available subnet octet (172.20.1-254 exhausted)');
+/**
+ * Create (or reuse) the network for a match.
+ *
+ * @param {string} matchId
+ * @returns {Promise<{ networkId: string; networkName: string; subnet: string }>}
+ */
+export function createMatchNetwork(matchId) {
+  return getInfraDriver().createMatchNetwork(matchId);
 }
 
-function releaseOctet(octet) {
-  USED_OCTETS.delete(octet);
+/**
+ * Remove a match's network.
+ *
+ * @param {string} matchId
+ * @returns {Promise<void>}
+ */
+export function removeMatchNetwork(matchId) {
+  return getInfraDriver().removeMatchNetwork(matchId);
 }
 
 /**
- * Create a Docker network for a match.
+ * Remove every service stack network of a match. Containers must be gone first.
  *
  * @param {string} matchId
- * @returns {Promise<{ networkId: string; networkName: string; subnet: string }>}
+ * @returns {Promise<void>}
  */
-export async function createMatchNetwork(matchId) {
-  const docker = getDockerClient();
-  const networkName = `match_${matchId}`;
-
-  const existingNetworks = await docker.listNetworks({
-    filters: JSON.stringify({ name: [networkName] }),
-  });
-
-  if (existingNetworks.length > 0) {
-    const existing = existingNetworks[0];
-    return {
-      networkId: existing.Id,
-      networkName: existing.Name || networkName,
-      subnet: '172.20.0.0/24',
-    };
-  }
-
-  const octet = nextOctet();
-  const subnet = `${SUBNET_PREFIX}.${octet}.0/24`;
-  const gateway = `${SUBNET_PREFIX}.${octet}.1`;
-
-  try {
-    const network = await docker.createNetwork({
-      Name: networkName,
-      Driver: 'bridge',
-      IPAM: {
-        Driver: 'default',
-        Config: [{ Subnet: subnet, Gateway: gateway }],
-      },
-      Internal: false,
-      Labels: {
-        'ctf.match.id': matchId,
-        'ctf.created': Date.now().toString(),
-      },
-    });
-
-    return {
-      networkId: network.id,
-      networkName,
-      subnet,
-    };
-  } catch (err) {
-    releaseOctet(octet);
-    throw err;
-  }
+export function removeStackNetworks(matchId) {
+  return getInfraDriver().removeStackNetworks(matchId);
 }
 
 /**
- * Remove a Docker network by matchId (lookup by name).
+ * Apply (or re-apply) the isolation rules for a match network.
  *
  * @param {string} matchId
+ * @param {{ networkId: string; teamA?: object; teamB?: object }} infrastructure
  * @returns {Promise<void>}
  */
-export async function removeMatchNetwork(matchId) {
-  const docker = getDockerClient();
-  const networkName = `match_${matchId}`;
+export function applyNetworkPolicy(matchId, infrastructure) {
+  return getInfraDriver().applyNetworkPolicy(matchId, infrastructure);
+}
 
-  const networks = await docker.listNetworks({
-    filters: JSON.stringify({ name: [networkName] }),
-  });
+/**
+ * Remove a match's isolation rules.
+ *
+ * @param {string} matchId
+ * @returns {Promise<void>}
+ */
+export function removeNetworkPolicy(matchId) {
+  return getInfraDriver().removeNetworkPolicy(matchId);
+}
 
-  if (networks.length === 0) {
-    return;
-  }
+/**
+ * Remove a network by ID.
+ *
+ * @param {string} networkId
+ * @returns {Promise<void>}
+ */
+export function removeNetwork(networkId) {
+  return getInfraDriver().removeNetwork(networkId);
+}
 
-  const network = docker.getNetwork(networks[0].Id);
-  let subnet = null;
-  try {
-    const inspect = await network.inspect();
-    subnet = inspect.IPAM?.Config?.[0]?.Subnet;
-  } catch (_) {}
-  try {
-    await network.remove();
-  } catch (err) {
-    console.error(`Failed to remove network ${networkName}:`, err.message);
-  }
-  if (subnet) {
-    const m = subnet.match(/^172\.20\.(\d+)\.0\/24$/);
-    if (m) releaseOctet(parseInt(m[1], 10));
-  }
+/**
+ * Every match and stack network the driver knows, with or without match state.
+ *
+ * @returns {Promise<Array<{ id: string; name: string; matchId: string; stack: boolean }>>}
+ */
+export function listMatchNetworks() {
+  return getInfraDriver().listMatchNetworks();
 }
 
 /**
- * Remove a Docker network by network ID. Releases subnet from registry if we track it.
+ * Number of containers attached to a network.
  *
  * @param {string} networkId
+ * @returns {Promise<number>}
+ */
+export function countNetworkContainers(networkId) {
+  return getInfraDriver().countNetworkContainers(networkId);
+}
+
+/**
+ * Create the warm pool's network unless it exists.
+ *
+ * @param {string} networkName
  * @returns {Promise<void>}
  */
-export async function deleteMatchNetwork(networkId) {
-  const docker = getDockerClient();
-  try {
-    const network = docker.getNetwork(networkId);
-    const inspect = await network.inspect();
-    const labels = inspect.Labels || {};
-    const matchId = labels['ctf.match.id'];
-    await network.remove();
-    if (matchId) {
-      const name = inspect.Name || '';
-      const octetMatch = name.startsWith('match_') ? name : null;
-      if (octetMatch != null && inspect.IPAM?.Config?.[0]?.Subnet) {
-        const m = inspect.IPAM.Config[0].Subnet.match(/^172\.20\.(\d+)\.0\/24$/);
-        const octet = m ? parseInt(m[1], 10) : NaN;
-        if (!isNaN(octet)) releaseOctet(octet);
-      }
-    }
-  } catch (err) {
-    console.error(`Failed to remove network ${networkId}:`, err.message);
-  }
+export function ensurePoolNetwork(networkName) {
+  return getInfraDriver().ensurePoolNetwork(networkName);
 }
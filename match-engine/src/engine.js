@@ -1,18 +1,28 @@
 /**
  * Match Engine HTTP Server
  *
- * Data plane: Docker lifecycle, health checks, flag validation, scoring.
+ * Data plane: Docker lifecycle (or simulated services, INFRA_DRIVER), health checks, flag
+ * validation, scoring.
  * All admin/control flows go Backend → Engine. Engine never exposes ports to public (nginx).
  * FLAG_SECRET and flags are never logged.
  * 
- * SECURITY: All endpoints (except /health) require authentication via shared secret.
+ * SECURITY: All endpoints (except /health and /metrics, which has its own token) require
+ * authentication via shared secret.
  */
 
 import dotenv from 'dotenv';
 import express from 'express';
-import { authenticateEngine } from './middleware/engineAuth.js';
+import { authenticateEngine, keepRawBody, checkEngineAuthConfig } from './middleware/engineAuth.js';
 import logger from './utils/logger.js';
-import { MatchState, transitionToInitializing, transitionToEnded, getMatchResult } from './lifecycle/matchLifecycle.js';
+import {
+  MatchState,
+  transitionToInitializing,
+  resumeInitializing,
+  transitionToEnded,
+  pauseMatch,
+  resumePausedMatch,
+  getMatchResult,
+} from './lifecycle/matchLifecycle.js';
 import { runRecovery } from './lifecycle/recovery.js';
 import { startSafetyCron } from './lifecycle/safetyCron.js';
 import {
@@ -23,11 +33,34 @@ import {
   isFlagCaptured,
   getAllMatches,
   getMatchInfrastructure,
+  getTimeline,
+  getServiceActions,
+  updateMetadata,
+  dropPersistedSnapshot,
 } from './state/stateStore.js';
 import { validateFlag } from './flags/flagManager.js';
 import { onFlagCaptured } from './scoring/scorer.js';
-import { provisionMatch } from './services/matchProvisioner.js';
+import { resolveScoringProfile } from './scoring/scoringProfile.js';
+import { resolveMatchDuration } from './lifecycle/matchSchedule.js';
 import { cleanupMatch, cleanupStaleMatches } from './services/matchCleanup.js';
+import { flushAll as flushPersistedState } from './state/persistence.js';
+import { handleTerminalUpgrade, resizeTerminal } from './services/terminalSessions.js';
+import {
+  MAX_FILE_BYTES,
+  execInTeamService,
+  uploadToTeamService,
+  downloadFromTeamService,
+  restartTeamService,
+  resetTeamService,
+} from './services/serviceAccess.js';
+import { listCaptures, streamCapture } from './capture/packetCapture.js';
+import { startWarmPool, getWarmPoolStatus } from './pool/warmPool.js';
+import { getProvisioningStats, getProvisioningJob } from './services/matchProvisioner.js';
+import { startEngineHeartbeat } from './services/engineHeartbeat.js';
+import { MAX_MATCH_NETWORKS } from './docker/networkManager.js';
+import { getInfraDriver } from './infra/infraDriver.js';
+import { setSimulatedServiceBehaviour, listSimulatedServices } from './infra/simulatedDriver.js';
+import { createCounter, createGauge, metricsHandler } from './utils/metrics.js';
 
 dotenv.config();
 
@@ -39,6 +72,21 @@ const FLAG_RATE_WINDOW_MS = 60 * 1000;
 const FLAG_RATE_MAX = Number(process.env.FLAG_SUBMIT_RATE_MAX) || 30;
 const flagRateStore = new Map();
 
+const flagSubmissions = createCounter(
+  'ctf_engine_flag_submissions_total',
+  'Flag submissions by outcome',
+  ['outcome']
+);
+
+createGauge('ctf_engine_matches', 'Matches held by this engine, by state', {
+  labelNames: ['state'],
+  collect: () => {
+    const counts = Object.fromEntries(Object.values(MatchState).map((state) => [state, 0]));
+    for (const [, m] of getAllMatches()) counts[m.state] = (counts[m.state] ?? 0) + 1;
+    return Object.entries(counts).map(([state, count]) => [{ state }, count]);
+  },
+});
+
 function flagRateLimit(req, res, next) {
   const { matchId, teamId } = req.body || {};
   if (!matchId || !teamId) return next();
@@ -52,6 +100,7 @@ function flagRateLimit(req, res, next) {
   entry.count += 1;
   if (entry.count > FLAG_RATE_MAX) {
     console.warn(`[ENGINE] Flag rate limit exceeded matchId=${matchId} teamId=${teamId}`);
+    flagSubmissions.inc({ outcome: 'rate_limited' });
     return res.status(429).json({ status: 'rejected', reason: 'rate limit exceeded' });
   }
   next();
@@ -66,25 +115,122 @@ setInterval(() => {
 }, FLAG_RATE_WINDOW_MS).unref();
 
 const app = express();
-app.use(express.json({ limit: '50kb' }));
+// Parsed before auth: request signatures cover the raw body
+app.use(express.json({ limit: '50kb', verify: keepRawBody }));
+app.use(express.raw({ type: 'application/octet-stream', limit: MAX_FILE_BYTES, verify: keepRawBody }));
 
 // Health endpoint (no auth; used by backend/admin)
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', service: 'match-engine' });
 });
 
+// Prometheus scrape endpoint (own bearer token, METRICS_TOKEN; see utils/metrics.js)
+app.get('/metrics', metricsHandler);
+
 // Apply authentication to all other endpoints
 app.use(authenticateEngine);
 
+/**
+ * Count matches that still hold (or are acquiring) infrastructure.
+ *
+ * @returns {number}
+ */
+function countActiveMatches() {
+  let activeCount = 0;
+  for (const [, m] of getAllMatches()) {
+    if (m.state !== MatchState.ENDED) activeCount += 1;
+  }
+  return activeCount;
+}
+
+/**
+ * Normalize a team descriptor from a request body: string[] or { teamId, players }.
+ *
+ * @param {unknown} team
+ * @returns {string[] | null}
+ */
+function toPlayerList(team) {
+  if (Array.isArray(team)) return team;
+  if (team && typeof team === 'object') return Array.isArray(team.players) ? team.players : [];
+  return null;
+}
+
+/**
+ * GET /engine/status
+ *
+ * Capacity, warm pool levels and cold vs warm provisioning times.
+ */
+app.get('/engine/status', (req, res) => {
+  res.json({
+    activeMatches: countActiveMatches(),
+    maxConcurrentMatches: MAX_CONCURRENT_MATCHES,
+    warmPool: getWarmPoolStatus(),
+    provisioning: getProvisioningStats(),
+  });
+});
+
 /**
  * POST /engine/match/provision
  *
- * Body: { matchId, difficulty, teamA: { teamId, players }, teamB: { teamId, players } }
- * Fetches default collection from backend, creates network + containers, injects flags.
+ * Body: { matchId, difficulty, teamA: string[] | { teamId, players }, teamB: string[] | { teamId, players }, scoringProfile?, duration? }
+ * Registers the match and runs the same lifecycle as /engine/match/start, but waits until
+ * provisioning is done: network + containers from the default collection, tick-0 flags, RUNNING.
+ * Idempotent by matchId: a retry while the match is INITIALIZING joins (or resumes) its
+ * provisioning job, and a retry once it is RUNNING returns the existing infrastructure.
  */
 app.post('/engine/match/provision', async (req, res) => {
+  const { matchId, difficulty, teamSize, teamA, teamB, scoringProfile, duration } = req.body || {};
+
+  if (!matchId || typeof matchId !== 'string') {
+    return res.status(400).json({ error: 'matchId is required' });
+  }
+  if (!difficulty || typeof difficulty !== 'string') {
+    return res.status(400).json({ error: 'difficulty is required' });
+  }
+  const teamAPlayers = toPlayerList(teamA);
+  const teamBPlayers = toPlayerList(teamB);
+  if (!teamAPlayers || !teamBPlayers) {
+    return res.status(400).json({ error: 'teamA and teamB are required' });
+  }
+  let scoring;
+  let schedule;
+  try {
+    scoring = resolveScoringProfile(scoringProfile, difficulty);
+    schedule = resolveMatchDuration(duration);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const existing = getMatch(matchId);
+  if (existing?.state === MatchState.RUNNING) {
+    return res.json({ success: true, infrastructure: getMatchInfrastructure(matchId) });
+  }
+  if (existing && existing.state !== MatchState.ENDED && existing.state !== MatchState.INITIALIZING) {
+    return res.status(409).json({ error: 'Match already exists' });
+  }
+  if (!existing || existing.state === MatchState.ENDED) {
+    if (countActiveMatches() >= MAX_CONCURRENT_MATCHES) {
+      console.warn(`[ENGINE] Rejected match provision: max concurrent matches (${MAX_CONCURRENT_MATCHES}) reached`);
+      return res.status(503).json({ error: 'Max concurrent matches reached' });
+    }
+
+    createMatch(matchId, {
+      state: MatchState.CREATED,
+      metadata: {
+        difficulty,
+        teamSize: Number.isInteger(teamSize) ? teamSize : Math.max(teamAPlayers.length, teamBPlayers.length),
+        teamA: teamAPlayers,
+        teamB: teamBPlayers,
+        scoring,
+        schedule,
+      },
+    });
+  }
+
   try {
-    const infrastructure = await provisionMatch(req.body || {});
+    const infrastructure = existing?.state === MatchState.INITIALIZING
+      ? await resumeInitializing(matchId)
+      : await transitionToInitializing(matchId);
     res.json({ success: true, infrastructure });
   } catch (err) {
     logger.error('[ENGINE] Provision failed:', { error: err.message, stack: err.stack });
@@ -97,10 +243,13 @@ app.post('/engine/match/provision', async (req, res) => {
 
 /**
  * POST /engine/match/:matchId/cleanup
+ *
+ * Ends the match if it is still live (stops the tick loop), then erases its infra and state.
  */
 app.post('/engine/match/:matchId/cleanup', async (req, res) => {
   try {
     const { matchId } = req.params;
+    await transitionToEnded(matchId);
     await cleanupMatch(matchId);
     res.json({ success: true });
   } catch (err) {
@@ -124,10 +273,17 @@ app.get('/engine/match/:matchId/infrastructure', (req, res) => {
 /**
  * POST /engine/match/start
  *
+ * Accepts the match and provisions it in the background (see /engine/match/provision).
+ * Returns the provisioning job ID; progress is pushed to the backend as the job runs.
+ * A retry for a match that is already INITIALIZING or RUNNING is accepted again with the same job.
+ * Optional `scoringProfile` (see scoring/scoringProfile.js) and `duration`
+ * ({ ticks } | { minutes }, optional overtimeTicks; see lifecycle/matchSchedule.js) are
+ * resolved up front; a malformed one rejects the start with 400. Without a duration the
+ * match runs until stopped.
  * Resource cap: reject if max concurrent matches exceeded.
  */
 app.post('/engine/match/start', (req, res) => {
-  const { matchId, difficulty, teamSize, teamA, teamB } = req.body || {};
+  const { matchId, difficulty, teamSize, teamA, teamB, scoringProfile, duration } = req.body || {};
 
   if (!matchId || typeof matchId !== 'string') {
     return res.status(400).json({ error: 'matchId is required' });
@@ -145,12 +301,25 @@ app.post('/engine/match/start', (req, res) => {
     return res.status(400).json({ error: 'teamA and teamB must be arrays' });
   }
 
-  // Resource cap: max concurrent matches (non-ENDED)
-  let activeCount = 0;
-  for (const [, m] of getAllMatches()) {
-    if (m.state !== MatchState.ENDED) activeCount += 1;
+  let scoring;
+  let schedule;
+  try {
+    scoring = resolveScoringProfile(scoringProfile, difficulty);
+    schedule = resolveMatchDuration(duration);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const existing = getMatch(matchId);
+  if (existing?.state === MatchState.INITIALIZING || existing?.state === MatchState.RUNNING) {
+    return res.status(200).json({ status: 'accepted', jobId: getProvisioningJob(matchId)?.jobId ?? null });
+  }
+  if (existing && existing.state !== MatchState.ENDED) {
+    return res.status(409).json({ error: 'Match already exists' });
   }
-  if (activeCount >= MAX_CONCURRENT_MATCHES) {
+
+  // Resource cap: max concurrent matches (non-ENDED)
+  if (countActiveMatches() >= MAX_CONCURRENT_MATCHES) {
     console.warn(`[ENGINE] Rejected match start: max concurrent matches (${MAX_CONCURRENT_MATCHES}) reached`);
     return res.status(503).json({ error: 'Max concurrent matches reached' });
   }
@@ -162,6 +331,8 @@ app.post('/engine/match/start', (req, res) => {
       teamSize,
       teamA,
       teamB,
+      scoring,
+      schedule,
     },
   });
 
@@ -169,7 +340,21 @@ app.post('/engine/match/start', (req, res) => {
     console.error(`[ENGINE] Failed to initialize match ${matchId}:`, error.message);
   });
 
-  return res.status(200).json({ status: 'accepted' });
+  // The job is registered synchronously with the first provisioning step
+  return res.status(200).json({ status: 'accepted', jobId: getProvisioningJob(matchId)?.jobId ?? null });
+});
+
+/**
+ * GET /engine/match/:matchId/provisioning
+ *
+ * The match's provisioning job: { jobId, status, done, total, steps[{ id, label, teamId, serviceId, phase, attempts, error }] }.
+ */
+app.get('/engine/match/:matchId/provisioning', (req, res) => {
+  const job = getProvisioningJob(req.params.matchId);
+  if (!job) {
+    return res.status(404).json({ error: 'Provisioning job not found' });
+  }
+  res.json({ success: true, job });
 });
 
 /**
@@ -178,7 +363,9 @@ app.post('/engine/match/start', (req, res) => {
  * Returns:
  * {
  *   matchId,
- *   state: "CREATED" | "INITIALIZING" | "RUNNING" | "ENDING" | "ENDED"
+ *   state: "CREATED" | "INITIALIZING" | "RUNNING" | "PAUSED" | "ENDING" | "ENDED",
+ *   pause: { tick, pausedAt, reason } | null,
+ *   scoreboardFreeze: { tick, frozenAt } | null
  * }
  *
  * For this step, state will be whatever is stored in memory.
@@ -194,6 +381,8 @@ app.get('/engine/match/:matchId/status', (req, res) => {
   return res.status(200).json({
     matchId: match.matchId,
     state: match.state,
+    pause: match.metadata?.pause ?? null,
+    scoreboardFreeze: match.metadata?.scoreboardFreeze ?? null,
   });
 });
 
@@ -201,7 +390,7 @@ app.get('/engine/match/:matchId/status', (req, res) => {
  * POST /engine/match/:matchId/stop
  *
  * Behavior:
- * - Triggers cleanup: stops containers, removes network.
+ * - Triggers cleanup: stops all service containers, removes network.
  * - Updates the in-memory state to ENDED.
  * - Returns { status: "stopped" }.
  */
@@ -221,6 +410,120 @@ app.post('/engine/match/:matchId/stop', async (req, res) => {
   return res.status(200).json({ status: 'stopped' });
 });
 
+/**
+ * POST /engine/match/:matchId/pause
+ *
+ * Body: { reason?: string }. RUNNING -> PAUSED: ticks stop, flag submissions and team
+ * service access are refused, containers are left running as they are. 409 unless RUNNING.
+ */
+app.post('/engine/match/:matchId/pause', (req, res) => {
+  const { matchId } = req.params;
+  const match = getMatch(matchId);
+  if (!match) {
+    return res.status(404).json({ error: 'Match not found' });
+  }
+  if (match.state !== MatchState.RUNNING) {
+    return res.status(409).json({ error: 'Match is not running' });
+  }
+
+  const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim().slice(0, 200) : '';
+  const pause = pauseMatch(matchId, reason);
+  return res.status(200).json({ status: 'paused', pause });
+});
+
+/**
+ * POST /engine/match/:matchId/resume
+ *
+ * PAUSED -> RUNNING; the tick loop restarts and the tick counter carries on. 409 unless PAUSED.
+ */
+app.post('/engine/match/:matchId/resume', (req, res) => {
+  const { matchId } = req.params;
+  const match = getMatch(matchId);
+  if (!match) {
+    return res.status(404).json({ error: 'Match not found' });
+  }
+  if (match.state !== MatchState.PAUSED) {
+    return res.status(409).json({ error: 'Match is not paused' });
+  }
+
+  resumePausedMatch(matchId);
+  return res.status(200).json({ status: 'running', tick: getCurrentTick(matchId) });
+});
+
+/**
+ * POST /engine/match/:matchId/scoreboard-freeze
+ *
+ * Body: { frozen: boolean }. While frozen, the scoreboard players see stops at the tick the
+ * freeze started (ticks before `scoreboardFreeze.tick`); scoring itself carries on and the
+ * backend reveals everything once the match ends. Unfreezing shows the live board again.
+ * Allowed while RUNNING or PAUSED.
+ */
+app.post('/engine/match/:matchId/scoreboard-freeze', (req, res) => {
+  const { matchId } = req.params;
+  const { frozen } = req.body || {};
+  if (typeof frozen !== 'boolean') {
+    return res.status(400).json({ error: 'frozen must be a boolean' });
+  }
+  const match = getMatch(matchId);
+  if (!match) {
+    return res.status(404).json({ error: 'Match not found' });
+  }
+  if (match.state !== MatchState.RUNNING && match.state !== MatchState.PAUSED) {
+    return res.status(409).json({ error: 'Match is not running' });
+  }
+
+  // Freezing again keeps the original freeze tick
+  const scoreboardFreeze = frozen
+    ? match.metadata?.scoreboardFreeze || { tick: getCurrentTick(matchId), frozenAt: Date.now() }
+    : null;
+  updateMetadata(matchId, { scoreboardFreeze });
+  return res.status(200).json({ scoreboardFreeze });
+});
+
+/**
+ * GET /engine/match/:matchId/simulation
+ *
+ * Simulated services of a match with their status, script and the status in effect now.
+ * 404 unless the engine runs with INFRA_DRIVER=simulated.
+ */
+app.get('/engine/match/:matchId/simulation', (req, res) => {
+  if (getInfraDriver().name !== 'simulated') {
+    return res.status(404).json({ error: 'Not running the simulated infrastructure driver' });
+  }
+  const { matchId } = req.params;
+  if (!getMatch(matchId)) {
+    return res.status(404).json({ error: 'Match not found' });
+  }
+  return res.status(200).json({ matchId, tick: getCurrentTick(matchId), services: listSimulatedServices(matchId) });
+});
+
+/**
+ * POST /engine/match/:matchId/simulation/services/:serviceId
+ *
+ * Body: { status?: 'up' | 'down' | 'mumble' | 'corrupt', script?: { [tick]: status } }.
+ * Scripts how a simulated service behaves; `status` applies now, each script entry from its
+ * tick on. 404 unless the engine runs with INFRA_DRIVER=simulated.
+ */
+app.post('/engine/match/:matchId/simulation/services/:serviceId', async (req, res) => {
+  if (getInfraDriver().name !== 'simulated') {
+    return res.status(404).json({ error: 'Not running the simulated infrastructure driver' });
+  }
+  const { matchId, serviceId } = req.params;
+  if (!getMatch(matchId)) {
+    return res.status(404).json({ error: 'Match not found' });
+  }
+  try {
+    const { status, script } = req.body || {};
+    return res.status(200).json(await setSimulatedServiceBehaviour(matchId, serviceId, { status, script }));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`[ENGINE] Simulation update failed for match ${matchId}:`, err.message);
+    return res.status(500).json({ error: 'Simulation update failed' });
+  }
+});
+
 /**
  * POST /engine/flag/submit
  *
@@ -230,21 +533,30 @@ app.post('/engine/flag/submit', flagRateLimit, (req, res) => {
   const { matchId, teamId, flag } = req.body || {};
 
   if (!matchId || typeof matchId !== 'string') {
+    flagSubmissions.inc({ outcome: 'bad_request' });
     return res.status(400).json({ status: 'rejected', reason: 'matchId is required' });
   }
   if (!teamId || typeof teamId !== 'string') {
+    flagSubmissions.inc({ outcome: 'bad_request' });
     return res.status(400).json({ status: 'rejected', reason: 'teamId is required' });
   }
   if (!flag || typeof flag !== 'string') {
+    flagSubmissions.inc({ outcome: 'bad_request' });
     return res.status(400).json({ status: 'rejected', reason: 'flag is required' });
   }
 
-  // 1. Match exists and is RUNNING
+  // 1. Match exists and is RUNNING (not paused)
   const match = getMatch(matchId);
   if (!match) {
+    flagSubmissions.inc({ outcome: 'match_not_found' });
     return res.status(200).json({ status: 'rejected', reason: 'match not found' });
   }
+  if (match.state === MatchState.PAUSED) {
+    flagSubmissions.inc({ outcome: 'paused' });
+    return res.status(200).json({ status: 'rejected', reason: 'match is paused' });
+  }
   if (match.state !== MatchState.RUNNING) {
+    flagSubmissions.inc({ outcome: 'not_running' });
     return res.status(200).json({ status: 'rejected', reason: 'match is not running' });
   }
 
@@ -254,10 +566,12 @@ app.post('/engine/flag/submit', flagRateLimit, (req, res) => {
     const currentTick = getCurrentTick(matchId);
     validation = validateFlag(matchId, flag.trim(), currentTick);
   } catch (err) {
+    flagSubmissions.inc({ outcome: 'invalid' });
     return res.status(200).json({ status: 'rejected', reason: 'flag validation failed' });
   }
 
   if (!validation.valid) {
+    flagSubmissions.inc({ outcome: 'invalid' });
     return res.status(200).json({ status: 'rejected', reason: 'invalid or expired flag' });
   }
 
@@ -265,12 +579,14 @@ app.post('/engine/flag/submit', flagRateLimit, (req, res) => {
 
   // 4. Flag not already captured this tick
   if (isFlagCaptured(matchId, serviceId, tick)) {
+    flagSubmissions.inc({ outcome: 'duplicate' });
     return res.status(200).json({ status: 'rejected', reason: 'flag already captured for this tick' });
   }
 
   // 5. Team is NOT submitting its own service flag
   const serviceOwner = serviceId.startsWith('teamA_') ? 'teamA' : serviceId.startsWith('teamB_') ? 'teamB' : null;
   if (serviceOwner !== null && serviceOwner === teamId) {
+    flagSubmissions.inc({ outcome: 'own_flag' });
     return res.status(200).json({ status: 'rejected', reason: 'cannot submit own team flag' });
   }
 
@@ -279,14 +595,214 @@ app.post('/engine/flag/submit', flagRateLimit, (req, res) => {
     console.error('onFlagCaptured error:', err);
   });
 
+  flagSubmissions.inc({ outcome: 'accepted' });
   return res.status(200).json({ status: 'accepted' });
 });
 
+/**
+ * GET /engine/match/:matchId/timeline?since=<tick>
+ *
+ * Tick-by-tick scoreboard snapshots (per-service status and response time, flags
+ * captured, points delta, cumulative score). Available while the match runs and after
+ * it ends; `since` returns only ticks after the given one for incremental polling.
+ */
+app.get('/engine/match/:matchId/timeline', (req, res) => {
+  const { matchId } = req.params;
+  const since = req.query.since !== undefined ? Number(req.query.since) : undefined;
+  if (since !== undefined && !Number.isInteger(since)) {
+    return res.status(400).json({ error: 'since must be an integer tick' });
+  }
+
+  const timeline = getTimeline(matchId, since);
+  if (!timeline) {
+    return res.status(404).json({ error: 'Match not found' });
+  }
+
+  return res.status(200).json({ matchId, currentTick: getCurrentTick(matchId), timeline });
+});
+
+/**
+ * POST /engine/match/:matchId/terminal/:sessionId/resize
+ *
+ * Body: { cols, rows }. Resizes the TTY of a jump box terminal session. The session itself
+ * is opened with an HTTP upgrade on GET /engine/match/:matchId/terminal/:teamId.
+ */
+app.post('/engine/match/:matchId/terminal/:sessionId/resize', async (req, res) => {
+  const { matchId, sessionId } = req.params;
+  try {
+    const resized = await resizeTerminal(matchId, sessionId, req.body || {});
+    if (!resized) {
+      return res.status(404).json({ error: 'Terminal session not found' });
+    }
+    return res.status(200).json({ success: true });
+  } catch (err) {
+    console.error(`[ENGINE] Terminal resize failed for match ${matchId}:`, err.message);
+    return res.status(500).json({ error: 'Terminal resize failed' });
+  }
+});
+
+const TEAM_SLOTS = ['teamA', 'teamB'];
+
+/**
+ * Target of a team service action from route params; the acting player's uid (for the
+ * audit trail) comes from the X-Actor header set by the backend.
+ *
+ * @param {import('express').Request} req
+ * @returns {{ matchId: string; teamId: string; serviceId: string; actor: string | null } | null}
+ */
+function getServiceTarget(req) {
+  const { matchId, teamId, serviceId } = req.params;
+  if (!TEAM_SLOTS.includes(teamId)) return null;
+  const actor = req.get('X-Actor');
+  return { matchId, teamId, serviceId, actor: actor ? actor.slice(0, 128) : null };
+}
+
+/**
+ * Wrap a team service action: 400 on a bad team slot, access errors mapped to their status.
+ *
+ * @param {(req: import('express').Request, target: object) => Promise<object>} action
+ */
+function serviceActionHandler(action) {
+  return async (req, res) => {
+    const target = getServiceTarget(req);
+    if (!target) {
+      return res.status(400).json({ error: 'teamId must be teamA or teamB' });
+    }
+    try {
+      return res.status(200).json(await action(req, target));
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ error: err.message });
+      }
+      console.error(`[ENGINE] Service action failed for match ${target.matchId}:`, err.message);
+      return res.status(500).json({ error: 'Service action failed' });
+    }
+  };
+}
+
+/**
+ * POST /engine/match/:matchId/team/:teamId/services/:serviceId/exec
+ *
+ * Body: { command: string | string[] }. Runs a command in one of the team's own service
+ * containers; returns { exitCode, stdout, stderr, truncated, timedOut }.
+ */
+app.post(
+  '/engine/match/:matchId/team/:teamId/services/:serviceId/exec',
+  serviceActionHandler((req, target) => execInTeamService(target, req.body?.command))
+);
+
+/**
+ * GET /engine/match/:matchId/team/:teamId/services/:serviceId/files?path=
+ *
+ * Downloads a file (up to 64KB) from a team service: { path, size, content (base64) }.
+ */
+app.get(
+  '/engine/match/:matchId/team/:teamId/services/:serviceId/files',
+  serviceActionHandler((req, target) => downloadFromTeamService(target, req.query.path))
+);
+
+/**
+ * PUT /engine/match/:matchId/team/:teamId/services/:serviceId/files?path=
+ *
+ * Raw body (application/octet-stream, up to 64KB) written to `path` in a team service.
+ */
+app.put(
+  '/engine/match/:matchId/team/:teamId/services/:serviceId/files',
+  serviceActionHandler((req, target) => uploadToTeamService(target, req.query.path, req.body))
+);
+
+/**
+ * POST /engine/match/:matchId/team/:teamId/services/:serviceId/restart
+ */
+app.post(
+  '/engine/match/:matchId/team/:teamId/services/:serviceId/restart',
+  serviceActionHandler((req, target) => restartTeamService(target))
+);
+
+/**
+ * POST /engine/match/:matchId/team/:teamId/services/:serviceId/reset
+ *
+ * Recreates the service from its template (same IP), re-plants the current flag and applies
+ * the scoring profile's reset penalty: { reset, flagPlanted, penalty }.
+ */
+app.post(
+  '/engine/match/:matchId/team/:teamId/services/:serviceId/reset',
+  serviceActionHandler((req, target) => resetTeamService(target))
+);
+
+/**
+ * GET /engine/match/:matchId/service-actions?teamId=
+ *
+ * Audit trail of team service actions (exec, upload, download, restart, reset), optionally for one team.
+ */
+app.get('/engine/match/:matchId/service-actions', (req, res) => {
+  const { matchId } = req.params;
+  const { teamId } = req.query;
+  if (teamId !== undefined && !TEAM_SLOTS.includes(teamId)) {
+    return res.status(400).json({ error: 'teamId must be teamA or teamB' });
+  }
+  const actions = getServiceActions(matchId, teamId);
+  if (!actions) {
+    return res.status(404).json({ error: 'Match not found' });
+  }
+  return res.status(200).json({ matchId, actions });
+});
+
+/**
+ * GET /engine/match/:matchId/pcap/:serviceId
+ *
+ * Packet captures kept for a service: { captures: [{ tick, size }] }. 404 when the match
+ * runs without capture. Team ownership is enforced by the backend.
+ */
+app.get('/engine/match/:matchId/pcap/:serviceId', async (req, res) => {
+  const { matchId, serviceId } = req.params;
+  try {
+    const captures = await listCaptures(matchId, serviceId);
+    if (!captures) {
+      return res.status(404).json({ error: 'No packet capture for this match' });
+    }
+    return res.status(200).json({ matchId, serviceId, captures });
+  } catch (err) {
+    console.error(`[ENGINE] Listing captures failed for match ${matchId}:`, err.message);
+    return res.status(500).json({ error: 'Failed to list captures' });
+  }
+});
+
+/**
+ * GET /engine/match/:matchId/pcap/:serviceId/:tick
+ *
+ * Streams one tick's PCAP for a service (application/vnd.tcpdump.pcap). The current
+ * tick's file is still being written, so it may be cut mid-packet.
+ */
+app.get('/engine/match/:matchId/pcap/:serviceId/:tick', async (req, res) => {
+  const { matchId, serviceId } = req.params;
+  const tick = Number(req.params.tick);
+  if (!Number.isInteger(tick) || tick < 0) {
+    return res.status(400).json({ error: 'tick must be a non-negative integer' });
+  }
+
+  try {
+    res.type('application/vnd.tcpdump.pcap');
+    res.attachment(`${matchId}-${serviceId}-tick-${tick}.pcap`);
+    const found = await streamCapture(matchId, serviceId, tick, res);
+    if (!found) {
+      res.removeHeader('Content-Disposition');
+      return res.status(404).json({ error: 'Capture not found' });
+    }
+    return res.end();
+  } catch (err) {
+    console.error(`[ENGINE] Capture download failed for match ${matchId}:`, err.message);
+    if (res.headersSent) return res.destroy();
+    return res.status(500).json({ error: 'Failed to read capture' });
+  }
+});
+
 /**
  * GET /engine/match/:matchId/result
  *
  * Returns full match result for backend (scores, stats, winner).
- * Only available when match state is ENDED. No persistence on engine side.
+ * Only available when match state is ENDED. Once served, the match's snapshot is deleted:
+ * it stays in memory for repeat fetches, but a restart no longer restores it.
  */
 app.get('/engine/match/:matchId/result', (req, res) => {
   const { matchId } = req.params;
@@ -296,6 +812,7 @@ app.get('/engine/match/:matchId/result', (req, res) => {
     return res.status(404).json({ error: 'Match not found or not ended' });
   }
 
+  dropPersistedSnapshot(matchId);
   return res.status(200).json(result);
 });
 
@@ -313,8 +830,29 @@ function startStaleCleanupCron() {
   console.log('[ENGINE] Stale cleanup cron started (every 30 min)');
 }
 
+// Write pending state snapshots before exiting so a deploy can resume live matches
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.on(signal, () => {
+    console.log(`[ENGINE] ${signal} received; saving match state`);
+    flushPersistedState();
+    process.exit(0);
+  });
+}
+
 // Run recovery on boot, then start safety cron, then listen
 async function start() {
+  checkEngineAuthConfig();
+  let driver;
+  try {
+    driver = getInfraDriver();
+  } catch (err) {
+    console.error(`[ENGINE] ${err.message}`);
+    process.exit(1);
+  }
+  console.log(`[ENGINE] Infrastructure driver: ${driver.name}`);
+  if (driver.ephemeral && process.env.NODE_ENV === 'production') {
+    console.warn(`[ENGINE] INFRA_DRIVER=${driver.name} in production: team services are in-process stubs`);
+  }
   try {
     await runRecovery();
   } catch (err) {
@@ -323,8 +861,23 @@ async function start() {
   }
   startSafetyCron();
   startStaleCleanupCron();
-  app.listen(PORT, () => {
+  startWarmPool().catch((err) => {
+    console.error('[ENGINE] Warm pool failed to start:', err.message);
+  });
+  const server = app.listen(PORT, () => {
     console.log(`Match Engine listening on port ${PORT}`);
+    // Multi-node: register with the backend's scheduler once requests can be served
+    startEngineHeartbeat(() => ({
+      activeMatches: countActiveMatches(),
+      maxConcurrentMatches: Math.min(MAX_CONCURRENT_MATCHES, MAX_MATCH_NETWORKS),
+    }));
+  });
+  // Jump box terminals: raw TTY streams over an upgraded connection
+  server.on('upgrade', (req, socket, head) => {
+    handleTerminalUpgrade(req, socket, head).catch((err) => {
+      console.error('[ENGINE] Terminal upgrade failed:', err.message);
+      socket.destroy();
+    });
   });
 }
 
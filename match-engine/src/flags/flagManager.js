@@ -96,15 +96,13 @@ function parseFlagFormat(flag) {
 
 /**
  * Get service IDs for a match (canonical list used for validation).
- * Uses infrastructure when available (provisioned matches); else legacy 2-service ids.
+ * Taken from the provisioned infrastructure; empty when nothing is provisioned.
  *
  * @param {string} matchId
  * @returns {string[]}
  */
 export function getServiceIdsForMatch(matchId) {
-  const fromInfra = getServiceIdsFromInfrastructure(matchId);
-  if (fromInfra && fromInfra.length > 0) return fromInfra;
-  return [`teamA_${matchId}`, `teamB_${matchId}`];
+  return getServiceIdsFromInfrastructure(matchId) || [];
 }
 
 /**
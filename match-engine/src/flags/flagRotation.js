@@ -0,0 +1,105 @@
+/**
+ * Flag Rotation
+ *
+ * Plants the current tick's flag into every service container of a match.
+ * Called by the SLA tick loop after the tick advances, so a valid flag is always
+ * present to steal; a single service is re-planted after a team resets it. Failed
+ * plants are retried, then recorded per service so the scorer does not count an
+ * unplanted service as a successful defence.
+ *
+ * Flag values are never logged.
+ */
+
+import { injectFlagIntoContainer } from '../docker/containerManager.js';
+import { generateFlag } from './flagManager.js';
+import { getMatchInfrastructure, recordFlagPlant } from '../state/stateStore.js';
+
+const PLANT_MAX_ATTEMPTS = Number(process.env.FLAG_PLANT_MAX_ATTEMPTS) || 3;
+const PLANT_RETRY_DELAY_MS = 1000;
+const DEFAULT_FLAG_PATH = '/flag.txt';
+
+/**
+ * List the containers that should receive flags for a match (all provisioned services).
+ *
+ * @param {string} matchId
+ * @returns {Array<{ serviceId: string; containerId: string; flagPath: string }>}
+ */
+function getFlagTargets(matchId) {
+  const infra = getMatchInfrastructure(matchId);
+  if (!infra) return [];
+  return [...(infra.teamA?.containers || []), ...(infra.teamB?.containers || [])]
+    .filter((c) => c.serviceId && c.containerId)
+    .map((c) => ({
+      serviceId: c.serviceId,
+      containerId: c.containerId,
+      flagPath: c.flagPath || DEFAULT_FLAG_PATH,
+    }));
+}
+
+/**
+ * Plant one flag, retrying failed writes.
+ *
+ * @param {{ containerId: string; flagPath: string }} target
+ * @param {string} flag
+ * @returns {Promise<{ planted: boolean; attempts: number; error: string | null }>}
+ */
+async function plantWithRetry(target, flag) {
+  let lastError = null;
+  for (let attempt = 1; attempt <= PLANT_MAX_ATTEMPTS; attempt++) {
+    try {
+      await injectFlagIntoContainer(target.containerId, target.flagPath, flag);
+      return { planted: true, attempts: attempt, error: null };
+    } catch (err) {
+      lastError = err.message;
+      if (attempt < PLANT_MAX_ATTEMPTS) {
+        await new Promise((resolve) => setTimeout(resolve, PLANT_RETRY_DELAY_MS * attempt));
+      }
+    }
+  }
+  return { planted: false, attempts: PLANT_MAX_ATTEMPTS, error: lastError };
+}
+
+/**
+ * Plant and record one service's flag for a tick.
+ *
+ * @param {string} matchId
+ * @param {{ serviceId: string; containerId: string; flagPath: string }} target
+ * @param {number} tick
+ * @returns {Promise<{ serviceId: string; planted: boolean; attempts: number; error: string | null }>}
+ */
+async function plantTarget(matchId, target, tick) {
+  const flag = generateFlag(matchId, target.serviceId, tick);
+  const outcome = await plantWithRetry(target, flag);
+  recordFlagPlant(matchId, target.serviceId, tick, outcome);
+  if (!outcome.planted) {
+    console.warn(
+      `[FLAGS] Failed to plant flag for ${target.serviceId} (match ${matchId}, tick ${tick}) after ${outcome.attempts} attempts: ${outcome.error}`
+    );
+  }
+  return { serviceId: target.serviceId, ...outcome };
+}
+
+/**
+ * Plant the flag for `tick` into every service container of a match.
+ * Services are planted in parallel; one failing container does not block the rest.
+ *
+ * @param {string} matchId
+ * @param {number} tick
+ * @returns {Promise<Array<{ serviceId: string; planted: boolean; attempts: number; error: string | null }>>}
+ */
+export async function plantFlagsForTick(matchId, tick) {
+  return Promise.all(getFlagTargets(matchId).map((target) => plantTarget(matchId, target, tick)));
+}
+
+/**
+ * Plant the flag for `tick` into one service container again (after it was recreated).
+ *
+ * @param {string} matchId
+ * @param {string} serviceId
+ * @param {number} tick
+ * @returns {Promise<{ serviceId: string; planted: boolean; attempts: number; error: string | null } | null>} Null when the service is unknown
+ */
+export async function replantServiceFlag(matchId, serviceId, tick) {
+  const target = getFlagTargets(matchId).find((t) => t.serviceId === serviceId);
+  return target ? plantTarget(matchId, target, tick) : null;
+}
@@ -1,132 +1,81 @@
 /**
  * Game Bot / Health Checker
  *
- * Monitors game infrastructure health via HTTP health checks.
+ * Monitors game infrastructure health using each service template's healthCheck
+ * definition (HTTP, TCP or raw socket; see probes.js).
  *
  * Responsibilities:
- * - Perform HTTP health checks on containers
- * - Return status (UP/DOWN) and response time
+ * - Run the configured health check against every container
+ * - Return status (UP/DOWN), response time and which check failed
  * - Handle timeouts and network errors gracefully
  *
  * No flag validation, no scoring logic, no retries.
  */
 
-import fetch from 'node-fetch';
-import { getDockerClient } from '../docker/dockerClient.js';
-import { getMatch } from '../state/stateStore.js';
+import { getContainerIP } from '../docker/containerManager.js';
+import { getMatch, getMatchInfrastructure } from '../state/stateStore.js';
+import { normalizeHealthCheck, runProbe } from './probes.js';
+import { createHistogram } from '../utils/metrics.js';
 
-const HEALTH_CHECK_TIMEOUT_MS = 2000;
-const HEALTH_ENDPOINT = '/health';
+const healthCheckDuration = createHistogram(
+  'ctf_engine_health_check_duration_seconds',
+  'Service health check latency by check type and result',
+  { labelNames: ['check_type', 'status'] }
+);
 
 /**
- * Get container IP address within the match network.
+ * Run the template-defined health check on a single service.
  *
- * @param {string} containerId
- * @param {string} networkName
- * @returns {Promise<string | null>}
+ * @param {{ serviceId: string; containerId: string; containerIP?: string; port?: number; healthCheck?: object }} service - Provisioned container info
+ * @param {string} networkName - Docker network name
+ * @returns {Promise<{ serviceId: string; ip: string | null; status: "UP" | "DOWN"; responseTimeMs: number; checkType: string; failedCheck: string | null; detail: string | null }>}
  */
-async function getContainerIP(containerId, networkName) {
-  try {
-    const docker = getDockerClient();
-    const container = docker.getContainer(containerId);
-    const inspect = await container.inspect();
+async function checkServiceHealth(service, networkName) {
+  const { serviceId, containerId } = service;
+  const spec = normalizeHealthCheck(service.healthCheck, service.port);
+  const startTime = Date.now();
 
-    const networks = inspect.NetworkSettings?.Networks || {};
-    const networkInfo = networks[networkName];
+  let ip = null;
+  const result = (probe) => {
+    const status = probe.ok ? 'UP' : 'DOWN';
+    const responseTimeMs = Date.now() - startTime;
+    healthCheckDuration.observe({ check_type: spec.type, status }, responseTimeMs / 1000);
+    return {
+      serviceId,
+      ip,
+      status,
+      responseTimeMs,
+      checkType: spec.type,
+      failedCheck: probe.failedCheck,
+      detail: probe.detail,
+    };
+  };
 
-    return networkInfo?.IPAddress || null;
-  } catch (error) {
-    console.error(`Failed to get IP for container ${containerId}:`, error);
-    return null;
+  if (!containerId) {
+    return result({ ok: false, failedCheck: 'container', detail: 'service has no container' });
   }
-}
-
-/**
- * Perform HTTP health check on a single service.
- *
- * @param {string} serviceId - Service identifier (e.g., "teamA_<matchId>")
- * @param {string} containerId - Docker container ID
- * @param {string} networkName - Docker network name
- * @returns {Promise<{ serviceId: string; status: "UP" | "DOWN"; responseTimeMs: number }>}
- */
-async function checkServiceHealth(serviceId, containerId, networkName) {
-  const startTime = Date.now();
 
   try {
-    const ip = await getContainerIP(containerId, networkName);
+    ip = (await getContainerIP(containerId, networkName)) || service.containerIP || null;
     if (!ip) {
-      return {
-        serviceId,
-        status: 'DOWN',
-        responseTimeMs: Date.now() - startTime,
-      };
+      return result({ ok: false, failedCheck: 'ip', detail: 'container has no address on match network' });
     }
 
-    const url = `http://${ip}${HEALTH_ENDPOINT}`;
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), HEALTH_CHECK_TIMEOUT_MS);
-
-    try {
-      const response = await fetch(url, {
-        method: 'GET',
-        signal: controller.signal,
-      });
-
-      clearTimeout(timeout);
-      const responseTimeMs = Date.now() - startTime;
-
-      if (response.ok && response.status === 200) {
-        return {
-          serviceId,
-          status: 'UP',
-          responseTimeMs,
-        };
-      } else {
-        return {
-          serviceId,
-          status: 'DOWN',
-          responseTimeMs,
-        };
-      }
-    } catch (fetchError) {
-      clearTimeout(timeout);
-      const responseTimeMs = Date.now() - startTime;
-
-      if (fetchError.name === 'AbortError') {
-        // Timeout
-        return {
-          serviceId,
-          status: 'DOWN',
-          responseTimeMs,
-        };
-      }
-
-      // Network error or other failure
-      return {
-        serviceId,
-        status: 'DOWN',
-        responseTimeMs,
-      };
-    }
+    return result(await runProbe(ip, spec));
   } catch (error) {
-    const responseTimeMs = Date.now() - startTime;
     console.error(`Health check failed for ${serviceId}:`, error);
-    return {
-      serviceId,
-      status: 'DOWN',
-      responseTimeMs,
-    };
+    return result({ ok: false, failedCheck: 'internal', detail: error.message });
   }
 }
 
 /**
  * Check health of all services in a match.
  *
- * Iterates over containers defined in match metadata and performs
- * HTTP health checks on each.
+ * Iterates over every container in the match infrastructure and runs
+ * its template health check.
  *
  * @param {string} matchId
- * @returns {Promise<Array<{ serviceId: string; status: "UP" | "DOWN"; responseTimeMs: number }>>}
+ * @returns {Promise<Array<{ serviceId: string; status: "UP" | "DOWN"; responseTimeMs: number; checkType: string; failedCheck: string | null; detail: string | null }>>}
  */
 export async function checkMatchHealth(matchId) {
   const match = getMatch(matchId);
@@ -134,20 +83,18 @@ export async function checkMatchHealth(matchId) {
     throw new Error(`Match ${matchId} not found`);
   }
 
-  const metadata = match.metadata || {};
-  const containerIds = metadata.containerIds;
-  const networkName = `match_${matchId}`;
-
-  if (!containerIds || !containerIds.teamA || !containerIds.teamB) {
-    console.warn(`Match ${matchId} missing container IDs`);
+  const infrastructure = getMatchInfrastructure(matchId);
+  if (!infrastructure) {
+    console.warn(`Match ${matchId} has no provisioned infrastructure`);
     return [];
   }
 
-  // Check both services in parallel
-  const [teamAResult, teamBResult] = await Promise.all([
-    checkServiceHealth(`teamA_${matchId}`, containerIds.teamA, networkName),
-    checkServiceHealth(`teamB_${matchId}`, containerIds.teamB, networkName),
-  ]);
+  const networkName = infrastructure.networkName || `match_${matchId}`;
+  const services = [
+    ...(infrastructure.teamA?.containers || []),
+    ...(infrastructure.teamB?.containers || []),
+  ].filter((c) => c.serviceId);
 
-  return [teamAResult, teamBResult];
+  // Check all services in parallel
+  return Promise.all(services.map((service) => checkServiceHealth(service, networkName)));
 }
@@ -0,0 +1,197 @@
+/**
+ * Health Probes
+ *
+ * Protocol-level probes used by the game bot, driven by each service template's
+ * `healthCheck` definition.
+ *
+ * Supported check types:
+ * - http:   request `endpoint` on `port`, assert status and (optionally) body substring/regex
+ * - tcp:    connect to `port` only
+ * - socket: connect, optionally write `send`, assert the reply matches `expect`/`expectRegex`
+ *
+ * Every probe resolves (never rejects) with { ok, failedCheck, detail } so the caller
+ * can report exactly which check failed.
+ */
+
+import net from 'net';
+import fetch from 'node-fetch';
+
+const DEFAULT_TIMEOUT_MS = 2000;
+const MAX_TIMEOUT_MS = 10000;
+const MAX_BODY_BYTES = 64 * 1024;
+const CHECK_TYPES = ['http', 'tcp', 'socket'];
+
+/**
+ * Compile a user-supplied regex, returning null when it is missing or invalid.
+ *
+ * @param {unknown} source
+ * @returns {RegExp | null}
+ */
+function toRegex(source) {
+  if (typeof source !== 'string' || source === '') return null;
+  try {
+    return new RegExp(source);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Normalize a template healthCheck definition into a complete probe spec.
+ * Unknown or missing fields fall back to an HTTP GET on the service port.
+ *
+ * @param {object | undefined} healthCheck - Template healthCheck field
+ * @param {number} servicePort - Template port (default probe port)
+ * @returns {{
+ *   type: 'http' | 'tcp' | 'socket';
+ *   port: number;
+ *   endpoint: string;
+ *   method: string;
+ *   expectedStatus: number;
+ *   bodyContains: string | null;
+ *   bodyRegex: RegExp | null;
+ *   send: string | null;
+ *   expect: string | null;
+ *   expectRegex: RegExp | null;
+ *   timeoutMs: number;
+ * }}
+ */
+export function normalizeHealthCheck(healthCheck, servicePort) {
+  const hc = healthCheck && typeof healthCheck === 'object' ? healthCheck : {};
+  const type = CHECK_TYPES.includes(hc.type) ? hc.type : 'http';
+  const port = Number.isInteger(Number(hc.port)) && Number(hc.port) > 0 ? Number(hc.port) : Number(servicePort) || 80;
+  const rawPath = typeof hc.endpoint === 'string' ? hc.endpoint : typeof hc.path === 'string' ? hc.path : '/';
+  const timeout = Number(hc.timeoutMs);
+
+  return {
+    type,
+    port,
+    endpoint: rawPath.startsWith('/') ? rawPath : `/${rawPath}`,
+    method: hc.method === 'HEAD' ? 'HEAD' : 'GET',
+    expectedStatus: Number.isInteger(Number(hc.expectedStatus)) ? Number(hc.expectedStatus) : 200,
+    bodyContains: typeof hc.bodyContains === 'string' && hc.bodyContains !== '' ? hc.bodyContains : null,
+    bodyRegex: toRegex(hc.bodyRegex),
+    send: typeof hc.send === 'string' && hc.send !== '' ? hc.send : null,
+    expect: typeof hc.expect === 'string' && hc.expect !== '' ? hc.expect : null,
+    expectRegex: toRegex(hc.expectRegex),
+    timeoutMs: timeout > 0 ? Math.min(timeout, MAX_TIMEOUT_MS) : DEFAULT_TIMEOUT_MS,
+  };
+}
+
+/**
+ * HTTP probe: status and optional body assertions.
+ *
+ * @param {string} ip
+ * @param {ReturnType<typeof normalizeHealthCheck>} spec
+ * @returns {Promise<{ ok: boolean; failedCheck: string | null; detail: string | null }>}
+ */
+async function httpProbe(ip, spec) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), spec.timeoutMs);
+
+  try {
+    const response = await fetch(`http://${ip}:${spec.port}${spec.endpoint}`, {
+      method: spec.method,
+      signal: controller.signal,
+      redirect: 'manual',
+      size: MAX_BODY_BYTES,
+    });
+
+    if (response.status !== spec.expectedStatus) {
+      return { ok: false, failedCheck: 'status', detail: `expected ${spec.expectedStatus}, got ${response.status}` };
+    }
+
+    if (spec.bodyContains || spec.bodyRegex) {
+      const body = await response.text();
+      if (spec.bodyContains && !body.includes(spec.bodyContains)) {
+        return { ok: false, failedCheck: 'body', detail: 'body does not contain expected text' };
+      }
+      if (spec.bodyRegex && !spec.bodyRegex.test(body)) {
+        return { ok: false, failedCheck: 'body', detail: 'body does not match expected pattern' };
+      }
+    }
+
+    return { ok: true, failedCheck: null, detail: null };
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      return { ok: false, failedCheck: 'timeout', detail: `no response within ${spec.timeoutMs}ms` };
+    }
+    return { ok: false, failedCheck: 'connect', detail: err.code || err.message };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * TCP / raw socket probe. For `tcp`, a successful connect is enough.
+ * For `socket`, optionally writes `send` and reads until the expectation matches,
+ * the peer closes, or the timeout fires.
+ *
+ * @param {string} ip
+ * @param {ReturnType<typeof normalizeHealthCheck>} spec
+ * @returns {Promise<{ ok: boolean; failedCheck: string | null; detail: string | null }>}
+ */
+function socketProbe(ip, spec) {
+  return new Promise((resolve) => {
+    const socket = new net.Socket();
+    const wantsReply = spec.type === 'socket' && (spec.expect || spec.expectRegex);
+    let received = '';
+    let connected = false;
+    let settled = false;
+
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      resolve(result);
+    };
+
+    const matches = () =>
+      (!spec.expect || received.includes(spec.expect)) &&
+      (!spec.expectRegex || spec.expectRegex.test(received));
+
+    socket.setTimeout(spec.timeoutMs);
+    socket.on('timeout', () => {
+      if (!connected) {
+        finish({ ok: false, failedCheck: 'timeout', detail: `no connection within ${spec.timeoutMs}ms` });
+      } else {
+        finish({ ok: false, failedCheck: 'response', detail: `reply did not match within ${spec.timeoutMs}ms` });
+      }
+    });
+    socket.on('error', (err) => {
+      finish({ ok: false, failedCheck: connected ? 'response' : 'connect', detail: err.code || err.message });
+    });
+    socket.on('data', (chunk) => {
+      if (received.length < MAX_BODY_BYTES) received += chunk.toString('utf8');
+      if (wantsReply && matches()) finish({ ok: true, failedCheck: null, detail: null });
+    });
+    socket.on('end', () => {
+      if (wantsReply) {
+        finish(matches()
+          ? { ok: true, failedCheck: null, detail: null }
+          : { ok: false, failedCheck: 'response', detail: 'reply did not match expectation' });
+      }
+    });
+
+    socket.connect(spec.port, ip, () => {
+      connected = true;
+      if (spec.type === 'socket' && spec.send) {
+        socket.write(spec.send);
+      }
+      if (!wantsReply) {
+        finish({ ok: true, failedCheck: null, detail: null });
+      }
+    });
+  });
+}
+
+/**
+ * Run the probe described by `spec` against a container IP.
+ *
+ * @param {string} ip
+ * @param {ReturnType<typeof normalizeHealthCheck>} spec
+ * @returns {Promise<{ ok: boolean; failedCheck: string | null; detail: string | null }>}
+ */
+export function runProbe(ip, spec) {
+  return spec.type === 'http' ? httpProbe(ip, spec) : socketProbe(ip, spec);
+}
@@ -0,0 +1,77 @@
+/**
+ * Infrastructure Driver
+ *
+ * Where match infrastructure (networks, team service containers, jump boxes) comes from.
+ * containerManager.js, networkManager.js and the game bot go through the driver picked by
+ * INFRA_DRIVER:
+ *
+ *   docker    (default) — real containers on a per-match bridge network (docker/dockerDriver.js)
+ *   simulated — in-process HTTP stubs with scriptable status and in-memory files, no
+ *               Docker daemon needed (infra/simulatedDriver.js); for tests and local dev
+ *
+ * The driver is chosen once per process. Recovery, the stale-resource crons and the warm
+ * pool find and remove resources through it too (via containerManager.js and
+ * networkManager.js). An `ephemeral` driver keeps everything inside the engine process:
+ * nothing survives a restart, so those scans find only what this process created, and
+ * the warm pool is off.
+ */
+
+import { dockerDriver } from '../docker/dockerDriver.js';
+import { simulatedDriver } from './simulatedDriver.js';
+
+/**
+ * @typedef {object} InfraDriver
+ * @property {string} name
+ * @property {boolean} ephemeral
+ * @property {(matchId: string) => Promise<{ networkId: string; networkName: string; subnet: string }>} createMatchNetwork
+ * @property {(matchId: string) => Promise<void>} removeMatchNetwork
+ * @property {(matchId: string) => Promise<void>} removeStackNetworks
+ * @property {(matchId: string, infrastructure: object) => Promise<void>} applyNetworkPolicy
+ * @property {(matchId: string) => Promise<void>} removeNetworkPolicy
+ * @property {(networkId: string) => Promise<void>} removeNetwork
+ * @property {() => Promise<Array<{ id: string; name: string; matchId: string; stack: boolean }>>} listMatchNetworks
+ * @property {(networkId: string) => Promise<number>} countNetworkContainers
+ * @property {(networkName: string) => Promise<void>} ensurePoolNetwork
+ * @property {(template: object, options: object) => Promise<object>} createServiceContainer
+ * @property {(matchId: string, teamId: string, networkId: string, template: object, options?: object) => Promise<object>} provisionTeamService
+ * @property {(matchId: string, service: object, template: object, networkName: string) => Promise<string>} recreateServiceContainer
+ * @property {(containerId: string) => Promise<void>} stopAndRemoveContainer
+ * @property {(containerId: string, flagPath: string, flagValue: string) => Promise<void>} injectFlagIntoContainer
+ * @property {(matchId: string, teamId: string, networkId: string) => Promise<object>} provisionJumpBox
+ * @property {(containerId: string, size: { cols: number; rows: number }) => Promise<{ exec: object; stream: import('stream').Duplex }>} openJumpBoxShell
+ * @property {(containerId: string, cmd: string[], options?: object) => Promise<{ exitCode: number | null; stdout: Buffer; stderr: Buffer; truncated: boolean; timedOut: boolean }>} execInContainer
+ * @property {(containerId: string, filePath: string, content: Buffer) => Promise<void>} writeFileToContainer
+ * @property {(containerId: string, filePath: string, maxBytes: number) => Promise<{ content: Buffer; truncated: boolean }>} readFileFromContainer
+ * @property {(containerId: string) => Promise<void>} restartContainer
+ * @property {(containerId: string, filePath: string, target: import('stream').Writable) => Promise<void>} streamFileFromContainer
+ * @property {(matchId: string, bridgeInterface: string) => Promise<object | null>} provisionCaptureSidecar
+ * @property {(containerId: string, networkName: string) => Promise<string | null>} getContainerIP
+ * @property {(containerId: string) => Promise<{ name: string; labels: Record<string, string> }>} getContainerLabels
+ * @property {(matchId: string) => Promise<string[]>} listMatchContainerIds
+ * @property {(containerId: string) => Promise<void>} startContainer
+ * @property {() => Promise<Array<{ id: string; name: string; matchId: string; state: string; createdAt: number; claimed: boolean }>>} listMatchContainers
+ * @property {() => Promise<Array<{ id: string; name: string; claimedBy: string | null }>>} listPoolContainers
+ * @property {(containerId: string, poolNetwork: string, target: { name: string; networkName: string }) => Promise<object>} claimPoolContainer
+ */
+
+const DRIVERS = {
+  docker: dockerDriver,
+  simulated: simulatedDriver,
+};
+
+let activeDriver = null;
+
+/**
+ * The driver selected by INFRA_DRIVER. Throws for an unknown name.
+ *
+ * @returns {InfraDriver}
+ */
+export function getInfraDriver() {
+  if (activeDriver) return activeDriver;
+  const name = (process.env.INFRA_DRIVER || 'docker').trim();
+  if (!Object.hasOwn(DRIVERS, name)) {
+    throw new Error(`Unknown INFRA_DRIVER "${name}" (expected ${Object.keys(DRIVERS).join(' or ')})`);
+  }
+  activeDriver = DRIVERS[name];
+  return activeDriver;
+}
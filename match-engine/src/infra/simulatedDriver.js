@@ -0,0 +1,540 @@
+/**
+ * Simulated Infrastructure Driver
+ *
+ * INFRA_DRIVER=simulated runs whole matches without a Docker daemon, for tests and local
+ * development. Every team service is an HTTP stub inside the engine process on
+ * 127.0.0.1 (its own port, recorded as the service `port`), so health checks, checkers,
+ * flag rotation and scoring run unchanged against it. Files, planted flags included, are
+ * kept in memory per service.
+ *
+ * A stub answers:
+ *   GET  <healthCheck endpoint>  the template's expectedStatus, body with its bodyContains
+ *                                (and the checker's checkContains)
+ *   POST/PUT <any path>          stores the body, returns { id }
+ *   GET  <file path>             that file (e.g. the planted flag; the stub is "vulnerable")
+ *   GET  .../<id>                the body stored under that id
+ * `socket` health checks get a TCP stub that replies with the template's `expect`.
+ * `bodyRegex` / `expectRegex` checks are not synthesized.
+ *
+ * Each service has a scriptable status (setSimulatedServiceBehaviour, or
+ * POST /engine/match/:matchId/simulation/services/:serviceId):
+ *   up       normal behaviour
+ *   down     port closed (health check fails: DOWN)
+ *   mumble   health endpoint fine, every other request 500 (checkers: MUMBLE)
+ *   corrupt  stores are accepted but nothing stored (flag file included) can be read back
+ *            (checkers: CORRUPT, flag lost)
+ * plus an optional script, { <tick>: status }, applied from that tick on. The status is
+ * evaluated against the match's current tick, so a scripted match plays out the same way
+ * every run.
+ *
+ * Not simulated: stack components, network isolation, jump box terminals, command exec,
+ * packet capture, the warm pool. Nothing outlives the engine process.
+ */
+
+import http from 'http';
+import net from 'net';
+import { randomUUID } from 'crypto';
+import { getCurrentTick } from '../state/stateStore.js';
+import { normalizeHealthCheck } from '../health/probes.js';
+
+const HOST = '127.0.0.1';
+const MAX_BODY_BYTES = 64 * 1024;
+const DEFAULT_HEALTH_CHECK = { type: 'http', endpoint: '/', expectedStatus: 200, interval: 30 };
+
+export const SimulatedStatus = {
+  UP: 'up',
+  DOWN: 'down',
+  MUMBLE: 'mumble',
+  CORRUPT: 'corrupt',
+};
+const STATUSES = Object.values(SimulatedStatus);
+
+/** containerId -> simulated container */
+const containers = new Map();
+
+/** matchId -> simulated match network */
+const networks = new Map();
+
+function simulationError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function unsupported(what) {
+  return simulationError(501, `${what} is not available with the simulated infrastructure driver`);
+}
+
+function findByName(name) {
+  for (const container of containers.values()) {
+    if (container.name === name) return container;
+  }
+  return null;
+}
+
+function getContainer(containerId) {
+  const container = containers.get(containerId);
+  if (!container) throw simulationError(404, `No such container: ${containerId}`);
+  return container;
+}
+
+/**
+ * Status a service has right now: its script entry for the latest tick reached, else its status.
+ *
+ * @param {object} container
+ * @returns {string}
+ */
+function effectiveStatus(container) {
+  const tick = getCurrentTick(container.matchId);
+  let status = container.status;
+  for (const [fromTick, scripted] of container.script) {
+    if (fromTick <= tick) status = scripted;
+  }
+  return status;
+}
+
+/**
+ * Answer one HTTP request as the simulated service.
+ *
+ * @param {object} container
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+function handleRequest(container, req, res) {
+  const status = effectiveStatus(container);
+  if (status === SimulatedStatus.DOWN) {
+    req.socket.destroy();
+    return;
+  }
+  const reply = (code, body, type = 'text/plain') => {
+    res.writeHead(code, { 'Content-Type': type });
+    res.end(body);
+  };
+  const { pathname } = new URL(req.url, 'http://stub');
+  const isRead = req.method === 'GET' || req.method === 'HEAD';
+
+  if (isRead && pathname === container.health.endpoint) {
+    return reply(container.health.expectedStatus, container.healthBody);
+  }
+  if (status === SimulatedStatus.MUMBLE) {
+    return reply(500, 'simulated malfunction');
+  }
+
+  if (req.method === 'POST' || req.method === 'PUT') {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size > MAX_BODY_BYTES) return reply(413, 'payload too large');
+      const id = String(container.nextItemId++);
+      if (status !== SimulatedStatus.CORRUPT) container.items.set(id, Buffer.concat(chunks));
+      return reply(200, JSON.stringify({ id }), 'application/json');
+    });
+    return undefined;
+  }
+  if (!isRead) return reply(405, 'method not allowed');
+
+  // A corrupt service answers normally but has lost everything it stored
+  if (status !== SimulatedStatus.CORRUPT) {
+    const file = container.files.get(pathname);
+    if (file) return reply(200, file);
+    const item = container.items.get(decodeURIComponent(pathname.split('/').pop() || ''));
+    if (item) return reply(200, item);
+  }
+  return reply(200, container.healthBody);
+}
+
+/**
+ * Answer one TCP connection as a `socket` health-checked service.
+ *
+ * @param {object} container
+ * @param {net.Socket} socket
+ */
+function handleSocket(container, socket) {
+  if (effectiveStatus(container) === SimulatedStatus.DOWN) {
+    socket.destroy();
+    return;
+  }
+  const answer = container.health.expect || '';
+  if (container.health.send) {
+    socket.once('data', () => socket.end(answer));
+  } else {
+    socket.end(answer);
+  }
+}
+
+function createStubServer(container) {
+  const server = container.health.type === 'socket'
+    ? net.createServer((socket) => handleSocket(container, socket))
+    : http.createServer((req, res) => handleRequest(container, req, res));
+  server.on('connection', (socket) => {
+    container.sockets.add(socket);
+    socket.on('close', () => container.sockets.delete(socket));
+  });
+  return server;
+}
+
+async function startListening(container) {
+  if (container.listening) return;
+  await new Promise((resolve, reject) => {
+    container.server.once('error', reject);
+    container.server.listen(container.port || 0, HOST, () => {
+      container.server.off('error', reject);
+      resolve();
+    });
+  });
+  container.port = container.server.address().port;
+  container.listening = true;
+}
+
+async function stopListening(container) {
+  if (!container.listening) return;
+  container.listening = false;
+  const closed = new Promise((resolve) => container.server.close(() => resolve()));
+  for (const socket of container.sockets) socket.destroy();
+  await closed;
+}
+
+/**
+ * Open or close a service's port to match its current status (called before every health check).
+ *
+ * @param {object} container
+ */
+async function syncListening(container) {
+  if (!container.server) return;
+  const open = container.running && effectiveStatus(container) !== SimulatedStatus.DOWN;
+  try {
+    if (open) await startListening(container);
+    else await stopListening(container);
+  } catch (err) {
+    console.warn(`[SIMULATION] ${container.name}: cannot listen on port ${container.port}: ${err.message}`);
+  }
+}
+
+/**
+ * Create and start a simulated service for a template.
+ *
+ * @param {{ name: string; matchId: string; teamId: string; serviceId: string; labels: Record<string, string>; template: object; port?: number; behaviour?: { status: string; script: Array<[number, string]> } }} spec
+ * @returns {Promise<object>}
+ */
+async function startService({ name, matchId, teamId, serviceId, labels, template, port, behaviour }) {
+  const health = normalizeHealthCheck(template.healthCheck || DEFAULT_HEALTH_CHECK, template.port);
+  const container = {
+    id: `sim-${randomUUID()}`,
+    name,
+    kind: 'service',
+    matchId,
+    teamId,
+    serviceId,
+    labels,
+    files: new Map(),
+    items: new Map(),
+    nextItemId: 1,
+    createdAt: Date.now(),
+    status: behaviour?.status || SimulatedStatus.UP,
+    script: behaviour?.script || [],
+    health,
+    healthBody: [health.bodyContains, template.checker?.options?.checkContains].filter(Boolean).join('\n') || 'ok',
+    sockets: new Set(),
+    port: port || 0,
+    listening: false,
+    running: true,
+    server: null,
+  };
+  container.server = createStubServer(container);
+  // Take a port even when scripted down, so the service keeps its address
+  await startListening(container);
+  containers.set(container.id, container);
+  await syncListening(container);
+  return container;
+}
+
+async function removeContainer(container) {
+  container.running = false;
+  containers.delete(container.id);
+  if (container.server) await stopListening(container);
+}
+
+/**
+ * ContainerInfo for the infrastructure record, as the Docker driver returns it.
+ *
+ * @param {object} container
+ * @param {object} template
+ * @returns {object}
+ */
+function serviceInfo(container, template) {
+  return {
+    containerId: container.id,
+    containerName: container.name,
+    serviceType: template.type || 'other',
+    templateId: template.templateId || template.id,
+    teamId: container.teamId,
+    serviceId: container.serviceId,
+    containerIP: HOST,
+    port: container.port,
+    flagPath: template.flagPath || '/flag.txt',
+    // Probes go to the stub's port, whatever port the template declares
+    healthCheck: { ...(template.healthCheck || DEFAULT_HEALTH_CHECK), port: container.port },
+    checker: template.checker || null,
+    networkPolicy: template.networkPolicy || null,
+    stack: null,
+    fromPool: false,
+  };
+}
+
+async function provisionTeamService(matchId, teamId, networkId, template, options = {}) {
+  const onProgress = options.onProgress || (() => {});
+  const templateId = template.templateId || template.id;
+  const serviceType = template.type || 'other';
+  const name = `match-${matchId}-${teamId}-${serviceType}-${(templateId || '').slice(0, 8)}`;
+
+  let container = findByName(name);
+  if (!container) {
+    onProgress('creating');
+    container = await startService({
+      name,
+      matchId,
+      teamId,
+      serviceId: `${teamId}_${templateId}`,
+      labels: {
+        'ctf.match.id': matchId,
+        'ctf.team.id': teamId,
+        'ctf.service.type': serviceType,
+        'ctf.template.id': String(templateId || ''),
+      },
+      template,
+    });
+    onProgress('starting');
+  }
+  return serviceInfo(container, template);
+}
+
+async function recreateServiceContainer(matchId, service, template) {
+  const old = containers.get(service.containerId);
+  const behaviour = old ? { status: old.status, script: old.script } : undefined;
+  if (old) await removeContainer(old);
+  const container = await startService({
+    name: service.containerName,
+    matchId,
+    teamId: service.teamId,
+    serviceId: service.serviceId,
+    labels: {
+      'ctf.match.id': matchId,
+      'ctf.team.id': service.teamId,
+      'ctf.service.type': service.serviceType,
+      'ctf.template.id': String(service.templateId || ''),
+    },
+    template,
+    port: service.port,
+    behaviour,
+  });
+  return container.id;
+}
+
+async function provisionJumpBox(matchId, teamId) {
+  const name = `match-${matchId}-${teamId}-jumpbox`;
+  let container = findByName(name);
+  if (!container) {
+    container = {
+      id: `sim-${randomUUID()}`,
+      name,
+      kind: 'jumpbox',
+      matchId,
+      teamId,
+      labels: { 'ctf.match.id': matchId, 'ctf.team.id': teamId, 'ctf.service.type': 'jumpbox' },
+      files: new Map(),
+      createdAt: Date.now(),
+      running: true,
+      server: null,
+    };
+    containers.set(container.id, container);
+  }
+  return { containerId: container.id, containerName: name, teamId, containerIP: HOST, image: 'simulated' };
+}
+
+async function restartContainer(containerId) {
+  const container = getContainer(containerId);
+  if (!container.server) return;
+  container.running = false;
+  await stopListening(container);
+  container.running = true;
+  await syncListening(container);
+}
+
+async function writeFileToContainer(containerId, filePath, content) {
+  getContainer(containerId).files.set(filePath, Buffer.from(content));
+}
+
+async function readFileFromContainer(containerId, filePath, maxBytes) {
+  const file = getContainer(containerId).files.get(filePath);
+  if (!file) {
+    const error = new Error(`cat: can't open '${filePath}': No such file or directory`);
+    error.exitCode = 1;
+    throw error;
+  }
+  return { content: file.subarray(0, maxBytes), truncated: file.length > maxBytes };
+}
+
+async function injectFlagIntoContainer(containerId, flagPath, flagValue) {
+  const container = getContainer(containerId);
+  if (!container.running) throw new Error('Flag injection failed: container is not running');
+  container.files.set(String(flagPath), Buffer.from(`${flagValue}\n`));
+}
+
+let captureWarned = false;
+
+/** @type {import('./infraDriver.js').InfraDriver} */
+export const simulatedDriver = {
+  name: 'simulated',
+  ephemeral: true,
+
+  async createMatchNetwork(matchId) {
+    if (!networks.has(matchId)) {
+      networks.set(matchId, { networkId: `sim-net-${matchId}`, networkName: `match_${matchId}`, subnet: `${HOST}/32` });
+    }
+    return networks.get(matchId);
+  },
+  async removeMatchNetwork(matchId) {
+    networks.delete(matchId);
+  },
+  async removeStackNetworks() {},
+  async applyNetworkPolicy() {},
+  async removeNetworkPolicy() {},
+  async removeNetwork(networkId) {
+    for (const [matchId, network] of networks) {
+      if (network.networkId === networkId) networks.delete(matchId);
+    }
+  },
+  async listMatchNetworks() {
+    return [...networks].map(([matchId, n]) => ({ id: n.networkId, name: n.networkName, matchId, stack: false }));
+  },
+  async countNetworkContainers(networkId) {
+    const matchId = [...networks].find(([, n]) => n.networkId === networkId)?.[0];
+    return [...containers.values()].filter((c) => c.matchId === matchId).length;
+  },
+  async ensurePoolNetwork() {
+    throw unsupported('The warm pool');
+  },
+
+  async createServiceContainer() {
+    throw unsupported('The warm pool');
+  },
+  provisionTeamService,
+  recreateServiceContainer,
+  async stopAndRemoveContainer(containerId) {
+    const container = containers.get(containerId);
+    if (container) await removeContainer(container);
+  },
+  injectFlagIntoContainer,
+  provisionJumpBox,
+  async openJumpBoxShell() {
+    throw unsupported('A jump box terminal');
+  },
+  async execInContainer() {
+    throw unsupported('Command execution');
+  },
+  writeFileToContainer,
+  readFileFromContainer,
+  restartContainer,
+  async streamFileFromContainer() {
+    throw unsupported('Packet capture');
+  },
+  async provisionCaptureSidecar(matchId) {
+    if (!captureWarned) console.warn(`[SIMULATION] CAPTURE_ENABLED is ignored; match ${matchId} has no packet capture`);
+    captureWarned = true;
+    return null;
+  },
+  async getContainerIP(containerId) {
+    const container = containers.get(containerId);
+    if (!container?.running) return null;
+    await syncListening(container);
+    return HOST;
+  },
+  async getContainerLabels(containerId) {
+    const container = getContainer(containerId);
+    return { name: container.name, labels: container.labels };
+  },
+  async listMatchContainerIds(matchId) {
+    return [...containers.values()].filter((c) => c.matchId === matchId).map((c) => c.id);
+  },
+  async startContainer(containerId) {
+    const container = getContainer(containerId);
+    container.running = true;
+    await syncListening(container);
+  },
+  async listMatchContainers() {
+    return [...containers.values()].map((c) => ({
+      id: c.id,
+      name: c.name,
+      matchId: c.matchId,
+      state: c.running ? 'running' : 'exited',
+      createdAt: c.createdAt,
+      claimed: false,
+    }));
+  },
+  async listPoolContainers() {
+    return [];
+  },
+  async claimPoolContainer() {
+    throw unsupported('The warm pool');
+  },
+};
+
+/**
+ * Change how a simulated service behaves. `status` takes effect now; `script` replaces the
+ * service's script ({ <tick>: status }, each applying from that tick on).
+ * Throws with an HTTP `status` (400 malformed, 404 unknown service).
+ *
+ * @param {string} matchId
+ * @param {string} serviceId
+ * @param {{ status?: string; script?: Record<string, string> }} behaviour
+ * @returns {Promise<{ serviceId: string; status: string; script: Record<string, string>; effectiveStatus: string }>}
+ */
+export async function setSimulatedServiceBehaviour(matchId, serviceId, { status, script } = {}) {
+  if (status === undefined && script === undefined) throw simulationError(400, 'status or script is required');
+  if (status !== undefined && !STATUSES.includes(status)) {
+    throw simulationError(400, `status must be one of ${STATUSES.join(', ')}`);
+  }
+  let entries;
+  if (script !== undefined) {
+    if (!script || typeof script !== 'object' || Array.isArray(script)) throw simulationError(400, 'script must be an object');
+    entries = Object.entries(script).map(([tick, scripted]) => [Number(tick), scripted]);
+    if (entries.some(([tick, scripted]) => !Number.isInteger(tick) || tick < 0 || !STATUSES.includes(scripted))) {
+      throw simulationError(400, `script maps ticks (non-negative integers) to ${STATUSES.join(', ')}`);
+    }
+    entries.sort((a, b) => a[0] - b[0]);
+  }
+
+  const container = [...containers.values()].find((c) => c.matchId === matchId && c.serviceId === serviceId);
+  if (!container) throw simulationError(404, 'Simulated service not found');
+  if (status !== undefined) container.status = status;
+  if (entries) container.script = entries;
+  await syncListening(container);
+  return describeService(container);
+}
+
+function describeService(container) {
+  return {
+    serviceId: container.serviceId,
+    teamId: container.teamId,
+    port: container.port,
+    status: container.status,
+    script: Object.fromEntries(container.script),
+    effectiveStatus: effectiveStatus(container),
+  };
+}
+
+/**
+ * Simulated services of a match and their behaviour.
+ *
+ * @param {string} matchId
+ * @returns {Array<{ serviceId: string; teamId: string; port: number; status: string; script: Record<string, string>; effectiveStatus: string }>}
+ */
+export function listSimulatedServices(matchId) {
+  return [...containers.values()]
+    .filter((c) => c.matchId === matchId && c.kind === 'service')
+    .map(describeService);
+}
@@ -4,33 +4,57 @@
  * Defines the canonical states and transitions for a match.
  *
  * This file handles Docker infrastructure lifecycle:
- * - CREATED -> INITIALIZING: Create network, start containers
- * - ENDING -> ENDED: Stop containers, remove network
+ * - CREATED -> INITIALIZING: Provision network + template services, plant tick-0 flags
+ * - RUNNING -> ENDING: on stop, or once the match's scheduled duration (plus any
+ *   overtime) has been played (matchSchedule.js)
+ * - RUNNING <-> PAUSED: admin halt; the tick loop stops, containers are left as they are
+ * - ENDING -> ENDED: Decide the winner (tie-breakers), stop containers, remove network
  *
- * No gameplay logic, no scoring logic, no timers.
+ * No gameplay logic, no scoring logic.
  */
 
-import { getDockerClient } from '../docker/dockerClient.js';
-import { createMatchNetwork, removeMatchNetwork } from '../docker/networkManager.js';
+import { provisionMatch, markFlagsPlanted } from '../services/matchProvisioner.js';
+import { teardownMatchInfrastructure } from '../services/matchCleanup.js';
 import {
   updateState,
   updateMetadata,
   getMatch,
   getScores,
   getUptimeStats,
+  getFirstBloods,
+  getTimeline,
+  countCapturesByTeam,
   getFinalResult,
   initializeServiceHealth,
   initializeScoring,
   setCurrentTick,
+  getCurrentTick,
   setFinalResult,
+  getServiceIdsFromInfrastructure,
 } from '../state/stateStore.js';
 import { checkMatchHealth } from '../health/gamebot.js';
 import { recordTick } from '../scoring/scorer.js';
+import { plantFlagsForTick } from '../flags/flagRotation.js';
+import { runMatchCheckers } from '../checkers/checkerRunner.js';
+import { rotateCapture } from '../capture/packetCapture.js';
+import { closeMatchTerminals } from '../services/terminalSessions.js';
+import { createHistogram } from '../utils/metrics.js';
+import { SLA_TICK_INTERVAL_MS, checkSchedule, isScoreTied } from './matchSchedule.js';
 
 // Track active tick intervals per match: matchId -> interval reference
 const tickIntervals = new Map();
 
-const SLA_TICK_INTERVAL_MS = 30000; // 30 seconds
+// Matches whose tick is still running (a slow tick must not overlap the next one)
+const ticksInFlight = new Set();
+
+// matchId -> initialization in progress, so a retried start or provision joins it
+const initializations = new Map();
+
+const tickDuration = createHistogram(
+  'ctf_engine_tick_duration_seconds',
+  'Time to run one SLA tick (health checks, checkers, scoring, flag rotation)',
+  { buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60] }
+);
 
 // High-level states for a match lifecycle.
 export const MatchState = {
@@ -44,7 +68,8 @@ export const MatchState = {
    * Match engine is preparing the environment.
    * In this step:
    * - Creates Docker network
-   * - Starts teamA and teamB containers
+   * - Provisions every service template for teamA and teamB
+   * - Plants tick-0 flags
    */
   INITIALIZING: 'INITIALIZING',
 
@@ -55,6 +80,14 @@ export const MatchState = {
    */
   RUNNING: 'RUNNING',
 
+  /**
+   * Match is halted by an admin (e.g. infrastructure misbehaving).
+   * - No ticks: no SLA checks, scoring or flag rotation
+   * - Flag submissions and team service access are refused
+   * - Containers and network are left untouched, so play resumes where it stopped
+   */
+  PAUSED: 'PAUSED',
+
   /**
    * Match is in the process of shutting down.
    * In this step:
@@ -75,15 +108,24 @@ export const MatchState = {
  * Documented state transitions:
  *
  * - CREATED      -> INITIALIZING
- *   When the engine accepts a `start` request for a new match.
- *   Triggers: create network, start containers
+ *   When the engine accepts a `start` or `provision` request for a new match.
+ *   Triggers: create network, provision team services
  *
  * - INITIALIZING -> RUNNING
  *   When all required environment setup has completed successfully.
  *
  * - RUNNING      -> ENDING
  *   When the control plane requests the match to stop, or when the
- *   match naturally reaches its end condition.
+ *   match has played its scheduled ticks (and overtime, if tied).
+ *
+ * - RUNNING      -> PAUSED
+ *   When an admin pauses the match.
+ *
+ * - PAUSED       -> RUNNING
+ *   When an admin resumes it; the tick counter carries on.
+ *
+ * - PAUSED       -> ENDING
+ *   When the control plane stops a paused match.
  *
  * - ENDING       -> ENDED
  *   When all shutdown/cleanup tasks are complete.
@@ -101,7 +143,8 @@ export function isValidTransition(from, to) {
   const allowed = {
     [MatchState.CREATED]: [MatchState.INITIALIZING],
     [MatchState.INITIALIZING]: [MatchState.RUNNING, MatchState.ENDED],
-    [MatchState.RUNNING]: [MatchState.ENDING, MatchState.ENDED],
+    [MatchState.RUNNING]: [MatchState.PAUSED, MatchState.ENDING, MatchState.ENDED],
+    [MatchState.PAUSED]: [MatchState.RUNNING, MatchState.ENDING, MatchState.ENDED],
     [MatchState.ENDING]: [MatchState.ENDED],
     [MatchState.ENDED]: [],
   };
@@ -110,174 +153,88 @@ export function isValidTransition(from, to) {
 }
 
 /**
- * Start Docker containers for a match.
- *
- * Creates:
- * - teamA_<matchId> container
- * - teamB_<matchId> container
- *
- * Both containers:
- * - Use nginx:alpine image
- * - Connected to match_<matchId> network
- * - Expose /health endpoint (via custom nginx config)
+ * Clean up Docker infra for a match by matchId only (no state required).
+ * Used by recovery to clean orphans. Stops containers by label, removes network.
  *
  * @param {string} matchId
- * @param {string} networkId
- * @returns {Promise<{ teamA: string; teamB: string }>} Container IDs
+ * @returns {Promise<void>}
  */
-async function startMatchContainers(matchId, networkId) {
-  const docker = getDockerClient();
-  const networkName = `match_${matchId}`;
-
-  // Nginx config that responds with HTTP 200 on /health
-  // Using heredoc-style approach for reliability
-  const nginxConfigScript = `cat > /etc/nginx/conf.d/default.conf << 'EOF'
-server {
-    listen 80;
-    server_name _;
-
-    location /health {
-        access_log off;
-        return 200 "healthy\\n";
-        add_header Content-Type text/plain;
-    }
-
-    location / {
-        return 404;
-    }
-}
-EOF
-nginx -g 'daemon off;'`;
-
-  const containerConfig = {
-    Image: 'nginx:alpine',
-    name: `teamA_${matchId}`,
-    HostConfig: {
-      NetworkMode: networkName,
-    },
-    Cmd: ['sh', '-c', nginxConfigScript],
-    AttachStdout: false,
-    AttachStderr: false,
-  };
-
-  try {
-    // Create and start teamA container
-    const teamAContainer = await docker.createContainer(containerConfig);
-    await teamAContainer.start();
-    const teamAId = teamAContainer.id;
-
-    // Create and start teamB container
-    containerConfig.name = `teamB_${matchId}`;
-    const teamBContainer = await docker.createContainer(containerConfig);
-    await teamBContainer.start();
-    const teamBId = teamBContainer.id;
-
-    console.log(
-      `Started containers for match ${matchId}: teamA=${teamAId}, teamB=${teamBId}`
-    );
-
-    return { teamA: teamAId, teamB: teamBId };
-  } catch (error) {
-    console.error(`Failed to start containers for match ${matchId}:`, error);
-    throw error;
-  }
+export async function cleanupMatchInfraByMatchId(matchId) {
+  await teardownMatchInfrastructure(matchId);
+  console.log(`[RECOVERY] Cleaned up orphan infra for match ${matchId}`);
 }
 
 /**
- * Stop and remove containers for a match.
+ * Transition match from CREATED to INITIALIZING, then to RUNNING.
+ *
+ * Provisions the network and every team service from the default service collection,
+ * starts health/scoring tracking for all provisioned services and starts the tick loop.
  *
  * @param {string} matchId
- * @param {{ teamA: string; teamB: string }} containerIds
- * @returns {Promise<void>}
+ * @returns {Promise<object>} Provisioned infrastructure
  */
-async function stopMatchContainers(matchId, containerIds) {
-  const docker = getDockerClient();
-
-  const containerNames = [`teamA_${matchId}`, `teamB_${matchId}`];
-
-  for (const containerName of containerNames) {
-    try {
-      const containers = await docker.listContainers({
-        all: true,
-        filters: JSON.stringify({ name: [containerName] }),
-      });
-
-      if (containers.length === 0) {
-        console.log(`Container ${containerName} not found, skipping`);
-        continue;
-      }
-
-      const container = docker.getContainer(containers[0].Id);
-
-      // Stop if running
-      try {
-        await container.stop();
-        console.log(`Stopped container: ${containerName}`);
-      } catch (err) {
-        // Container might already be stopped
-        if (err.statusCode !== 304) {
-          console.warn(`Failed to stop container ${containerName}:`, err.message);
-        }
-      }
-
-      // Remove container
-      try {
-        await container.remove();
-        console.log(`Removed container: ${containerName}`);
-      } catch (err) {
-        console.warn(`Failed to remove container ${containerName}:`, err.message);
-      }
-    } catch (error) {
-      console.error(`Error cleaning up container ${containerName}:`, error);
-      // Continue with cleanup - best effort
-    }
+export async function transitionToInitializing(matchId) {
+  const match = getMatch(matchId);
+  if (!match || match.state !== MatchState.CREATED) {
+    throw new Error(`Cannot transition to INITIALIZING: match not in CREATED state`);
   }
+
+  updateState(matchId, MatchState.INITIALIZING);
+  return initializeMatch(matchId);
 }
 
 /**
- * Clean up Docker infra for a match by matchId only (no state required).
- * Used by recovery to clean orphans. Stops containers by name, removes network.
+ * Continue an INITIALIZING match: join the initialization in progress, or resume its
+ * provisioning job (after an engine restart, or when the control plane retries).
  *
  * @param {string} matchId
- * @returns {Promise<void>}
+ * @returns {Promise<object>} Provisioned infrastructure
  */
-export async function cleanupMatchInfraByMatchId(matchId) {
-  await stopMatchContainers(matchId, {});
-  await removeMatchNetwork(matchId);
-  console.log(`[RECOVERY] Cleaned up orphan infra for match ${matchId}`);
+export async function resumeInitializing(matchId) {
+  const match = getMatch(matchId);
+  if (!match || match.state !== MatchState.INITIALIZING) {
+    throw new Error(`Cannot resume initialization: match not in INITIALIZING state`);
+  }
+  return initializeMatch(matchId);
 }
 
 /**
- * Transition match from CREATED to INITIALIZING.
- *
- * Creates Docker network and starts containers.
+ * Run (or join) the INITIALIZING phase of a match.
  *
  * @param {string} matchId
- * @returns {Promise<void>}
+ * @returns {Promise<object>} Provisioned infrastructure
  */
-export async function transitionToInitializing(matchId) {
-  const match = getMatch(matchId);
-  if (!match || match.state !== MatchState.CREATED) {
-    throw new Error(`Cannot transition to INITIALIZING: match not in CREATED state`);
+function initializeMatch(matchId) {
+  if (!initializations.has(matchId)) {
+    initializations.set(matchId, runInitialization(matchId).finally(() => initializations.delete(matchId)));
   }
+  return initializations.get(matchId);
+}
 
+/**
+ * @param {string} matchId
+ * @returns {Promise<object>} Provisioned infrastructure
+ */
+async function runInitialization(matchId) {
   try {
-    updateState(matchId, MatchState.INITIALIZING);
-
-    // Create Docker network
-    const network = await createMatchNetwork(matchId);
+    const metadata = getMatch(matchId).metadata || {};
+    const infrastructure = await provisionMatch({
+      matchId,
+      difficulty: metadata.difficulty,
+      teamA: metadata.teamA,
+      teamB: metadata.teamB,
+    });
 
-    // Start containers (networkName for NetworkMode)
-    const containerIds = await startMatchContainers(matchId, network.networkName);
+    // Ended while provisioning (e.g. by the safety cron): take down what the job finished
+    if (getMatch(matchId)?.state !== MatchState.INITIALIZING) {
+      await teardownMatchInfrastructure(matchId);
+      throw new Error('Match ended during provisioning');
+    }
 
-    // Store container IDs and network ID in metadata
-    updateMetadata(matchId, {
-      networkId: network.networkId,
-      containerIds,
-    });
+    updateMetadata(matchId, { networkId: infrastructure.networkId });
 
-    // Initialize service health tracking
-    const serviceIds = [`teamA_${matchId}`, `teamB_${matchId}`];
+    // Initialize service health tracking for every provisioned service
+    const serviceIds = getServiceIdsFromInfrastructure(matchId) || [];
     initializeServiceHealth(matchId, serviceIds);
 
     // Initialize scoring (scores and uptime stats)
@@ -285,14 +242,18 @@ export async function transitionToInitializing(matchId) {
 
     // Initialize SLA tick counter (flags valid for current and previous tick)
     setCurrentTick(matchId, 0);
+    markFlagsPlanted(matchId, await plantFlagsForTick(matchId, 0));
+    await rotateCapture(matchId, 0);
 
     // Transition to RUNNING after successful initialization (scoring active)
     updateState(matchId, MatchState.RUNNING);
     updateMetadata(matchId, { createdAt: Date.now() }); // For max match duration / safety cron
-    console.log(`Match ${matchId} initialized and running`);
+    console.log(`Match ${matchId} initialized and running (${serviceIds.length} services)`);
 
     // Start SLA tick loop
     startSLATickLoop(matchId);
+
+    return infrastructure;
   } catch (error) {
     console.error(`Failed to initialize match ${matchId}:`, error);
     // Transition to ENDED on failure
@@ -301,10 +262,129 @@ export async function transitionToInitializing(matchId) {
   }
 }
 
+/**
+ * Resume a RUNNING match restored from persisted state after an engine restart.
+ * Re-plants the current tick's flags (containers may have restarted), restarts packet
+ * capture and the tick loop; the tick counter, scores and flag captures carry on from the snapshot.
+ *
+ * @param {string} matchId
+ * @returns {Promise<void>}
+ */
+export async function resumeMatch(matchId) {
+  const match = getMatch(matchId);
+  if (!match || match.state !== MatchState.RUNNING) {
+    throw new Error(`Cannot resume match ${matchId}: not in RUNNING state`);
+  }
+
+  await plantFlagsForTick(matchId, getCurrentTick(matchId));
+  await rotateCapture(matchId, getCurrentTick(matchId));
+  startSLATickLoop(matchId);
+  console.log(`Match ${matchId} resumed at tick ${getCurrentTick(matchId)}`);
+}
+
+/**
+ * Pause a RUNNING match: stop the tick loop and close terminal sessions. A tick already
+ * in flight finishes; containers, flags and scores stay as they are.
+ *
+ * @param {string} matchId
+ * @param {string} [reason] - Shown to admins and with rejected flag submissions
+ * @returns {{ tick: number; pausedAt: number; reason: string | null }}
+ */
+export function pauseMatch(matchId, reason) {
+  const match = getMatch(matchId);
+  if (!match || !isValidTransition(match.state, MatchState.PAUSED)) {
+    throw new Error(`Cannot pause match ${matchId}: not in RUNNING state`);
+  }
+
+  stopSLATickLoop(matchId);
+  const pause = { tick: getCurrentTick(matchId), pausedAt: Date.now(), reason: reason || null };
+  updateState(matchId, MatchState.PAUSED);
+  updateMetadata(matchId, { pause });
+  closeMatchTerminals(matchId);
+  console.log(`Match ${matchId} paused at tick ${pause.tick}${pause.reason ? ` (${pause.reason})` : ''}`);
+  return pause;
+}
+
+/**
+ * Resume a PAUSED match: back to RUNNING and restart the tick loop (the next tick
+ * follows a full interval after resuming). The pause is added to `metadata.pausedMs`,
+ * which the safety cron leaves out of the match's running time.
+ *
+ * @param {string} matchId
+ */
+export function resumePausedMatch(matchId) {
+  const match = getMatch(matchId);
+  if (!match || match.state !== MatchState.PAUSED) {
+    throw new Error(`Cannot resume match ${matchId}: not paused`);
+  }
+
+  const pausedMs = (match.metadata?.pausedMs || 0) + Math.max(0, Date.now() - (match.metadata?.pause?.pausedAt ?? Date.now()));
+  updateState(matchId, MatchState.RUNNING);
+  updateMetadata(matchId, { pause: null, pausedMs });
+  startSLATickLoop(matchId);
+  console.log(`Match ${matchId} resumed from pause at tick ${getCurrentTick(matchId)}`);
+}
+
+/**
+ * How long a match has been live (since creation), leaving out the time it spent paused.
+ *
+ * @param {{ state: string; metadata?: { createdAt?: number; pausedMs?: number; pause?: { pausedAt: number } | null } }} match
+ * @param {number} [now]
+ * @returns {number | null} Milliseconds, or null without a creation time
+ */
+export function getActiveDurationMs(match, now = Date.now()) {
+  const { createdAt, pausedMs = 0, pause } = match.metadata || {};
+  if (typeof createdAt !== 'number') return null;
+  const pausedNow = match.state === MatchState.PAUSED && pause ? Math.max(0, now - pause.pausedAt) : 0;
+  return now - createdAt - pausedMs - pausedNow;
+}
+
+/**
+ * Sum uptime/downtime ticks over a team's services.
+ *
+ * @param {object} uptimeStats - From getUptimeStats
+ * @param {"teamA" | "teamB"} teamId
+ * @returns {{ uptimeTicks: number; downtimeTicks: number }}
+ */
+function sumUptime(uptimeStats, teamId) {
+  const team = uptimeStats?.[teamId] || {};
+  let up = 0;
+  let down = 0;
+  for (const serviceId of Object.keys(team)) {
+    const s = team[serviceId] || {};
+    up += typeof s.upTicks === 'number' ? s.upTicks : 0;
+    down += typeof s.downTicks === 'number' ? s.downTicks : 0;
+  }
+  return { uptimeTicks: up, downtimeTicks: down };
+}
+
+/**
+ * Final result: the higher score wins; tied scores go to the team with more flags
+ * captured, then to the one with more uptime ticks. Only a tie on all three is a draw.
+ *
+ * @param {string} matchId
+ * @param {{ teamA: number; teamB: number }} scores
+ * @returns {{ winner: "teamA" | "teamB"; loser: "teamA" | "teamB"; decidedBy: "score" | "flags" | "uptime" } | { draw: true; decidedBy: null }}
+ */
+function decideFinalResult(matchId, scores) {
+  const captures = countCapturesByTeam(matchId);
+  const uptimeStats = getUptimeStats(matchId);
+  const criteria = [
+    ['score', isScoreTied(scores) ? 0 : scores.teamA - scores.teamB],
+    ['flags', captures.teamA - captures.teamB],
+    ['uptime', sumUptime(uptimeStats, 'teamA').uptimeTicks - sumUptime(uptimeStats, 'teamB').uptimeTicks],
+  ];
+  for (const [decidedBy, difference] of criteria) {
+    if (difference > 0) return { winner: 'teamA', loser: 'teamB', decidedBy };
+    if (difference < 0) return { winner: 'teamB', loser: 'teamA', decidedBy };
+  }
+  return { draw: true, decidedBy: null };
+}
+
 /**
  * Transition match from RUNNING/ENDING to ENDED.
  *
- * Stops containers and removes network.
+ * Decides the winner, stops containers and removes network.
  *
  * @param {string} matchId
  * @returns {Promise<void>}
@@ -326,36 +406,23 @@ export async function transitionToEnded(matchId) {
     // Stop SLA tick loop (no further score changes)
     stopSLATickLoop(matchId);
 
-    // Freeze scores and set final result for backend pull
+    // Freeze scores and set final result (tie-breakers applied) for backend pull
     const scores = getScores(matchId);
     if (scores) {
-      const { teamA, teamB } = scores;
-      if (teamA > teamB) {
-        setFinalResult(matchId, { winner: 'teamA', loser: 'teamB' });
-      } else if (teamB > teamA) {
-        setFinalResult(matchId, { winner: 'teamB', loser: 'teamA' });
-      } else {
-        setFinalResult(matchId, { draw: true });
-      }
-    }
-
-    const metadata = match.metadata || {};
-    const containerIds = metadata.containerIds;
-
-    // Stop and remove containers
-    if (containerIds) {
-      await stopMatchContainers(matchId, containerIds);
+      setFinalResult(matchId, decideFinalResult(matchId, scores));
     }
 
-    // Remove network
-    await removeMatchNetwork(matchId);
+    // Stop and remove containers, remove network
+    await teardownMatchInfrastructure(matchId);
 
     // Transition to ENDED
+    updateMetadata(matchId, { endedAt: Date.now() });
     updateState(matchId, MatchState.ENDED);
     console.log(`Match ${matchId} ended and cleaned up`);
   } catch (error) {
     console.error(`Error during cleanup for match ${matchId}:`, error);
     // Still mark as ENDED even if cleanup partially failed
+    updateMetadata(matchId, { endedAt: Date.now() });
     updateState(matchId, MatchState.ENDED);
   }
 }
@@ -363,7 +430,11 @@ export async function transitionToEnded(matchId) {
 /**
  * Start SLA tick loop for a match.
  *
- * Performs health checks every 30 seconds and records results.
+ * Performs health checks and scripted SLA checkers every tick (30 seconds) and records
+ * results, then plants the new tick's flag into every service container. Once the
+ * match's scheduled ticks are played it goes into overtime (tied, overtime configured)
+ * or ends instead of planting.
+ * A tick that is still running when the next interval fires causes that interval to be skipped.
  * Loop runs only while match is in RUNNING state.
  *
  * @param {string} matchId
@@ -389,20 +460,54 @@ function startSLATickLoop(matchId) {
       return;
     }
 
+    if (ticksInFlight.has(matchId)) {
+      console.warn(`SLA tick for match ${matchId} still running; skipping interval`);
+      return;
+    }
+    ticksInFlight.add(matchId);
+    const endTimer = tickDuration.startTimer();
+    let scheduledEnd = false;
+
     try {
       // Perform health checks on all services
       const healthResults = await checkMatchHealth(matchId);
 
-      // Record tick results (updates service health state)
-      await recordTick(matchId, healthResults);
+      // Run scripted checkers on healthy services (UP / MUMBLE / CORRUPT / DOWN)
+      const slaResults = await runMatchCheckers(matchId, healthResults);
+
+      // Record tick results (updates service health state, advances tick)
+      await recordTick(matchId, slaResults);
+
+      const next = checkSchedule(matchId);
+      if (next === 'overtime') {
+        console.log(`Match ${matchId} tied at tick ${getCurrentTick(matchId)}; playing overtime`);
+      }
+      // Ended below, once the tick is released; no flag for a tick that is never played
+      scheduledEnd = next === 'end';
+
+      if (!scheduledEnd) {
+        // Rotate flags: plant the new tick's flag so there is always one to steal
+        await plantFlagsForTick(matchId, getCurrentTick(matchId));
+
+        // Start this tick's packet capture files (no-op without a capture sidecar)
+        await rotateCapture(matchId, getCurrentTick(matchId));
+      }
     } catch (error) {
       // One failing service should not break the loop
       console.error(`Error in SLA tick for match ${matchId}:`, error);
+    } finally {
+      endTimer();
+      ticksInFlight.delete(matchId);
+    }
+
+    if (scheduledEnd) {
+      console.log(`Match ${matchId} reached its scheduled end at tick ${getCurrentTick(matchId)}`);
+      await transitionToEnded(matchId);
     }
   }, SLA_TICK_INTERVAL_MS);
 
   tickIntervals.set(matchId, interval);
-  console.log(`Started SLA tick loop for match ${matchId} (30s interval)`);
+  console.log(`Started SLA tick loop for match ${matchId} (${SLA_TICK_INTERVAL_MS / 1000}s interval)`);
 }
 
 /**
@@ -429,9 +534,14 @@ function stopSLATickLoop(matchId) {
  * @returns {{
  *   matchId: string;
  *   difficulty: string;
- *   teamA: { players: string[]; score: number; stats: { flagsCaptured: number; uptimeTicks: number; downtimeTicks: number } };
- *   teamB: { players: string[]; score: number; stats: { flagsCaptured: number; uptimeTicks: number; downtimeTicks: number } };
+ *   scoringProfile: string;
+ *   teamA: { players: string[]; score: number; stats: { flagsCaptured: number; firstBloods: number; uptimeTicks: number; downtimeTicks: number } };
+ *   teamB: { players: string[]; score: number; stats: { flagsCaptured: number; firstBloods: number; uptimeTicks: number; downtimeTicks: number } };
+ *   firstBloods: Array<{ serviceId: string; teamId: string; tick: number; capturedAt: string }>;
+ *   timeline: Array<object>;
  *   winner: "teamA" | "teamB" | "draw";
+ *   decidedBy: "score" | "flags" | "uptime" | null;
+ *   overtime: boolean;
  * } | null}
  */
 export function getMatchResult(matchId) {
@@ -448,43 +558,30 @@ export function getMatchResult(matchId) {
   const teamAPlayers = Array.isArray(metadata.teamA) ? metadata.teamA : [];
   const teamBPlayers = Array.isArray(metadata.teamB) ? metadata.teamB : [];
 
-  let flagsTeamA = 0;
-  let flagsTeamB = 0;
-  const flagsCaptured = metadata.flagsCaptured || {};
-  for (const serviceId of Object.keys(flagsCaptured)) {
-    const ticks = flagsCaptured[serviceId] || {};
-    for (const tickKey of Object.keys(ticks)) {
-      const entry = ticks[tickKey];
-      if (entry && entry.capturedBy === 'teamA') flagsTeamA += 1;
-      if (entry && entry.capturedBy === 'teamB') flagsTeamB += 1;
-    }
-  }
+  const { teamA: flagsTeamA, teamB: flagsTeamB } = countCapturesByTeam(matchId);
 
-  function sumUptime(teamId) {
-    const team = uptimeStats[teamId] || {};
-    let up = 0;
-    let down = 0;
-    for (const serviceId of Object.keys(team)) {
-      const s = team[serviceId] || {};
-      up += typeof s.upTicks === 'number' ? s.upTicks : 0;
-      down += typeof s.downTicks === 'number' ? s.downTicks : 0;
-    }
-    return { uptimeTicks: up, downtimeTicks: down };
-  }
+  const statsA = sumUptime(uptimeStats, 'teamA');
+  const statsB = sumUptime(uptimeStats, 'teamB');
 
-  const statsA = sumUptime('teamA');
-  const statsB = sumUptime('teamB');
+  const firstBloods = Object.entries(getFirstBloods(matchId))
+    .map(([serviceId, entry]) => ({ serviceId, ...entry }))
+    .sort((a, b) => a.tick - b.tick);
+  const countFirstBloods = (teamId) => firstBloods.filter((fb) => fb.teamId === teamId).length;
 
   const winner = finalResult.draw ? 'draw' : (finalResult.winner === 'teamA' || finalResult.winner === 'teamB' ? finalResult.winner : 'draw');
+  // Results from before tie-breakers were recorded had only the score to go on
+  const decidedBy = winner === 'draw' ? null : finalResult.decidedBy || 'score';
 
   return {
     matchId,
     difficulty: typeof metadata.difficulty === 'string' ? metadata.difficulty : 'easy',
+    scoringProfile: metadata.scoring?.name || 'default',
     teamA: {
       players: teamAPlayers,
       score: typeof scores.teamA === 'number' ? scores.teamA : 0,
       stats: {
         flagsCaptured: flagsTeamA,
+        firstBloods: countFirstBloods('teamA'),
         uptimeTicks: statsA.uptimeTicks,
         downtimeTicks: statsA.downtimeTicks,
       },
@@ -494,11 +591,16 @@ export function getMatchResult(matchId) {
       score: typeof scores.teamB === 'number' ? scores.teamB : 0,
       stats: {
         flagsCaptured: flagsTeamB,
+        firstBloods: countFirstBloods('teamB'),
         uptimeTicks: statsB.uptimeTicks,
         downtimeTicks: statsB.downtimeTicks,
       },
     },
+    firstBloods,
+    timeline: getTimeline(matchId) || [],
     winner,
+    decidedBy,
+    overtime: metadata.schedule?.overtime === true,
   };
 }
 
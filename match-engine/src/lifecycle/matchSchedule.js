@@ -0,0 +1,109 @@
+/**
+ * Match Schedule
+ *
+ * How long a match runs. The backend passes a duration at start, in SLA ticks or in
+ * minutes (rounded up to whole ticks), and the lifecycle ends the match on its own once
+ * that many ticks have been recorded. With `overtimeTicks`, a match tied at the end of
+ * regulation plays that many extra ticks (once) before it ends; a tie after that is
+ * settled by the tie-breakers in transitionToEnded.
+ *
+ * A match started without a duration runs until it is stopped (or until the safety
+ * cron's MAX_MATCH_DURATION_HOURS, which also bounds duration plus overtime). The safety
+ * cron gives a match with ticks still scheduled SCHEDULE_GRACE_MS more to finish them.
+ *
+ * Duration shape: { ticks: number } | { minutes: number }, plus optional overtimeTicks.
+ */
+
+import { getMatch, getCurrentTick, getScores, updateMetadata } from '../state/stateStore.js';
+
+// Shorter ticks (SLA_TICK_INTERVAL_MS) are meant for local runs, e.g. with the simulated driver
+export const SLA_TICK_INTERVAL_MS = Number(process.env.SLA_TICK_INTERVAL_MS) || 30000; // 30 seconds
+
+// The safety cron ends matches live longer than this, so a schedule must fit inside it
+export const MAX_MATCH_DURATION_HOURS = Number(process.env.MAX_MATCH_DURATION_HOURS) || 3;
+export const MAX_MATCH_DURATION_MS = MAX_MATCH_DURATION_HOURS * 3600 * 1000;
+const MAX_TOTAL_TICKS = Math.floor(MAX_MATCH_DURATION_MS / SLA_TICK_INTERVAL_MS);
+
+// Skipped intervals (a slow tick) and restart downtime push a schedule past its wall time;
+// a match still short of its last tick gets this long past MAX_MATCH_DURATION_HOURS
+export const SCHEDULE_GRACE_MS = (Number(process.env.SCHEDULE_GRACE_MINUTES) || 30) * 60 * 1000;
+
+/**
+ * Validate a duration from the start/provision request and turn it into the match schedule.
+ * Throws an Error with a client-safe message when the duration is malformed.
+ *
+ * @param {unknown} duration
+ * @returns {{ durationTicks: number; overtimeTicks: number; endTick: number; overtime: boolean } | null} Null without a duration
+ */
+export function resolveMatchDuration(duration) {
+  if (duration == null) return null;
+  if (typeof duration !== 'object' || Array.isArray(duration)) {
+    throw new Error('duration must be an object');
+  }
+  const { ticks, minutes, overtimeTicks = 0 } = duration;
+  if ((ticks == null) === (minutes == null)) {
+    throw new Error('duration needs exactly one of ticks or minutes');
+  }
+
+  let durationTicks;
+  if (ticks != null) {
+    if (!Number.isInteger(ticks) || ticks <= 0) throw new Error('duration.ticks must be a positive integer');
+    durationTicks = ticks;
+  } else {
+    const num = Number(minutes);
+    if (!Number.isFinite(num) || num <= 0) throw new Error('duration.minutes must be a positive number');
+    durationTicks = Math.ceil((num * 60 * 1000) / SLA_TICK_INTERVAL_MS);
+  }
+  if (!Number.isInteger(overtimeTicks) || overtimeTicks < 0) {
+    throw new Error('duration.overtimeTicks must be a non-negative integer');
+  }
+  if (durationTicks + overtimeTicks > MAX_TOTAL_TICKS) {
+    throw new Error(`duration plus overtime must not exceed ${MAX_TOTAL_TICKS} ticks (${MAX_MATCH_DURATION_HOURS} hours)`);
+  }
+
+  return { durationTicks, overtimeTicks, endTick: durationTicks, overtime: false };
+}
+
+/**
+ * Whether a match has a schedule it has not played out yet.
+ *
+ * @param {string} matchId
+ * @returns {boolean}
+ */
+export function hasTicksScheduled(matchId) {
+  const schedule = getMatch(matchId)?.metadata?.schedule;
+  return Boolean(schedule) && getCurrentTick(matchId) < schedule.endTick;
+}
+
+/**
+ * Whether two scores are equal (scores are kept to two decimals).
+ *
+ * @param {{ teamA: number; teamB: number }} scores
+ * @returns {boolean}
+ */
+export function isScoreTied(scores) {
+  return Math.round(scores.teamA * 100) === Math.round(scores.teamB * 100);
+}
+
+/**
+ * Decide what follows a recorded tick: keep running, go into overtime (tied at the end of
+ * regulation with overtime configured; recorded in the schedule), or end the match.
+ *
+ * @param {string} matchId
+ * @returns {'continue' | 'overtime' | 'end'}
+ */
+export function checkSchedule(matchId) {
+  const schedule = getMatch(matchId)?.metadata?.schedule;
+  if (!schedule || getCurrentTick(matchId) < schedule.endTick) {
+    return 'continue';
+  }
+
+  const scores = getScores(matchId);
+  if (!schedule.overtime && schedule.overtimeTicks > 0 && scores && isScoreTied(scores)) {
+    updateMetadata(matchId, {
+      schedule: { ...schedule, overtime: true, endTick: schedule.endTick + schedule.overtimeTicks },
+    });
+    return 'overtime';
+  }
+  return 'end';
+}
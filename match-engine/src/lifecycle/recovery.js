@@ -1,100 +1,214 @@
 /**
- * Match Engine crash recovery (minimum viable).
+ * Match Engine crash recovery.
  *
- * On startup: scan Docker containers and networks, reconcile with in-memory state.
- * - If match exists in Docker but engine has no state → orphan: cleanup (stop containers, remove network).
- * - If match exists in state but not ENDED → engine lost state: mark ENDED and cleanup.
+ * On startup: restore persisted match state, scan the infrastructure driver's containers
+ * and networks, and reconcile the two.
+ * - RUNNING match whose containers all survived → restart stopped ones, resume the tick loop.
+ * - RUNNING match with missing containers → mark ENDED and cleanup.
+ * - PAUSED match → the same container checks, but it stays PAUSED (no tick loop).
+ * - INITIALIZING match with a running provisioning job → resume the job in the background.
+ * - CREATED / other INITIALIZING match → provisioning was interrupted: mark ENDED and cleanup.
+ * - ENDING match → finish ending.
+ * - ENDED match with leftover Docker resources → cleanup; old ENDED snapshots are dropped.
+ * - Match exists in Docker but engine has no state → orphan: cleanup (stop containers, remove network).
+ *
+ * With an ephemeral infrastructure driver (INFRA_DRIVER=simulated) the scan finds nothing:
+ * restored RUNNING/PAUSED matches lost their services with the old process and are aborted.
  *
  * Runs once on engine boot. Logs every action loudly. No silent failures.
  */
 
-import { getDockerClient } from '../docker/dockerClient.js';
-import { getMatch } from '../state/stateStore.js';
-import { transitionToEnded, cleanupMatchInfraByMatchId } from './matchLifecycle.js';
+import { applyNetworkPolicy, listMatchNetworks } from '../docker/networkManager.js';
+import { startContainer, listMatchContainers } from '../docker/containerManager.js';
+import { getMatch, getMatchInfrastructure, restorePersistedState, deleteMatch } from '../state/stateStore.js';
+import { MatchState, transitionToEnded, cleanupMatchInfraByMatchId, resumeMatch, resumeInitializing } from './matchLifecycle.js';
 
-const CONTAINER_PREFIX_TEAMA = 'teamA_';
-const CONTAINER_PREFIX_TEAMB = 'teamB_';
-const NETWORK_PREFIX = 'match_';
+const ENDED_RETENTION_MS = 24 * 60 * 60 * 1000;
 
-function extractMatchIdFromContainerName(name) {
-  // Docker adds leading slash to name in listContainers
-  const n = name.startsWith('/') ? name.slice(1) : name;
-  if (n.startsWith(CONTAINER_PREFIX_TEAMA)) return n.slice(CONTAINER_PREFIX_TEAMA.length);
-  if (n.startsWith(CONTAINER_PREFIX_TEAMB)) return n.slice(CONTAINER_PREFIX_TEAMB.length);
-  return null;
+/**
+ * End a match that cannot be resumed; fall back to a plain infra cleanup.
+ *
+ * @param {string} matchId
+ */
+async function abortMatch(matchId) {
+  try {
+    await transitionToEnded(matchId);
+  } catch (err) {
+    console.error(`[RECOVERY] Failed to end match ${matchId}:`, err);
+    try {
+      await cleanupMatchInfraByMatchId(matchId);
+    } catch (e2) {
+      console.error(`[RECOVERY] Fallback cleanup failed for ${matchId}:`, e2);
+    }
+  }
 }
 
-function extractMatchIdFromNetworkName(name) {
-  if (name.startsWith(NETWORK_PREFIX)) return name.slice(NETWORK_PREFIX.length);
-  return null;
+/**
+ * Check that every service container (and stack component) of a restored match still
+ * exists and start any that stopped with the engine host. Jump boxes and the capture
+ * sidecar are restarted too, but losing one only costs terminals or PCAPs, so it does not
+ * block the resume. The network policy is re-applied (host iptables do not survive a
+ * reboot); a match that cannot be isolated does not resume.
+ *
+ * @param {string} matchId
+ * @param {Map<string, { state: string }>} containersById - listMatchContainers entries keyed by id
+ * @param {Set<string>} networkMatchIds
+ * @returns {Promise<boolean>} True when the match can resume
+ */
+async function reviveMatchContainers(matchId, containersById, networkMatchIds) {
+  const infrastructure = getMatchInfrastructure(matchId);
+  const services = [...(infrastructure?.teamA?.containers || []), ...(infrastructure?.teamB?.containers || [])];
+  if (!services.length || !networkMatchIds.has(matchId)) {
+    console.log(`[RECOVERY] Match ${matchId}: no infrastructure record or network left`);
+    return false;
+  }
+
+  // Stack components first, so a service comes back after the database it talks to
+  const required = services.flatMap((service) => [
+    ...(service.stack?.components || []).map((c) => ({ containerId: c.containerId, label: `${service.serviceId}/${c.name}` })),
+    { containerId: service.containerId, label: service.serviceId },
+  ]);
+
+  for (const { containerId, label } of required) {
+    const container = containersById.get(containerId);
+    if (!container) {
+      console.log(`[RECOVERY] Match ${matchId}: container for ${label} is gone`);
+      return false;
+    }
+    if (container.state !== 'running') {
+      console.log(`[RECOVERY] Match ${matchId}: restarting ${label} (${container.state})`);
+      try {
+        await startContainer(containerId);
+      } catch (err) {
+        console.error(`[RECOVERY] Match ${matchId}: failed to restart ${label}:`, err.message);
+        return false;
+      }
+    }
+  }
+
+  const auxiliary = [
+    ...[infrastructure.teamA?.jumpBox, infrastructure.teamB?.jumpBox]
+      .filter(Boolean)
+      .map((c) => ({ ...c, label: `jump box for ${c.teamId}` })),
+    ...(infrastructure.capture ? [{ ...infrastructure.capture, label: 'capture sidecar' }] : []),
+  ];
+  for (const aux of auxiliary) {
+    const container = containersById.get(aux.containerId);
+    if (!container) {
+      console.warn(`[RECOVERY] Match ${matchId}: ${aux.label} is gone; continuing without it`);
+      continue;
+    }
+    if (container.state !== 'running') {
+      await startContainer(aux.containerId).catch((err) => {
+        console.warn(`[RECOVERY] Match ${matchId}: failed to restart ${aux.label}:`, err.message);
+      });
+    }
+  }
+
+  try {
+    await applyNetworkPolicy(matchId, infrastructure);
+  } catch (err) {
+    console.error(`[RECOVERY] Match ${matchId}: failed to apply network policy:`, err.message);
+    return false;
+  }
+  return true;
 }
 
 /**
  * Run recovery once on engine boot.
- * Scans Docker, groups by matchId, cleans orphans and aborts lost-state matches.
+ * Restores persisted state, scans Docker, resumes what survived and cleans up the rest.
  */
 export async function runRecovery() {
-  const docker = getDockerClient();
   const matchIdsFromDocker = new Set();
+  const networkMatchIds = new Set();
+  const containersById = new Map();
 
   console.log('[RECOVERY] Starting crash recovery scan...');
 
+  const restored = restorePersistedState();
+  if (restored.length) {
+    console.log(`[RECOVERY] Restored persisted state for ${restored.length} match(es)`);
+  }
+
   try {
-    // List all containers (including stopped)
-    const containers = await docker.listContainers({ all: true });
-    for (const c of containers) {
-      const name = c.Names?.[0] || '';
-      const matchId = extractMatchIdFromContainerName(name);
-      if (matchId) {
-        matchIdsFromDocker.add(matchId);
-        console.log(`[RECOVERY] Found container for match: ${matchId} (${name})`);
-      }
+    // All match containers (including stopped); claimed warm-pool containers carry their
+    // match only in their name, so one whose match has no state left is an orphan too
+    for (const c of await listMatchContainers()) {
+      matchIdsFromDocker.add(c.matchId);
+      containersById.set(c.id, c);
+      console.log(`[RECOVERY] Found container for match: ${c.matchId} (${c.name}, ${c.state})`);
     }
 
-    // List networks match_*
-    const networks = await docker.listNetworks();
-    for (const n of networks) {
-      const name = n.Name || '';
-      const matchId = extractMatchIdFromNetworkName(name);
-      if (matchId) {
-        matchIdsFromDocker.add(matchId);
-        console.log(`[RECOVERY] Found network for match: ${matchId} (${name})`);
-      }
+    // Match networks (stack networks go with their match's containers)
+    for (const n of await listMatchNetworks()) {
+      if (n.stack) continue;
+      matchIdsFromDocker.add(n.matchId);
+      networkMatchIds.add(n.matchId);
+      console.log(`[RECOVERY] Found network for match: ${n.matchId} (${n.name})`);
     }
   } catch (err) {
     console.error('[RECOVERY] Failed to list Docker resources:', err);
     throw err;
   }
 
-  if (matchIdsFromDocker.size === 0) {
-    console.log('[RECOVERY] No match-related containers or networks found. Recovery complete.');
-    return;
-  }
-
-  for (const matchId of matchIdsFromDocker) {
+  // Restored matches first: resume, finish or abort
+  for (const matchId of restored) {
     const match = getMatch(matchId);
-    if (!match) {
-      console.log(`[RECOVERY] Orphan match ${matchId}: no state in engine. Cleaning up.`);
-      try {
-        await cleanupMatchInfraByMatchId(matchId);
-      } catch (err) {
-        console.error(`[RECOVERY] Failed to cleanup orphan match ${matchId}:`, err);
-        // Continue with other matches
-      }
-      continue;
-    }
-    if (match.state !== 'ENDED') {
-      console.log(`[RECOVERY] Lost-state match ${matchId}: state=${match.state}. Aborting and cleaning up.`);
-      try {
-        await transitionToEnded(matchId);
-      } catch (err) {
-        console.error(`[RECOVERY] Failed to end match ${matchId}:`, err);
+    if (!match) continue;
+
+    if (match.state === MatchState.RUNNING) {
+      if (await reviveMatchContainers(matchId, containersById, networkMatchIds)) {
         try {
-          await cleanupMatchInfraByMatchId(matchId);
-        } catch (e2) {
-          console.error(`[RECOVERY] Fallback cleanup failed for ${matchId}:`, e2);
+          await resumeMatch(matchId);
+          console.log(`[RECOVERY] Resumed match ${matchId}`);
+          continue;
+        } catch (err) {
+          console.error(`[RECOVERY] Failed to resume match ${matchId}:`, err);
         }
       }
+      console.log(`[RECOVERY] Match ${matchId} cannot resume. Aborting and cleaning up.`);
+      await abortMatch(matchId);
+    } else if (match.state === MatchState.PAUSED) {
+      // Stays paused (no tick loop) until an admin resumes it
+      if (await reviveMatchContainers(matchId, containersById, networkMatchIds)) {
+        console.log(`[RECOVERY] Match ${matchId} restored as PAUSED`);
+        continue;
+      }
+      console.log(`[RECOVERY] Paused match ${matchId} lost its containers. Aborting and cleaning up.`);
+      await abortMatch(matchId);
+    } else if (match.state === MatchState.INITIALIZING && match.metadata?.provisioning?.status === 'running') {
+      // Steps are idempotent by name; the job picks up what it had already created
+      console.log(`[RECOVERY] Match ${matchId} was provisioning (job ${match.metadata.provisioning.jobId}). Resuming.`);
+      resumeInitializing(matchId).catch((err) => {
+        console.error(`[RECOVERY] Resumed provisioning of ${matchId} failed:`, err.message);
+      });
+    } else if (match.state !== MatchState.ENDED) {
+      console.log(`[RECOVERY] Interrupted match ${matchId}: state=${match.state}. Aborting and cleaning up.`);
+      await abortMatch(matchId);
+    } else {
+      if (matchIdsFromDocker.has(matchId)) {
+        console.log(`[RECOVERY] Ended match ${matchId} still has Docker resources. Cleaning up.`);
+        await cleanupMatchInfraByMatchId(matchId).catch((err) => {
+          console.error(`[RECOVERY] Failed to cleanup ended match ${matchId}:`, err);
+        });
+      }
+      const endedAt = match.metadata?.endedAt;
+      if (typeof endedAt === 'number' && Date.now() - endedAt > ENDED_RETENTION_MS) {
+        console.log(`[RECOVERY] Dropping ended match ${matchId} (past retention)`);
+        deleteMatch(matchId);
+      }
+    }
+  }
+
+  // Docker resources without any state: orphans
+  for (const matchId of matchIdsFromDocker) {
+    if (getMatch(matchId) || restored.includes(matchId)) continue;
+    console.log(`[RECOVERY] Orphan match ${matchId}: no state in engine. Cleaning up.`);
+    try {
+      await cleanupMatchInfraByMatchId(matchId);
+    } catch (err) {
+      console.error(`[RECOVERY] Failed to cleanup orphan match ${matchId}:`, err);
+      // Continue with other matches
     }
   }
 
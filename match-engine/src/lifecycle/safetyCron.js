@@ -1,105 +1,120 @@
 /**
  * Safety cron: reclaim orphan and aged resources.
- * Every 30–60 minutes: remove containers older than X hours, remove networks with no containers.
+ * Every 30–60 minutes: remove containers older than X hours (claimed warm-pool containers once
+ * their match is gone), remove networks with no containers, end matches that ran too long,
+ * stayed paused too long or never finished provisioning.
+ * Reclaimed resources are counted in ctf_engine_safety_cron_reclaimed_total (GET /metrics).
  * No orphan infra allowed. Logs every action.
  */
 
-import { getDockerClient } from '../docker/dockerClient.js';
-import { getAllMatches } from '../state/stateStore.js';
-import { cleanupMatchInfraByMatchId, transitionToEnded } from './matchLifecycle.js';
+import { removeNetworkPolicy, removeNetwork, listMatchNetworks, countNetworkContainers } from '../docker/networkManager.js';
+import { stopAndRemoveContainer, listMatchContainers } from '../docker/containerManager.js';
+import { getAllMatches, getMatch } from '../state/stateStore.js';
+import { transitionToEnded, getActiveDurationMs } from './matchLifecycle.js';
+import { MAX_MATCH_DURATION_MS, SCHEDULE_GRACE_MS, hasTicksScheduled } from './matchSchedule.js';
+import { createCounter } from '../utils/metrics.js';
 
-const CONTAINER_PREFIX_TEAMA = 'teamA_';
-const CONTAINER_PREFIX_TEAMB = 'teamB_';
-const NETWORK_PREFIX = 'match_';
+const LIVE_STATES = ['INITIALIZING', 'RUNNING', 'PAUSED'];
+// Containers of these matches go with the match (step 3), however old they are
+const PLAYING_STATES = ['RUNNING', 'PAUSED'];
 
 const MAX_CONTAINER_AGE_HOURS = Number(process.env.MAX_CONTAINER_AGE_HOURS) || 4;
-const MAX_MATCH_DURATION_HOURS = Number(process.env.MAX_MATCH_DURATION_HOURS) || 3;
+const MAX_PAUSE_HOURS = Number(process.env.MAX_PAUSE_HOURS) || 2;
+const MAX_PROVISIONING_MINUTES = Number(process.env.MAX_PROVISIONING_MINUTES) || 60;
 const SAFETY_CRON_INTERVAL_MS = Number(process.env.SAFETY_CRON_INTERVAL_MS) || 45 * 60 * 1000; // 45 min
 
-const MAX_AGE_SEC = MAX_CONTAINER_AGE_HOURS * 3600;
-const MAX_MATCH_DURATION_MS = MAX_MATCH_DURATION_HOURS * 3600 * 1000;
+const MAX_AGE_MS = MAX_CONTAINER_AGE_HOURS * 3600 * 1000;
+const MAX_PAUSE_MS = MAX_PAUSE_HOURS * 3600 * 1000;
+const MAX_PROVISIONING_MS = MAX_PROVISIONING_MINUTES * 60 * 1000;
 
-function extractMatchIdFromContainerName(name) {
-  const n = name.startsWith('/') ? name.slice(1) : name;
-  if (n.startsWith(CONTAINER_PREFIX_TEAMA)) return n.slice(CONTAINER_PREFIX_TEAMA.length);
-  if (n.startsWith(CONTAINER_PREFIX_TEAMB)) return n.slice(CONTAINER_PREFIX_TEAMB.length);
-  return null;
-}
+const reclaimedResources = createCounter(
+  'ctf_engine_safety_cron_reclaimed_total',
+  'Resources reclaimed by the safety cron, by kind (container, network, match ended for running, pausing or provisioning too long)',
+  ['kind']
+);
 
-function extractMatchIdFromNetworkName(name) {
-  if (name.startsWith(NETWORK_PREFIX)) return name.slice(NETWORK_PREFIX.length);
-  return null;
+/**
+ * Stop and remove a container, counting it as reclaimed.
+ *
+ * @returns {Promise<boolean>} Whether it was removed
+ */
+async function removeContainer(containerId, name) {
+  try {
+    await stopAndRemoveContainer(containerId);
+    reclaimedResources.inc({ kind: 'container' });
+    return true;
+  } catch (err) {
+    console.error(`[SAFETY_CRON] Failed to remove container ${name}:`, err.message);
+    return false;
+  }
 }
 
 /**
  * Run one safety cycle: age-based container removal, orphan network removal, max match duration.
  */
 export async function runSafetyCron() {
-  const docker = getDockerClient();
-  const nowSec = Math.floor(Date.now() / 1000);
+  const now = Date.now();
   let reclaimedContainers = 0;
   let reclaimedNetworks = 0;
 
   console.log('[SAFETY_CRON] Starting safety cycle...');
 
   try {
-    // 1. List all containers (match-related), remove if older than MAX_CONTAINER_AGE_HOURS
-    const containers = await docker.listContainers({ all: true });
-    for (const c of containers) {
-      const name = c.Names?.[0] || '';
-      const matchId = extractMatchIdFromContainerName(name);
-      if (!matchId) continue;
-
-      const created = c.Created || 0; // Unix seconds
-      if (nowSec - created > MAX_AGE_SEC) {
-        console.log(`[SAFETY_CRON] Removing aged container: ${name} (matchId=${matchId})`);
-        try {
-          const container = docker.getContainer(c.Id);
-          try {
-            await container.stop();
-          } catch (e) {
-            if (e.statusCode !== 304) console.warn(`[SAFETY_CRON] Stop warning:`, e.message);
-          }
-          await container.remove();
-          reclaimedContainers += 1;
-        } catch (err) {
-          console.error(`[SAFETY_CRON] Failed to remove container ${name}:`, err.message);
-        }
+    // 1. Remove match containers older than MAX_CONTAINER_AGE_HOURS unless their match is
+    //    RUNNING or PAUSED (pauses can outlast their age). Claimed warm-pool containers were
+    //    created before their match (so their age says nothing): remove them once the match
+    //    is gone or ended
+    for (const c of await listMatchContainers()) {
+      const match = getMatch(c.matchId);
+      if (PLAYING_STATES.includes(match?.state)) continue;
+      if (c.claimed) {
+        if (match && match.state !== 'ENDED') continue;
+        console.log(`[SAFETY_CRON] Removing claimed pool container of a finished match: ${c.name} (matchId=${c.matchId})`);
+      } else {
+        if (now - c.createdAt <= MAX_AGE_MS) continue;
+        console.log(`[SAFETY_CRON] Removing aged container: ${c.name} (matchId=${c.matchId})`);
       }
+      if (await removeContainer(c.id, c.name)) reclaimedContainers += 1;
     }
 
-    // 2. List networks match_*, remove if no containers attached (or always prune empty)
-    const networks = await docker.listNetworks();
-    for (const n of networks) {
-      const name = n.Name || '';
-      const matchId = extractMatchIdFromNetworkName(name);
-      if (!matchId) continue;
-
+    // 2. Remove match networks with no containers attached
+    for (const n of await listMatchNetworks()) {
+      if (n.stack) continue;
       try {
-        const network = docker.getNetwork(n.Id);
-        const inspect = await network.inspect();
-        const containerCount = Object.keys(inspect.Containers || {}).length;
-        if (containerCount === 0) {
-          console.log(`[SAFETY_CRON] Removing empty network: ${name}`);
-          await network.remove();
+        if ((await countNetworkContainers(n.id)) === 0) {
+          console.log(`[SAFETY_CRON] Removing empty network: ${n.name}`);
+          await removeNetworkPolicy(n.matchId);
+          await removeNetwork(n.id);
           reclaimedNetworks += 1;
+          reclaimedResources.inc({ kind: 'network' });
         }
       } catch (err) {
-        console.error(`[SAFETY_CRON] Failed to remove network ${name}:`, err.message);
+        console.error(`[SAFETY_CRON] Failed to remove network ${n.name}:`, err.message);
       }
     }
 
-    // 3. End matches that have been RUNNING longer than MAX_MATCH_DURATION_HOURS
+    // 3. End matches live longer than MAX_MATCH_DURATION_HOURS (time paused not counted;
+    //    SCHEDULE_GRACE_MS more while scheduled ticks remain), matches left PAUSED longer
+    //    than MAX_PAUSE_HOURS, and matches still INITIALIZING MAX_PROVISIONING_MINUTES after
+    //    their provisioning job started (e.g. a stalled image pull)
     const matches = getAllMatches();
-    const nowMs = Date.now();
     for (const [, match] of matches) {
-      if (match.state !== 'RUNNING' && match.state !== 'INITIALIZING') continue;
-      const createdAt = match.metadata?.createdAt;
-      if (typeof createdAt !== 'number') continue;
-      if (nowMs - createdAt > MAX_MATCH_DURATION_MS) {
-        console.log(`[SAFETY_CRON] Ending match ${match.matchId} (max duration exceeded)`);
+      if (!LIVE_STATES.includes(match.state)) continue;
+      const provisioningFor = match.state === 'INITIALIZING' && match.metadata?.provisioning
+        ? now - match.metadata.provisioning.startedAt
+        : 0;
+      const activeMs = getActiveDurationMs(match, now);
+      const maxMs = hasTicksScheduled(match.matchId) ? MAX_MATCH_DURATION_MS + SCHEDULE_GRACE_MS : MAX_MATCH_DURATION_MS;
+      const pausedFor = match.state === 'PAUSED' && match.metadata?.pause ? now - match.metadata.pause.pausedAt : 0;
+      const reason = activeMs !== null && activeMs > maxMs ? 'max duration exceeded'
+        : pausedFor > MAX_PAUSE_MS ? 'paused too long'
+          : provisioningFor > MAX_PROVISIONING_MS ? 'provisioning stuck'
+            : null;
+      if (reason) {
+        console.log(`[SAFETY_CRON] Ending match ${match.matchId} (${reason})`);
         try {
           await transitionToEnded(match.matchId);
+          reclaimedResources.inc({ kind: 'match' });
         } catch (err) {
           console.error(`[SAFETY_CRON] Failed to end match ${match.matchId}:`, err.message);
         }
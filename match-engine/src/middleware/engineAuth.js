@@ -1,26 +1,49 @@
 /**
  * Match Engine Authentication Middleware
- * 
- * Validates requests from backend using shared secret and optional IP whitelist.
+ *
+ * Validates signed requests from the backend (utils/requestSigning.js: method, path, body
+ * hash, timestamp and one-time nonce under a shared key) and the optional IP whitelist.
  * Protects match-engine endpoints from unauthorized access.
+ *
+ * Body parsers must run first and keep the raw bytes on `req.rawBody` (see keepRawBody).
  */
 
-import { createHmac, timingSafeEqual } from 'crypto';
+import { getSigningKeys, isSigningDisabled, verifyRequest } from '../utils/requestSigning.js';
 
-const MATCH_ENGINE_SECRET = (process.env.MATCH_ENGINE_SECRET || '').trim();
 const ALLOWED_IPS = (process.env.ALLOWED_BACKEND_IPS || '')
     .split(',')
     .map(ip => ip.trim())
     .filter(Boolean);
 
 /**
- * Authenticate request using shared secret in Authorization header.
+ * Body parser `verify` hook: keep the exact bytes the signature covers.
+ */
+export function keepRawBody(req, res, buf) {
+    req.rawBody = buf;
+}
+
+/**
+ * Check the auth configuration at startup: malformed MATCH_ENGINE_KEYS throws, a missing
+ * key is logged (every request will then be refused unless ENGINE_AUTH_DISABLED=true).
+ */
+export function checkEngineAuthConfig() {
+    const keys = getSigningKeys();
+    if (keys.length > 0) {
+        console.log(`[ENGINE AUTH] Signed requests required (keys: ${keys.map(k => k.id).join(', ')})`);
+    } else if (isSigningDisabled()) {
+        console.warn('[ENGINE AUTH] ENGINE_AUTH_DISABLED=true: accepting unsigned requests (local development only)');
+    } else {
+        console.error('[ENGINE AUTH] No MATCH_ENGINE_KEYS or MATCH_ENGINE_SECRET configured: all requests will be refused');
+    }
+}
+
+/**
+ * Authenticate a backend request.
  *
- * Expected header format: Authorization: Bearer <secret>
- * Or HMAC-based: Authorization: HMAC <timestamp>:<signature>
+ * Expected header format: Authorization: CTF-HMAC-SHA256 kid=<keyId>,ts=<ms>,nonce=<hex>,sig=<hex>
  *
- * When MATCH_ENGINE_SECRET is not set (e.g. local dev), auth is skipped so backend can call without a secret.
- * For production, set the same MATCH_ENGINE_SECRET on both backend and match-engine.
+ * Without a configured key every request is refused (503), unless ENGINE_AUTH_DISABLED=true
+ * outside production. Set the same keys on backend and match-engine.
  */
 export function authenticateEngine(req, res, next) {
     // Skip auth for health check
@@ -28,9 +51,11 @@ export function authenticateEngine(req, res, next) {
         return next();
     }
 
-    // When no secret is configured, allow all requests (local dev only; set secret in production)
-    if (!MATCH_ENGINE_SECRET || MATCH_ENGINE_SECRET.trim() === '') {
-        return next();
+    if (getSigningKeys().length === 0) {
+        if (isSigningDisabled()) {
+            return next();
+        }
+        return res.status(503).json({ error: 'Engine authentication is not configured' });
     }
 
     // Check IP whitelist if configured
@@ -47,109 +72,17 @@ export function authenticateEngine(req, res, next) {
         }
     }
 
-    // Check shared secret
-    const authHeader = req.headers.authorization || req.headers.Authorization;
-
-    if (!authHeader || typeof authHeader !== 'string') {
-        console.warn('[ENGINE AUTH] Missing Authorization header');
+    const result = verifyRequest({
+        audience: 'engine',
+        method: req.method,
+        path: req.originalUrl ?? req.url,
+        body: req.rawBody,
+        authorization: req.headers.authorization,
+    });
+    if (!result.ok) {
+        console.warn(`[ENGINE AUTH] Rejected ${req.method} ${req.path}: ${result.reason}`);
         return res.status(401).json({ error: 'Unauthorized' });
     }
 
-    const [scheme, token] = authHeader.split(' ');
-
-    if (scheme === 'Bearer') {
-        // Simple bearer token authentication (trim both to avoid .env newline/space mismatch)
-        const tokenTrimmed = (token || '').trim();
-        if (!tokenTrimmed || !MATCH_ENGINE_SECRET) {
-            console.warn('[ENGINE AUTH] Invalid bearer token');
-            return res.status(401).json({ error: 'Unauthorized' });
-        }
-
-        try {
-            const tokenBuffer = Buffer.from(tokenTrimmed, 'utf8');
-            const secretBuffer = Buffer.from(MATCH_ENGINE_SECRET, 'utf8');
-
-            if (tokenBuffer.length !== secretBuffer.length) {
-                console.warn('[ENGINE AUTH] Token length mismatch');
-                return res.status(401).json({ error: 'Unauthorized' });
-            }
-
-            if (!timingSafeEqual(tokenBuffer, secretBuffer)) {
-                console.warn('[ENGINE AUTH] Token mismatch');
-                return res.status(401).json({ error: 'Unauthorized' });
-            }
-        } catch (err) {
-            console.warn('[ENGINE AUTH] Token comparison failed:', err.message);
-            return res.status(401).json({ error: 'Unauthorized' });
-        }
-
-        return next();
-    }
-
-    if (scheme === 'HMAC') {
-        // HMAC-based authentication (more secure, prevents replay attacks)
-        if (!token || !MATCH_ENGINE_SECRET) {
-            console.warn('[ENGINE AUTH] Invalid HMAC token');
-            return res.status(401).json({ error: 'Unauthorized' });
-        }
-
-        const [timestamp, signature] = token.split(':');
-
-        if (!timestamp || !signature) {
-            console.warn('[ENGINE AUTH] Invalid HMAC format');
-            return res.status(401).json({ error: 'Unauthorized' });
-        }
-
-        // Check timestamp to prevent replay attacks (5 minute window)
-        const now = Date.now();
-        const requestTime = parseInt(timestamp, 10);
-        const timeDiff = Math.abs(now - requestTime);
-
-        if (timeDiff > 5 * 60 * 1000) {
-            console.warn('[ENGINE AUTH] Request timestamp too old or in future');
-            return res.status(401).json({ error: 'Unauthorized' });
-        }
-
-        // Verify HMAC signature
-        const expectedSignature = createHmac('sha256', MATCH_ENGINE_SECRET)
-            .update(`${timestamp}:${req.method}:${req.path}`)
-            .digest('hex');
-
-        try {
-            const sigBuffer = Buffer.from(signature);
-            const expectedBuffer = Buffer.from(expectedSignature);
-
-            if (sigBuffer.length !== expectedBuffer.length) {
-                console.warn('[ENGINE AUTH] Signature length mismatch');
-                return res.status(401).json({ error: 'Unauthorized' });
-            }
-
-            if (!timingSafeEqual(sigBuffer, expectedBuffer)) {
-                console.warn('[ENGINE AUTH] Signature mismatch');
-                return res.status(401).json({ error: 'Unauthorized' });
-            }
-        } catch (err) {
-            console.warn('[ENGINE AUTH] Signature comparison failed:', err.message);
-            return res.status(401).json({ error: 'Unauthorized' });
-        }
-
-        // Authentication successful
-        return next();
-    }
-
-    console.warn(`[ENGINE AUTH] Unsupported auth scheme: ${scheme}`);
-    return res.status(401).json({ error: 'Unauthorized' });
-}
-
-/**
- * Generate HMAC signature for backend to use.
- * This is a helper function for the backend client.
- */
-export function generateHmacAuth(method, path, secret) {
-    const timestamp = Date.now().toString();
-    const signature = createHmac('sha256', secret)
-        .update(`${timestamp}:${method}:${path}`)
-        .digest('hex');
-
-    return `HMAC ${timestamp}:${signature}`;
+    return next();
 }
@@ -0,0 +1,210 @@
+/**
+ * Warm Pool
+ *
+ * Keeps pre-created service containers for the most provisioned templates so a match does
+ * not wait on image pulls and container creation. Enabled with WARM_POOL_SIZE > 0 (Docker
+ * infrastructure driver only).
+ *
+ * - Pooled containers are created (never started) on the internal `ctf_warm_pool` network
+ *   and labelled `ctf.pool=true`; they carry no match or team until claimed.
+ * - Claiming moves a container to the match network and renames it to the usual
+ *   `match-<matchId>-<teamId>-...` name. Docker labels cannot change, so for claimed pool
+ *   containers the name is what ties them to their match and team.
+ * - Templates are ranked by how often they are provisioned; the top WARM_POOL_MAX_TEMPLATES
+ *   each keep WARM_POOL_SIZE containers. A template whose image, env, port or limits change
+ *   gets a new pool key, and the old containers age out with the old key.
+ * - Refill runs after every claim and every WARM_POOL_REFILL_MS; unclaimed pool
+ *   containers left over from a previous engine run are removed on start.
+ */
+
+import { createHash } from 'crypto';
+import {
+  createServiceContainer,
+  stopAndRemoveContainer,
+  listPoolContainers,
+  claimPoolContainer,
+} from '../docker/containerManager.js';
+import { ensurePoolNetwork } from '../docker/networkManager.js';
+import { getInfraDriver } from '../infra/infraDriver.js';
+
+const POOL_SIZE = Math.max(0, Number(process.env.WARM_POOL_SIZE) || 0);
+const MAX_TEMPLATES = Number(process.env.WARM_POOL_MAX_TEMPLATES) || 5;
+const REFILL_MS = Number(process.env.WARM_POOL_REFILL_MS) || 60_000;
+const IDLE_MS = Number(process.env.WARM_POOL_IDLE_HOURS || 24) * 3600 * 1000;
+const POOL_NETWORK = 'ctf_warm_pool';
+const POOL_LABEL = 'ctf.pool';
+
+/** @type {Map<string, { template: object; uses: number; lastUsedAt: number; containers: string[] }>} */
+const entries = new Map();
+const stats = { hits: 0, misses: 0 };
+let refilling = null;
+let refillAgain = false;
+
+/**
+ * Pool key: template identity plus everything baked into the container at creation.
+ *
+ * @param {object} template
+ * @returns {string}
+ */
+function poolKey(template) {
+  const { dockerImage, environmentVars, port, resources, hardening } = template;
+  const hash = createHash('sha256')
+    .update(JSON.stringify({ dockerImage, environmentVars, port, resources, hardening }))
+    .digest('hex')
+    .slice(0, 12);
+  return `${template.templateId || template.id}:${hash}`;
+}
+
+/**
+ * Templates that deserve warm containers, most used first.
+ *
+ * @returns {Array<[string, object]>}
+ */
+function rankedEntries() {
+  return [...entries.entries()]
+    .sort(([, a], [, b]) => b.uses - a.uses || b.lastUsedAt - a.lastUsedAt)
+    .slice(0, MAX_TEMPLATES);
+}
+
+/**
+ * Bring every popular template up to WARM_POOL_SIZE containers and drain the rest.
+ */
+async function refill() {
+  const now = Date.now();
+  for (const entry of entries.values()) {
+    if (now - entry.lastUsedAt > IDLE_MS) entry.uses = 0;
+  }
+  const wanted = new Set(rankedEntries().filter(([, e]) => e.uses > 0).map(([key]) => key));
+
+  for (const [key, entry] of entries) {
+    if (wanted.has(key)) continue;
+    for (const containerId of entry.containers.splice(0)) {
+      await stopAndRemoveContainer(containerId).catch(() => {});
+    }
+    if (entry.uses === 0) entries.delete(key);
+  }
+
+  await ensurePoolNetwork(POOL_NETWORK);
+  for (const key of wanted) {
+    const entry = entries.get(key);
+    const templateId = String(entry.template.templateId || entry.template.id || '');
+    while (entries.get(key) === entry && entry.containers.length < POOL_SIZE) {
+      const container = await createServiceContainer(entry.template, {
+        name: `ctf-pool-${templateId.slice(0, 8)}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        networkName: POOL_NETWORK,
+        labels: {
+          [POOL_LABEL]: 'true',
+          'ctf.pool.key': key,
+          'ctf.service.type': entry.template.type || 'other',
+          'ctf.template.id': templateId,
+        },
+      });
+      entry.containers.push(container.id);
+    }
+  }
+}
+
+/**
+ * Run a refill unless one is in progress; a request during a refill triggers one more pass.
+ */
+function scheduleRefill() {
+  if (!POOL_SIZE) return;
+  if (refilling) {
+    refillAgain = true;
+    return;
+  }
+  refilling = refill()
+    .catch((err) => console.error('[WARM_POOL] Refill failed:', err.message))
+    .finally(() => {
+      refilling = null;
+      if (refillAgain) {
+        refillAgain = false;
+        scheduleRefill();
+      }
+    });
+}
+
+/**
+ * Take a warm container for a template, attached to the match network under its match name.
+ * Every call counts as a use of the template, so the pool learns what to keep warm.
+ *
+ * @param {object} template
+ * @param {{ name: string; networkName: string }} target
+ * @returns {Promise<import('dockerode').Container | null>} Null when none is ready (caller creates one)
+ */
+export async function claimWarmContainer(template, { name, networkName }) {
+  if (!POOL_SIZE) return null;
+  const key = poolKey(template);
+  let entry = entries.get(key);
+  if (!entry) {
+    entry = { template, uses: 0, lastUsedAt: 0, containers: [] };
+    entries.set(key, entry);
+  }
+  entry.template = template;
+  entry.uses += 1;
+  entry.lastUsedAt = Date.now();
+
+  const containerId = entry.containers.shift();
+  scheduleRefill();
+  if (!containerId) {
+    stats.misses += 1;
+    return null;
+  }
+
+  try {
+    const container = await claimPoolContainer(containerId, POOL_NETWORK, { name, networkName });
+    stats.hits += 1;
+    return container;
+  } catch (err) {
+    console.warn(`[WARM_POOL] Could not claim ${containerId}:`, err.message);
+    await stopAndRemoveContainer(containerId).catch(() => {});
+    stats.misses += 1;
+    return null;
+  }
+}
+
+/**
+ * Remove unclaimed pool containers left from a previous engine run, then start the
+ * refill timer.
+ */
+export async function startWarmPool() {
+  if (!POOL_SIZE) return;
+  if (getInfraDriver().ephemeral) {
+    console.warn(`[WARM_POOL] WARM_POOL_SIZE is ignored with the ${getInfraDriver().name} infrastructure driver`);
+    return;
+  }
+  try {
+    for (const c of await listPoolContainers()) {
+      // Claimed containers belong to a match, possibly still provisioning; the stale cleanup
+      // and the safety cron remove them once that match is gone
+      if (c.claimedBy) continue;
+      await stopAndRemoveContainer(c.id).catch(() => {});
+      console.log(`[WARM_POOL] Removed leftover pool container ${c.name || c.id}`);
+    }
+  } catch (err) {
+    console.error('[WARM_POOL] Failed to reconcile pool containers:', err.message);
+  }
+
+  setInterval(scheduleRefill, REFILL_MS).unref();
+  console.log(`[WARM_POOL] Enabled: ${POOL_SIZE} container(s) for up to ${MAX_TEMPLATES} template(s)`);
+}
+
+/**
+ * Pool levels for the engine status endpoint.
+ *
+ * @returns {{ enabled: boolean; size: number; hits: number; misses: number; templates: Array<{ templateId: string; image: string; uses: number; ready: number }> }}
+ */
+export function getWarmPoolStatus() {
+  return {
+    enabled: POOL_SIZE > 0 && !getInfraDriver().ephemeral,
+    size: POOL_SIZE,
+    hits: stats.hits,
+    misses: stats.misses,
+    templates: rankedEntries().map(([, e]) => ({
+      templateId: String(e.template.templateId || e.template.id || ''),
+      image: e.template.dockerImage,
+      uses: e.uses,
+      ready: e.containers.length,
+    })),
+  };
+}
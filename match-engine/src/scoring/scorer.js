@@ -3,6 +3,9 @@
  *
  * Single source of truth for A&D match scoring.
  * Rewards offense (flags), rewards defense (uptime), penalizes downtime.
+ * SLA states: UP earns uptime, DOWN is penalized, MUMBLE/CORRUPT earn nothing.
+ * A service that lost the previous tick's flag (`flagMissing`) is penalized like DOWN.
+ * Point values come from the match's scoring profile (scoringProfile.js).
  * Deterministic; no Firestore, no ELO, no admin overrides.
  */
 
@@ -13,48 +16,41 @@ import {
   initializeScoring,
   addScore,
   updateUptimeStats,
+  getCurrentTick,
+  hasFlagPlantFailed,
+  isFlagCaptured,
+  recordFirstBlood,
+  countFlagCaptures,
+  countCapturesByTeam,
+  appendTimelineEntry,
+  getTimeline,
   getScores as getScoresFromStore,
 } from '../state/stateStore.js';
+import { resolveScoringProfile, getServiceWeight, flagValue } from './scoringProfile.js';
 
-/** Flag capture points by difficulty (one flag per service per tick; opponent only) */
-const FLAG_POINTS = {
-  easy: 10,
-  medium: 15,
-  hard: 25,
-  insane: 40,
-};
-
-/** Uptime points per SLA tick, per service (pass health check, within timeout) */
-const UPTIME_POINTS = {
-  easy: 1,
-  medium: 2,
-  hard: 3,
-  insane: 4,
-};
-
-/** Downtime penalty per SLA tick, per service (DoS does NOT give attacker bonus) */
-const DOWNTIME_PENALTY = {
-  easy: -1,
-  medium: -2,
-  hard: -4,
-  insane: -6,
-};
-
-const VALID_DIFFICULTIES = ['easy', 'medium', 'hard', 'insane'];
+/**
+ * Resolved scoring profile for a match (see scoringProfile.js). Matches started
+ * without a profile, or restored without one, use the built-in defaults.
+ *
+ * @param {{ metadata?: { difficulty?: string; scoring?: object } }} match
+ * @returns {ReturnType<typeof resolveScoringProfile>}
+ */
+function getScoring(match) {
+  return match?.metadata?.scoring || resolveScoringProfile(null, match?.metadata?.difficulty);
+}
 
 /**
- * Derive normalized difficulty from match metadata.
+ * Round awards to two decimals so weights and decay do not accumulate float noise.
  *
- * @param {{ metadata?: { difficulty?: string } }} match
- * @returns {keyof typeof FLAG_POINTS}
+ * @param {number} points
+ * @returns {number}
  */
-function getDifficulty(match) {
-  const raw = (match?.metadata?.difficulty || 'easy').toString().trim().toLowerCase();
-  return VALID_DIFFICULTIES.includes(raw) ? raw : 'easy';
+function roundPoints(points) {
+  return Math.round(points * 100) / 100;
 }
 
 /**
- * Get owner team for a service (teamA_<matchId> => teamA, teamB_<matchId> => teamB).
+ * Get owner team for a service (teamA_<templateId> => teamA, teamB_<templateId> => teamB).
  *
  * @param {string} serviceId
  * @returns {"teamA" | "teamB" | null}
@@ -65,12 +61,56 @@ function getServiceOwner(serviceId) {
   return null;
 }
 
+/**
+ * Append this tick's scoreboard snapshot, diffing against the previous snapshot.
+ *
+ * @param {string} matchId
+ * @param {number} tick
+ * @param {Array<{ serviceId: string; status: string; responseTimeMs?: number; failedCheck?: string | null }>} healthResults
+ */
+function recordTimelineEntry(matchId, tick, healthResults) {
+  const timeline = getTimeline(matchId) || [];
+  const previous = timeline[timeline.length - 1];
+  const prevScores = previous?.scores || { teamA: 0, teamB: 0 };
+  const prevCaptures = previous?.totalFlagsCaptured || { teamA: 0, teamB: 0 };
+  const scores = getScoresFromStore(matchId) || { teamA: 0, teamB: 0 };
+  const captures = countCapturesByTeam(matchId);
+
+  appendTimelineEntry(matchId, {
+    tick,
+    timestamp: new Date().toISOString(),
+    services: healthResults.map((r) => ({
+      serviceId: r.serviceId,
+      status: r.status,
+      responseTimeMs: typeof r.responseTimeMs === 'number' ? r.responseTimeMs : null,
+      failedCheck: r.failedCheck ?? null,
+    })),
+    flagsCaptured: {
+      teamA: captures.teamA - prevCaptures.teamA,
+      teamB: captures.teamB - prevCaptures.teamB,
+    },
+    totalFlagsCaptured: captures,
+    pointsDelta: {
+      teamA: roundPoints(scores.teamA - prevScores.teamA),
+      teamB: roundPoints(scores.teamB - prevScores.teamB),
+    },
+    scores,
+  });
+}
+
 /**
  * Record a tick of health check results.
- * Updates service health, uptime/downtime stats, and applies tick-based score changes.
+ * Updates service health, uptime/downtime stats, applies tick-based score changes and
+ * appends the tick's scoreboard snapshot to the timeline.
+ * A service whose flag for this tick failed to plant is scored as DOWN: there was
+ * nothing to defend, so it must not earn uptime. A service whose checker could not
+ * retrieve the previous tick's flag (`flagMissing`) is penalized like downtime, so
+ * deleting flags or patching away the flag-serving feature never pays off.
+ * An UP service whose previous-tick flag was planted and expired uncaptured earns defence
+ * points.
  *
  * @param {string} matchId
- * @param {Array<{ serviceId: string; status: "UP" | "DOWN"; responseTimeMs: number }>} healthResults
+ * @param {Array<{ serviceId: string; status: "UP" | "MUMBLE" | "CORRUPT" | "DOWN"; responseTimeMs: number; failedCheck?: string | null; detail?: string | null; flagMissing?: boolean }>} healthResults
  * @returns {Promise<void>}
  */
 export async function recordTick(matchId, healthResults) {
@@ -80,11 +120,17 @@ export async function recordTick(matchId, healthResults) {
     return;
   }
 
-  const difficulty = getDifficulty(match);
+  const scoring = getScoring(match);
+  const tick = getCurrentTick(matchId);
+  healthResults = healthResults.map((result) =>
+    result.status === 'UP' && hasFlagPlantFailed(matchId, result.serviceId, tick)
+      ? { ...result, status: 'DOWN', failedCheck: 'flag_plant', detail: 'flag could not be planted this tick' }
+      : result
+  );
 
   // 1. Update service health state
   for (const result of healthResults) {
-    updateServiceHealth(matchId, result.serviceId, result.status);
+    updateServiceHealth(matchId, result.serviceId, result.status, result);
   }
 
   // 2. Update uptime/downtime stats and apply tick-based score
@@ -92,21 +138,39 @@ export async function recordTick(matchId, healthResults) {
     updateUptimeStats(matchId, result.serviceId, result.status);
     const owner = getServiceOwner(result.serviceId);
     if (owner) {
+      const weight = getServiceWeight(scoring, result.serviceId);
       if (result.status === 'UP') {
-        addScore(matchId, owner, UPTIME_POINTS[difficulty]);
-      } else {
-        addScore(matchId, owner, DOWNTIME_PENALTY[difficulty]);
+        let points = scoring.uptimePoints;
+        // Previous tick's flag leaves the submission window with this tick; a flag that was
+        // never planted could not be stolen, so it earns nothing
+        if (
+          tick > 0 &&
+          !isFlagCaptured(matchId, result.serviceId, tick - 1) &&
+          !hasFlagPlantFailed(matchId, result.serviceId, tick - 1)
+        ) {
+          points += scoring.defencePoints;
+        }
+        addScore(matchId, owner, roundPoints(points * weight));
+      } else if (result.status === 'DOWN' || result.flagMissing) {
+        addScore(matchId, owner, roundPoints(scoring.downtimePenalty * weight));
       }
+      // Other MUMBLE / CORRUPT: reachable but broken — no uptime points, no penalty
     }
   }
 
-  // 3. Advance SLA tick (flags rotate every tick)
+  // 3. Snapshot the scoreboard; deltas include flag points scored since the last snapshot
+  recordTimelineEntry(matchId, tick, healthResults);
+
+  // 4. Advance SLA tick (flags rotate every tick)
   incrementTick(matchId);
 }
 
 /**
  * Hook called when a flag is successfully validated and recorded.
- * Applies flag score immediately (one flag per service per tick; opponent only).
+ * Applies flag score immediately (one flag per service per tick; opponent only),
+ * decayed by the flag's age, scaled by how often the service was already exploited
+ * (dynamic profiles), weighted per service, plus the first-blood bonus.
+ * Called after recordFlagCapture, so the capture being scored is already counted.
  *
  * @param {string} matchId
  * @param {string} teamId
@@ -120,12 +184,43 @@ export async function onFlagCaptured(matchId, teamId, serviceId, tick) {
     return;
   }
 
-  const difficulty = getDifficulty(match);
-  const points = FLAG_POINTS[difficulty] ?? FLAG_POINTS.easy;
+  if (teamId !== 'teamA' && teamId !== 'teamB') {
+    return;
+  }
+
+  const scoring = getScoring(match);
+  let points = flagValue(scoring, {
+    age: getCurrentTick(matchId) - tick,
+    priorCaptures: countFlagCaptures(matchId, serviceId) - 1,
+  });
+  if (recordFirstBlood(matchId, serviceId, teamId, tick)) {
+    points += scoring.firstBloodBonus;
+  }
+  addScore(matchId, teamId, roundPoints(points * getServiceWeight(scoring, serviceId)));
+}
+
+/**
+ * Hook called when a team resets one of its services to the template image.
+ * Applies the profile's reset penalty, weighted per service, to the owning team.
+ *
+ * @param {string} matchId
+ * @param {string} serviceId
+ * @returns {number} Points applied (0 or negative)
+ */
+export function onServiceReset(matchId, serviceId) {
+  const match = getMatch(matchId);
+  const owner = getServiceOwner(serviceId);
+  if (!match || !owner) {
+    return 0;
+  }
 
-  if (teamId === 'teamA' || teamId === 'teamB') {
-    addScore(matchId, teamId, points);
+  const scoring = getScoring(match);
+  // Profiles resolved before reset penalties existed have no resetPenalty
+  const penalty = roundPoints((scoring.resetPenalty ?? 0) * getServiceWeight(scoring, serviceId));
+  if (penalty !== 0) {
+    addScore(matchId, owner, penalty);
   }
+  return penalty;
 }
 
 /**
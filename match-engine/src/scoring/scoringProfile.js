@@ -0,0 +1,186 @@
+/**
+ * Scoring Profiles
+ *
+ * A scoring profile is supplied by the backend at match start and resolved once,
+ * against the match difficulty, into the flat numbers the scorer applies.
+ * Any field a profile omits falls back to the built-in defaults below, so a match
+ * started without a profile scores exactly as before.
+ *
+ * Profile shape (point fields accept a number or a per-difficulty map):
+ * {
+ *   name: string,
+ *   flagPoints:      number | { easy, medium, hard, insane },  // per captured flag
+ *   uptimePoints:    number | { ... },                         // per UP service per tick
+ *   downtimePenalty: number | { ... },                         // per DOWN service per tick (<= 0)
+ *   defencePoints:   number | { ... },                         // per UP service whose expiring flag was never captured
+ *   firstBloodBonus: number | { ... },                         // extra points for the first capture of a service
+ *   resetPenalty:    number | { ... },                         // per team reset of a service to its template (<= 0)
+ *   flagDecay: { rate: 0..1, minFraction: 0..1 },              // flag value lost per tick of flag age
+ *   flagScaling: { mode: 'flat' | 'dynamic', minFraction: 0..1 }, // dynamic: value / (1 + earlier captures of the service)
+ *   serviceWeights: { [templateId]: number }                   // multiplier for every award on that service
+ * }
+ */
+
+const VALID_DIFFICULTIES = ['easy', 'medium', 'hard', 'insane'];
+
+const DEFAULT_POINTS = {
+  /** Flag capture points (one flag per service per tick; opponent only) */
+  flagPoints: { easy: 10, medium: 15, hard: 25, insane: 40 },
+  /** Uptime points per SLA tick, per service (pass health check, within timeout) */
+  uptimePoints: { easy: 1, medium: 2, hard: 3, insane: 4 },
+  /** Downtime penalty per SLA tick, per service (DoS does NOT give attacker bonus) */
+  downtimePenalty: { easy: -1, medium: -2, hard: -4, insane: -6 },
+  defencePoints: { easy: 0, medium: 0, hard: 0, insane: 0 },
+  firstBloodBonus: { easy: 0, medium: 0, hard: 0, insane: 0 },
+  /** Applied when a team resets one of its services to the template image */
+  resetPenalty: { easy: 0, medium: 0, hard: 0, insane: 0 },
+};
+
+const FLAG_SCALING_MODES = ['flat', 'dynamic'];
+const MAX_POINTS = 10000;
+const MAX_SERVICE_WEIGHT = 10;
+
+/**
+ * Normalize a difficulty string; unknown values fall back to 'easy'.
+ *
+ * @param {unknown} raw
+ * @returns {"easy" | "medium" | "hard" | "insane"}
+ */
+function normalizeDifficulty(raw) {
+  const value = (raw || 'easy').toString().trim().toLowerCase();
+  return VALID_DIFFICULTIES.includes(value) ? value : 'easy';
+}
+
+/**
+ * Pick a point value for a difficulty from a number or per-difficulty map.
+ *
+ * @param {unknown} raw
+ * @param {string} difficulty
+ * @param {number} fallback
+ * @returns {number}
+ */
+function pickPoints(raw, difficulty, fallback) {
+  const value = raw && typeof raw === 'object' ? raw[difficulty] : raw;
+  if (value === undefined || value === null) return fallback;
+  const num = Number(value);
+  if (!Number.isFinite(num) || Math.abs(num) > MAX_POINTS) {
+    throw new Error('scoring profile point values must be finite numbers');
+  }
+  return num;
+}
+
+/**
+ * Validate a 0..1 fraction.
+ *
+ * @param {unknown} raw
+ * @param {number} fallback
+ * @param {string} field
+ * @returns {number}
+ */
+function pickFraction(raw, fallback, field) {
+  if (raw === undefined || raw === null) return fallback;
+  const num = Number(raw);
+  if (!Number.isFinite(num) || num < 0 || num > 1) {
+    throw new Error(`scoring profile ${field} must be between 0 and 1`);
+  }
+  return num;
+}
+
+/**
+ * Resolve a scoring profile against a match difficulty.
+ * Throws an Error with a client-safe message when the profile is malformed.
+ *
+ * @param {object | null | undefined} profile - Profile from the start/provision request
+ * @param {string} difficulty
+ * @returns {{
+ *   name: string;
+ *   flagPoints: number;
+ *   uptimePoints: number;
+ *   downtimePenalty: number;
+ *   defencePoints: number;
+ *   firstBloodBonus: number;
+ *   resetPenalty: number;
+ *   flagDecay: { rate: number; minFraction: number };
+ *   flagScaling: { mode: 'flat' | 'dynamic'; minFraction: number };
+ *   serviceWeights: Record<string, number>;
+ * }}
+ */
+export function resolveScoringProfile(profile, difficulty) {
+  if (profile != null && (typeof profile !== 'object' || Array.isArray(profile))) {
+    throw new Error('scoringProfile must be an object');
+  }
+  const p = profile || {};
+  const level = normalizeDifficulty(difficulty);
+
+  const resolved = { name: typeof p.name === 'string' && p.name.trim() ? p.name.trim() : 'default' };
+  for (const field of Object.keys(DEFAULT_POINTS)) {
+    resolved[field] = pickPoints(p[field], level, DEFAULT_POINTS[field][level]);
+  }
+  if (resolved.downtimePenalty > 0 || resolved.resetPenalty > 0) {
+    throw new Error('scoring profile penalties must not be positive');
+  }
+  if (resolved.flagPoints < 0 || resolved.uptimePoints < 0 || resolved.defencePoints < 0 || resolved.firstBloodBonus < 0) {
+    throw new Error('scoring profile rewards must not be negative');
+  }
+
+  const decay = p.flagDecay && typeof p.flagDecay === 'object' ? p.flagDecay : {};
+  resolved.flagDecay = {
+    rate: pickFraction(decay.rate, 0, 'flagDecay.rate'),
+    minFraction: pickFraction(decay.minFraction, 0, 'flagDecay.minFraction'),
+  };
+
+  const scaling = p.flagScaling && typeof p.flagScaling === 'object' ? p.flagScaling : {};
+  if (scaling.mode != null && !FLAG_SCALING_MODES.includes(scaling.mode)) {
+    throw new Error(`scoring profile flagScaling.mode must be one of ${FLAG_SCALING_MODES.join(', ')}`);
+  }
+  resolved.flagScaling = {
+    mode: scaling.mode || 'flat',
+    minFraction: pickFraction(scaling.minFraction, 0, 'flagScaling.minFraction'),
+  };
+
+  resolved.serviceWeights = {};
+  if (p.serviceWeights != null) {
+    if (typeof p.serviceWeights !== 'object' || Array.isArray(p.serviceWeights)) {
+      throw new Error('scoring profile serviceWeights must be an object');
+    }
+    for (const [templateId, weight] of Object.entries(p.serviceWeights)) {
+      const num = Number(weight);
+      if (!Number.isFinite(num) || num < 0 || num > MAX_SERVICE_WEIGHT) {
+        throw new Error(`scoring profile weight for ${templateId} must be between 0 and ${MAX_SERVICE_WEIGHT}`);
+      }
+      resolved.serviceWeights[templateId] = num;
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Multiplier for a service (teamA_<templateId> / teamB_<templateId>); defaults to 1.
+ *
+ * @param {ReturnType<typeof resolveScoringProfile>} scoring
+ * @param {string} serviceId
+ * @returns {number}
+ */
+export function getServiceWeight(scoring, serviceId) {
+  const templateId = serviceId.replace(/^team[AB]_/, '');
+  return scoring.serviceWeights[templateId] ?? 1;
+}
+
+/**
+ * Flag value for a capture: `flagPoints`, scaled down by earlier captures of the same
+ * service in dynamic mode (`max(minFraction, 1 / (1 + priorCaptures))`), then decayed by
+ * the flag's age (`max(minFraction, (1 - rate) ^ age)`).
+ *
+ * @param {ReturnType<typeof resolveScoringProfile>} scoring
+ * @param {{ age: number; priorCaptures: number }} capture
+ * @returns {number}
+ */
+export function flagValue(scoring, { age, priorCaptures }) {
+  let points = scoring.flagPoints;
+  if (scoring.flagScaling.mode === 'dynamic') {
+    points *= Math.max(scoring.flagScaling.minFraction, 1 / (1 + Math.max(0, priorCaptures)));
+  }
+  const { rate, minFraction } = scoring.flagDecay;
+  return points * Math.max(minFraction, (1 - rate) ** Math.max(0, age));
+}
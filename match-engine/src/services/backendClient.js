@@ -0,0 +1,31 @@
+/**
+ * Backend Client
+ *
+ * Signed calls from the engine to the backend's engine API (/api/match/*): default
+ * collection, infrastructure, provisioning progress and node heartbeats.
+ */
+
+import fetch from 'node-fetch';
+import { signRequest } from '../utils/requestSigning.js';
+
+const BACKEND_URL = process.env.BACKEND_URL || 'http://localhost:3000';
+
+/**
+ * Signed request to the backend's engine API (/api/match/*).
+ *
+ * @param {string} method
+ * @param {string} path - Path and query, e.g. /api/match/infrastructure
+ * @param {object} [body] - JSON body
+ * @returns {Promise<import('node-fetch').Response>}
+ */
+export function backendFetch(method, path, body) {
+  const payload = body === undefined ? undefined : JSON.stringify(body);
+  return fetch(`${BACKEND_URL}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...signRequest({ audience: 'backend', method, path, body: payload }),
+    },
+    body: payload,
+  });
+}
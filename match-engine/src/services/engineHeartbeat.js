@@ -0,0 +1,69 @@
+/**
+ * Engine Heartbeat
+ *
+ * With several engine nodes, the backend places each match on a node by load. Every node
+ * registers with the backend and keeps reporting its capacity:
+ *
+ *   POST /api/match/engine/heartbeat { engineId, url, maxConcurrentMatches, activeMatches, draining }
+ *
+ * The backend drops a node from placement when its heartbeats stop. Enabled only when
+ * ENGINE_PUBLIC_URL (the address the backend reaches this node on) is set; a single
+ * engine addressed by the backend's MATCH_ENGINE_URL needs none of this.
+ *
+ * Env: ENGINE_ID (default: host name), ENGINE_PUBLIC_URL, ENGINE_HEARTBEAT_MS (default 10s),
+ * ENGINE_DRAINING=true to keep running matches but take no new ones.
+ */
+
+import os from 'os';
+import { backendFetch } from './backendClient.js';
+
+const DEFAULT_HEARTBEAT_MS = 10 * 1000;
+
+let heartbeatInterval = null;
+let lastFailureLogged = false;
+
+/**
+ * Start reporting this node to the backend (no-op without ENGINE_PUBLIC_URL).
+ *
+ * @param {() => { activeMatches: number; maxConcurrentMatches: number }} getCapacity
+ */
+export function startEngineHeartbeat(getCapacity) {
+  const url = (process.env.ENGINE_PUBLIC_URL || '').trim();
+  if (!url || heartbeatInterval) return;
+
+  const engineId = (process.env.ENGINE_ID || os.hostname()).trim();
+  const intervalMs = Number(process.env.ENGINE_HEARTBEAT_MS) || DEFAULT_HEARTBEAT_MS;
+
+  const beat = async () => {
+    try {
+      const res = await backendFetch('POST', '/api/match/engine/heartbeat', {
+        engineId,
+        url,
+        ...getCapacity(),
+        draining: process.env.ENGINE_DRAINING === 'true',
+      });
+      if (!res.ok) throw new Error(`backend responded with ${res.status}`);
+      if (lastFailureLogged) console.log('[HEARTBEAT] Backend reachable again');
+      lastFailureLogged = false;
+    } catch (err) {
+      // Log once per outage, not every interval
+      if (!lastFailureLogged) console.warn(`[HEARTBEAT] Failed to reach backend: ${err.message}`);
+      lastFailureLogged = true;
+    }
+  };
+
+  beat();
+  heartbeatInterval = setInterval(beat, intervalMs);
+  heartbeatInterval.unref();
+  console.log(`[HEARTBEAT] Registering as engine ${engineId} (${url}) every ${intervalMs}ms`);
+}
+
+/**
+ * Stop the heartbeat (shutdown).
+ */
+export function stopEngineHeartbeat() {
+  if (heartbeatInterval) {
+    clearInterval(heartbeatInterval);
+    heartbeatInterval = null;
+  }
+}
@@ -5,104 +5,110 @@
  * cleanupStaleMatches runs as cron to reclaim orphan resources.
  */
 
-import { getDockerClient } from '../docker/dockerClient.js';
-import { removeMatchNetwork } from '../docker/networkManager.js';
-import { stopAndRemoveContainer } from '../docker/containerManager.js';
-import { getMatchInfrastructure, deleteMatchInfrastructure, deleteMatch } from '../state/stateStore.js';
+import {
+  removeMatchNetwork,
+  removeStackNetworks,
+  removeNetworkPolicy,
+  removeNetwork,
+  listMatchNetworks,
+} from '../docker/networkManager.js';
+import { stopAndRemoveContainer, listMatchContainerIds, listMatchContainers } from '../docker/containerManager.js';
+import { getMatch, getMatchInfrastructure, deleteMatchInfrastructure, deleteMatch } from '../state/stateStore.js';
+import { closeMatchTerminals } from './terminalSessions.js';
 
 const CONTAINER_STOP_TIMEOUT_MS = 30_000;
 const STALE_AGE_MS = 2 * 60 * 60 * 1000; // 2 hours
 
 /**
- * Clean up a match: stop/remove all containers, delete network, remove from state.
+ * Tear down a match's Docker infrastructure: close terminal sessions, stop/remove all
+ * containers (service stacks included), remove the stack networks, the network policy and
+ * the match network, drop the infrastructure record. Match state (scores, result) is kept.
+ * Falls back to a scan for the match's containers when no infrastructure record exists.
  *
  * @param {string} matchId
  */
-export async function cleanupMatch(matchId) {
+export async function teardownMatchInfrastructure(matchId) {
+  closeMatchTerminals(matchId);
   const infrastructure = getMatchInfrastructure(matchId);
-  if (!infrastructure) {
-    await removeMatchNetwork(matchId);
-    deleteMatchInfrastructure(matchId);
-    deleteMatch(matchId);
-    return;
+  let containerIds;
+  if (infrastructure) {
+    const services = [...(infrastructure.teamA?.containers || []), ...(infrastructure.teamB?.containers || [])];
+    containerIds = [
+      ...services,
+      ...services.flatMap((s) => s.stack?.components || []),
+      infrastructure.teamA?.jumpBox,
+      infrastructure.teamB?.jumpBox,
+      infrastructure.capture,
+    ].filter(Boolean).map((c) => c.containerId);
+  } else {
+    containerIds = await listMatchContainerIds(matchId);
   }
 
-  const allContainers = [
-    ...(infrastructure.teamA?.containers || []),
-    ...(infrastructure.teamB?.containers || []),
-  ];
-
   await Promise.all(
-    allContainers.map((c) =>
+    containerIds.map((containerId) =>
       Promise.race([
-        stopAndRemoveContainer(c.containerId),
+        stopAndRemoveContainer(containerId),
         new Promise((_, rej) =>
-          setTimeout(() => rej(new Error('Container stop timeout')), CONTAINER_STOP_TIMEOUT_MS)
+          // unref: a finished teardown should not keep the process alive for the timeout
+          setTimeout(() => rej(new Error('Container stop timeout')), CONTAINER_STOP_TIMEOUT_MS).unref()
         ),
       ]).catch((err) => {
-        console.warn(`[CLEANUP] Failed to remove container ${c.containerId}:`, err.message);
+        console.warn(`[CLEANUP] Failed to remove container ${containerId}:`, err.message);
       })
     )
   );
 
+  await removeStackNetworks(matchId);
+  await removeNetworkPolicy(matchId);
   await removeMatchNetwork(matchId);
   deleteMatchInfrastructure(matchId);
+}
+
+/**
+ * Clean up a match: tear down infrastructure, remove from state.
+ *
+ * @param {string} matchId
+ */
+export async function cleanupMatch(matchId) {
+  await teardownMatchInfrastructure(matchId);
   deleteMatch(matchId);
   console.log(`[CLEANUP] Match ${matchId} cleaned up (no trace)`);
 }
 
+async function removeStaleContainer(containerId, matchId) {
+  try {
+    await stopAndRemoveContainer(containerId);
+    console.log(`[CLEANUP] Removed stale container ${containerId} (match ${matchId})`);
+  } catch (err) {
+    console.warn(`[CLEANUP] Failed to remove stale container ${containerId}:`, err.message);
+  }
+}
+
 /**
- * Clean up stale containers and networks (no longer in state or > 2h old).
+ * Clean up stale containers and networks (no longer in state or > 2h old). Claimed warm-pool
+ * containers were created before their match, so they are removed once the match is gone
+ * or ended instead.
  * Run as cron every 30 minutes.
  */
 export async function cleanupStaleMatches() {
-  const docker = getDockerClient();
   const now = Date.now();
 
-  const containers = await docker.listContainers({
-    all: true,
-    filters: JSON.stringify({ label: ['ctf.match.id'] }),
-  });
-
-  for (const c of containers) {
-    const labels = c.Labels || {};
-    const matchId = labels['ctf.match.id'];
-    if (!matchId) continue;
-
-    const infra = getMatchInfrastructure(matchId);
-    const created = c.Created ? new Date(c.Created).getTime() : 0;
-    const age = now - created;
-
-    if (!infra || age > STALE_AGE_MS) {
-      try {
-        const container = docker.getContainer(c.Id);
-        await container.stop({ t: 10 }).catch(() => {});
-        await container.remove({ force: true });
-        console.log(`[CLEANUP] Removed stale container ${c.Id} (match ${matchId})`);
-      } catch (err) {
-        console.warn(`[CLEANUP] Failed to remove stale container ${c.Id}:`, err.message);
-      }
-    }
+  for (const c of await listMatchContainers()) {
+    const match = getMatch(c.matchId);
+    const stale = c.claimed
+      ? !match || match.state === 'ENDED'
+      : !getMatchInfrastructure(c.matchId) || now - c.createdAt > STALE_AGE_MS;
+    if (stale) await removeStaleContainer(c.id, c.matchId);
   }
 
-  const networks = await docker.listNetworks({
-    filters: JSON.stringify({ label: ['ctf.match.id'] }),
-  });
-
-  for (const n of networks) {
-    const labels = n.Labels || {};
-    const matchId = labels['ctf.match.id'];
-    if (!matchId) continue;
-
-    const infra = getMatchInfrastructure(matchId);
-    if (!infra) {
-      try {
-        const network = docker.getNetwork(n.Id);
-        await network.remove();
-        console.log(`[CLEANUP] Removed orphan network ${n.Name} (match ${matchId})`);
-      } catch (err) {
-        console.warn(`[CLEANUP] Failed to remove network ${n.Id}:`, err.message);
-      }
+  for (const n of await listMatchNetworks()) {
+    if (getMatchInfrastructure(n.matchId)) continue;
+    try {
+      await removeNetworkPolicy(n.matchId);
+      await removeNetwork(n.id);
+      console.log(`[CLEANUP] Removed orphan network ${n.name} (match ${n.matchId})`);
+    } catch (err) {
+      console.warn(`[CLEANUP] Failed to remove network ${n.id}:`, err.message);
     }
   }
 }
@@ -1,21 +1,87 @@
 /**
  * Match Provisioner
  *
- * Fetches default service collection from backend, creates network,
- * provisions team containers, injects initial flags, stores infrastructure.
+ * Provisions a match as a resumable job: fetches the default service collection from the
+ * backend, creates the network, then creates every team service (both teams), the jump
+ * boxes and the packet capture sidecar in parallel, applies the network isolation policy
+ * and stores the infrastructure. Service containers come from the warm pool when it has
+ * them ready. Called by the match lifecycle during INITIALIZING; flags are planted by the
+ * lifecycle, which reports them back with markFlagsPlanted.
+ *
+ * The job (`metadata.provisioning`: jobId, status, per-step phase) is persisted with the
+ * match. Every step is idempotent by matchId (containers and networks are reused by name),
+ * so a failed step is retried in place, and a job interrupted by an engine restart resumes
+ * by running again. Every phase change (pulling, creating, starting, ready, flag planted)
+ * is pushed to the backend, which relays it to the match room over Socket.IO. Calls to the
+ * backend are signed like the backend's calls to the engine (utils/requestSigning.js).
+ * When a step runs out of attempts the match is torn down by matchId, not from a partial list.
  */
 
-import fetch from 'node-fetch';
-import { createMatchNetwork, removeMatchNetwork } from '../docker/networkManager.js';
-import {
-  provisionTeamServices,
-  stopAndRemoveContainer,
-  injectFlagIntoContainer,
-} from '../docker/containerManager.js';
-import { setMatchInfrastructure, getMatchInfrastructure, deleteMatchInfrastructure } from '../state/stateStore.js';
-import { generateFlag } from '../flags/flagManager.js';
+import { randomUUID } from 'crypto';
+import { createMatchNetwork, applyNetworkPolicy } from '../docker/networkManager.js';
+import { provisionTeamService, provisionJumpBox } from '../docker/containerManager.js';
+import { getMatch, updateMetadata, setMatchInfrastructure } from '../state/stateStore.js';
+import { isCaptureEnabled, provisionCapture } from '../capture/packetCapture.js';
+import { claimWarmContainer } from '../pool/warmPool.js';
+import { teardownMatchInfrastructure } from './matchCleanup.js';
+import { backendFetch } from './backendClient.js';
+import { createHistogram } from '../utils/metrics.js';
+
+const STEP_ATTEMPTS = Number(process.env.PROVISION_STEP_ATTEMPTS) || 3;
+const STEP_RETRY_DELAY_MS = Number(process.env.PROVISION_RETRY_DELAY_MS) || 2000;
+
+/** Provisioning durations, split by whether any service container came from the warm pool */
+const provisioningStats = {
+  cold: { count: 0, totalMs: 0, lastMs: null },
+  warm: { count: 0, totalMs: 0, lastMs: null },
+};
 
-const BACKEND_URL = process.env.BACKEND_URL || 'http://localhost:3000';
+const provisioningDuration = createHistogram(
+  'ctf_engine_provisioning_duration_seconds',
+  'Time to provision a match (network to infrastructure stored), cold vs warm-pool matches',
+  { labelNames: ['source'], buckets: [1, 2.5, 5, 10, 20, 30, 60, 120, 300] }
+);
+
+/**
+ * Provisioning time per match (network to infrastructure stored), cold vs warm-pool matches.
+ *
+ * @returns {{ cold: { count: number; avgMs: number | null; lastMs: number | null }; warm: { count: number; avgMs: number | null; lastMs: number | null } }}
+ */
+export function getProvisioningStats() {
+  const summarize = ({ count, totalMs, lastMs }) => ({ count, avgMs: count ? Math.round(totalMs / count) : null, lastMs });
+  return { cold: summarize(provisioningStats.cold), warm: summarize(provisioningStats.warm) };
+}
+
+/** Match difficulty (queue vocabulary) -> service collection difficulty */
+const COLLECTION_DIFFICULTY = {
+  easy: 'beginner',
+  medium: 'advanced',
+  hard: 'expert',
+  insane: 'expert',
+};
+
+/**
+ * Map a match difficulty to the difficulty used by service collections.
+ * Collection difficulties (beginner/advanced/expert) pass through unchanged.
+ *
+ * @param {string} difficulty
+ * @returns {string}
+ */
+function toCollectionDifficulty(difficulty) {
+  const d = String(difficulty).trim().toLowerCase();
+  return COLLECTION_DIFFICULTY[d] || d;
+}
+
+/**
+ * Normalize a team descriptor: either an array of player uids or { players }.
+ *
+ * @param {string[] | { players?: string[] }} team
+ * @returns {string[]}
+ */
+function getPlayers(team) {
+  if (Array.isArray(team)) return team;
+  return Array.isArray(team?.players) ? team.players : [];
+}
 
 /**
  * Fetch default collection with templates for a difficulty.
@@ -24,7 +90,7 @@ const BACKEND_URL = process.env.BACKEND_URL || 'http://localhost:3000';
  * @returns {Promise<{ services: object[] }>}
  */
 async function getDefaultCollectionWithTemplates(difficulty) {
-  const res = await fetch(`${BACKEND_URL}/api/match/default-collection?difficulty=${encodeURIComponent(difficulty)}`);
+  const res = await backendFetch('GET', `/api/match/default-collection?difficulty=${encodeURIComponent(difficulty)}`);
   if (!res.ok) {
     const text = await res.text();
     throw new Error(`Failed to get default collection: ${res.status} ${text}`);
@@ -39,97 +105,287 @@ async function getDefaultCollectionWithTemplates(difficulty) {
  * @param {object} infrastructure
  */
 async function notifyBackendInfrastructure(matchId, infrastructure) {
-  const res = await fetch(`${BACKEND_URL}/api/match/infrastructure`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ matchId, infrastructure }),
-  });
+  const res = await backendFetch('POST', '/api/match/infrastructure', { matchId, infrastructure });
   if (!res.ok) {
     console.warn(`[PROVISION] Failed to push infrastructure to backend: ${res.status}`);
   }
 }
 
+// Jobs whose progress push already failed once (warn once, not per step)
+const unreachableWarned = new WeakSet();
+
 /**
- * Provision a match: network + team A/B containers + inject tick-0 flags.
+ * Job as sent to the backend and returned by the engine API.
  *
- * @param {object} matchData — { matchId, difficulty, teamA: { teamId, players }, teamB: { teamId, players } }
+ * @param {object} job
+ * @returns {{ jobId: string; status: string; seq: number; startedAt: number; updatedAt: number; error: string | null; done: number; total: number; steps: object[] }}
+ */
+function publicJob(job) {
+  const steps = Object.entries(job.steps).map(([id, step]) => ({ id, ...step }));
+  // A service is done once its flag is planted; other steps once they ran
+  const finished = (step) => (step.serviceId ? step.phase === 'flag_planted' || job.status === 'succeeded' : step.phase === 'done');
+  return {
+    jobId: job.jobId,
+    status: job.status,
+    seq: job.seq,
+    startedAt: job.startedAt,
+    updatedAt: job.updatedAt,
+    error: job.error || null,
+    done: steps.filter(finished).length,
+    total: steps.length,
+    steps,
+  };
+}
+
+/**
+ * Persist the job with the match and push it to the backend (fire and forget; a missed
+ * update is superseded by the next one).
+ *
+ * @param {string} matchId
+ * @param {object} job
+ */
+function saveJob(matchId, job) {
+  job.seq += 1;
+  job.updatedAt = Date.now();
+  updateMetadata(matchId, { provisioning: job });
+  backendFetch('POST', '/api/match/provisioning', { matchId, job: publicJob(job) })
+    .then((res) => {
+      if (!res.ok) console.warn(`[PROVISION] Backend rejected progress for match ${matchId}: ${res.status}`);
+    })
+    .catch((err) => {
+      if (unreachableWarned.has(job)) return;
+      unreachableWarned.add(job);
+      console.warn(`[PROVISION] Failed to push progress for match ${matchId}:`, err.message);
+    });
+}
+
+/**
+ * Run one job step, retrying it (it is idempotent) with a growing delay.
+ *
+ * @param {string} matchId
+ * @param {object} job
+ * @param {string} id - Step key, e.g. `service:teamA_<templateId>`
+ * @param {(setPhase: (phase: string) => void) => Promise<T>} run
+ * @returns {Promise<T>}
+ * @template T
+ */
+async function runStep(matchId, job, id, run) {
+  const step = job.steps[id];
+  const setPhase = (phase) => {
+    step.phase = phase;
+    saveJob(matchId, job);
+  };
+
+  for (let attempt = 1; ; attempt++) {
+    step.attempts = attempt;
+    setPhase(attempt === 1 ? 'running' : 'retrying');
+    try {
+      const result = await run(setPhase);
+      step.error = null;
+      setPhase(step.serviceId ? 'ready' : 'done');
+      return result;
+    } catch (err) {
+      step.error = err.message;
+      if (attempt >= STEP_ATTEMPTS) {
+        setPhase('failed');
+        throw err;
+      }
+      console.warn(`[PROVISION] Match ${matchId} step ${id} failed (attempt ${attempt}/${STEP_ATTEMPTS}): ${err.message}`);
+      await new Promise((resolve) => setTimeout(resolve, STEP_RETRY_DELAY_MS * attempt));
+    }
+  }
+}
+
+/**
+ * Wait for every promise; throw the first failure only once all have settled, so nothing
+ * is still creating containers when the match is torn down.
+ *
+ * @param {Promise<T>[]} promises
+ * @returns {Promise<T[]>}
+ * @template T
+ */
+async function allSettledOrThrow(promises) {
+  const results = await Promise.allSettled(promises);
+  const failed = results.find((r) => r.status === 'rejected');
+  if (failed) throw failed.reason;
+  return results.map((r) => r.value);
+}
+
+/**
+ * Record the provisioning duration for the cold/warm statistics.
+ *
+ * @param {string} matchId
+ * @param {object} infrastructure
+ * @param {number} startedAt
+ */
+function recordDuration(matchId, infrastructure, startedAt) {
+  const allContainers = [...infrastructure.teamA.containers, ...infrastructure.teamB.containers];
+  const warmCount = allContainers.filter((c) => c.fromPool).length;
+  infrastructure.provisionDurationMs = Date.now() - startedAt;
+  const source = warmCount > 0 ? 'warm' : 'cold';
+  const bucket = provisioningStats[source];
+  bucket.count += 1;
+  bucket.totalMs += infrastructure.provisionDurationMs;
+  bucket.lastMs = infrastructure.provisionDurationMs;
+  provisioningDuration.observe({ source }, infrastructure.provisionDurationMs / 1000);
+  console.log(
+    `[PROVISION] Match ${matchId} provisioned in ${infrastructure.provisionDurationMs}ms ` +
+    `(${warmCount}/${allContainers.length} service containers from warm pool)`
+  );
+}
+
+/**
+ * Provision a match: network, then team A/B services, jump boxes and capture sidecar in
+ * parallel, then the network policy. Containers are always provisioned under the team
+ * slots `teamA` / `teamB`, so serviceIds (`teamA_<templateId>`) line up with scoring and
+ * flag ownership.
+ *
+ * Resumes the match's job when one is still running (interrupted by a restart); the
+ * lifecycle makes sure only one call runs per match at a time.
+ *
+ * @param {object} matchData — { matchId, difficulty, teamA: string[] | { players }, teamB: string[] | { players } }
  * @returns {Promise<object>} infrastructure
  */
 export async function provisionMatch(matchData) {
   const { matchId, difficulty, teamA, teamB } = matchData || {};
-  if (!matchId || !difficulty || !teamA?.teamId || !teamB?.teamId) {
-    throw new Error('matchId, difficulty, teamA.teamId, teamB.teamId required');
+  if (!matchId || !difficulty) {
+    throw new Error('matchId and difficulty required');
   }
 
-  let network = null;
-  let teamAContainers = [];
-  let teamBContainers = [];
+  const startedAt = Date.now();
+  const previous = getMatch(matchId)?.metadata?.provisioning;
+  const resuming = previous?.status === 'running';
+  const job = {
+    jobId: resuming ? previous.jobId : randomUUID(),
+    status: 'running',
+    seq: resuming ? previous.seq : 0,
+    resumes: resuming ? (previous.resumes || 0) + 1 : 0,
+    startedAt: resuming ? previous.startedAt : startedAt,
+    updatedAt: startedAt,
+    error: null,
+    steps: { collection: { label: 'Service collection', phase: 'pending', attempts: 0 } },
+  };
+  if (resuming) console.log(`[PROVISION] Resuming job ${job.jobId} for match ${matchId}`);
 
   try {
-    const collection = await getDefaultCollectionWithTemplates(difficulty);
+    const collection = await runStep(matchId, job, 'collection', () =>
+      getDefaultCollectionWithTemplates(toCollectionDifficulty(difficulty))
+    );
     const services = collection.services || [];
     if (services.length === 0) {
       throw new Error('No services in default collection for difficulty');
     }
+    // Kept so a team can later reset a service to exactly what it was provisioned from
+    updateMetadata(matchId, {
+      serviceTemplates: Object.fromEntries(services.map((t) => [t.templateId || t.id, t])),
+    });
 
-    network = await createMatchNetwork(matchId);
-    const networkNameOrId = network.networkName;
+    // Register every step up front so progress has a fixed total
+    job.steps.network = { label: 'Match network', phase: 'pending', attempts: 0 };
+    for (const teamId of ['teamA', 'teamB']) {
+      for (const template of services) {
+        const templateId = template.templateId || template.id;
+        job.steps[`service:${teamId}_${templateId}`] = {
+          label: template.name || template.type || templateId,
+          teamId,
+          serviceId: `${teamId}_${templateId}`,
+          phase: 'pending',
+          attempts: 0,
+        };
+      }
+      job.steps[`jumpbox:${teamId}`] = { label: 'Jump box', teamId, phase: 'pending', attempts: 0 };
+    }
+    if (isCaptureEnabled()) job.steps.capture = { label: 'Packet capture', phase: 'pending', attempts: 0 };
+    job.steps.policy = { label: 'Network isolation', phase: 'pending', attempts: 0 };
 
-    teamAContainers = await provisionTeamServices(
-      matchId,
-      teamA.teamId,
-      networkNameOrId,
-      services
-    );
-    teamBContainers = await provisionTeamServices(
-      matchId,
-      teamB.teamId,
-      networkNameOrId,
-      services
-    );
+    const network = await runStep(matchId, job, 'network', async () => {
+      const created = await createMatchNetwork(matchId);
+      // Close egress before any container starts; full rules follow once IPs are known
+      await applyNetworkPolicy(matchId, { networkId: created.networkId });
+      return created;
+    });
 
-    const allContainers = [...teamAContainers, ...teamBContainers];
-    for (const c of allContainers) {
-      const flag = generateFlag(matchId, c.serviceId, 0);
-      await injectFlagIntoContainer(c.containerId, c.flagPath, flag);
-    }
+    const teamServices = (teamId) =>
+      allSettledOrThrow(
+        services.map((template) =>
+          runStep(matchId, job, `service:${teamId}_${template.templateId || template.id}`, (setPhase) =>
+            provisionTeamService(matchId, teamId, network.networkName, template, {
+              claimContainer: claimWarmContainer,
+              onProgress: setPhase,
+            })
+          )
+        )
+      );
+    const [teamAContainers, teamBContainers, jumpBoxes, capture] = await allSettledOrThrow([
+      teamServices('teamA'),
+      teamServices('teamB'),
+      allSettledOrThrow(
+        ['teamA', 'teamB'].map((teamId) =>
+          runStep(matchId, job, `jumpbox:${teamId}`, () => provisionJumpBox(matchId, teamId, network.networkName))
+        )
+      ),
+      job.steps.capture ? runStep(matchId, job, 'capture', () => provisionCapture(matchId, network.networkId)) : null,
+    ]);
 
     const infrastructure = {
       matchId,
       networkId: network.networkId,
       networkName: network.networkName,
       subnet: network.subnet,
-      teamA: { teamId: teamA.teamId, containers: teamAContainers },
-      teamB: { teamId: teamB.teamId, containers: teamBContainers },
+      teamA: { teamId: 'teamA', players: getPlayers(teamA), containers: teamAContainers, jumpBox: jumpBoxes[0] },
+      teamB: { teamId: 'teamB', players: getPlayers(teamB), containers: teamBContainers, jumpBox: jumpBoxes[1] },
+      capture,
       provisionedAt: Date.now(),
+      provisioningJobId: job.jobId,
     };
+    await runStep(matchId, job, 'policy', () => applyNetworkPolicy(matchId, infrastructure));
 
+    recordDuration(matchId, infrastructure, startedAt);
     setMatchInfrastructure(matchId, infrastructure);
     await notifyBackendInfrastructure(matchId, infrastructure);
 
     return infrastructure;
   } catch (err) {
-    for (const c of teamBContainers) {
-      try {
-        await stopAndRemoveContainer(c.containerId);
-      } catch (e) {
-        console.warn('Rollback container', c.containerId, e.message);
-      }
-    }
-    for (const c of teamAContainers) {
-      try {
-        await stopAndRemoveContainer(c.containerId);
-      } catch (e) {
-        console.warn('Rollback container', c.containerId, e.message);
-      }
-    }
-    if (network?.networkId) {
-      try {
-        await removeMatchNetwork(matchId);
-      } catch (e) {
-        console.warn('Rollback network', e.message);
-      }
+    job.status = 'failed';
+    job.error = err.message;
+    saveJob(matchId, job);
+    console.error(`[PROVISION] Job ${job.jobId} for match ${matchId} failed; tearing down:`, err.message);
+    try {
+      await teardownMatchInfrastructure(matchId);
+    } catch (e) {
+      console.warn(`[PROVISION] Teardown after failed provisioning of ${matchId}:`, e.message);
     }
     throw err;
   }
 }
+
+/**
+ * Mark tick-0 flags on the job's service steps and complete the job. Called by the
+ * lifecycle once the flags are planted.
+ *
+ * @param {string} matchId
+ * @param {Array<{ serviceId: string; planted: boolean; error: string | null }>} results
+ */
+export function markFlagsPlanted(matchId, results) {
+  const job = getMatch(matchId)?.metadata?.provisioning;
+  if (!job || job.status !== 'running') return;
+  for (const result of results) {
+    const step = job.steps[`service:${result.serviceId}`];
+    if (!step) continue;
+    if (result.planted) step.phase = 'flag_planted';
+    else step.error = result.error || 'Flag not planted';
+  }
+  job.status = 'succeeded';
+  saveJob(matchId, job);
+}
+
+/**
+ * Current provisioning job of a match, for the engine API.
+ *
+ * @param {string} matchId
+ * @returns {object | null}
+ */
+export function getProvisioningJob(matchId) {
+  const job = getMatch(matchId)?.metadata?.provisioning;
+  return job ? publicJob(job) : null;
+}
@@ -0,0 +1,275 @@
+/**
+ * Service Access
+ *
+ * Lets a team patch its own services during a match: run commands, upload and download
+ * files, restart, and reset a service to its original template state. Every action is
+ * checked against the team slot twice — the service must be listed under the team in the
+ * match infrastructure, and the container must carry the matching `ctf.match.id` /
+ * `ctf.team.id` labels (or, for a claimed warm-pool container, the match and team in its
+ * name) — and recorded in the match's audit trail (stateStore serviceActions), whether it
+ * succeeded or not.
+ *
+ * Errors carry an HTTP `status` for the engine routes.
+ */
+
+import {
+  execInContainer,
+  writeFileToContainer,
+  readFileFromContainer,
+  restartContainer,
+  recreateServiceContainer,
+  stopAndRemoveContainer,
+  getContainerLabels,
+} from '../docker/containerManager.js';
+import { replantServiceFlag } from '../flags/flagRotation.js';
+import { onServiceReset } from '../scoring/scorer.js';
+import {
+  getMatch,
+  getMatchInfrastructure,
+  setMatchInfrastructure,
+  getCurrentTick,
+  updateServiceHealth,
+  appendServiceAction,
+} from '../state/stateStore.js';
+import logger from '../utils/logger.js';
+
+export const MAX_FILE_BYTES = 64 * 1024;
+const MAX_COMMAND_LENGTH = 4096;
+const MAX_PATH_LENGTH = 1024;
+const EXEC_TIMEOUT_MS = Number(process.env.SERVICE_EXEC_TIMEOUT_MS) || 30_000;
+
+/** `${matchId}:${serviceId}` of resets in progress */
+const resetting = new Set();
+
+function accessError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Validate an absolute file path inside a container.
+ *
+ * @param {unknown} filePath
+ * @returns {string}
+ */
+function toContainerPath(filePath) {
+  if (typeof filePath !== 'string' || !filePath.startsWith('/') || filePath.length > MAX_PATH_LENGTH || filePath.includes('\0')) {
+    throw accessError(400, 'path must be an absolute path');
+  }
+  return filePath;
+}
+
+/**
+ * Normalize a command: a string runs through `sh -c`, an array runs as-is.
+ *
+ * @param {unknown} command
+ * @returns {string[]}
+ */
+function toCommand(command) {
+  if (typeof command === 'string' && command.trim() && command.length <= MAX_COMMAND_LENGTH) {
+    return ['sh', '-c', command];
+  }
+  if (
+    Array.isArray(command) &&
+    command.length > 0 &&
+    command.every((part) => typeof part === 'string') &&
+    command.join(' ').length <= MAX_COMMAND_LENGTH
+  ) {
+    return command;
+  }
+  throw accessError(400, 'command must be a non-empty string or array of strings');
+}
+
+/**
+ * Find a team's own service container in a running match and confirm its labels.
+ *
+ * @param {string} matchId
+ * @param {string} teamId
+ * @param {string} serviceId
+ * @param {string} action
+ * @returns {Promise<object>} Container info from the infrastructure record
+ */
+async function resolveTeamService(matchId, teamId, serviceId, action) {
+  const match = getMatch(matchId);
+  if (!match) throw accessError(404, 'Match not found');
+  if (match.state === 'PAUSED') throw accessError(409, 'Match is paused');
+  if (match.state !== 'RUNNING') throw accessError(409, 'Match is not running');
+
+  const service = (getMatchInfrastructure(matchId)?.[teamId]?.containers || []).find((c) => c.serviceId === serviceId);
+  if (!service) throw accessError(404, 'Service not found for this team');
+  if (!service.containerId) {
+    // Lost to a failed reset: there is no container to act on, only another reset to try
+    if (action !== 'reset') throw accessError(409, 'Service is down after a failed reset; reset it again');
+    return service;
+  }
+
+  const { name, labels } = await getContainerLabels(service.containerId);
+  const labelled = labels['ctf.match.id'] === matchId && labels['ctf.team.id'] === teamId;
+  // Warm-pool containers were created before the match; their claim is the match name
+  const claimed = labels['ctf.pool'] === 'true' && name === service.containerName;
+  if (!labelled && !claimed) {
+    logger.warn('[SERVICE_ACCESS] Container labels do not match team', { matchId, teamId, serviceId });
+    throw accessError(403, 'Service does not belong to this team');
+  }
+  return service;
+}
+
+/**
+ * Run an action on a team service and record it in the audit trail.
+ *
+ * @param {{ matchId: string; teamId: string; serviceId: string; actor?: string | null }} target
+ * @param {string} action
+ * @param {object} detail - Audited parameters (no file contents)
+ * @param {(service: object) => Promise<T>} run
+ * @returns {Promise<T>}
+ * @template T
+ */
+async function audited({ matchId, teamId, serviceId, actor }, action, detail, run) {
+  const entry = { at: Date.now(), teamId, serviceId, action, actor: actor || null, detail, ok: false };
+  try {
+    const service = await resolveTeamService(matchId, teamId, serviceId, action);
+    const result = await run(service);
+    entry.ok = true;
+    return result;
+  } catch (err) {
+    // Command failures inside the container (missing file, bad path) are the caller's problem
+    if (err.exitCode !== undefined && !err.status) err.status = 422;
+    entry.error = err.message;
+    throw err;
+  } finally {
+    appendServiceAction(matchId, entry);
+    logger.info(`[SERVICE_ACCESS] ${action} ${entry.ok ? 'ok' : 'failed'}`, { matchId, teamId, serviceId, actor: entry.actor, ...detail });
+  }
+}
+
+/**
+ * Run a command in a team's service container.
+ *
+ * @param {{ matchId: string; teamId: string; serviceId: string; actor?: string | null }} target
+ * @param {unknown} command
+ * @returns {Promise<{ exitCode: number | null; stdout: string; stderr: string; truncated: boolean; timedOut: boolean }>}
+ */
+export async function execInTeamService(target, command) {
+  const cmd = toCommand(command);
+  return audited(target, 'exec', { command: cmd.join(' ') }, async (service) => {
+    const result = await execInContainer(service.containerId, cmd, { timeoutMs: EXEC_TIMEOUT_MS });
+    return { ...result, stdout: result.stdout.toString('utf8'), stderr: result.stderr.toString('utf8') };
+  });
+}
+
+/**
+ * Upload (overwrite) a file in a team's service container.
+ *
+ * @param {{ matchId: string; teamId: string; serviceId: string; actor?: string | null }} target
+ * @param {unknown} filePath
+ * @param {Buffer} content
+ * @returns {Promise<{ path: string; size: number }>}
+ */
+export async function uploadToTeamService(target, filePath, content) {
+  const path = toContainerPath(filePath);
+  if (!Buffer.isBuffer(content)) throw accessError(400, 'file content is required');
+  if (content.length > MAX_FILE_BYTES) throw accessError(413, `file exceeds ${MAX_FILE_BYTES} bytes`);
+  return audited(target, 'upload', { path, size: content.length }, async (service) => {
+    await writeFileToContainer(service.containerId, path, content);
+    return { path, size: content.length };
+  });
+}
+
+/**
+ * Download a file from a team's service container.
+ *
+ * @param {{ matchId: string; teamId: string; serviceId: string; actor?: string | null }} target
+ * @param {unknown} filePath
+ * @returns {Promise<{ path: string; size: number; content: string }>} content is base64
+ */
+export async function downloadFromTeamService(target, filePath) {
+  const path = toContainerPath(filePath);
+  return audited(target, 'download', { path }, async (service) => {
+    const { content, truncated } = await readFileFromContainer(service.containerId, path, MAX_FILE_BYTES);
+    if (truncated) throw accessError(413, `file exceeds ${MAX_FILE_BYTES} bytes`);
+    return { path, size: content.length, content: content.toString('base64') };
+  });
+}
+
+/**
+ * Restart a team's service container.
+ *
+ * @param {{ matchId: string; teamId: string; serviceId: string; actor?: string | null }} target
+ * @returns {Promise<{ restarted: true }>}
+ */
+export async function restartTeamService(target) {
+  return audited(target, 'restart', {}, async (service) => {
+    await restartContainer(service.containerId);
+    return { restarted: true };
+  });
+}
+
+/**
+ * Point a service's infrastructure entry at another container (null: the service has none).
+ * Reads the record afresh, since it may have changed while a reset was waiting on the driver.
+ *
+ * @param {string} matchId
+ * @param {string} teamId
+ * @param {string} serviceId
+ * @param {string | null} containerId
+ * @returns {boolean} False when the match no longer has infrastructure
+ */
+function setServiceContainer(matchId, teamId, serviceId, containerId) {
+  const infra = getMatchInfrastructure(matchId);
+  if (!infra?.[teamId]) return false;
+  const containers = infra[teamId].containers.map((c) =>
+    c.serviceId === serviceId ? { ...c, containerId, fromPool: false } : c
+  );
+  setMatchInfrastructure(matchId, { ...infra, [teamId]: { ...infra[teamId], containers } });
+  return true;
+}
+
+/**
+ * Reset a team's service to its original state: recreate the container from the template
+ * the match was provisioned with (same name, IP and stack alias), re-plant the current
+ * tick's flag and apply the scoring profile's reset penalty.
+ *
+ * When the new container cannot be started after the old one was removed, the service is
+ * left without a container: it is marked DOWN, checked as DOWN every tick, and only
+ * another reset can bring it back.
+ *
+ * @param {{ matchId: string; teamId: string; serviceId: string; actor?: string | null }} target
+ * @returns {Promise<{ reset: true; flagPlanted: boolean; penalty: number }>}
+ */
+export async function resetTeamService(target) {
+  const { matchId, serviceId } = target;
+  const key = `${matchId}:${serviceId}`;
+  if (resetting.has(key)) throw accessError(409, 'Service reset already in progress');
+  resetting.add(key);
+  try {
+    return await audited(target, 'reset', {}, async (service) => {
+      const template = getMatch(matchId)?.metadata?.serviceTemplates?.[service.templateId];
+      if (!template) throw accessError(409, 'Service template is not available for reset');
+
+      let containerId;
+      try {
+        containerId = await recreateServiceContainer(matchId, service, template, getMatchInfrastructure(matchId).networkName);
+      } catch (err) {
+        logger.error('[SERVICE_ACCESS] Service reset failed', { matchId, serviceId, error: err.message });
+        const intact =
+          !!service.containerId && (await getContainerLabels(service.containerId).then(() => true, () => false));
+        if (intact) throw accessError(500, 'Service reset failed');
+        setServiceContainer(matchId, service.teamId, serviceId, null);
+        updateServiceHealth(matchId, serviceId, 'DOWN', { failedCheck: 'reset', detail: err.message });
+        throw accessError(500, 'Service reset failed; the service is down until it is reset again');
+      }
+
+      if (!setServiceContainer(matchId, service.teamId, serviceId, containerId)) {
+        await stopAndRemoveContainer(containerId).catch(() => {});
+        throw accessError(409, 'Match ended during the reset');
+      }
+
+      const plant = await replantServiceFlag(matchId, serviceId, getCurrentTick(matchId));
+      const penalty = onServiceReset(matchId, serviceId);
+      return { reset: true, flagPlanted: !!plant?.planted, penalty };
+    });
+  } finally {
+    resetting.delete(key);
+  }
+}
@@ -0,0 +1,155 @@
+/**
+ * Terminal Sessions
+ *
+ * Interactive shells on a team's jump box, relayed by the backend to the players' browsers.
+ * The backend opens a session with an HTTP upgrade on
+ * GET /engine/match/:matchId/terminal/:teamId?cols=&rows= (same auth as every other endpoint).
+ * After `101 Switching Protocols` the socket carries raw TTY bytes both ways; the
+ * X-Terminal-Session response header names the session for resize calls.
+ *
+ * The engine only checks that the match is RUNNING and the team slot exists; deciding
+ * which player may act for which team is the backend's job.
+ */
+
+import { randomUUID } from 'crypto';
+import { authenticateEngine } from '../middleware/engineAuth.js';
+import { openJumpBoxShell } from '../docker/containerManager.js';
+import { getMatch, getMatchInfrastructure } from '../state/stateStore.js';
+
+const TERMINAL_PATH = /^\/engine\/match\/([^/]+)\/terminal\/(teamA|teamB)$/;
+const MAX_SESSIONS_PER_TEAM = Number(process.env.TERMINAL_MAX_SESSIONS_PER_TEAM) || 10;
+const MAX_COLS = 500;
+const MAX_ROWS = 200;
+
+// sessionId -> { matchId, teamId, exec, close }
+const sessions = new Map();
+
+/**
+ * @param {unknown} raw
+ * @param {number} fallback
+ * @param {number} max
+ * @returns {number}
+ */
+function toTerminalSize(raw, fallback, max) {
+  const num = Number(raw);
+  return Number.isInteger(num) && num > 0 && num <= max ? num : fallback;
+}
+
+function rejectUpgrade(socket, status, message) {
+  socket.end(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+}
+
+/**
+ * Run the engine auth middleware against an upgrade request.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @param {string} pathname
+ * @returns {Promise<number | null>} Rejection status, or null when authorized
+ */
+function authorizeUpgrade(req, pathname) {
+  // Express sets req.path for regular requests; the signature covers req.url (path and query)
+  req.path = pathname;
+  return new Promise((resolve) => {
+    const res = { status: (code) => ({ json: () => resolve(code) }) };
+    authenticateEngine(req, res, () => resolve(null));
+  });
+}
+
+function countTeamSessions(matchId, teamId) {
+  let count = 0;
+  for (const session of sessions.values()) {
+    if (session.matchId === matchId && session.teamId === teamId) count += 1;
+  }
+  return count;
+}
+
+/**
+ * Handle an HTTP upgrade on the engine server. Non-terminal paths are refused.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @param {import('net').Socket} socket
+ * @param {Buffer} head
+ */
+export async function handleTerminalUpgrade(req, socket, head) {
+  socket.on('error', () => {});
+
+  const url = new URL(req.url, 'http://engine');
+  const route = TERMINAL_PATH.exec(url.pathname);
+  if (!route) return rejectUpgrade(socket, 404, 'Not Found');
+
+  const authStatus = await authorizeUpgrade(req, url.pathname);
+  if (authStatus) return rejectUpgrade(socket, authStatus, authStatus === 403 ? 'Forbidden' : 'Unauthorized');
+
+  const matchId = decodeURIComponent(route[1]);
+  const teamId = route[2];
+  if (getMatch(matchId)?.state !== 'RUNNING') {
+    return rejectUpgrade(socket, 409, 'Conflict');
+  }
+  const jumpBox = getMatchInfrastructure(matchId)?.[teamId]?.jumpBox;
+  if (!jumpBox) return rejectUpgrade(socket, 404, 'Not Found');
+  if (countTeamSessions(matchId, teamId) >= MAX_SESSIONS_PER_TEAM) {
+    return rejectUpgrade(socket, 429, 'Too Many Requests');
+  }
+
+  let shell;
+  try {
+    shell = await openJumpBoxShell(jumpBox.containerId, {
+      cols: toTerminalSize(url.searchParams.get('cols'), 80, MAX_COLS),
+      rows: toTerminalSize(url.searchParams.get('rows'), 24, MAX_ROWS),
+    });
+  } catch (err) {
+    console.error(`[TERMINAL] Failed to open shell matchId=${matchId} teamId=${teamId}:`, err.message);
+    return rejectUpgrade(socket, 502, 'Bad Gateway');
+  }
+  if (socket.destroyed) {
+    shell.stream.destroy();
+    return undefined;
+  }
+
+  const sessionId = randomUUID();
+  const close = () => {
+    if (!sessions.delete(sessionId)) return;
+    socket.destroy();
+    shell.stream.destroy();
+    console.log(`[TERMINAL] Session closed matchId=${matchId} teamId=${teamId} session=${sessionId}`);
+  };
+  sessions.set(sessionId, { matchId, teamId, exec: shell.exec, close });
+
+  socket.write(
+    `HTTP/1.1 101 Switching Protocols\r\nConnection: Upgrade\r\nUpgrade: tcp\r\nX-Terminal-Session: ${sessionId}\r\n\r\n`
+  );
+  if (head?.length) shell.stream.write(head);
+  shell.stream.pipe(socket);
+  socket.pipe(shell.stream);
+  shell.stream.on('end', close);
+  shell.stream.on('error', close);
+  socket.on('close', close);
+  console.log(`[TERMINAL] Session opened matchId=${matchId} teamId=${teamId} session=${sessionId}`);
+  return undefined;
+}
+
+/**
+ * Resize a terminal session's TTY.
+ *
+ * @param {string} matchId
+ * @param {string} sessionId
+ * @param {{ cols: unknown; rows: unknown }} size
+ * @returns {Promise<boolean>} False when the session does not exist for this match
+ */
+export async function resizeTerminal(matchId, sessionId, { cols, rows }) {
+  const session = sessions.get(sessionId);
+  if (!session || session.matchId !== matchId) return false;
+  await session.exec.resize({ w: toTerminalSize(cols, 80, MAX_COLS), h: toTerminalSize(rows, 24, MAX_ROWS) });
+  return true;
+}
+
+/**
+ * Close every terminal session of a match (match leaving RUNNING).
+ *
+ * @param {string} matchId
+ */
+export function closeMatchTerminals(matchId) {
+  for (const session of [...sessions.values()]) {
+    if (session.matchId === matchId) session.close();
+  }
+}
@@ -0,0 +1,190 @@
+/**
+ * State Persistence
+ *
+ * Durable copy of the state store so an engine restart can resume live matches.
+ * Each match is one JSON snapshot file: { version, match, infrastructure, savedAt }.
+ * Writes are debounced per match and atomic (write temp file, then rename), so a
+ * crash mid-write leaves the previous snapshot intact.
+ *
+ * Lists that only ever grow (the scoreboard timeline, the service access audit trail) are
+ * not part of the snapshot: each is an append-only log next to it, <matchId>.<log>.jsonl
+ * with one entry per line, so a snapshot write stays small however long the match runs.
+ *
+ * Directory: ENGINE_STATE_DIR (default ./data/state). Set it to an empty string to
+ * run purely in memory.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const SNAPSHOT_VERSION = 1;
+const FLUSH_DELAY_MS = 200;
+const STATE_DIR = process.env.ENGINE_STATE_DIR === undefined
+  ? path.resolve('data', 'state')
+  : process.env.ENGINE_STATE_DIR.trim() && path.resolve(process.env.ENGINE_STATE_DIR.trim());
+
+// matchId -> pending flush timer
+const pendingFlushes = new Map();
+// matchId -> function returning the snapshot to write
+const snapshotSources = new Map();
+
+/**
+ * @returns {boolean} Whether state is persisted to disk
+ */
+export function isPersistenceEnabled() {
+  return Boolean(STATE_DIR);
+}
+
+function snapshotPath(matchId) {
+  // matchIds come from the backend (Firestore IDs); encode anything unexpected
+  return path.join(STATE_DIR, `${encodeURIComponent(matchId)}.json`);
+}
+
+function logPath(matchId, log) {
+  return path.join(STATE_DIR, `${encodeURIComponent(matchId)}.${log}.jsonl`);
+}
+
+function ensureDir() {
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+}
+
+function writeSnapshot(matchId) {
+  const getSnapshot = snapshotSources.get(matchId);
+  snapshotSources.delete(matchId);
+  if (!getSnapshot) return;
+
+  const snapshot = getSnapshot();
+  if (!snapshot) return;
+
+  try {
+    ensureDir();
+    const file = snapshotPath(matchId);
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ version: SNAPSHOT_VERSION, ...snapshot, savedAt: new Date().toISOString() }));
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    console.error(`[PERSISTENCE] Failed to save state for match ${matchId}:`, err.message);
+  }
+}
+
+/**
+ * Schedule a snapshot write for a match. Repeated calls within the flush delay
+ * collapse into one write of the latest state.
+ *
+ * @param {string} matchId
+ * @param {() => { match: object | null; infrastructure: object | null } | null} getSnapshot
+ */
+export function schedulePersist(matchId, getSnapshot) {
+  if (!STATE_DIR) return;
+  snapshotSources.set(matchId, getSnapshot);
+  if (pendingFlushes.has(matchId)) return;
+
+  const timer = setTimeout(() => {
+    pendingFlushes.delete(matchId);
+    writeSnapshot(matchId);
+  }, FLUSH_DELAY_MS);
+  timer.unref?.();
+  pendingFlushes.set(matchId, timer);
+}
+
+/**
+ * Append an entry to one of a match's logs.
+ *
+ * @param {string} matchId
+ * @param {string} log - e.g. timeline, serviceActions
+ * @param {object} entry
+ */
+export function appendPersistedLog(matchId, log, entry) {
+  if (!STATE_DIR) return;
+  try {
+    ensureDir();
+    fs.appendFileSync(logPath(matchId, log), `${JSON.stringify(entry)}\n`);
+  } catch (err) {
+    console.error(`[PERSISTENCE] Failed to append to ${log} for match ${matchId}:`, err.message);
+  }
+}
+
+/**
+ * Read a match's log; null when it has none. A torn last line (crash mid-append) is skipped.
+ *
+ * @param {string} matchId
+ * @param {string} log
+ * @returns {object[] | null}
+ */
+function readLog(matchId, log) {
+  const file = logPath(matchId, log);
+  if (!fs.existsSync(file)) return null;
+  const entries = [];
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!line) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (_) {
+      console.warn(`[PERSISTENCE] Skipping unreadable ${log} entry for match ${matchId}`);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Delete a match's snapshot and logs (match removed from the store, or no longer needed
+ * after a restart).
+ *
+ * @param {string} matchId
+ * @param {string[]} [logs] - Names of the match's logs
+ */
+export function removePersisted(matchId, logs = []) {
+  if (!STATE_DIR) return;
+  clearTimeout(pendingFlushes.get(matchId));
+  pendingFlushes.delete(matchId);
+  snapshotSources.delete(matchId);
+  try {
+    fs.rmSync(snapshotPath(matchId), { force: true });
+    for (const log of logs) fs.rmSync(logPath(matchId, log), { force: true });
+  } catch (err) {
+    console.error(`[PERSISTENCE] Failed to remove state for match ${matchId}:`, err.message);
+  }
+}
+
+/**
+ * Write every pending snapshot now. Called on shutdown.
+ */
+export function flushAll() {
+  for (const [matchId, timer] of pendingFlushes) {
+    clearTimeout(timer);
+    pendingFlushes.delete(matchId);
+    writeSnapshot(matchId);
+  }
+}
+
+/**
+ * Read every saved snapshot, with the given logs of each match (a log the match has none
+ * of is left out). Unreadable files are logged and skipped.
+ *
+ * @param {string[]} [logs]
+ * @returns {Array<{ match: object; infrastructure: object | null; savedAt: string; logs: Record<string, object[]> }>}
+ */
+export function loadPersistedSnapshots(logs = []) {
+  if (!STATE_DIR || !fs.existsSync(STATE_DIR)) return [];
+
+  const snapshots = [];
+  for (const name of fs.readdirSync(STATE_DIR)) {
+    if (!name.endsWith('.json')) continue;
+    try {
+      const snapshot = JSON.parse(fs.readFileSync(path.join(STATE_DIR, name), 'utf8'));
+      if (snapshot?.version !== SNAPSHOT_VERSION || !snapshot.match?.matchId) {
+        console.warn(`[PERSISTENCE] Skipping snapshot with unknown format: ${name}`);
+        continue;
+      }
+      snapshot.logs = {};
+      for (const log of logs) {
+        const entries = readLog(snapshot.match.matchId, log);
+        if (entries) snapshot.logs[log] = entries;
+      }
+      snapshots.push(snapshot);
+    } catch (err) {
+      console.error(`[PERSISTENCE] Skipping unreadable snapshot ${name}:`, err.message);
+    }
+  }
+  return snapshots;
+}
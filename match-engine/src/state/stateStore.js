@@ -8,12 +8,91 @@
  * - Store opaque metadata passed from the control plane.
  * - Provide simple CRUD-style helpers for other modules.
  *
- * No persistence and no external side effects.
+ * Every write goes through createMatch / updateState / updateMetadata / the
+ * infrastructure setters, which mirror the match to disk (see persistence.js)
+ * so recovery can restore it after a restart. The timeline and the service access
+ * audit trail are appended to their own logs instead of being rewritten with every
+ * snapshot. Once the backend has an ended match's result, the match is no longer
+ * mirrored (dropPersistedSnapshot).
  */
 
+import {
+  schedulePersist,
+  removePersisted,
+  loadPersistedSnapshots,
+  appendPersistedLog,
+} from './persistence.js';
+
 // In-memory map: matchId -> { matchId, state, metadata }
 const matchStates = new Map();
 
+/** Metadata lists persisted as append-only logs rather than in the snapshot */
+const LOGGED_METADATA = ['timeline', 'serviceActions'];
+
+/** Matches kept in memory only (result reported) */
+const unpersisted = new Set();
+
+/**
+ * Queue a durable snapshot of a match (state + infrastructure).
+ *
+ * @param {string} matchId
+ */
+function persist(matchId) {
+  if (unpersisted.has(matchId)) return;
+  schedulePersist(matchId, () => {
+    const match = matchStates.get(matchId);
+    if (!match) return null;
+    const metadata = { ...match.metadata };
+    for (const log of LOGGED_METADATA) delete metadata[log];
+    return { match: { ...match, metadata }, infrastructure: matchInfrastructure.get(matchId) || null };
+  });
+}
+
+/**
+ * Add an entry to one of a match's logged metadata lists, in memory and on disk.
+ *
+ * @param {string} matchId
+ * @param {string} log - One of LOGGED_METADATA
+ * @param {object} entry
+ */
+function appendLogged(matchId, log, entry) {
+  const current = matchStates.get(matchId);
+  if (!current) {
+    return;
+  }
+  const entries = current.metadata?.[log] || [];
+  entries.push(entry);
+  matchStates.set(matchId, { ...current, metadata: { ...current.metadata, [log]: entries } });
+  if (!unpersisted.has(matchId)) appendPersistedLog(matchId, log, entry);
+}
+
+/**
+ * Load persisted matches and infrastructure into the store. Called once on boot,
+ * before recovery reconciles them with Docker.
+ *
+ * @returns {string[]} Restored matchIds
+ */
+export function restorePersistedState() {
+  const restored = [];
+  for (const { match, infrastructure, logs } of loadPersistedSnapshots(LOGGED_METADATA)) {
+    const metadata = match.metadata || {};
+    if (logs.serviceActions) metadata.serviceActions = logs.serviceActions;
+    if (logs.timeline) {
+      // Ticks logged after the last snapshot are played again on resume: keep one entry
+      // per tick, and none the restored tick counter has not reached
+      const byTick = new Map(logs.timeline.map((entry) => [entry.tick, entry]));
+      const { currentTick } = metadata;
+      metadata.timeline = [...byTick.values()].filter((entry) => !Number.isInteger(currentTick) || entry.tick < currentTick);
+    }
+    matchStates.set(match.matchId, { matchId: match.matchId, state: match.state, metadata });
+    if (infrastructure) {
+      matchInfrastructure.set(match.matchId, infrastructure);
+    }
+    restored.push(match.matchId);
+  }
+  return restored;
+}
+
 /**
  * Create a new match entry in the state store.
  *
@@ -21,11 +100,13 @@ const matchStates = new Map();
  * @param {{ state: string; metadata: any }} options
  */
 export function createMatch(matchId, { state, metadata }) {
+  unpersisted.delete(matchId);
   matchStates.set(matchId, {
     matchId,
     state,
     metadata: metadata || {},
   });
+  persist(matchId);
 }
 
 /**
@@ -44,6 +125,7 @@ export function updateState(matchId, state) {
     ...current,
     state,
   });
+  persist(matchId);
 }
 
 /**
@@ -65,18 +147,19 @@ export function updateMetadata(matchId, metadataUpdates) {
       ...metadataUpdates,
     },
   });
+  persist(matchId);
 }
 
 /**
  * Initialize service health tracking for a match.
  *
  * Creates services object in metadata to track:
- * - status: "UP" | "DOWN"
+ * - status: "UP" | "MUMBLE" | "CORRUPT" | "DOWN"
  * - lastCheckedAt: timestamp
  * - consecutiveFailures: number
  *
  * @param {string} matchId
- * @param {string[]} serviceIds - Array of service IDs (e.g., ["teamA_<matchId>", "teamB_<matchId>"])
+ * @param {string[]} serviceIds - Array of service IDs (e.g., ["teamA_<templateId>", "teamB_<templateId>"])
  */
 export function initializeServiceHealth(matchId, serviceIds) {
   const current = matchStates.get(matchId);
@@ -101,9 +184,10 @@ export function initializeServiceHealth(matchId, serviceIds) {
  *
  * @param {string} matchId
  * @param {string} serviceId
- * @param {"UP" | "DOWN"} status
+ * @param {"UP" | "MUMBLE" | "CORRUPT" | "DOWN"} status
+ * @param {{ failedCheck?: string | null; detail?: string | null }} [details] - Which check failed (when not UP)
  */
-export function updateServiceHealth(matchId, serviceId, status) {
+export function updateServiceHealth(matchId, serviceId, status, details = {}) {
   const current = matchStates.get(matchId);
   if (!current) {
     return;
@@ -123,10 +207,12 @@ export function updateServiceHealth(matchId, serviceId, status) {
   const previousStatus = services[serviceId].status;
   services[serviceId].status = status;
   services[serviceId].lastCheckedAt = Date.now();
+  services[serviceId].failedCheck = status !== 'UP' ? details.failedCheck || null : null;
+  services[serviceId].failureDetail = status !== 'UP' ? details.detail || null : null;
 
-  if (status === 'DOWN') {
+  if (status !== 'UP') {
     services[serviceId].consecutiveFailures =
-      previousStatus === 'DOWN'
+      previousStatus !== 'UP'
         ? services[serviceId].consecutiveFailures + 1
         : 1;
   } else {
@@ -140,7 +226,7 @@ export function updateServiceHealth(matchId, serviceId, status) {
  * Get service health state for a match.
  *
  * @param {string} matchId
- * @returns {Object<string, { status: string; lastCheckedAt: number | null; consecutiveFailures: number }> | null}
+ * @returns {Object<string, { status: string; lastCheckedAt: number | null; consecutiveFailures: number; failedCheck?: string | null; failureDetail?: string | null }> | null}
  */
 export function getServiceHealth(matchId) {
   const match = matchStates.get(matchId);
@@ -233,6 +319,160 @@ export function isFlagCaptured(matchId, serviceId, tick) {
   return serviceCaptures[String(tick)] != null;
 }
 
+/** How many ticks of flag plant outcomes to keep per service (current + previous) */
+const FLAG_PLANT_HISTORY = 2;
+
+/**
+ * Count captured flags of a service across the whole match.
+ *
+ * @param {string} matchId
+ * @param {string} serviceId
+ * @returns {number}
+ */
+export function countFlagCaptures(matchId, serviceId) {
+  const match = matchStates.get(matchId);
+  const serviceCaptures = match?.metadata?.flagsCaptured?.[serviceId] || {};
+  return Object.keys(serviceCaptures).length;
+}
+
+/**
+ * Get first-blood records for a match, keyed by serviceId.
+ *
+ * @param {string} matchId
+ * @returns {Object<string, { teamId: string; tick: number; capturedAt: string }>}
+ */
+export function getFirstBloods(matchId) {
+  const match = matchStates.get(matchId);
+  return match?.metadata?.firstBloods || {};
+}
+
+/**
+ * Record the first capture of a service's flag ("first blood"), if none is recorded yet.
+ *
+ * @param {string} matchId
+ * @param {string} serviceId
+ * @param {string} teamId
+ * @param {number} tick
+ * @returns {boolean} True when this capture is the service's first blood
+ */
+export function recordFirstBlood(matchId, serviceId, teamId, tick) {
+  const current = matchStates.get(matchId);
+  if (!current) {
+    return false;
+  }
+
+  const firstBloods = current.metadata?.firstBloods || {};
+  if (firstBloods[serviceId]) {
+    return false;
+  }
+  firstBloods[serviceId] = { teamId, tick, capturedAt: new Date().toISOString() };
+  updateMetadata(matchId, { firstBloods });
+  return true;
+}
+
+/**
+ * Record the outcome of planting a service's flag for a tick.
+ * Keeps the latest attempt per service, the outcome of its last few ticks and a running
+ * failure count.
+ *
+ * @param {string} matchId
+ * @param {string} serviceId
+ * @param {number} tick
+ * @param {{ planted: boolean; attempts: number; error?: string | null }} outcome
+ */
+export function recordFlagPlant(matchId, serviceId, tick, outcome) {
+  const current = matchStates.get(matchId);
+  if (!current) {
+    return;
+  }
+
+  const metadata = current.metadata || {};
+  const flagPlants = metadata.flagPlants || {};
+  const previous = flagPlants[serviceId] || { failures: 0 };
+  const byTick = { ...(previous.byTick || {}), [String(tick)]: !!outcome.planted };
+  for (const key of Object.keys(byTick)) {
+    if (Number(key) <= tick - FLAG_PLANT_HISTORY) delete byTick[key];
+  }
+
+  flagPlants[serviceId] = {
+    tick,
+    planted: !!outcome.planted,
+    attempts: outcome.attempts,
+    lastError: outcome.planted ? null : outcome.error || 'unknown error',
+    failures: previous.failures + (outcome.planted ? 0 : 1),
+    byTick,
+    updatedAt: Date.now(),
+  };
+
+  updateMetadata(matchId, { flagPlants });
+}
+
+/**
+ * Whether a service's flag for a tick failed to plant.
+ * Returns false when there is no record for that tick (nothing known to have failed).
+ *
+ * @param {string} matchId
+ * @param {string} serviceId
+ * @param {number} tick
+ * @returns {boolean}
+ */
+export function hasFlagPlantFailed(matchId, serviceId, tick) {
+  const match = matchStates.get(matchId);
+  if (!match) {
+    return false;
+  }
+  const entry = match.metadata?.flagPlants?.[serviceId];
+  return !!entry && entry.byTick?.[String(tick)] === false;
+}
+
+/** How many ticks of checker put records to keep per service (current + previous) */
+const CHECKER_PUT_HISTORY = 2;
+
+/**
+ * Record data stored by a service's SLA checker for a tick, plus the state the checker
+ * needs to read it back. Merges with any entry already recorded for that tick
+ * (put and putFlag record separately). Older ticks are pruned.
+ * The flag itself is never stored; only the checker's state for retrieving it.
+ *
+ * @param {string} matchId
+ * @param {string} serviceId
+ * @param {number} tick
+ * @param {{ data?: string; state?: any; flagState?: any }} entry
+ */
+export function recordCheckerPut(matchId, serviceId, tick, entry) {
+  const current = matchStates.get(matchId);
+  if (!current) {
+    return;
+  }
+
+  const metadata = current.metadata || {};
+  const checkerPuts = metadata.checkerPuts || {};
+  const servicePuts = checkerPuts[serviceId] || {};
+  servicePuts[String(tick)] = { ...(servicePuts[String(tick)] || {}), ...entry };
+  for (const key of Object.keys(servicePuts)) {
+    if (Number(key) <= tick - CHECKER_PUT_HISTORY) delete servicePuts[key];
+  }
+  checkerPuts[serviceId] = servicePuts;
+
+  updateMetadata(matchId, { checkerPuts });
+}
+
+/**
+ * Get what a service's SLA checker stored for a tick.
+ *
+ * @param {string} matchId
+ * @param {string} serviceId
+ * @param {number} tick
+ * @returns {{ data?: string; state?: any; flagState?: any } | null}
+ */
+export function getCheckerPut(matchId, serviceId, tick) {
+  const match = matchStates.get(matchId);
+  if (!match) {
+    return null;
+  }
+  return match.metadata?.checkerPuts?.[serviceId]?.[String(tick)] || null;
+}
+
 /** Score bounds to prevent overflow / negative infinity */
 const SCORE_MIN = -1_000_000;
 const SCORE_MAX = 1_000_000;
@@ -242,7 +482,7 @@ const SCORE_MAX = 1_000_000;
  * Called when match enters RUNNING.
  *
  * @param {string} matchId
- * @param {string[]} serviceIds - e.g. ["teamA_<matchId>", "teamB_<matchId>"]
+ * @param {string[]} serviceIds - e.g. ["teamA_<templateId>", "teamB_<templateId>"]
  */
 export function initializeScoring(matchId, serviceIds) {
   const current = matchStates.get(matchId);
@@ -291,11 +531,12 @@ export function addScore(matchId, teamId, delta) {
 
 /**
  * Update uptime/downtime stats for a service and return current stats.
+ * Any non-UP SLA status counts as downtime; MUMBLE/CORRUPT are also counted separately.
  *
  * @param {string} matchId
  * @param {string} serviceId
- * @param {"UP" | "DOWN"} status
- * @returns {{ upTicks: number; downTicks: number } | null}
+ * @param {"UP" | "MUMBLE" | "CORRUPT" | "DOWN"} status
+ * @returns {{ upTicks: number; downTicks: number; mumbleTicks?: number; corruptTicks?: number } | null}
  */
 export function updateUptimeStats(matchId, serviceId, status) {
   const current = matchStates.get(matchId);
@@ -314,6 +555,11 @@ export function updateUptimeStats(matchId, serviceId, status) {
   } else {
     serviceStats.downTicks = (serviceStats.downTicks || 0) + 1;
   }
+  if (status === 'MUMBLE') {
+    serviceStats.mumbleTicks = (serviceStats.mumbleTicks || 0) + 1;
+  } else if (status === 'CORRUPT') {
+    serviceStats.corruptTicks = (serviceStats.corruptTicks || 0) + 1;
+  }
 
   teamStats[serviceId] = serviceStats;
   uptimeStats[teamId] = teamStats;
@@ -357,6 +603,83 @@ export function getUptimeStats(matchId) {
   return match.metadata?.uptimeStats || null;
 }
 
+/**
+ * Append a scoreboard snapshot for a finished tick.
+ *
+ * @param {string} matchId
+ * @param {{
+ *   tick: number;
+ *   timestamp: string;
+ *   services: Array<{ serviceId: string; status: string; responseTimeMs: number | null; failedCheck: string | null }>;
+ *   flagsCaptured: { teamA: number; teamB: number };
+ *   totalFlagsCaptured: { teamA: number; teamB: number };
+ *   pointsDelta: { teamA: number; teamB: number };
+ *   scores: { teamA: number; teamB: number };
+ * }} entry
+ */
+export function appendTimelineEntry(matchId, entry) {
+  appendLogged(matchId, 'timeline', entry);
+}
+
+/**
+ * Get the scoreboard timeline for a match, optionally only ticks after `sinceTick`.
+ *
+ * @param {string} matchId
+ * @param {number} [sinceTick]
+ * @returns {Array<object> | null} Null when the match does not exist
+ */
+export function getTimeline(matchId, sinceTick) {
+  const match = matchStates.get(matchId);
+  if (!match) {
+    return null;
+  }
+  const timeline = match.metadata?.timeline || [];
+  return Number.isInteger(sinceTick) ? timeline.filter((entry) => entry.tick > sinceTick) : timeline;
+}
+
+/**
+ * Append an entry to a match's service access audit trail (team exec / file / restart actions).
+ *
+ * @param {string} matchId
+ * @param {{ at: number; teamId: string; serviceId: string; action: string; actor: string | null; detail: object; ok: boolean; error?: string }} entry
+ */
+export function appendServiceAction(matchId, entry) {
+  appendLogged(matchId, 'serviceActions', entry);
+}
+
+/**
+ * Get a match's service access audit trail, optionally for one team.
+ *
+ * @param {string} matchId
+ * @param {string} [teamId]
+ * @returns {Array<object> | null} Null when the match does not exist
+ */
+export function getServiceActions(matchId, teamId) {
+  const match = matchStates.get(matchId);
+  if (!match) {
+    return null;
+  }
+  const serviceActions = match.metadata?.serviceActions || [];
+  return teamId ? serviceActions.filter((entry) => entry.teamId === teamId) : serviceActions;
+}
+
+/**
+ * Count captured flags per capturing team across the match.
+ *
+ * @param {string} matchId
+ * @returns {{ teamA: number; teamB: number }}
+ */
+export function countCapturesByTeam(matchId) {
+  const counts = { teamA: 0, teamB: 0 };
+  const flagsCaptured = matchStates.get(matchId)?.metadata?.flagsCaptured || {};
+  for (const ticks of Object.values(flagsCaptured)) {
+    for (const entry of Object.values(ticks || {})) {
+      if (entry?.capturedBy === 'teamA' || entry?.capturedBy === 'teamB') counts[entry.capturedBy] += 1;
+    }
+  }
+  return counts;
+}
+
 /**
  * Store final match result (winner, loser, draw).
  * Called when match enters ENDING; scores are frozen.
@@ -399,6 +722,21 @@ export function getMatch(matchId) {
  */
 export function deleteMatch(matchId) {
   matchStates.delete(matchId);
+  unpersisted.delete(matchId);
+  removePersisted(matchId, LOGGED_METADATA);
+}
+
+/**
+ * Stop mirroring a match to disk and delete its snapshot and logs; the match stays in
+ * memory. For ended matches whose result the backend has fetched: a restart no longer
+ * needs them.
+ *
+ * @param {string} matchId
+ */
+export function dropPersistedSnapshot(matchId) {
+  if (!matchStates.has(matchId)) return;
+  unpersisted.add(matchId);
+  removePersisted(matchId, LOGGED_METADATA);
 }
 
 /**
@@ -421,6 +759,7 @@ const matchInfrastructure = new Map();
  */
 export function setMatchInfrastructure(matchId, infrastructure) {
   matchInfrastructure.set(matchId, infrastructure);
+  persist(matchId);
 }
 
 /**
@@ -440,6 +779,7 @@ export function getMatchInfrastructure(matchId) {
  */
 export function deleteMatchInfrastructure(matchId) {
   matchInfrastructure.delete(matchId);
+  persist(matchId);
 }
 
 /**
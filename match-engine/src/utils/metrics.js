@@ -0,0 +1,211 @@
+/**
+ * Metrics
+ *
+ * Minimal Prometheus instrumentation: counters, gauges and histograms kept in process
+ * memory and rendered in the text exposition format (0.0.4) on GET /metrics.
+ *
+ * Gauges can take a `collect` callback (sync or async) that is called on every scrape and
+ * returns the current [labels, value] pairs, so values that already live elsewhere (match
+ * states, queue entries, sockets) are read at scrape time instead of being kept in sync.
+ *
+ * /metrics is served only when METRICS_TOKEN is set, and the scraper must send
+ * `Authorization: Bearer <METRICS_TOKEN>`.
+ *
+ * Kept identical in backend/src/utils/metrics.js and match-engine/src/utils/metrics.js
+ * (match-engine/test/sharedModules.test.js fails when they differ).
+ */
+
+import { createHash, timingSafeEqual } from 'crypto';
+
+/** Default histogram buckets, in seconds */
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/** name -> metric, in registration order */
+const registry = new Map();
+
+function register(metric) {
+  if (registry.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+function labelValues(labelNames, labels = {}) {
+  return labelNames.map((name) => String(labels[name] ?? ''));
+}
+
+function escapeLabel(value) {
+  return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(names, values) {
+  if (names.length === 0) return '';
+  return `{${names.map((name, i) => `${name}="${escapeLabel(values[i])}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Counter: a value that only goes up.
+ *
+ * @param {string} name
+ * @param {string} help
+ * @param {string[]} [labelNames]
+ * @returns {{ inc: (labels?: Record<string, string>, value?: number) => void }}
+ */
+export function createCounter(name, help, labelNames = []) {
+  const values = new Map();
+  return register({
+    name,
+    help,
+    type: 'counter',
+    inc(labels, value = 1) {
+      const key = labelValues(labelNames, labels);
+      const id = JSON.stringify(key);
+      values.set(id, { key, value: (values.get(id)?.value ?? 0) + value });
+    },
+    async lines() {
+      return [...values.values()].map(({ key, value }) => `${name}${formatLabels(labelNames, key)} ${formatValue(value)}`);
+    },
+  });
+}
+
+/**
+ * Gauge: a value that goes up and down. Either set it, or pass `collect` to read the
+ * values on each scrape.
+ *
+ * @param {string} name
+ * @param {string} help
+ * @param {{ labelNames?: string[]; collect?: () => Array<[Record<string, string>, number]> | Promise<Array<[Record<string, string>, number]>> }} [options]
+ * @returns {{ set: (labels: Record<string, string>, value: number) => void }}
+ */
+export function createGauge(name, help, { labelNames = [], collect } = {}) {
+  const values = new Map();
+  return register({
+    name,
+    help,
+    type: 'gauge',
+    set(labels, value) {
+      const key = labelValues(labelNames, labels);
+      values.set(JSON.stringify(key), { key, value });
+    },
+    async lines() {
+      const entries = collect
+        ? (await collect()).map(([labels, value]) => ({ key: labelValues(labelNames, labels), value }))
+        : [...values.values()];
+      return entries.map(({ key, value }) => `${name}${formatLabels(labelNames, key)} ${formatValue(value)}`);
+    },
+  });
+}
+
+/**
+ * Histogram: observations counted into cumulative buckets, plus their sum and count.
+ *
+ * @param {string} name
+ * @param {string} help
+ * @param {{ labelNames?: string[]; buckets?: number[] }} [options]
+ * @returns {{ observe: (labels: Record<string, string> | undefined, value: number) => void; startTimer: (labels?: Record<string, string>) => () => number }}
+ */
+export function createHistogram(name, help, { labelNames = [], buckets = DEFAULT_BUCKETS } = {}) {
+  const bounds = [...buckets].sort((a, b) => a - b);
+  const series = new Map();
+
+  const histogram = register({
+    name,
+    help,
+    type: 'histogram',
+    observe(labels, value) {
+      const key = labelValues(labelNames, labels);
+      const id = JSON.stringify(key);
+      let entry = series.get(id);
+      if (!entry) {
+        entry = { key, counts: bounds.map(() => 0), sum: 0, count: 0 };
+        series.set(id, entry);
+      }
+      bounds.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+    /** Returns a function that records the seconds elapsed since the timer started */
+    startTimer(labels) {
+      const started = process.hrtime.bigint();
+      return () => {
+        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+        histogram.observe(labels, seconds);
+        return seconds;
+      };
+    },
+    async lines() {
+      const out = [];
+      const bucketNames = [...labelNames, 'le'];
+      for (const { key, counts, sum, count } of series.values()) {
+        bounds.forEach((bound, i) => {
+          out.push(`${name}_bucket${formatLabels(bucketNames, [...key, formatValue(bound)])} ${counts[i]}`);
+        });
+        out.push(`${name}_bucket${formatLabels(bucketNames, [...key, '+Inf'])} ${count}`);
+        out.push(`${name}_sum${formatLabels(labelNames, key)} ${formatValue(sum)}`);
+        out.push(`${name}_count${formatLabels(labelNames, key)} ${count}`);
+      }
+      return out;
+    },
+  });
+  return histogram;
+}
+
+/**
+ * Every registered metric in the Prometheus text format. A gauge whose collector fails
+ * is left out of that scrape.
+ *
+ * @returns {Promise<string>}
+ */
+export async function renderMetrics() {
+  const out = [];
+  for (const metric of registry.values()) {
+    let lines;
+    try {
+      lines = await metric.lines();
+    } catch (err) {
+      console.warn(`[METRICS] Failed to collect ${metric.name}: ${err.message}`);
+      continue;
+    }
+    out.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+    out.push(`# TYPE ${metric.name} ${metric.type}`);
+    out.push(...lines);
+  }
+  return `${out.join('\n')}\n`;
+}
+
+function tokenMatches(expected, authorization) {
+  const match = /^Bearer (.+)$/.exec(authorization || '');
+  if (!match) return false;
+  // Compare digests so the lengths always match
+  const a = createHash('sha256').update(expected).digest();
+  const b = createHash('sha256').update(match[1]).digest();
+  return timingSafeEqual(a, b);
+}
+
+/**
+ * GET /metrics handler. 404 without METRICS_TOKEN, 401 for a missing or wrong token.
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export async function metricsHandler(req, res) {
+  const token = (process.env.METRICS_TOKEN || '').trim();
+  if (!token) return res.status(404).json({ error: 'Not found' });
+  if (!tokenMatches(token, req.headers.authorization)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  try {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    return res.send(await renderMetrics());
+  } catch (err) {
+    console.error('[METRICS] Failed to render metrics:', err);
+    return res.status(500).json({ error: 'Failed to render metrics' });
+  }
+}
@@ -0,0 +1,235 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/memoryState.js';
+import http from 'http';
+import {
+  createMatch,
+  setMatchInfrastructure,
+  incrementTick,
+  recordFlagPlant,
+  hasFlagPlantFailed,
+} from '../src/state/stateStore.js';
+import { runMatchCheckers } from '../src/checkers/checkerRunner.js';
+import { generateFlag } from '../src/flags/flagManager.js';
+
+process.env.FLAG_SECRET = 'test-flag-secret-0123456789abcdef';
+
+const NOTES_CHECKER = {
+  name: 'http-kv',
+  options: { checkPath: '/', checkContains: 'notes', putPath: '/notes', getPath: '/notes/{id}' },
+  timeoutMs: 200,
+};
+
+/** Stores each tick's flag through the service and reads it back the tick after */
+const FLAG_STORE_CHECKER = {
+  name: 'http-kv',
+  options: { flagPutPath: '/notes', flagGetPath: '/notes/{id}' },
+  timeoutMs: 200,
+};
+
+/** No putFlag: reads the flag planted into the container's flag file */
+const FLAG_FILE_CHECKER = { name: 'http-kv', options: { flagGetPath: '/flag.txt' }, timeoutMs: 200 };
+
+/**
+ * A notes service the http-kv checker can store to and read back from, serving `flagFile`
+ * as its planted flag file. `mode` breaks it: 'mumble' serves the wrong index page,
+ * 'forget' loses every note, 'hang' never answers.
+ */
+function startNotesService() {
+  const notes = new Map();
+  const service = { mode: 'ok', notes, flagFile: '', server: null, port: 0 };
+  service.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      if (service.mode === 'hang') return;
+      if (service.mode === 'forget') notes.clear();
+      if (req.method === 'GET' && req.url === '/') {
+        res.end(service.mode === 'mumble' ? 'it works' : 'notes app');
+      } else if (req.method === 'GET' && req.url === '/flag.txt') {
+        res.end(`${service.flagFile}\n`);
+      } else if (req.method === 'POST' && req.url === '/notes') {
+        const id = String(notes.size + 1);
+        notes.set(id, JSON.parse(body).value);
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ id }));
+      } else if (req.method === 'GET' && notes.has(req.url.slice('/notes/'.length))) {
+        res.end(notes.get(req.url.slice('/notes/'.length)));
+      } else {
+        res.writeHead(404).end();
+      }
+    });
+  });
+  return new Promise((resolve) => service.server.listen(0, '127.0.0.1', () => {
+    service.port = service.server.address().port;
+    resolve(service);
+  }));
+}
+
+let notes;
+
+before(async () => {
+  notes = await startNotesService();
+});
+
+after(async () => {
+  notes.server.closeAllConnections();
+  await new Promise((resolve) => notes.server.close(resolve));
+});
+
+/**
+ * Create a running match whose teamA_notes service is the local notes service.
+ *
+ * @param {string} matchId
+ * @param {{ port?: number; checker?: object }} [service]
+ */
+function createCheckedMatch(matchId, { port = notes.port, checker = NOTES_CHECKER } = {}) {
+  createMatch(matchId, { state: 'RUNNING', metadata: { currentTick: 0 } });
+  setMatchInfrastructure(matchId, {
+    teamA: {
+      containers: [{ serviceId: 'teamA_notes', teamId: 'teamA', port, containerIP: '127.0.0.1', checker }],
+    },
+  });
+}
+
+/** Run the checkers on a probe result for teamA_notes */
+async function check(matchId, status = 'UP') {
+  const [result] = await runMatchCheckers(matchId, [{ serviceId: 'teamA_notes', status, responseTimeMs: 1 }]);
+  return result;
+}
+
+test('a service that keeps what was stored stays UP', async () => {
+  notes.mode = 'ok';
+  createCheckedMatch('kv-up');
+  assert.equal((await check('kv-up')).status, 'UP');
+  incrementTick('kv-up');
+
+  const result = await check('kv-up');
+  assert.equal(result.status, 'UP');
+  assert.equal(result.failedCheck, null);
+});
+
+test('data stored the previous tick that cannot be read back is CORRUPT', async () => {
+  notes.mode = 'ok';
+  createCheckedMatch('kv-corrupt');
+  await check('kv-corrupt');
+  incrementTick('kv-corrupt');
+
+  notes.mode = 'forget';
+  const result = await check('kv-corrupt');
+  notes.mode = 'ok';
+  assert.equal(result.status, 'CORRUPT');
+  assert.equal(result.failedCheck, 'checker:get');
+});
+
+test('a service answering with the wrong content is MUMBLE', async () => {
+  notes.mode = 'mumble';
+  createCheckedMatch('kv-mumble');
+  const result = await check('kv-mumble');
+  notes.mode = 'ok';
+  assert.equal(result.status, 'MUMBLE');
+  assert.equal(result.failedCheck, 'checker:check');
+});
+
+test('a step that does not finish within the checker timeout is DOWN', async () => {
+  notes.mode = 'hang';
+  createCheckedMatch('kv-timeout');
+  const startedAt = Date.now();
+  const result = await check('kv-timeout');
+  notes.mode = 'ok';
+  assert.equal(result.status, 'DOWN');
+  assert.equal(result.failedCheck, 'checker:check');
+  assert.match(result.detail, /timed out after 200ms/);
+  assert.ok(Date.now() - startedAt < 2000);
+});
+
+test('a service that refuses connections is DOWN', async () => {
+  const closed = http.createServer();
+  await new Promise((resolve) => closed.listen(0, '127.0.0.1', resolve));
+  const { port } = closed.address();
+  await new Promise((resolve) => closed.close(resolve));
+
+  createCheckedMatch('kv-refused', { port });
+  assert.equal((await check('kv-refused')).status, 'DOWN');
+});
+
+test('services that failed their probe are not checked', async () => {
+  notes.mode = 'hang';
+  createCheckedMatch('kv-probe-down');
+  const result = await check('kv-probe-down', 'DOWN');
+  notes.mode = 'ok';
+  assert.equal(result.status, 'DOWN');
+  assert.equal(result.failedCheck, undefined);
+});
+
+test('a flag stored through the service is read back the tick after', async () => {
+  notes.mode = 'ok';
+  createCheckedMatch('flag-store', { checker: FLAG_STORE_CHECKER });
+  await check('flag-store');
+  incrementTick('flag-store');
+  assert.equal((await check('flag-store')).status, 'UP');
+  assert.ok([...notes.notes.values()].includes(generateFlag('flag-store', 'teamA_notes', 0)));
+});
+
+test('a flag the service no longer returns is CORRUPT and marked missing', async () => {
+  notes.mode = 'ok';
+  createCheckedMatch('flag-lost', { checker: FLAG_STORE_CHECKER });
+  await check('flag-lost');
+  incrementTick('flag-lost');
+
+  notes.mode = 'forget';
+  const result = await check('flag-lost');
+  notes.mode = 'ok';
+  assert.equal(result.status, 'CORRUPT');
+  assert.equal(result.failedCheck, 'checker:getflag');
+  assert.equal(result.flagMissing, true);
+});
+
+test('without putFlag the flag planted in the flag file is checked', async () => {
+  notes.mode = 'ok';
+  createCheckedMatch('flag-file', { checker: FLAG_FILE_CHECKER });
+  notes.flagFile = generateFlag('flag-file', 'teamA_notes', 0);
+  assert.equal((await check('flag-file')).status, 'UP');
+
+  // Tick 1's flag was planted, but the file still holds tick 0's
+  incrementTick('flag-file');
+  const result = await check('flag-file');
+  assert.equal(result.failedCheck, 'checker:getflag');
+  assert.equal(result.flagMissing, true);
+});
+
+test('a flag that could not be planted is not expected back', async () => {
+  notes.mode = 'ok';
+  createCheckedMatch('flag-unplanted', { checker: FLAG_FILE_CHECKER });
+  notes.flagFile = '';
+  recordFlagPlant('flag-unplanted', 'teamA_notes', 0, { planted: false, attempts: 3, error: 'exec failed' });
+
+  const result = await check('flag-unplanted');
+  assert.equal(result.status, 'UP');
+  assert.equal(result.flagMissing, undefined);
+});
+
+test('a service that stops answering while its flag is read is DOWN, not missing its flag', async () => {
+  notes.mode = 'hang';
+  createCheckedMatch('flag-down', { checker: FLAG_FILE_CHECKER });
+  const result = await check('flag-down');
+  notes.mode = 'ok';
+  assert.equal(result.status, 'DOWN');
+  assert.equal(result.flagMissing, undefined);
+});
+
+test('a checker that cannot be loaded reports MUMBLE', async () => {
+  createCheckedMatch('no-checker', { checker: { name: 'no-such-checker' } });
+  const result = await check('no-checker');
+  assert.equal(result.status, 'MUMBLE');
+  assert.equal(result.failedCheck, 'checker:load');
+});
+
+test('flag plant failures are kept per tick', () => {
+  createMatch('plants', { state: 'RUNNING', metadata: {} });
+  recordFlagPlant('plants', 'teamA_notes', 3, { planted: false, attempts: 3, error: 'exec failed' });
+  recordFlagPlant('plants', 'teamA_notes', 4, { planted: true, attempts: 1 });
+
+  assert.equal(hasFlagPlantFailed('plants', 'teamA_notes', 3), true);
+  assert.equal(hasFlagPlantFailed('plants', 'teamA_notes', 4), false);
+});
@@ -0,0 +1,182 @@
+/**
+ * Fake Docker Engine API for tests.
+ *
+ * dockerode reads DOCKER_HOST when the engine creates its client, so a test file starts
+ * this server before its first Docker call and the engine talks to it instead of a
+ * daemon. Only the endpoints the engine uses are served, backed by in-memory containers
+ * and networks (every image is present); every request is recorded in `calls` as
+ * "METHOD /path".
+ */
+
+import http from 'http';
+
+/**
+ * Start the fake daemon and point DOCKER_HOST at it.
+ *
+ * @returns {Promise<{
+ *   containers: Map<string, { id: string; name: string; image: string; labels: Record<string, string>; env: string[]; networks: Set<string>; running: boolean; createdAt: number }>;
+ *   networks: Map<string, { id: string; name: string; labels: Record<string, string>; internal: boolean }>;
+ *   calls: string[];
+ *   addContainer: (container: { id: string; name?: string; image?: string; labels?: Record<string, string>; env?: string[]; networks?: string[]; running?: boolean; createdAt?: number }) => void;
+ *   close: () => Promise<void>;
+ * }>}
+ */
+export async function startFakeDocker() {
+  const containers = new Map();
+  const networks = new Map();
+  const calls = [];
+  let nextId = 1;
+
+  function addContainer({ id, name = id, image = 'service:latest', labels = {}, env = [], networks: attached = [], running = true, createdAt = Date.now() }) {
+    containers.set(id, { id, name, image, labels, env, networks: new Set(attached), running, createdAt });
+  }
+
+  /** Network by id or name, as the Engine API resolves them */
+  function findNetwork(idOrName) {
+    return networks.get(idOrName) || [...networks.values()].find((n) => n.name === idOrName);
+  }
+
+  function summary(c) {
+    return {
+      Id: c.id,
+      Names: [`/${c.name}`],
+      Labels: c.labels,
+      Created: Math.floor(c.createdAt / 1000),
+      State: c.running ? 'running' : 'exited',
+    };
+  }
+
+  function inspect(c) {
+    return {
+      Id: c.id,
+      Name: `/${c.name}`,
+      Created: new Date(c.createdAt).toISOString(),
+      Config: { Image: c.image, Env: c.env, Labels: c.labels },
+      State: { Running: c.running, Status: c.running ? 'running' : 'exited' },
+      NetworkSettings: {
+        Networks: Object.fromEntries([...c.networks].map((name) => [name, { IPAddress: '' }])),
+      },
+    };
+  }
+
+  /** Containers or networks matching a list `filters` query (label and name filters) */
+  function filtered(items, filters) {
+    const { label = [], name = [] } = filters ? JSON.parse(filters) : {};
+    return [...items.values()].filter((item) =>
+      label.every((f) => {
+        const [key, value] = f.split('=');
+        return value === undefined ? key in item.labels : item.labels[key] === value;
+      }) && name.every((n) => item.name.includes(n)));
+  }
+
+  function createContainer(name, body) {
+    const id = `c-${nextId++}`;
+    const network = body.HostConfig?.NetworkMode;
+    addContainer({
+      id,
+      name: name || id,
+      image: body.Image,
+      labels: body.Labels || {},
+      env: body.Env || [],
+      networks: network ? [findNetwork(network)?.name || network] : [],
+      running: false,
+    });
+    return [201, { Id: id, Warnings: [] }];
+  }
+
+  function networkRoute(method, id, action, body) {
+    const network = findNetwork(id);
+    if (!network) return [404, { message: `network ${id} not found` }];
+    if (method === 'GET' && !action) {
+      const attached = [...containers.values()].filter((c) => c.networks.has(network.name));
+      return [200, {
+        Id: network.id,
+        Name: network.name,
+        Labels: network.labels,
+        Internal: network.internal,
+        Containers: Object.fromEntries(attached.map((c) => [c.id, { Name: c.name }])),
+      }];
+    }
+    if (method === 'DELETE' && !action) {
+      networks.delete(network.id);
+      return [204, null];
+    }
+    const container = containers.get(body.Container);
+    if (method !== 'POST' || !container) return [404, { message: `unsupported: ${method} /networks/${id}/${action}` }];
+    if (action === 'connect') {
+      container.networks.add(network.name);
+      return [200, null];
+    }
+    if (action === 'disconnect') {
+      if (!container.networks.delete(network.name)) return [400, { message: 'container is not connected to the network' }];
+      return [200, null];
+    }
+    return [404, { message: `unsupported: ${method} /networks/${id}/${action}` }];
+  }
+
+  function route(method, pathname, query, body) {
+    if (method === 'GET' && pathname === '/containers/json') {
+      return [200, filtered(containers, query.get('filters')).map(summary)];
+    }
+    if (method === 'POST' && pathname === '/containers/create') {
+      return createContainer(query.get('name'), body);
+    }
+    if (method === 'GET' && pathname === '/networks') {
+      return [200, filtered(networks, query.get('filters')).map((n) => ({ Id: n.id, Name: n.name, Labels: n.labels }))];
+    }
+    if (method === 'POST' && pathname === '/networks/create') {
+      const id = `n-${nextId++}`;
+      networks.set(id, { id, name: body.Name, labels: body.Labels || {}, internal: body.Internal === true });
+      return [201, { Id: id }];
+    }
+    const [, kind, id, action] = pathname.split('/');
+    if (kind === 'images' && method === 'GET' && action === 'json') return [200, { Id: `sha256:${id}` }];
+    if (kind === 'networks') return networkRoute(method, id, action, body);
+    if (kind !== 'containers') return [404, { message: `unsupported: ${method} ${pathname}` }];
+    const container = containers.get(id);
+    if (!container) return [404, { message: `No such container: ${id}` }];
+    if (method === 'GET' && action === 'json') return [200, inspect(container)];
+    if (method === 'POST' && (action === 'start' || action === 'restart')) {
+      container.running = true;
+      return [204, null];
+    }
+    if (method === 'POST' && action === 'stop') {
+      if (!container.running) return [304, null];
+      container.running = false;
+      return [204, null];
+    }
+    if (method === 'POST' && action === 'rename') {
+      container.name = query.get('name');
+      return [204, null];
+    }
+    if (method === 'DELETE' && !action) {
+      containers.delete(id);
+      return [204, null];
+    }
+    return [404, { message: `unsupported: ${method} ${pathname}` }];
+  }
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://docker');
+      // dockerode prefixes the API version when one is configured
+      const pathname = url.pathname.replace(/^\/v[\d.]+/, '');
+      calls.push(`${req.method} ${pathname}`);
+      const [status, body] = route(req.method, pathname, url.searchParams, raw ? JSON.parse(raw) : {});
+      res.writeHead(status, body === null ? {} : { 'Content-Type': 'application/json' });
+      res.end(body === null ? undefined : JSON.stringify(body));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  process.env.DOCKER_HOST = `tcp://127.0.0.1:${server.address().port}`;
+
+  return {
+    containers,
+    networks,
+    calls,
+    addContainer,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
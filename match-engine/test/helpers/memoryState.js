@@ -0,0 +1,5 @@
+/**
+ * Keeps the state store in memory: import it before any engine module, so a test run
+ * never writes snapshots into ENGINE_STATE_DIR (persistence.js reads it on load).
+ */
+process.env.ENGINE_STATE_DIR = '';
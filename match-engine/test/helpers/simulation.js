@@ -0,0 +1,156 @@
+/**
+ * Simulated match harness for tests.
+ *
+ * Runs the real engine modules with INFRA_DRIVER=simulated against a stub backend that
+ * serves the given service templates, with short ticks and no state snapshots. The engine
+ * reads its env when its modules load, so they are imported here, after the env is set:
+ * call loadSimulatedEngine() once per test file (node --test runs each file in its own
+ * process).
+ */
+
+import http from 'http';
+
+export const TICK_MS = 150;
+
+/** A notes-style service the built-in http-kv checker can store to and read back from */
+export const NOTES_TEMPLATE = {
+  templateId: 'notes',
+  name: 'Notes',
+  type: 'web',
+  port: 8080,
+  flagPath: '/flag.txt',
+  healthCheck: { type: 'http', endpoint: '/health', expectedStatus: 200, bodyContains: 'alive' },
+  checker: {
+    name: 'http-kv',
+    options: { checkPath: '/', checkContains: 'notes', putPath: '/notes', getPath: '/notes/{id}' },
+  },
+};
+
+/** A line-protocol service checked with a raw socket exchange */
+export const ECHO_TEMPLATE = {
+  templateId: 'echo',
+  name: 'Echo',
+  type: 'other',
+  port: 9000,
+  healthCheck: { type: 'socket', send: 'ping', expect: 'pong' },
+};
+
+/** Scores nothing, so every match is tied on score */
+export const ZERO_SCORING = { name: 'zero', flagPoints: 0, uptimePoints: 0, downtimePenalty: 0 };
+
+function startStubBackend(templates) {
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(req.url.startsWith('/api/match/default-collection') ? JSON.stringify({ services: templates }) : '{}');
+    });
+  });
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+/**
+ * Start the stub backend and load the engine with the simulated driver.
+ *
+ * @param {{ templates: object[]; env?: Record<string, string> }} options
+ */
+export async function loadSimulatedEngine({ templates, env = {} }) {
+  const backend = await startStubBackend(templates);
+  Object.assign(process.env, {
+    INFRA_DRIVER: 'simulated',
+    SLA_TICK_INTERVAL_MS: String(TICK_MS),
+    ENGINE_STATE_DIR: '',
+    FLAG_SECRET: 'test-flag-secret-0123456789abcdef',
+    BACKEND_URL: `http://127.0.0.1:${backend.address().port}`,
+    NODE_ENV: 'test',
+    ...env,
+  });
+
+  const stateStore = await import('../../src/state/stateStore.js');
+  const lifecycle = await import('../../src/lifecycle/matchLifecycle.js');
+  const simulation = await import('../../src/infra/simulatedDriver.js');
+  const { resolveScoringProfile } = await import('../../src/scoring/scoringProfile.js');
+  const { resolveMatchDuration } = await import('../../src/lifecycle/matchSchedule.js');
+  const { validateFlag } = await import('../../src/flags/flagManager.js');
+  const { onFlagCaptured } = await import('../../src/scoring/scorer.js');
+
+  /**
+   * Create and provision a match as POST /engine/match/provision does.
+   *
+   * @param {string} matchId
+   * @param {{ duration?: object; scoringProfile?: object }} [options]
+   */
+  async function startMatch(matchId, { duration, scoringProfile } = {}) {
+    stateStore.createMatch(matchId, {
+      state: lifecycle.MatchState.CREATED,
+      metadata: {
+        difficulty: 'easy',
+        teamSize: 1,
+        teamA: ['alice'],
+        teamB: ['bob'],
+        scoring: resolveScoringProfile(scoringProfile, 'easy'),
+        schedule: resolveMatchDuration(duration),
+      },
+    });
+    return lifecycle.transitionToInitializing(matchId);
+  }
+
+  /**
+   * Resolve once `predicate()` holds, polling every few milliseconds.
+   *
+   * @param {() => boolean} predicate
+   * @param {number} [timeoutMs]
+   */
+  async function waitFor(predicate, timeoutMs = 60 * TICK_MS) {
+    const deadline = Date.now() + timeoutMs;
+    while (!predicate()) {
+      if (Date.now() > deadline) throw new Error('Timed out waiting for the simulated match');
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+  }
+
+  /** Wait for the match to reach `tick` */
+  const waitForTick = (matchId, tick, timeoutMs) => waitFor(() => stateStore.getCurrentTick(matchId) >= tick, timeoutMs);
+
+  /** Wait for the match to reach `state` */
+  const waitForState = (matchId, state, timeoutMs) => waitFor(() => stateStore.getMatch(matchId)?.state === state, timeoutMs);
+
+  /**
+   * Steal the flag planted in an opponent service over HTTP and submit it, as
+   * POST /engine/flag/submit does. Returns the captured { serviceId, tick }.
+   *
+   * @param {string} matchId
+   * @param {string} teamId - Attacking team
+   * @param {string} serviceId - Opponent service serving its flag file
+   */
+  async function captureFlag(matchId, teamId, serviceId) {
+    const service = simulation.listSimulatedServices(matchId).find((s) => s.serviceId === serviceId);
+    const res = await fetch(`http://127.0.0.1:${service.port}/flag.txt`);
+    const flag = (await res.text()).trim();
+    const validation = validateFlag(matchId, flag, stateStore.getCurrentTick(matchId));
+    if (!validation.valid) throw new Error(`Flag from ${serviceId} did not validate`);
+    stateStore.recordFlagCapture(matchId, validation.serviceId, validation.tick, teamId);
+    await onFlagCaptured(matchId, teamId, validation.serviceId, validation.tick);
+    return { serviceId: validation.serviceId, tick: validation.tick };
+  }
+
+  /** Stop every live match and the stub backend */
+  async function shutdown() {
+    for (const [matchId, match] of stateStore.getAllMatches()) {
+      if (match.state !== lifecycle.MatchState.ENDED) await lifecycle.transitionToEnded(matchId);
+    }
+    await new Promise((resolve) => backend.close(resolve));
+  }
+
+  return {
+    stateStore,
+    lifecycle,
+    simulation,
+    startMatch,
+    captureFlag,
+    waitFor,
+    waitForTick,
+    waitForState,
+    shutdown,
+  };
+}
@@ -0,0 +1,156 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/memoryState.js';
+import { startFakeDocker } from './helpers/fakeDocker.js';
+import {
+  createMatch,
+  setCurrentTick,
+  initializeScoring,
+  addScore,
+  updateUptimeStats,
+  recordFlagCapture,
+  getMatch,
+} from '../src/state/stateStore.js';
+import { resolveMatchDuration, checkSchedule, hasTicksScheduled } from '../src/lifecycle/matchSchedule.js';
+
+let docker;
+let lifecycle;
+
+before(async () => {
+  docker = await startFakeDocker();
+  // networkManager.js reads NETWORK_POLICY_ENABLED when it loads (no iptables here)
+  process.env.NETWORK_POLICY_ENABLED = 'false';
+  lifecycle = await import('../src/lifecycle/matchLifecycle.js');
+});
+
+after(async () => {
+  await docker.close();
+});
+
+test('a duration is given in ticks or in minutes rounded up to whole ticks', () => {
+  assert.equal(resolveMatchDuration(undefined), null);
+  assert.deepEqual(resolveMatchDuration({ ticks: 40 }), { durationTicks: 40, overtimeTicks: 0, endTick: 40, overtime: false });
+  assert.equal(resolveMatchDuration({ minutes: 20 }).durationTicks, 40);
+  assert.equal(resolveMatchDuration({ minutes: 1.1 }).durationTicks, 3);
+  assert.equal(resolveMatchDuration({ ticks: 40, overtimeTicks: 6 }).overtimeTicks, 6);
+});
+
+test('a malformed duration is refused', () => {
+  for (const duration of [
+    [40],
+    {},
+    { ticks: 40, minutes: 20 },
+    { ticks: 0 },
+    { ticks: 2.5 },
+    { minutes: -5 },
+    { ticks: 40, overtimeTicks: -1 },
+  ]) {
+    assert.throws(() => resolveMatchDuration(duration), Error, JSON.stringify(duration));
+  }
+});
+
+test('duration plus overtime must fit within the maximum match duration', () => {
+  // 3 hours of 30-second ticks
+  assert.equal(resolveMatchDuration({ ticks: 350, overtimeTicks: 10 }).endTick, 350);
+  assert.throws(() => resolveMatchDuration({ ticks: 350, overtimeTicks: 11 }), /must not exceed 360 ticks/);
+  assert.throws(() => resolveMatchDuration({ minutes: 181 }), /must not exceed/);
+});
+
+/**
+ * Create a running match with a schedule, at `tick`, with the given scores.
+ *
+ * @param {string} matchId
+ * @param {object} duration
+ * @param {number} tick
+ * @param {{ teamA: number; teamB: number }} scores
+ */
+function createScheduledMatch(matchId, duration, tick, scores) {
+  createMatch(matchId, { state: 'RUNNING', metadata: { schedule: resolveMatchDuration(duration) } });
+  initializeScoring(matchId, ['teamA_notes', 'teamB_notes']);
+  addScore(matchId, 'teamA', scores.teamA);
+  addScore(matchId, 'teamB', scores.teamB);
+  setCurrentTick(matchId, tick);
+}
+
+test('a match keeps running until its last scheduled tick, then ends', () => {
+  createScheduledMatch('regulation', { ticks: 10, overtimeTicks: 4 }, 9, { teamA: 30, teamB: 20 });
+  assert.equal(hasTicksScheduled('regulation'), true);
+  assert.equal(checkSchedule('regulation'), 'continue');
+
+  setCurrentTick('regulation', 10);
+  assert.equal(hasTicksScheduled('regulation'), false);
+  assert.equal(checkSchedule('regulation'), 'end');
+});
+
+test('a match tied at its last tick plays overtime once', () => {
+  createScheduledMatch('overtime', { ticks: 10, overtimeTicks: 4 }, 10, { teamA: 25, teamB: 25 });
+  assert.equal(checkSchedule('overtime'), 'overtime');
+  assert.deepEqual(getMatch('overtime').metadata.schedule, { durationTicks: 10, overtimeTicks: 4, endTick: 14, overtime: true });
+  assert.equal(checkSchedule('overtime'), 'continue');
+
+  // Still tied after overtime: the tie-breakers decide
+  setCurrentTick('overtime', 14);
+  assert.equal(checkSchedule('overtime'), 'end');
+});
+
+test('a tied match without overtime ends, and a match without a schedule runs on', () => {
+  createScheduledMatch('no-overtime', { ticks: 10 }, 10, { teamA: 25, teamB: 25 });
+  assert.equal(checkSchedule('no-overtime'), 'end');
+
+  createMatch('open-ended', { state: 'RUNNING', metadata: {} });
+  setCurrentTick('open-ended', 500);
+  assert.equal(hasTicksScheduled('open-ended'), false);
+  assert.equal(checkSchedule('open-ended'), 'continue');
+});
+
+/**
+ * End a running match with the given scores, captures and per-tick service statuses.
+ *
+ * @param {string} matchId
+ * @param {{ scores: { teamA: number; teamB: number }; captures?: Array<['teamA' | 'teamB', string]>; statuses?: Record<string, string[]> }} play
+ */
+async function endMatch(matchId, { scores, captures = [], statuses = {} }) {
+  createScheduledMatch(matchId, { ticks: 10, overtimeTicks: 2 }, 12, scores);
+  captures.forEach(([teamId, serviceId], tick) => recordFlagCapture(matchId, serviceId, tick, teamId));
+  for (const [serviceId, list] of Object.entries(statuses)) {
+    list.forEach((status) => updateUptimeStats(matchId, serviceId, status));
+  }
+  await lifecycle.transitionToEnded(matchId);
+  return lifecycle.getMatchResult(matchId);
+}
+
+test('the higher score wins', async () => {
+  const result = await endMatch('by-score', { scores: { teamA: 10, teamB: 40 }, captures: [['teamA', 'teamB_notes']] });
+  assert.equal(result.winner, 'teamB');
+  assert.equal(result.decidedBy, 'score');
+});
+
+test('tied scores go to the team that captured more flags', async () => {
+  const result = await endMatch('by-flags', {
+    scores: { teamA: 30, teamB: 30 },
+    captures: [['teamB', 'teamA_notes'], ['teamB', 'teamA_notes'], ['teamA', 'teamB_notes']],
+    statuses: { teamA_notes: ['UP', 'UP'], teamB_notes: ['DOWN', 'DOWN'] },
+  });
+  assert.equal(result.winner, 'teamB');
+  assert.equal(result.decidedBy, 'flags');
+});
+
+test('tied scores and captures go to the team with more uptime', async () => {
+  const result = await endMatch('by-uptime', {
+    scores: { teamA: 30, teamB: 30 },
+    captures: [['teamB', 'teamA_notes'], ['teamA', 'teamB_notes']],
+    statuses: { teamA_notes: ['UP', 'UP', 'CORRUPT'], teamB_notes: ['UP', 'DOWN', 'DOWN'] },
+  });
+  assert.equal(result.winner, 'teamA');
+  assert.equal(result.decidedBy, 'uptime');
+  assert.equal(getMatch('by-uptime').state, 'ENDED');
+});
+
+test('a match level on score, captures and uptime is a draw', async () => {
+  const result = await endMatch('level', {
+    scores: { teamA: 30, teamB: 30 },
+    statuses: { teamA_notes: ['UP', 'DOWN'], teamB_notes: ['DOWN', 'UP'] },
+  });
+  assert.equal(result.winner, 'draw');
+  assert.equal(result.decidedBy, null);
+});
@@ -0,0 +1,76 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'engine-state-'));
+
+let stateStore;
+let persistence;
+
+before(async () => {
+  // persistence.js reads ENGINE_STATE_DIR when it loads
+  process.env.ENGINE_STATE_DIR = stateDir;
+  stateStore = await import('../src/state/stateStore.js');
+  persistence = await import('../src/state/persistence.js');
+});
+
+after(() => {
+  fs.rmSync(stateDir, { recursive: true, force: true });
+});
+
+const files = (matchId) => fs.readdirSync(stateDir).filter((name) => name.startsWith(`${matchId}.`)).sort();
+const snapshot = (matchId) => JSON.parse(fs.readFileSync(path.join(stateDir, `${matchId}.json`), 'utf8'));
+
+test('a match is snapshotted with its infrastructure, and its logs are kept beside it', () => {
+  stateStore.createMatch('logged', { state: 'RUNNING', metadata: { currentTick: 0 } });
+  stateStore.setMatchInfrastructure('logged', { networkId: 'net-1', teamA: { containers: [] } });
+  for (let tick = 0; tick < 4; tick += 1) {
+    stateStore.appendTimelineEntry('logged', { tick, scores: { teamA: tick, teamB: 0 } });
+    stateStore.setCurrentTick('logged', tick + 1);
+  }
+  stateStore.appendServiceAction('logged', { at: 1, teamId: 'teamA', serviceId: 'teamA_notes', action: 'restart', ok: true });
+  persistence.flushAll();
+
+  assert.deepEqual(files('logged'), ['logged.json', 'logged.serviceActions.jsonl', 'logged.timeline.jsonl']);
+  const saved = snapshot('logged');
+  assert.equal(saved.match.state, 'RUNNING');
+  assert.equal(saved.match.metadata.currentTick, 4);
+  assert.equal(saved.match.metadata.timeline, undefined);
+  assert.equal(saved.match.metadata.serviceActions, undefined);
+  assert.equal(saved.infrastructure.networkId, 'net-1');
+  assert.equal(fs.readFileSync(path.join(stateDir, 'logged.timeline.jsonl'), 'utf8').trim().split('\n').length, 4);
+});
+
+test('a restart restores the logs, without ticks the snapshot had not reached', () => {
+  stateStore.createMatch('restored', { state: 'RUNNING', metadata: { currentTick: 0 } });
+  for (let tick = 0; tick < 3; tick += 1) {
+    stateStore.appendTimelineEntry('restored', { tick });
+    stateStore.setCurrentTick('restored', tick + 1);
+  }
+  persistence.flushAll();
+  // Logged after the last snapshot, as by a crash mid-tick, then torn by a crash mid-append
+  stateStore.appendTimelineEntry('restored', { tick: 3 });
+  fs.appendFileSync(path.join(stateDir, 'restored.timeline.jsonl'), '{"tick":');
+
+  assert.ok(stateStore.restorePersistedState().includes('restored'));
+  assert.equal(stateStore.getMatch('restored').state, 'RUNNING');
+  assert.deepEqual(stateStore.getTimeline('restored').map((entry) => entry.tick), [0, 1, 2]);
+  assert.equal(stateStore.getServiceActions('logged').length, 1);
+});
+
+test('a match dropped after its result is reported is no longer persisted', () => {
+  stateStore.createMatch('reported', { state: 'ENDED', metadata: { endedAt: Date.now() } });
+  stateStore.appendTimelineEntry('reported', { tick: 0 });
+  persistence.flushAll();
+  assert.equal(files('reported').length, 2);
+
+  stateStore.dropPersistedSnapshot('reported');
+  stateStore.updateMetadata('reported', { note: 'after the report' });
+  stateStore.appendTimelineEntry('reported', { tick: 1 });
+  persistence.flushAll();
+
+  assert.deepEqual(files('reported'), []);
+  assert.equal(stateStore.getTimeline('reported').length, 2);
+});
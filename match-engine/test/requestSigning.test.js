@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash, createHmac, randomBytes } from 'crypto';
+import { signRequest, verifyRequest, getSigningKeys, SIGNATURE_SCHEME } from '../src/utils/requestSigning.js';
+
+// Mid-rotation: `current` signs, `previous` still verifies for peers not yet moved over
+process.env.MATCH_ENGINE_KEYS = 'current:current-secret-0123456789, previous:previous-secret-0123456789';
+
+const REQUEST = { audience: 'engine', method: 'POST', path: '/match/m1/start?force=1', body: '{"matchId":"m1"}' };
+
+/**
+ * Authorization header built by hand from the documented scheme, as a peer would send it.
+ *
+ * @param {string} keyId
+ * @param {string} secret
+ * @param {typeof REQUEST} request
+ * @param {{ ts?: number; nonce?: string }} [overrides]
+ */
+function signAs(keyId, secret, { audience, method, path, body }, { ts = Date.now(), nonce = randomBytes(16).toString('hex') } = {}) {
+  const bodyHash = createHash('sha256').update(body).digest('hex');
+  const sig = createHmac('sha256', secret)
+    .update([audience, keyId, ts, nonce, method, path, bodyHash].join('\n'))
+    .digest('hex');
+  return `${SIGNATURE_SCHEME} kid=${keyId},ts=${ts},nonce=${nonce},sig=${sig}`;
+}
+
+test('the first configured key signs, and its signature verifies', () => {
+  assert.deepEqual(getSigningKeys().map((key) => key.id), ['current', 'previous']);
+  const { Authorization } = signRequest(REQUEST);
+  assert.match(Authorization, /^CTF-HMAC-SHA256 kid=current,/);
+  assert.deepEqual(verifyRequest({ ...REQUEST, authorization: Authorization }), { ok: true, keyId: 'current' });
+});
+
+test('a peer still signing with the previous key is accepted during rotation', () => {
+  const authorization = signAs('previous', 'previous-secret-0123456789', REQUEST);
+  assert.deepEqual(verifyRequest({ ...REQUEST, authorization }), { ok: true, keyId: 'previous' });
+
+  const retired = signAs('retired', 'retired-secret-0123456789', REQUEST);
+  assert.deepEqual(verifyRequest({ ...REQUEST, authorization: retired }), { ok: false, reason: 'unknown key' });
+});
+
+test('a signature made with the wrong secret is refused', () => {
+  const authorization = signAs('current', 'not-the-current-secret', REQUEST);
+  assert.deepEqual(verifyRequest({ ...REQUEST, authorization }), { ok: false, reason: 'signature mismatch' });
+});
+
+test('a request whose body differs from the one signed is refused', () => {
+  const { Authorization } = signRequest(REQUEST);
+  const result = verifyRequest({ ...REQUEST, body: '{"matchId":"m2"}', authorization: Authorization });
+  assert.deepEqual(result, { ok: false, reason: 'signature mismatch' });
+});
+
+test('a request signed for the backend is refused by the engine', () => {
+  const { Authorization } = signRequest({ ...REQUEST, audience: 'backend' });
+  assert.deepEqual(verifyRequest({ ...REQUEST, authorization: Authorization }), { ok: false, reason: 'signature mismatch' });
+});
+
+test('a request signed outside the allowed clock skew is refused', () => {
+  for (const ts of [Date.now() - 6 * 60 * 1000, Date.now() + 6 * 60 * 1000]) {
+    const authorization = signAs('current', 'current-secret-0123456789', REQUEST, { ts });
+    assert.deepEqual(verifyRequest({ ...REQUEST, authorization }), { ok: false, reason: 'timestamp outside the allowed window' });
+  }
+});
+
+test('a replayed request is refused', () => {
+  const { Authorization } = signRequest(REQUEST);
+  assert.equal(verifyRequest({ ...REQUEST, authorization: Authorization }).ok, true);
+  assert.deepEqual(verifyRequest({ ...REQUEST, authorization: Authorization }), { ok: false, reason: 'nonce already used' });
+});
+
+test('unsigned and malformed requests are refused', () => {
+  assert.equal(verifyRequest({ ...REQUEST, authorization: undefined }).ok, false);
+  assert.equal(verifyRequest({ ...REQUEST, authorization: 'Bearer token' }).ok, false);
+  assert.deepEqual(
+    verifyRequest({ ...REQUEST, authorization: `${SIGNATURE_SCHEME} kid=current,ts=now,nonce=x,sig=y` }),
+    { ok: false, reason: 'malformed signature' }
+  );
+});
@@ -0,0 +1,117 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/memoryState.js';
+import { startFakeDocker } from './helpers/fakeDocker.js';
+import { createMatch, getMatch, updateMetadata } from '../src/state/stateStore.js';
+
+const HOUR = 3600 * 1000;
+
+let docker;
+let runSafetyCron;
+let lifecycle;
+
+before(async () => {
+  docker = await startFakeDocker();
+  // networkManager.js reads NETWORK_POLICY_ENABLED when it loads (no iptables here)
+  process.env.NETWORK_POLICY_ENABLED = 'false';
+  ({ runSafetyCron } = await import('../src/lifecycle/safetyCron.js'));
+  lifecycle = await import('../src/lifecycle/matchLifecycle.js');
+});
+
+after(async () => {
+  await docker.close();
+});
+
+const state = (matchId) => getMatch(matchId).state;
+
+test('a match with scheduled ticks left gets the grace period past the maximum duration', async () => {
+  const now = Date.now();
+  const schedule = { durationTicks: 360, overtimeTicks: 0, endTick: 360, overtime: false };
+  // 3.25h old, 10 ticks short of its schedule (skipped intervals)
+  createMatch('behind', { state: 'RUNNING', metadata: { createdAt: now - 3.25 * HOUR, schedule, currentTick: 350 } });
+  // 3.25h old, schedule played out
+  createMatch('finished', { state: 'RUNNING', metadata: { createdAt: now - 3.25 * HOUR, schedule, currentTick: 360 } });
+  // 3.75h old, past the 30-minute grace period
+  createMatch('stuck', { state: 'RUNNING', metadata: { createdAt: now - 3.75 * HOUR, schedule, currentTick: 350 } });
+  // 3.25h old, no schedule
+  createMatch('open-ended', { state: 'RUNNING', metadata: { createdAt: now - 3.25 * HOUR } });
+
+  await runSafetyCron();
+
+  assert.equal(state('behind'), 'RUNNING');
+  assert.equal(state('finished'), 'ENDED');
+  assert.equal(state('stuck'), 'ENDED');
+  assert.equal(state('open-ended'), 'ENDED');
+});
+
+test('time spent paused does not count toward the maximum match duration', () => {
+  const now = Date.now();
+  const match = {
+    state: 'PAUSED',
+    metadata: { createdAt: now - 4 * HOUR, pausedMs: HOUR, pause: { pausedAt: now - HOUR / 2 } },
+  };
+  assert.equal(lifecycle.getActiveDurationMs(match, now), 2.5 * HOUR);
+  assert.equal(lifecycle.getActiveDurationMs({ state: 'RUNNING', metadata: {} }, now), null);
+});
+
+test('the safety cron ends matches by running time and pause length', async () => {
+  const now = Date.now();
+  // 4h old, 1.5h of it paused earlier: 2.5h of play
+  createMatch('resumed', { state: 'RUNNING', metadata: { createdAt: now - 4 * HOUR, pausedMs: 1.5 * HOUR } });
+  // 3.5h of play
+  createMatch('overlong', { state: 'RUNNING', metadata: { createdAt: now - 3.5 * HOUR } });
+  // 1h of play, paused for the last 1.5h
+  createMatch('paused', { state: 'PAUSED', metadata: { createdAt: now - 2.5 * HOUR, pause: { tick: 10, pausedAt: now - 1.5 * HOUR } } });
+  // Paused for the last 2.5h
+  createMatch('abandoned', { state: 'PAUSED', metadata: { createdAt: now - 3 * HOUR, pause: { tick: 2, pausedAt: now - 2.5 * HOUR } } });
+
+  await runSafetyCron();
+
+  assert.equal(state('resumed'), 'RUNNING');
+  assert.equal(state('overlong'), 'ENDED');
+  assert.equal(state('paused'), 'PAUSED');
+  assert.equal(state('abandoned'), 'ENDED');
+});
+
+test('a match still provisioning long after its job started is ended', async () => {
+  const now = Date.now();
+  createMatch('provisioning', { state: 'INITIALIZING', metadata: { createdAt: now - 10 * 60 * 1000, provisioning: { startedAt: now - 10 * 60 * 1000 } } });
+  createMatch('stalled', { state: 'INITIALIZING', metadata: { createdAt: now - 2 * HOUR, provisioning: { startedAt: now - 2 * HOUR } } });
+
+  await runSafetyCron();
+
+  assert.equal(state('provisioning'), 'INITIALIZING');
+  assert.equal(state('stalled'), 'ENDED');
+});
+
+test('aged containers are removed unless their match is running or paused', async () => {
+  const now = Date.now();
+  const old = now - 5 * HOUR;
+  for (const [matchId, matchState] of [['long-running', 'RUNNING'], ['long-paused', 'PAUSED'], ['initializing', 'INITIALIZING']]) {
+    // Recent enough to stay within the duration limits; only the containers are old
+    createMatch(matchId, { state: matchState, metadata: { createdAt: now - HOUR, pause: { tick: 0, pausedAt: now } } });
+    docker.addContainer({ id: `c-${matchId}`, labels: { 'ctf.match.id': matchId }, createdAt: old });
+  }
+  docker.addContainer({ id: 'c-orphan', labels: { 'ctf.match.id': 'gone' }, createdAt: old });
+  docker.addContainer({ id: 'c-young', labels: { 'ctf.match.id': 'gone' } });
+
+  await runSafetyCron();
+
+  assert.ok(docker.containers.has('c-long-running'));
+  assert.ok(docker.containers.has('c-long-paused'));
+  assert.ok(docker.containers.has('c-young'));
+  assert.equal(docker.containers.has('c-initializing'), false);
+  assert.equal(docker.containers.has('c-orphan'), false);
+});
+
+test('resuming adds the pause to the paused time', () => {
+  createMatch('pause-resume', { state: 'RUNNING', metadata: { createdAt: Date.now(), pausedMs: HOUR } });
+  lifecycle.pauseMatch('pause-resume', 'test');
+  updateMetadata('pause-resume', { pause: { ...getMatch('pause-resume').metadata.pause, pausedAt: Date.now() - HOUR / 2 } });
+  lifecycle.resumePausedMatch('pause-resume');
+  // Stop the tick loop the resume started
+  lifecycle.pauseMatch('pause-resume', 'test');
+
+  const { pausedMs } = getMatch('pause-resume').metadata;
+  assert.ok(pausedMs >= 1.5 * HOUR && pausedMs < 1.5 * HOUR + 1000);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/memoryState.js';
+import {
+  createMatch,
+  initializeScoring,
+  recordFlagPlant,
+  recordFlagCapture,
+  getScores,
+} from '../src/state/stateStore.js';
+import { recordTick } from '../src/scoring/scorer.js';
+import { resolveScoringProfile } from '../src/scoring/scoringProfile.js';
+
+const SCORING = resolveScoringProfile({ uptimePoints: 1, downtimePenalty: -1, defencePoints: 2 }, 'easy');
+
+/** A running match with one service per team, scored with SCORING */
+function createScoredMatch(matchId) {
+  createMatch(matchId, { state: 'RUNNING', metadata: { currentTick: 0, scoring: SCORING } });
+  initializeScoring(matchId, ['teamA_notes', 'teamB_notes']);
+}
+
+/** Record a tick in which teamA_notes has `status` */
+async function tick(matchId, status = 'UP') {
+  await recordTick(matchId, [{ serviceId: 'teamA_notes', status, responseTimeMs: 1 }]);
+}
+
+test('an UP service earns uptime, plus defence once its planted flag expires uncaptured', async () => {
+  createScoredMatch('defended');
+  await tick('defended');
+  assert.equal(getScores('defended').teamA, 1);
+
+  await tick('defended');
+  assert.equal(getScores('defended').teamA, 1 + 3);
+});
+
+test('a captured flag earns no defence points', async () => {
+  createScoredMatch('captured');
+  await tick('captured');
+  recordFlagCapture('captured', 'teamA_notes', 0, 'teamB');
+
+  await tick('captured');
+  assert.equal(getScores('captured').teamA, 1 + 1);
+});
+
+test('a tick whose flag failed to plant scores DOWN, and earns no defence the tick after', async () => {
+  createScoredMatch('unplanted');
+  recordFlagPlant('unplanted', 'teamA_notes', 0, { planted: false, attempts: 3, error: 'exec failed' });
+  await tick('unplanted');
+  assert.equal(getScores('unplanted').teamA, -1);
+
+  // Tick 0's flag was never in the service, so nobody could have stolen it
+  recordFlagPlant('unplanted', 'teamA_notes', 1, { planted: true, attempts: 1 });
+  await tick('unplanted');
+  assert.equal(getScores('unplanted').teamA, -1 + 1);
+});
+
+test('a service that lost its flag is penalized like downtime', async () => {
+  createScoredMatch('flag-missing');
+  await recordTick('flag-missing', [
+    { serviceId: 'teamA_notes', status: 'CORRUPT', responseTimeMs: 1, failedCheck: 'checker:getflag', flagMissing: true },
+  ]);
+  assert.equal(getScores('flag-missing').teamA, -1);
+});
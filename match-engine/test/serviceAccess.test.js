@@ -0,0 +1,91 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/memoryState.js';
+import { startFakeDocker } from './helpers/fakeDocker.js';
+import { createMatch, setMatchInfrastructure, updateState, getServiceActions } from '../src/state/stateStore.js';
+import { restartTeamService, uploadToTeamService, MAX_FILE_BYTES } from '../src/services/serviceAccess.js';
+
+let docker;
+
+before(async () => {
+  docker = await startFakeDocker();
+  const labels = (teamId) => ({ 'ctf.match.id': 'access', 'ctf.team.id': teamId });
+  docker.addContainer({ id: 'c-a', labels: labels('teamA') });
+  docker.addContainer({ id: 'c-b', labels: labels('teamB') });
+  // Listed under teamA, but the container is teamB's
+  docker.addContainer({ id: 'c-forged', labels: labels('teamB') });
+  // Warm pool containers carry no match labels; the claim renames them to the match name
+  docker.addContainer({ id: 'c-pooled', name: 'match-access-teamA-web-pooled', labels: { 'ctf.pool': 'true' } });
+  docker.addContainer({ id: 'c-unclaimed', name: 'ctf-pool-web-1a2b', labels: { 'ctf.pool': 'true' } });
+
+  createMatch('access', { state: 'RUNNING', metadata: {} });
+  setMatchInfrastructure('access', {
+    teamA: {
+      containers: [
+        { serviceId: 'teamA_notes', containerId: 'c-a' },
+        { serviceId: 'teamA_forged', containerId: 'c-forged' },
+        { serviceId: 'teamA_pooled', containerId: 'c-pooled', containerName: 'match-access-teamA-web-pooled' },
+        { serviceId: 'teamA_unclaimed', containerId: 'c-unclaimed', containerName: 'match-access-teamA-web-unclaimed' },
+      ],
+    },
+    teamB: { containers: [{ serviceId: 'teamB_notes', containerId: 'c-b' }] },
+  });
+});
+
+after(async () => {
+  await docker.close();
+});
+
+const restarts = () => docker.calls.filter((call) => call.endsWith('/restart'));
+const lastAction = () => getServiceActions('access').at(-1);
+
+test('a team restarts its own service, and the action is audited', async () => {
+  const result = await restartTeamService({ matchId: 'access', teamId: 'teamA', serviceId: 'teamA_notes', actor: 'alice' });
+
+  assert.deepEqual(result, { restarted: true });
+  assert.deepEqual(restarts(), ['POST /containers/c-a/restart']);
+  assert.equal(lastAction().action, 'restart');
+  assert.equal(lastAction().actor, 'alice');
+  assert.equal(lastAction().ok, true);
+});
+
+test('a service listed under the other team is not found, and the attempt is audited', async () => {
+  const restarted = restarts().length;
+  await assert.rejects(restartTeamService({ matchId: 'access', teamId: 'teamA', serviceId: 'teamB_notes' }), { status: 404 });
+
+  assert.equal(restarts().length, restarted);
+  assert.equal(lastAction().ok, false);
+  assert.equal(lastAction().serviceId, 'teamB_notes');
+});
+
+test("a container without the team's labels is refused", async () => {
+  const restarted = restarts().length;
+  await assert.rejects(restartTeamService({ matchId: 'access', teamId: 'teamA', serviceId: 'teamA_forged' }), { status: 403 });
+  assert.equal(restarts().length, restarted);
+  assert.equal(lastAction().ok, false);
+});
+
+test('a claimed pool container belongs to the team whose match name it carries', async () => {
+  await restartTeamService({ matchId: 'access', teamId: 'teamA', serviceId: 'teamA_pooled' });
+  assert.equal(restarts().at(-1), 'POST /containers/c-pooled/restart');
+
+  const restarted = restarts().length;
+  await assert.rejects(restartTeamService({ matchId: 'access', teamId: 'teamA', serviceId: 'teamA_unclaimed' }), { status: 403 });
+  assert.equal(restarts().length, restarted);
+});
+
+test('services cannot be touched while the match is not running', async () => {
+  updateState('access', 'ENDED');
+  try {
+    await assert.rejects(restartTeamService({ matchId: 'access', teamId: 'teamA', serviceId: 'teamA_notes' }), { status: 409 });
+  } finally {
+    updateState('access', 'RUNNING');
+  }
+  await assert.rejects(restartTeamService({ matchId: 'missing', teamId: 'teamA', serviceId: 'teamA_notes' }), { status: 404 });
+});
+
+test('uploads are checked before the container is touched', async () => {
+  const target = { matchId: 'access', teamId: 'teamA', serviceId: 'teamA_notes' };
+  await assert.rejects(uploadToTeamService(target, 'app/config.js', Buffer.from('x')), { status: 400 });
+  await assert.rejects(uploadToTeamService(target, '/app/big.bin', Buffer.alloc(MAX_FILE_BYTES + 1)), { status: 413 });
+});
@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+
+/**
+ * Modules the engine shares with the backend. Each image is built from its own directory,
+ * so they are copies, and a change to one has to go into the other.
+ */
+const SHARED = ['utils/requestSigning.js', 'utils/metrics.js'];
+
+for (const file of SHARED) {
+  test(`src/${file} is identical to backend/src/${file}`, () => {
+    const engine = readFileSync(new URL(`../src/${file}`, import.meta.url), 'utf8');
+    const backend = readFileSync(new URL(`../../backend/src/${file}`, import.meta.url), 'utf8');
+    assert.ok(engine === backend, `match-engine/src/${file} and backend/src/${file} differ`);
+  });
+}
@@ -0,0 +1,189 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { loadSimulatedEngine, NOTES_TEMPLATE, ECHO_TEMPLATE, ZERO_SCORING } from './helpers/simulation.js';
+
+const HOUR = 3600 * 1000;
+
+let engine;
+let driver;
+let serviceAccess;
+
+before(async () => {
+  engine = await loadSimulatedEngine({ templates: [NOTES_TEMPLATE, ECHO_TEMPLATE] });
+  driver = (await import('../src/infra/infraDriver.js')).getInfraDriver();
+  serviceAccess = await import('../src/services/serviceAccess.js');
+});
+
+after(async () => {
+  await engine.shutdown();
+});
+
+/** The tick's result for a service from the match timeline */
+function resultAt(matchId, tick, serviceId) {
+  const entry = engine.stateStore.getTimeline(matchId).find((t) => t.tick === tick);
+  return entry?.services.find((s) => s.serviceId === serviceId);
+}
+
+/** Containers and networks the driver still has for a match */
+async function leftovers(matchId) {
+  const containers = (await driver.listMatchContainers()).filter((c) => c.matchId === matchId);
+  const networks = (await driver.listMatchNetworks()).filter((n) => n.matchId === matchId);
+  return containers.length + networks.length;
+}
+
+/** Listen on a port so a simulated service cannot */
+function listen(port) {
+  const server = net.createServer();
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => resolve(server));
+  });
+}
+
+/** Infrastructure the engine has no state for, as a crashed engine run would leave it */
+async function provisionOrphan(matchId) {
+  const network = await driver.createMatchNetwork(matchId);
+  await driver.provisionTeamService(matchId, 'teamA', network.networkName, ECHO_TEMPLATE);
+}
+
+test('a simulated match plays through a capture, scripted faults, a reset and its end', async () => {
+  const { startMatch, captureFlag, simulation, stateStore, lifecycle, waitForTick } = engine;
+  await startMatch('e2e');
+  const target = { matchId: 'e2e', teamId: 'teamB', serviceId: 'teamB_notes', actor: 'bob' };
+
+  await captureFlag('e2e', 'teamA', 'teamB_notes');
+  await simulation.setSimulatedServiceBehaviour('e2e', 'teamA_echo', { script: { 2: 'down', 4: 'up' } });
+  await waitForTick('e2e', 1);
+  await simulation.setSimulatedServiceBehaviour('e2e', 'teamB_notes', { status: 'mumble' });
+  await waitForTick('e2e', 6);
+
+  assert.equal(resultAt('e2e', 1, 'teamA_echo').status, 'UP');
+  assert.equal(resultAt('e2e', 2, 'teamA_echo').status, 'DOWN');
+  assert.equal(resultAt('e2e', 3, 'teamA_echo').status, 'DOWN');
+  assert.equal(resultAt('e2e', 4, 'teamA_echo').status, 'UP');
+  assert.equal(resultAt('e2e', 5, 'teamB_notes').status, 'MUMBLE');
+  assert.ok(stateStore.getScores('e2e').teamA > stateStore.getScores('e2e').teamB);
+
+  await simulation.setSimulatedServiceBehaviour('e2e', 'teamB_notes', { status: 'up' });
+  const reset = await serviceAccess.resetTeamService(target);
+  assert.equal(reset.flagPlanted, true);
+  const from = stateStore.getCurrentTick('e2e');
+  await waitForTick('e2e', from + 2);
+  assert.equal(resultAt('e2e', from + 1, 'teamB_notes').status, 'UP');
+
+  await lifecycle.transitionToEnded('e2e');
+  assert.equal(stateStore.getMatch('e2e').state, lifecycle.MatchState.ENDED);
+  assert.equal(stateStore.getMatchInfrastructure('e2e'), null);
+  assert.equal(await leftovers('e2e'), 0);
+});
+
+test('the stale cleanup, the safety cron and recovery reclaim infrastructure without match state', async () => {
+  const { cleanupStaleMatches } = await import('../src/services/matchCleanup.js');
+  const { runSafetyCron } = await import('../src/lifecycle/safetyCron.js');
+  const { runRecovery } = await import('../src/lifecycle/recovery.js');
+
+  await provisionOrphan('orphan-cleanup');
+  await cleanupStaleMatches();
+  assert.equal(await leftovers('orphan-cleanup'), 0);
+
+  await provisionOrphan('orphan-recovery');
+  await runRecovery();
+  assert.equal(await leftovers('orphan-recovery'), 0);
+
+  // The safety cron takes aged containers only; an empty network goes at once
+  await driver.createMatchNetwork('orphan-network');
+  await runSafetyCron();
+  assert.equal(await leftovers('orphan-network'), 0);
+});
+
+test('a reset that cannot start the new container leaves the service down until reset again', async () => {
+  const { startMatch, stateStore, simulation, waitForTick } = engine;
+  await startMatch('failed-reset');
+  const target = { matchId: 'failed-reset', teamId: 'teamA', serviceId: 'teamA_notes' };
+  const serviceEntry = () =>
+    stateStore.getMatchInfrastructure('failed-reset').teamA.containers.find((c) => c.serviceId === 'teamA_notes');
+  const { port } = serviceEntry();
+
+  // A scripted-down service frees its port; take it so the recreated service cannot listen
+  await simulation.setSimulatedServiceBehaviour('failed-reset', 'teamA_notes', { status: 'down' });
+  const squatter = await listen(port);
+  try {
+    await assert.rejects(serviceAccess.resetTeamService(target), { status: 500 });
+  } finally {
+    await new Promise((resolve) => squatter.close(resolve));
+  }
+
+  assert.equal(serviceEntry().containerId, null);
+  assert.equal(stateStore.getServiceHealth('failed-reset').teamA_notes.status, 'DOWN');
+  await assert.rejects(serviceAccess.restartTeamService(target), { status: 409 });
+
+  const from = stateStore.getCurrentTick('failed-reset');
+  await waitForTick('failed-reset', from + 2);
+  const checked = resultAt('failed-reset', from + 1, 'teamA_notes');
+  assert.equal(checked.status, 'DOWN');
+  assert.equal(checked.failedCheck, 'container');
+
+  const result = await serviceAccess.resetTeamService(target);
+  assert.equal(result.reset, true);
+  assert.ok(serviceEntry().containerId);
+  const actions = stateStore.getServiceActions('failed-reset', 'teamA').filter((a) => a.action === 'reset');
+  assert.deepEqual(actions.map((a) => a.ok), [false, true]);
+});
+
+test('the tick loop ends a scheduled match, with overtime when it is tied', async () => {
+  const { startMatch, captureFlag, simulation, waitForState, stateStore, lifecycle } = engine;
+  await startMatch('scheduled', { duration: { ticks: 3 } });
+  await simulation.setSimulatedServiceBehaviour('scheduled', 'teamB_echo', { status: 'down' });
+  await startMatch('tiebreak', { duration: { ticks: 2, overtimeTicks: 2 }, scoringProfile: ZERO_SCORING });
+  await captureFlag('tiebreak', 'teamA', 'teamB_notes');
+
+  await waitForState('scheduled', lifecycle.MatchState.ENDED);
+  await waitForState('tiebreak', lifecycle.MatchState.ENDED);
+
+  assert.equal(stateStore.getCurrentTick('scheduled'), 3);
+  const scheduled = lifecycle.getMatchResult('scheduled');
+  assert.equal(scheduled.winner, 'teamA');
+  assert.equal(scheduled.decidedBy, 'score');
+  assert.equal(scheduled.overtime, false);
+
+  assert.equal(stateStore.getCurrentTick('tiebreak'), 4);
+  const tiebreak = lifecycle.getMatchResult('tiebreak');
+  assert.equal(tiebreak.winner, 'teamA');
+  assert.equal(tiebreak.decidedBy, 'flags');
+  assert.equal(tiebreak.overtime, true);
+});
+
+test('the safety cron ends a match stuck provisioning and reclaims its containers', async () => {
+  const { startMatch, stateStore, waitFor } = engine;
+  const { runSafetyCron } = await import('../src/lifecycle/safetyCron.js');
+  // Hang the final isolation step, as a stalled image pull or daemon call would
+  let release;
+  const stalled = new Promise((resolve) => { release = resolve; });
+  const applyNetworkPolicy = driver.applyNetworkPolicy;
+  driver.applyNetworkPolicy = async (matchId, infrastructure) => {
+    if (matchId === 'stuck-provisioning' && infrastructure.teamA) await stalled;
+  };
+
+  try {
+    const initialization = startMatch('stuck-provisioning').catch((err) => err);
+    await waitFor(() => stateStore.getMatch('stuck-provisioning').metadata.provisioning?.steps.policy?.phase === 'running');
+    assert.ok(await leftovers('stuck-provisioning') > 0);
+
+    // Its job started 2h ago, past MAX_PROVISIONING_MINUTES (60)
+    const job = stateStore.getMatch('stuck-provisioning').metadata.provisioning;
+    stateStore.updateMetadata('stuck-provisioning', { provisioning: { ...job, startedAt: Date.now() - 2 * HOUR } });
+    await runSafetyCron();
+
+    assert.equal(stateStore.getMatch('stuck-provisioning').state, 'ENDED');
+    assert.equal(await leftovers('stuck-provisioning'), 0);
+
+    // The stalled job finishing later does not bring the match back
+    release();
+    assert.match((await initialization).message, /ended during provisioning/);
+    assert.equal(stateStore.getMatch('stuck-provisioning').state, 'ENDED');
+    assert.equal(await leftovers('stuck-provisioning'), 0);
+  } finally {
+    driver.applyNetworkPolicy = applyNetworkPolicy;
+  }
+});
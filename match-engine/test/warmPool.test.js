@@ -0,0 +1,93 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeDocker } from './helpers/fakeDocker.js';
+import { claimedMatchId } from '../src/docker/dockerContainers.js';
+
+const NOTES = { templateId: 'notes-template', type: 'web', dockerImage: 'notes:1', port: 8080, environmentVars: { MODE: 'ctf' } };
+
+let docker;
+let warmPool;
+
+before(async () => {
+  docker = await startFakeDocker();
+  for (const name of ['match_m1', 'match_m2', 'match_m3']) {
+    docker.networks.set(name, { id: name, name, labels: {}, internal: false });
+  }
+  // warmPool.js reads WARM_POOL_SIZE when it loads
+  process.env.WARM_POOL_SIZE = '2';
+  warmPool = await import('../src/pool/warmPool.js');
+});
+
+after(async () => {
+  await docker.close();
+});
+
+const poolContainers = () => [...docker.containers.values()].filter((c) => c.labels['ctf.pool'] === 'true');
+/** Unclaimed pool containers created with an environment entry */
+const warmWith = (env) => poolContainers().filter((c) => c.name.startsWith('ctf-pool-') && c.env.includes(env));
+
+/** Wait for the background refill to leave `count` warm containers with an environment entry */
+async function waitForWarm(env, count) {
+  const deadline = Date.now() + 2000;
+  while (warmWith(env).length !== count) {
+    assert.ok(Date.now() < deadline, `pool did not reach ${count} container(s) with ${env}`);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+test('a claimed pool container is tied to its match by name', () => {
+  const claimed = { Names: ['/match-m-42-teamB-web-notes'], Labels: { 'ctf.pool': 'true' } };
+  assert.equal(claimedMatchId(claimed), 'm-42');
+});
+
+test('unclaimed pool containers and labelled match containers are not claims', () => {
+  assert.equal(claimedMatchId({ Names: ['/ctf-pool-notes-1a2b'], Labels: { 'ctf.pool': 'true' } }), null);
+  assert.equal(claimedMatchId({ Names: ['/match-m1-teamA-web-notes'], Labels: { 'ctf.match.id': 'm1' } }), null);
+});
+
+test('a miss fills the pool, and the next match claims a warm container', async () => {
+  const miss = await warmPool.claimWarmContainer(NOTES, { name: 'match-m1-teamA-web-notes-te', networkName: 'match_m1' });
+  assert.equal(miss, null);
+  await waitForWarm('MODE=ctf', 2);
+
+  const [pool] = [...docker.networks.values()].filter((n) => n.name === 'ctf_warm_pool');
+  assert.equal(pool.internal, true);
+  const warm = poolContainers();
+  assert.equal(warm.length, 2);
+  for (const c of warm) {
+    assert.equal(c.image, 'notes:1');
+    assert.equal(c.running, false);
+    assert.match(c.name, /^ctf-pool-notes-te-/);
+    assert.deepEqual([...c.networks], ['ctf_warm_pool']);
+    assert.equal(c.labels['ctf.match.id'], undefined);
+  }
+
+  const claimed = await warmPool.claimWarmContainer(NOTES, { name: 'match-m2-teamA-web-notes-te', networkName: 'match_m2' });
+  const container = docker.containers.get(claimed.id);
+  assert.equal(container.name, 'match-m2-teamA-web-notes-te');
+  assert.deepEqual([...container.networks], ['match_m2']);
+  assert.equal(claimedMatchId({ Names: [`/${container.name}`], Labels: container.labels }), 'm2');
+
+  // The claim is replaced in the background
+  await waitForWarm('MODE=ctf', 2);
+  assert.equal(poolContainers().length, 3);
+  const status = warmPool.getWarmPoolStatus();
+  assert.equal(status.hits, 1);
+  assert.equal(status.misses, 1);
+  assert.equal(status.templates[0].uses, 2);
+});
+
+test('a template whose container settings changed does not claim the old containers', async () => {
+  const warmBefore = warmWith('MODE=ctf');
+  const changed = { ...NOTES, environmentVars: { MODE: 'debug' } };
+
+  const claimed = await warmPool.claimWarmContainer(changed, { name: 'match-m3-teamA-web-notes-te', networkName: 'match_m3' });
+  assert.equal(claimed, null);
+  assert.ok(warmBefore.every((c) => docker.containers.get(c.id)?.name === c.name));
+
+  // The new settings are pooled under their own key
+  await waitForWarm('MODE=debug', 2);
+  const keys = new Set(poolContainers().map((c) => c.labels['ctf.pool.key']));
+  assert.equal(keys.size, 2);
+  assert.equal(warmWith('MODE=ctf').length, 2);
+});